@@ -0,0 +1,36 @@
+// __tests__/dateRange.test.js
+// Dates from query strings and request bodies are stored in DATE columns, so impossible ones must be refused up front.
+
+const { isValidDateOnly, parseDateRange } = require("../utils/dateRange");
+
+describe("isValidDateOnly", () => {
+  it("accepts real calendar dates and a missing value", () => {
+    expect(isValidDateOnly(undefined)).toBe(true);
+    expect(isValidDateOnly("2026-02-28")).toBe(true);
+    expect(isValidDateOnly("2028-02-29")).toBe(true);
+    expect(isValidDateOnly("2026-12-31")).toBe(true);
+  });
+
+  it("refuses dates that do not exist rather than rolling them over", () => {
+    expect(isValidDateOnly("2026-02-31")).toBe(false);
+    expect(isValidDateOnly("2026-02-29")).toBe(false);
+    expect(isValidDateOnly("2026-04-31")).toBe(false);
+    expect(isValidDateOnly("2026-13-01")).toBe(false);
+    expect(isValidDateOnly("2026-00-10")).toBe(false);
+  });
+
+  it("refuses other formats", () => {
+    expect(isValidDateOnly("")).toBe(false);
+    expect(isValidDateOnly("2026-2-3")).toBe(false);
+    expect(isValidDateOnly("2026-02-03T10:00:00Z")).toBe(false);
+    expect(isValidDateOnly(["2026-02-03"])).toBe(false);
+  });
+});
+
+describe("parseDateRange", () => {
+  it("refuses a range with an impossible bound", () => {
+    expect(parseDateRange({ from: "2026-02-01", to: "2026-02-30" })).toEqual({
+      error: "from and to must be dates in YYYY-MM-DD format.",
+    });
+  });
+});
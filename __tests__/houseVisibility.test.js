@@ -0,0 +1,67 @@
+// __tests__/houseVisibility.test.js
+// Unlisted houses (unlisted for going stale, or taken down by an admin) must stay out of every public view.
+
+let mockQueries;
+
+jest.mock("../config/database", () => ({
+  getPool: () => ({
+    execute: async (sql, params) => {
+      mockQueries.push({ sql, params });
+      return [/COUNT\(\*\)/.test(sql) ? [{ total: 0 }] : []];
+    },
+  }),
+}));
+
+const House = require("../models/House");
+const { isPublishedHouse, canViewHouse } = require("../utils/houseStatus");
+
+const publishedHouse = (overrides = {}) => ({
+  id: 1,
+  landlord_id: 7,
+  status: "available",
+  published_at: new Date("2026-01-05T08:00:00Z"),
+  archived_at: null,
+  ...overrides,
+});
+
+beforeEach(() => {
+  mockQueries = [];
+});
+
+describe("isPublishedHouse and canViewHouse", () => {
+  it("treat an unlisted house as not published", () => {
+    expect(isPublishedHouse(publishedHouse())).toBe(true);
+    expect(isPublishedHouse(publishedHouse({ status: "unlisted" }))).toBe(
+      false
+    );
+  });
+
+  it("show an unlisted house only to its landlord and admins", () => {
+    const house = publishedHouse({ status: "unlisted" });
+
+    expect(canViewHouse(house)).toBe(false);
+    expect(canViewHouse(house, { id: 12, role: "tenant" })).toBe(false);
+    expect(canViewHouse(house, { id: 7, role: "landlord" })).toBe(true);
+    expect(canViewHouse(house, { id: 1, role: "admin" })).toBe(true);
+  });
+});
+
+describe("public house search", () => {
+  const whereClauseOf = ({ sql }) => sql.slice(sql.indexOf("WHERE"));
+
+  it("leaves unlisted houses out of the results and the total", async () => {
+    await House.findAll({ limit: 10, offset: 0 });
+
+    const [search, count] = mockQueries;
+    expect(whereClauseOf(search)).toContain("h.status <> 'unlisted'");
+    expect(whereClauseOf(count)).toContain("h.status <> 'unlisted'");
+  });
+
+  it("leaves unlisted houses out of the area counts", async () => {
+    await House.countByLocation({
+      location: { id: 3, level: "district" },
+    });
+
+    expect(whereClauseOf(mockQueries[0])).toContain("h.status <> 'unlisted'");
+  });
+});
@@ -0,0 +1,613 @@
+// __tests__/rentRequestAcceptance.test.js
+// Concurrency tests for RentRequest.accept, withdrawAcceptance and RentRequestOffer.respond, against an in-memory stand-in for the database that
+// honours transactions and SELECT ... FOR UPDATE row locks the way InnoDB does.
+
+let mockDb;
+
+jest.mock("../config/database", () => ({ getPool: () => mockDb.pool }));
+
+const RentRequest = require("../models/RentRequest");
+const RentRequestOffer = require("../models/RentRequestOffer");
+const House = require("../models/House");
+
+// Yields to the event loop, so that concurrent transactions interleave between queries
+const tick = () => new Promise((resolve) => setImmediate(resolve));
+
+const createFakeDatabase = ({
+  house,
+  requests,
+  leases = [],
+  payments = [],
+  offers = [],
+}) => {
+  const tables = {
+    houses: { [house.id]: { ...house } },
+    rent_requests: Object.fromEntries(
+      requests.map((request) => [request.id, { ...request }])
+    ),
+    lease_agreements: Object.fromEntries(
+      leases.map((lease) => [lease.id, { ...lease }])
+    ),
+    rent_payments: Object.fromEntries(
+      payments.map((payment) => [payment.id, { ...payment }])
+    ),
+    rent_request_offers: Object.fromEntries(
+      offers.map((offer) => [offer.id, { ...offer }])
+    ),
+    house_status_history: [],
+  };
+  const locks = new Map(); // "table:id" -> { owner, waiters }
+  const now = new Date();
+  const hooks = {};
+
+  const lockRow = async (connection, key) => {
+    for (;;) {
+      const lock = locks.get(key);
+      if (!lock) {
+        locks.set(key, { owner: connection, waiters: [] });
+        connection.locks.push(key);
+        return;
+      }
+      if (lock.owner === connection) return;
+      await new Promise((resolve) => lock.waiters.push(resolve));
+    }
+  };
+
+  const releaseLocks = (connection) => {
+    for (const key of connection.locks) {
+      const { waiters } = locks.get(key);
+      locks.delete(key);
+      waiters.forEach((wake) => wake());
+    }
+    connection.locks = [];
+  };
+
+  // Sets a column and remembers how to undo it on rollback
+  const write = (connection, row, column, value) => {
+    const previous = row[column];
+    connection.undo.push(() => {
+      row[column] = previous;
+    });
+    row[column] = value;
+  };
+
+  const handlers = [
+    [
+      /^SELECT house_id FROM rent_requests WHERE id = \?/,
+      (connection, [id]) => {
+        const request = tables.rent_requests[id];
+        return [request ? [{ house_id: request.house_id }] : []];
+      },
+    ],
+    [
+      /^SELECT (.+) FROM (houses|rent_requests) WHERE id = \? FOR UPDATE/,
+      async (connection, [id], [, columns, table]) => {
+        await lockRow(connection, `${table}:${id}`);
+        const row = tables[table][id];
+        if (!row) return [[]];
+        const selected = {};
+        for (const column of columns.split(",")) {
+          selected[column.trim()] = row[column.trim()];
+        }
+        return [[selected]];
+      },
+    ],
+    [
+      /^UPDATE houses SET status = \?, tenant_id = \?/,
+      async (connection, [status, tenantId, , id]) => {
+        await lockRow(connection, `houses:${id}`);
+        write(connection, tables.houses[id], "status", status);
+        write(connection, tables.houses[id], "tenant_id", tenantId);
+        return [{ affectedRows: 1 }];
+      },
+    ],
+    [
+      /^INSERT INTO house_status_history/,
+      (connection, params) => {
+        if (hooks.beforeHistoryInsert) hooks.beforeHistoryInsert();
+        tables.house_status_history.push(params);
+        connection.undo.push(() => tables.house_status_history.pop());
+        return [{ insertId: tables.house_status_history.length }];
+      },
+    ],
+    [
+      /^SELECT id, user_id FROM rent_requests\s+WHERE house_id = \? AND status = \? AND id <> \? FOR UPDATE/,
+      async (connection, [houseId, status, exceptId]) => {
+        const selected = [];
+        for (const request of Object.values(tables.rent_requests)) {
+          if (request.house_id !== houseId || request.id === exceptId) continue;
+          await lockRow(connection, `rent_requests:${request.id}`);
+          if (request.status !== status) continue;
+          selected.push({ id: request.id, user_id: request.user_id });
+        }
+        return [selected];
+      },
+    ],
+    [
+      /^SELECT id, status FROM lease_agreements WHERE rent_request_id = \? FOR UPDATE/,
+      async (connection, [requestId]) => {
+        const selected = [];
+        for (const lease of Object.values(tables.lease_agreements)) {
+          if (lease.rent_request_id !== requestId) continue;
+          await lockRow(connection, `lease_agreements:${lease.id}`);
+          selected.push({ id: lease.id, status: lease.status });
+        }
+        return [selected];
+      },
+    ],
+    [
+      /^UPDATE lease_agreements SET status = \? WHERE id = \?/,
+      async (connection, [status, id]) => {
+        await lockRow(connection, `lease_agreements:${id}`);
+        write(connection, tables.lease_agreements[id], "status", status);
+        return [{ affectedRows: 1 }];
+      },
+    ],
+    [
+      /^DELETE FROM rent_payments\s+WHERE lease_id = \? AND status <> \? AND COALESCE\(paid_amount, 0\) = 0/,
+      (connection, [leaseId, paidStatus]) => {
+        let affectedRows = 0;
+        for (const payment of Object.values(tables.rent_payments)) {
+          if (
+            payment.lease_id !== leaseId ||
+            payment.status === paidStatus ||
+            payment.paid_amount > 0 ||
+            payment.has_transactions
+          ) {
+            continue;
+          }
+          delete tables.rent_payments[payment.id];
+          connection.undo.push(() => {
+            tables.rent_payments[payment.id] = payment;
+          });
+          affectedRows += 1;
+        }
+        return [{ affectedRows }];
+      },
+    ],
+    [
+      /^UPDATE rent_requests SET status = \?, updated_at = CURRENT_TIMESTAMP WHERE id = \?/,
+      async (connection, [status, id]) => {
+        await lockRow(connection, `rent_requests:${id}`);
+        write(connection, tables.rent_requests[id], "status", status);
+        return [{ affectedRows: 1 }];
+      },
+    ],
+    [
+      /^UPDATE rent_requests SET status = \?, responded_at = COALESCE\(responded_at, CURRENT_TIMESTAMP\),\s+updated_at = CURRENT_TIMESTAMP WHERE id = \?/,
+      async (connection, [status, id]) => {
+        await lockRow(connection, `rent_requests:${id}`);
+        const request = tables.rent_requests[id];
+        write(connection, request, "status", status);
+        write(connection, request, "responded_at", request.responded_at || now);
+        return [{ affectedRows: 1 }];
+      },
+    ],
+    [
+      /^UPDATE rent_requests SET status = \?, responded_at = COALESCE\(responded_at, CURRENT_TIMESTAMP\),\s+updated_at = CURRENT_TIMESTAMP\s+WHERE house_id = \? AND status = \? AND id <> \?/,
+      async (connection, [status, houseId, fromStatus, exceptId]) => {
+        let affectedRows = 0;
+        for (const request of Object.values(tables.rent_requests)) {
+          if (request.house_id !== houseId || request.id === exceptId) continue;
+          await lockRow(connection, `rent_requests:${request.id}`);
+          if (request.status !== fromStatus) continue;
+          write(connection, request, "status", status);
+          write(
+            connection,
+            request,
+            "responded_at",
+            request.responded_at || now
+          );
+          affectedRows += 1;
+        }
+        return [{ affectedRows }];
+      },
+    ],
+    [
+      /^UPDATE rent_request_offers SET status = \?\s+WHERE status = \? AND rent_request_id IN \(/,
+      async (connection, [status, fromStatus, ...requestIds]) => {
+        let affectedRows = 0;
+        for (const offer of Object.values(tables.rent_request_offers)) {
+          if (!requestIds.includes(offer.rent_request_id)) continue;
+          await lockRow(connection, `rent_request_offers:${offer.id}`);
+          if (offer.status !== fromStatus) continue;
+          write(connection, offer, "status", status);
+          affectedRows += 1;
+        }
+        return [{ affectedRows }];
+      },
+    ],
+    [
+      /^UPDATE rent_request_offers SET status = \?, responded_by = \?, responded_at = CURRENT_TIMESTAMP\s+WHERE id = \? AND rent_request_id = \? AND status = \?/,
+      async (connection, [status, respondedBy, id, requestId, fromStatus]) => {
+        await lockRow(connection, `rent_request_offers:${id}`);
+        const offer = tables.rent_request_offers[id];
+        if (
+          !offer ||
+          offer.rent_request_id !== requestId ||
+          offer.status !== fromStatus
+        ) {
+          return [{ affectedRows: 0 }];
+        }
+        write(connection, offer, "status", status);
+        write(connection, offer, "responded_by", respondedBy);
+        return [{ affectedRows: 1 }];
+      },
+    ],
+  ];
+
+  const createConnection = () => {
+    const connection = {
+      locks: [],
+      undo: [],
+      async beginTransaction() {
+        connection.undo = [];
+      },
+      async commit() {
+        connection.undo = [];
+        releaseLocks(connection);
+      },
+      async rollback() {
+        connection.undo.reverse().forEach((undo) => undo());
+        connection.undo = [];
+        releaseLocks(connection);
+      },
+      release() {},
+      async execute(sql, params) {
+        await tick();
+        const query = sql.trim();
+        for (const [pattern, handler] of handlers) {
+          const match = query.match(pattern);
+          if (match) return handler(connection, params, match);
+        }
+        throw new Error(`Unexpected query: ${query}`);
+      },
+    };
+    return connection;
+  };
+
+  return {
+    tables,
+    hooks,
+    locks,
+    pool: { getConnection: async () => createConnection() },
+  };
+};
+
+const setUp = (requestCount, { leases, payments, offers } = {}) => {
+  mockDb = createFakeDatabase({
+    leases,
+    payments,
+    offers,
+    house: {
+      id: 1,
+      title: "Kacyiru flat",
+      status: "available",
+      tenant_id: null,
+    },
+    requests: Array.from({ length: requestCount }, (_, index) => ({
+      id: index + 1,
+      user_id: 100 + index,
+      house_id: 1,
+      status: "pending",
+      responded_at: null,
+    })),
+  });
+};
+
+const statuses = () =>
+  Object.values(mockDb.tables.rent_requests).map((request) => request.status);
+
+describe("RentRequest.accept", () => {
+  it("lets only one of several concurrent accepts for the same house win", async () => {
+    setUp(4);
+
+    const results = await Promise.allSettled(
+      [1, 2, 3, 4].map((id) => RentRequest.accept(id, { changedBy: 7 }))
+    );
+
+    const fulfilled = results.filter(({ status }) => status === "fulfilled");
+    const rejected = results.filter(({ status }) => status === "rejected");
+    expect(fulfilled).toHaveLength(1);
+    expect(rejected).toHaveLength(3);
+    rejected.forEach(({ reason }) => expect(reason.statusCode).toBe(409));
+
+    const winner = fulfilled[0].value;
+    expect(winner.rejected).toBe(3);
+    expect(mockDb.tables.houses[1]).toMatchObject({
+      status: "rented",
+      tenant_id: winner.tenantId,
+    });
+    expect(statuses().filter((status) => status === "accepted")).toHaveLength(
+      1
+    );
+    expect(statuses().filter((status) => status === "rejected")).toHaveLength(
+      3
+    );
+    expect(mockDb.tables.house_status_history).toHaveLength(1);
+    expect(mockDb.locks.size).toBe(0);
+    // Accepting and rejecting both count as the landlord's response to each request
+    Object.values(mockDb.tables.rent_requests).forEach((request) =>
+      expect(request.responded_at).toBeInstanceOf(Date)
+    );
+  });
+
+  it("applies concurrent accepts of the same request only once", async () => {
+    setUp(2);
+
+    const results = await Promise.allSettled([
+      RentRequest.accept(1),
+      RentRequest.accept(1),
+    ]);
+
+    expect(results.map(({ status }) => status).sort()).toEqual([
+      "fulfilled",
+      "rejected",
+    ]);
+    expect(
+      results.find(({ status }) => status === "rejected").reason.statusCode
+    ).toBe(409);
+    expect(statuses()).toEqual(["accepted", "rejected"]);
+    expect(mockDb.tables.house_status_history).toHaveLength(1);
+  });
+
+  it("refuses a request that is no longer pending", async () => {
+    setUp(2);
+    mockDb.tables.rent_requests[1].status = "cancelled";
+
+    await expect(RentRequest.accept(1)).rejects.toMatchObject({
+      statusCode: 409,
+    });
+    expect(mockDb.tables.houses[1].status).toBe("available");
+    expect(statuses()).toEqual(["cancelled", "pending"]);
+  });
+
+  it("rolls back every step if one fails", async () => {
+    setUp(3);
+    mockDb.hooks.beforeHistoryInsert = () => {
+      throw new Error("Connection lost");
+    };
+
+    await expect(RentRequest.accept(1)).rejects.toThrow("Connection lost");
+    expect(mockDb.tables.houses[1]).toMatchObject({
+      status: "available",
+      tenant_id: null,
+    });
+    expect(statuses()).toEqual(["pending", "pending", "pending"]);
+    Object.values(mockDb.tables.rent_requests).forEach((request) =>
+      expect(request.responded_at).toBeNull()
+    );
+    expect(mockDb.locks.size).toBe(0);
+
+    // Nothing is left locked, so the house can still be rented
+    mockDb.hooks.beforeHistoryInsert = null;
+    await expect(RentRequest.accept(2)).resolves.toMatchObject({
+      houseId: 1,
+      tenantId: 101,
+      rejected: 2,
+    });
+  });
+
+  it("returns null for a request that does not exist", async () => {
+    setUp(1);
+
+    await expect(RentRequest.accept(99)).resolves.toBeNull();
+    expect(mockDb.locks.size).toBe(0);
+  });
+});
+
+describe("RentRequest.withdrawAcceptance", () => {
+  const acceptFirst = async (data) => {
+    setUp(2, data);
+    await RentRequest.accept(1, { changedBy: 7 });
+  };
+  const withdraw = () =>
+    RentRequest.withdrawAcceptance(1, {
+      status: "cancelled",
+      reason: "rent_request_cancelled",
+    });
+
+  beforeEach(() => {
+    // Watchers of the house are told after the commit; not under test here
+    jest.spyOn(House, "announceAvailable").mockResolvedValue();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it("reports which competing requests accept rejected, so they can be told", async () => {
+    setUp(3);
+
+    const accepted = await RentRequest.accept(2);
+
+    expect(accepted.rejectedRequests).toEqual([
+      { id: 1, user_id: 100 },
+      { id: 3, user_id: 102 },
+    ]);
+  });
+
+  it("cancels the request and releases the house together", async () => {
+    await acceptFirst();
+
+    await expect(
+      RentRequest.withdrawAcceptance(1, {
+        status: "cancelled",
+        reason: "rent_request_cancelled",
+        changedBy: 100,
+      })
+    ).resolves.toEqual({
+      houseId: 1,
+      houseReleased: true,
+      leasesTerminated: 0,
+      paymentsDeleted: 0,
+    });
+
+    expect(mockDb.tables.houses[1]).toMatchObject({
+      status: "available",
+      tenant_id: null,
+    });
+    expect(statuses()).toEqual(["cancelled", "rejected"]);
+    expect(mockDb.tables.house_status_history).toHaveLength(2);
+    expect(House.announceAvailable).toHaveBeenCalledWith(1, "Kacyiru flat");
+    expect(mockDb.locks.size).toBe(0);
+  });
+
+  it("leaves both the house and the request as they were if a step fails", async () => {
+    await acceptFirst();
+    mockDb.hooks.beforeHistoryInsert = () => {
+      throw new Error("Connection lost");
+    };
+
+    await expect(
+      RentRequest.withdrawAcceptance(1, {
+        status: "cancelled",
+        reason: "rent_request_cancelled",
+      })
+    ).rejects.toThrow("Connection lost");
+
+    expect(mockDb.tables.houses[1]).toMatchObject({
+      status: "rented",
+      tenant_id: 100,
+    });
+    expect(statuses()).toEqual(["accepted", "rejected"]);
+    expect(House.announceAvailable).not.toHaveBeenCalled();
+    expect(mockDb.locks.size).toBe(0);
+  });
+
+  it("applies concurrent withdrawals of the same acceptance only once", async () => {
+    await acceptFirst();
+
+    const results = await Promise.allSettled([
+      RentRequest.withdrawAcceptance(1, {
+        status: "cancelled",
+        reason: "rent_request_cancelled",
+      }),
+      RentRequest.withdrawAcceptance(1, {
+        status: "cancelled",
+        reason: "rent_request_cancelled",
+      }),
+    ]);
+
+    expect(results.map(({ status }) => status).sort()).toEqual([
+      "fulfilled",
+      "rejected",
+    ]);
+    expect(
+      results.find(({ status }) => status === "rejected").reason.statusCode
+    ).toBe(409);
+    expect(mockDb.tables.house_status_history).toHaveLength(2);
+  });
+
+  it("keeps the house rented when another tenant now rents it", async () => {
+    await acceptFirst();
+    mockDb.tables.houses[1].tenant_id = 555;
+
+    await expect(
+      RentRequest.withdrawAcceptance(1, {
+        status: "cancelled",
+        reason: "rent_request_cancelled",
+      })
+    ).resolves.toMatchObject({ houseId: 1, houseReleased: false });
+    expect(mockDb.tables.houses[1].status).toBe("rented");
+    expect(statuses()).toEqual(["cancelled", "rejected"]);
+  });
+
+  it("terminates the lease drafted on acceptance and deletes its unpaid payments", async () => {
+    await acceptFirst({
+      leases: [
+        { id: 20, rent_request_id: 1, status: "pending" },
+        { id: 21, rent_request_id: 2, status: "draft" },
+      ],
+      payments: [
+        { id: 30, lease_id: 20, status: "pending", paid_amount: 0 },
+        { id: 31, lease_id: 20, status: "paid", paid_amount: 500 },
+        { id: 32, lease_id: 20, status: "overdue", paid_amount: 0 },
+        { id: 33, lease_id: 20, status: "pending", has_transactions: true },
+      ],
+    });
+
+    await expect(withdraw()).resolves.toMatchObject({
+      houseReleased: true,
+      leasesTerminated: 1,
+      paymentsDeleted: 2,
+    });
+    expect(mockDb.tables.lease_agreements[20].status).toBe("terminated");
+    expect(mockDb.tables.lease_agreements[21].status).toBe("draft");
+    expect(Object.keys(mockDb.tables.rent_payments)).toEqual(["31", "33"]);
+    expect(mockDb.locks.size).toBe(0);
+  });
+
+  it("refuses while the request's lease is active, changing nothing", async () => {
+    await acceptFirst({
+      leases: [{ id: 20, rent_request_id: 1, status: "active" }],
+      payments: [{ id: 30, lease_id: 20, status: "pending", paid_amount: 0 }],
+    });
+
+    await expect(withdraw()).rejects.toMatchObject({ statusCode: 409 });
+    expect(mockDb.tables.houses[1]).toMatchObject({
+      status: "rented",
+      tenant_id: 100,
+    });
+    expect(statuses()).toEqual(["accepted", "rejected"]);
+    expect(mockDb.tables.rent_payments[30]).toBeDefined();
+    expect(mockDb.locks.size).toBe(0);
+  });
+});
+
+describe("RentRequestOffer.respond", () => {
+  const openOffers = () => [
+    { id: 40, rent_request_id: 1, status: "open" },
+    { id: 41, rent_request_id: 2, status: "open" },
+    { id: 42, rent_request_id: 2, status: "declined" },
+  ];
+  const offerStatuses = () =>
+    Object.values(mockDb.tables.rent_request_offers).map(
+      (offer) => offer.status
+    );
+
+  it("closes the open offers of the accepted and the rejected requests", async () => {
+    setUp(2, { offers: openOffers() });
+
+    await RentRequest.accept(1);
+
+    expect(offerStatuses()).toEqual(["closed", "closed", "declined"]);
+    await expect(
+      RentRequestOffer.respond(1, 40, "accepted", 100)
+    ).rejects.toMatchObject({ statusCode: 409 });
+    expect(offerStatuses()).toEqual(["closed", "closed", "declined"]);
+    expect(mockDb.locks.size).toBe(0);
+  });
+
+  it("holds an answer that arrives during an accept until it commits, then refuses it", async () => {
+    setUp(2, { offers: openOffers() });
+    let responding;
+    // Accept holds the request's row lock by the time it records the house's status change
+    mockDb.hooks.beforeHistoryInsert = () => {
+      responding = RentRequestOffer.respond(1, 40, "accepted", 100);
+    };
+
+    await RentRequest.accept(1);
+
+    await expect(responding).rejects.toMatchObject({ statusCode: 409 });
+    expect(mockDb.tables.rent_request_offers[40]).toMatchObject({
+      status: "closed",
+    });
+    expect(mockDb.locks.size).toBe(0);
+  });
+
+  it("answers an open offer of a pending request", async () => {
+    setUp(2, { offers: openOffers() });
+
+    await expect(
+      RentRequestOffer.respond(2, 41, "declined", 100)
+    ).resolves.toBe(true);
+    await expect(
+      RentRequestOffer.respond(2, 41, "accepted", 100)
+    ).resolves.toBe(false);
+    expect(mockDb.tables.rent_request_offers[41]).toMatchObject({
+      status: "declined",
+      responded_by: 100,
+    });
+  });
+});
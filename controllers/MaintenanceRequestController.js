@@ -2,14 +2,80 @@ const MaintenanceRequest = require("../models/MaintenanceRequest");
 const User = require("../models/user"); // To verify tenant/landlord existence
 const House = require("../models/House");
 const Notification = require("../models/Notification"); // To verify house existence and ownership
+const HouseStatusHistory = require("../models/HouseStatusHistory");
 const { sendSuccessResponse, sendErrorResponse } = require("../utils/helpers");
+const { canTransitionHouseStatus } = require("../utils/houseStatus");
 const {
   ValidationError,
   AuthorizationError,
   NotFoundError,
   ServerError,
+  HOUSE_STATUS,
+  HOUSE_STATUS_REASON,
 } = require("../utils/constants");
 
+/**
+ * Keeps the house status in step with its maintenance work: a house goes under maintenance
+ * when a request is started, and returns to its previous status when a request in progress is
+ * moved to any other status (or house, or deleted) and no other request on it is in progress.
+ * @param {number} houseId - The ID of the house the request is (or was) for.
+ * @param {object} request - The maintenance request (before the change).
+ * @param {string|null} newStatus - The request's status after the change, or null if it no longer applies to the house.
+ * @param {number} userId - ID of the user who changed the request.
+ */
+const syncHouseMaintenanceStatus = async (
+  houseId,
+  request,
+  newStatus,
+  userId
+) => {
+  const house = await House.findById(houseId);
+  if (!house) return;
+  const note = `Maintenance request #${request.id}`;
+
+  if (newStatus === "In Progress") {
+    if (
+      canTransitionHouseStatus(house.status, HOUSE_STATUS.UNDER_MAINTENANCE)
+    ) {
+      await House.transitionStatus(house.id, HOUSE_STATUS.UNDER_MAINTENANCE, {
+        reason: HOUSE_STATUS_REASON.MAINTENANCE_STARTED,
+        changedBy: userId,
+        note,
+      });
+    }
+  } else if (
+    // Only work that was in progress ends here; a house put under maintenance by hand stays so
+    request.status === "In Progress" &&
+    house.status === HOUSE_STATUS.UNDER_MAINTENANCE &&
+    (await MaintenanceRequest.countByHouseIdAndStatus(
+      house.id,
+      "In Progress"
+    )) === 0
+  ) {
+    // A tenanted house goes back to rented; otherwise to whatever it was before the work started
+    const entry = await HouseStatusHistory.findLatestInto(
+      house.id,
+      HOUSE_STATUS.UNDER_MAINTENANCE
+    );
+    let restoreTo = HOUSE_STATUS.AVAILABLE;
+    if (house.tenant_id) {
+      restoreTo = HOUSE_STATUS.RENTED;
+    } else if (
+      entry &&
+      entry.from_status !== HOUSE_STATUS.RENTED &&
+      canTransitionHouseStatus(house.status, entry.from_status)
+    ) {
+      restoreTo = entry.from_status;
+    }
+
+    await House.transitionStatus(house.id, restoreTo, {
+      reason: HOUSE_STATUS_REASON.MAINTENANCE_FINISHED,
+      changedBy: userId,
+      note,
+    });
+  }
+};
+
 // @route   POST /api/maintenance-requests
 // @desc    Submit a new maintenance request
 // @access  Private (Tenant)
@@ -313,6 +379,27 @@ const updateMaintenanceRequest = async (req, res) => {
       );
     }
 
+    const newStatus = updateData.status || request.status;
+    const newHouseId = updateData.house_id || request.house_id;
+    const houseChanged = String(newHouseId) !== String(request.house_id);
+    if (newStatus !== request.status || houseChanged) {
+      // A request moved to another house no longer keeps its old house under maintenance
+      await syncHouseMaintenanceStatus(
+        request.house_id,
+        request,
+        houseChanged ? null : newStatus,
+        currentUserId
+      );
+      if (houseChanged) {
+        await syncHouseMaintenanceStatus(
+          newHouseId,
+          request,
+          newStatus,
+          currentUserId
+        );
+      }
+    }
+
     sendSuccessResponse(res, 200, "Maintenance request updated successfully");
   } catch (error) {
     console.error(
@@ -399,6 +486,14 @@ const deleteMaintenanceRequest = async (req, res) => {
       );
     }
 
+    // Deleting the last request in progress ends the house's maintenance
+    await syncHouseMaintenanceStatus(
+      request.house_id,
+      request,
+      null,
+      currentUserId
+    );
+
     sendSuccessResponse(res, 200, "Maintenance request deleted successfully");
   } catch (error) {
     console.error(
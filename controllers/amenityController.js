@@ -0,0 +1,29 @@
+// controllers/amenityController.js
+const Amenity = require("../models/Amenity");
+const { sendSuccessResponse, sendErrorResponse } = require("../utils/helpers");
+const { ServerError } = require("../utils/constants");
+
+// @route   GET /api/amenities
+// @desc    Get the amenity catalogue (codes usable in house listings and ?amenities= filters)
+// @access  Public
+const getAmenities = async (req, res) => {
+  try {
+    const amenities = await Amenity.findAll();
+
+    sendSuccessResponse(res, 200, "Amenities retrieved successfully.", {
+      amenities,
+    });
+  } catch (error) {
+    console.error("Error getting amenities:", error.message, error.stack);
+    sendErrorResponse(
+      res,
+      500,
+      ServerError.INTERNAL_SERVER_ERROR,
+      error.message
+    );
+  }
+};
+
+module.exports = {
+  getAmenities,
+};
@@ -0,0 +1,286 @@
+// controllers/analyticsController.js
+const House = require("../models/House");
+const HouseView = require("../models/HouseView");
+const Favorite = require("../models/Favorite");
+const RentRequest = require("../models/RentRequest");
+const { sendSuccessResponse, sendErrorResponse } = require("../utils/helpers");
+const { isPublishedHouse } = require("../utils/houseStatus");
+const { parseDateRange, toDateOnly } = require("../utils/dateRange");
+const {
+  HOUSE_STATUS,
+  LISTING_INSIGHT,
+  AuthenticationError,
+  ServerError,
+  ValidationError,
+} = require("../utils/constants");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_RANGE_DAYS = 30;
+const MAX_RANGE_DAYS = 366;
+// An available listing seen by fewer unique viewers than this per 30 days gets too little attention
+const FEW_VIEWERS_PER_30_DAYS = 10;
+// Below this share of unique viewers sending a rent request, once enough tenants have seen the listing
+const LOW_REQUEST_RATE = 0.02;
+const MIN_VIEWERS_FOR_REQUEST_RATE = 50;
+
+/**
+ * Reads the ?from=&to= range of an analytics request. Both default so that the range covers the last 30 days.
+ * @param {object} query - The request query.
+ * @returns {{range: {from: string, to: string}, days: number}|{error: string}} The full range and its length in days, or a validation message.
+ */
+const parseAnalyticsRange = (query) => {
+  const { range, error } = parseDateRange(query);
+  if (error) return { error };
+
+  const to = range.to || toDateOnly(new Date());
+  const from =
+    range.from ||
+    toDateOnly(
+      new Date(new Date(to).getTime() - (DEFAULT_RANGE_DAYS - 1) * DAY_MS)
+    );
+  if (from > to) {
+    return { error: "from must not be after to." };
+  }
+  const days =
+    Math.round((new Date(to).getTime() - new Date(from).getTime()) / DAY_MS) +
+    1;
+  if (days > MAX_RANGE_DAYS) {
+    return { error: `The range may cover at most ${MAX_RANGE_DAYS} days.` };
+  }
+  return { range: { from, to }, days };
+};
+
+/**
+ * Builds the funnel of a listing (views, then rent requests, then accepted requests) and flags
+ * available listings that look like they are underperforming.
+ * @param {object} house - The house.
+ * @param {object} counts - Object containing views, unique_viewers, favorites, rent_requests and accepted_requests.
+ * @param {number} days - Length of the range in days.
+ * @returns {object} The funnel, with request_rate, acceptance_rate, underperforming and insights.
+ */
+const buildFunnel = (house, counts, days) => {
+  const requestRate =
+    counts.unique_viewers > 0
+      ? counts.rent_requests / counts.unique_viewers
+      : null;
+  const insights = [];
+  if (house.status === HOUSE_STATUS.AVAILABLE && isPublishedHouse(house)) {
+    if (counts.unique_viewers < (FEW_VIEWERS_PER_30_DAYS * days) / 30) {
+      insights.push({
+        code: LISTING_INSIGHT.FEW_VIEWS,
+        message:
+          "Few tenants are viewing this listing. Better photos and a clearer title can help.",
+      });
+    } else if (
+      counts.unique_viewers >= MIN_VIEWERS_FOR_REQUEST_RATE &&
+      requestRate < LOW_REQUEST_RATE
+    ) {
+      insights.push({
+        code: LISTING_INSIGHT.LOW_REQUEST_RATE,
+        message:
+          "Tenants view this listing but rarely request it. Compare its rent with similar listings (POST /api/houses/rent-suggestion).",
+      });
+    }
+  }
+  return {
+    ...counts,
+    request_rate:
+      requestRate === null ? null : Math.round(requestRate * 10000) / 10000,
+    acceptance_rate:
+      counts.rent_requests > 0
+        ? Math.round(
+            (counts.accepted_requests / counts.rent_requests) * 10000
+          ) / 10000
+        : null,
+    underperforming: insights.length > 0,
+    insights,
+  };
+};
+
+// @route   GET /api/houses/analytics
+// @desc    Get the funnel (views -> rent requests -> accepted) of each of the landlord's current listings
+//          over a date range (?from=&to= as YYYY-MM-DD, default the last 30 days), flagging underperforming ones
+// @access  Private (Landlord only)
+const getListingAnalytics = async (req, res) => {
+  try {
+    const { id: landlordId } = req.user;
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const offset = (page - 1) * limit;
+
+    const { range, days, error } = parseAnalyticsRange(req.query);
+    if (error) {
+      return sendErrorResponse(res, 400, ValidationError.INVALID_INPUT, error);
+    }
+
+    const { houses, total } = await House.findByLandlordId(landlordId, {
+      limit,
+      offset,
+      archived: false,
+    });
+    const houseIds = houses.map((house) => house.id);
+    const views = await HouseView.getTotalsByHouseIds(houseIds, range);
+    const favorites = await Favorite.countByHouseIds(houseIds, range);
+    const requests = await RentRequest.countByHouseIds(houseIds, range);
+
+    const listings = houses.map((house) => ({
+      id: house.id,
+      title: house.title,
+      status: house.status,
+      rent_amount: house.rent_amount,
+      currency: house.currency,
+      published_at: house.published_at,
+      photo_count: house.images.length,
+      ...buildFunnel(
+        house,
+        {
+          views: views[house.id] ? views[house.id].views : 0,
+          unique_viewers: views[house.id] ? views[house.id].unique_viewers : 0,
+          favorites: favorites[house.id] || 0,
+          rent_requests: requests[house.id] ? requests[house.id].requests : 0,
+          accepted_requests: requests[house.id]
+            ? requests[house.id].accepted
+            : 0,
+        },
+        days
+      ),
+    }));
+
+    sendSuccessResponse(res, 200, "Listing analytics retrieved successfully.", {
+      range,
+      listings,
+      pagination: {
+        total,
+        page,
+        limit,
+        totalPages: Math.ceil(total / limit),
+      },
+    });
+  } catch (error) {
+    console.error(
+      "Error getting listing analytics:",
+      error.message,
+      error.stack
+    );
+    sendErrorResponse(
+      res,
+      500,
+      ServerError.INTERNAL_SERVER_ERROR,
+      error.message
+    );
+  }
+};
+
+// @route   GET /api/houses/:id/analytics
+// @desc    Get the funnel of one listing over a date range, with a day-by-day breakdown
+// @access  Private (Landlord who owns the house - authorization handled in controller)
+const getHouseAnalytics = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const { range, days, error } = parseAnalyticsRange(req.query);
+    if (error) {
+      return sendErrorResponse(res, 400, ValidationError.INVALID_INPUT, error);
+    }
+
+    const house = await House.findById(id);
+    if (!house) {
+      return sendErrorResponse(
+        res,
+        404,
+        "House Not Found",
+        `House with ID ${id} does not exist.`
+      );
+    }
+    if (house.landlord_id !== req.user.id) {
+      return sendErrorResponse(
+        res,
+        403,
+        AuthenticationError.FORBIDDEN,
+        "You are not authorized to view the analytics of this house listing."
+      );
+    }
+
+    const views = await HouseView.getDailyByHouseId(house.id, range);
+    const favorites = await Favorite.countDailyByHouseId(house.id, range);
+    const requests = await RentRequest.countDailyByHouseId(house.id, range);
+
+    // One entry per day of the range, including days without any activity
+    const daily = [];
+    const byDay = {};
+    for (let i = 0; i < days; i += 1) {
+      const day = toDateOnly(
+        new Date(new Date(range.from).getTime() + i * DAY_MS)
+      );
+      byDay[day] = {
+        day,
+        views: 0,
+        unique_viewers: 0,
+        favorites: 0,
+        rent_requests: 0,
+        accepted_requests: 0,
+      };
+      daily.push(byDay[day]);
+    }
+    // The database groups by its own calendar days; ignore any that fall outside the range
+    const fill = (day, counts) => {
+      if (byDay[day]) Object.assign(byDay[day], counts);
+    };
+    for (const row of views) {
+      fill(row.day, { views: row.views, unique_viewers: row.unique_viewers });
+    }
+    for (const row of favorites) {
+      fill(row.day, { favorites: row.favorites });
+    }
+    for (const row of requests) {
+      fill(row.day, {
+        rent_requests: row.requests,
+        accepted_requests: row.accepted,
+      });
+    }
+
+    // Unique viewers over the whole range, not the sum of each day's
+    const totals = await HouseView.getTotalsByHouseIds([house.id], range);
+    const sum = (field) => daily.reduce((total, day) => total + day[field], 0);
+
+    sendSuccessResponse(res, 200, "House analytics retrieved successfully.", {
+      range,
+      house: {
+        id: house.id,
+        title: house.title,
+        status: house.status,
+        rent_amount: house.rent_amount,
+        currency: house.currency,
+        published_at: house.published_at,
+        photo_count: house.images.length,
+      },
+      funnel: buildFunnel(
+        house,
+        {
+          views: sum("views"),
+          unique_viewers: totals[house.id]
+            ? totals[house.id].unique_viewers
+            : 0,
+          favorites: sum("favorites"),
+          rent_requests: sum("rent_requests"),
+          accepted_requests: sum("accepted_requests"),
+        },
+        days
+      ),
+      daily,
+    });
+  } catch (error) {
+    console.error("Error getting house analytics:", error.message, error.stack);
+    sendErrorResponse(
+      res,
+      500,
+      ServerError.INTERNAL_SERVER_ERROR,
+      error.message
+    );
+  }
+};
+
+module.exports = {
+  getListingAnalytics,
+  getHouseAnalytics,
+};
@@ -2,10 +2,12 @@ const bcrypt = require("bcryptjs"); // For password hashing
 const jwt = require("jsonwebtoken"); // For JWT token generation
 const crypto = require("crypto"); // For generating secure tokens
 const User = require("../models/user"); // User model
+const RentRequest = require("../models/RentRequest");
 const { jwtSecret, jwtExpiresIn, generateToken } = require("../config/jwt"); // JWT configuration
 const { sendSuccessResponse, sendErrorResponse } = require("../utils/helpers"); // Helper for consistent responses
 
 const {
+  ROLE,
   ValidationError,
   AuthenticationError,
   ServerError,
@@ -36,6 +38,15 @@ const register = async (req, res) => {
     if (!/\S+@\S+\.\S+/.test(email)) {
       return sendErrorResponse(res, 400, ValidationError.INVALID_EMAIL);
     }
+    // Admin accounts are created by an existing administrator, never through sign-up
+    if (role === ROLE.ADMIN) {
+      return sendErrorResponse(
+        res,
+        403,
+        AuthenticationError.FORBIDDEN,
+        "Admin accounts cannot be registered."
+      );
+    }
 
     // 2. Check if user already exists
     const existingUser = await User.findByEmail(email);
@@ -154,6 +165,11 @@ const getMe = async (req, res) => {
       return sendErrorResponse(res, 404, AuthenticationError.USER_NOT_FOUND);
     }
 
+    // Landlords see how they respond to rent requests, and their default response deadline
+    if (user.role === ROLE.LANDLORD) {
+      user.response_stats = await RentRequest.getResponseStats(user.id);
+    }
+
     sendSuccessResponse(res, 200, "User profile retrieved", { user });
   } catch (error) {
     console.error("Get user profile error:", error.message);
@@ -0,0 +1,572 @@
+// controllers/buildingController.js
+const Building = require("../models/Building");
+const BuildingImage = require("../models/BuildingImage");
+const Amenity = require("../models/Amenity");
+const { sendSuccessResponse, sendErrorResponse } = require("../utils/helpers");
+const { isValidLatitude, isValidLongitude } = require("../utils/geo");
+const {
+  resolveAmenityCodes,
+  resolveLocationId,
+} = require("../utils/houseFilters");
+const {
+  buildStorageKey,
+  saveFile,
+  removeFile,
+} = require("../services/storageService");
+const {
+  ROLE,
+  HOUSE_STATUS,
+  AuthenticationError,
+  ServerError,
+  ValidationError,
+} = require("../utils/constants");
+
+const MAX_IMAGES_PER_BUILDING = 20;
+const MAX_CAPTION_LENGTH = 255;
+const MAX_NAME_LENGTH = 255;
+
+/**
+ * Validates the fields of a building request body.
+ * @param {object} body - The request body.
+ * @param {boolean} partial - True for updates, where every field is optional.
+ * @returns {Promise<{values: object, amenityIds: number[]|undefined}|{error: string}>} The validated values, or a validation message.
+ */
+const validateBuildingBody = async (body, partial) => {
+  const {
+    name,
+    description,
+    address,
+    latitude,
+    longitude,
+    location_id,
+    amenities,
+  } = body;
+  const values = {};
+
+  if (!partial && (!name || !address)) {
+    return { error: "Name and address are required." };
+  }
+  if (name !== undefined) {
+    if (typeof name !== "string" || !name.trim()) {
+      return { error: "Name must be a non-empty string." };
+    }
+    if (name.length > MAX_NAME_LENGTH) {
+      return { error: `Name must be at most ${MAX_NAME_LENGTH} characters.` };
+    }
+    values.name = name.trim();
+  }
+  if (address !== undefined) {
+    if (typeof address !== "string" || !address.trim()) {
+      return { error: "Address must be a non-empty string." };
+    }
+    values.address = address.trim();
+  }
+  if (description !== undefined) {
+    values.description = description || null;
+  }
+
+  // Coordinates are optional but must be provided together
+  const hasLatitude = latitude !== undefined && latitude !== null;
+  const hasLongitude = longitude !== undefined && longitude !== null;
+  if (
+    hasLatitude !== hasLongitude ||
+    (latitude !== undefined) !== (longitude !== undefined)
+  ) {
+    return { error: "Latitude and longitude must be provided together." };
+  }
+  if (
+    hasLatitude &&
+    (!isValidLatitude(parseFloat(latitude)) ||
+      !isValidLongitude(parseFloat(longitude)))
+  ) {
+    return {
+      error:
+        "Latitude must be between -90 and 90 and longitude between -180 and 180.",
+    };
+  }
+  if (latitude !== undefined) {
+    values.latitude = hasLatitude ? parseFloat(latitude) : null;
+    values.longitude = hasLongitude ? parseFloat(longitude) : null;
+  }
+
+  // The location is optional; null clears it
+  if (location_id !== undefined) {
+    values.location_id = null;
+    if (location_id !== null) {
+      const { location, error } = await resolveLocationId(
+        location_id,
+        "location_id"
+      );
+      if (error) return { error };
+      values.location_id = location.id;
+    }
+  }
+
+  let amenityIds;
+  if (amenities !== undefined) {
+    if (!Array.isArray(amenities)) {
+      return { error: "Amenities must be an array of amenity codes." };
+    }
+    const { amenities: found, unknown } = await resolveAmenityCodes(amenities);
+    if (unknown.length > 0) {
+      return { error: `Unknown amenities: ${unknown.join(", ")}` };
+    }
+    amenityIds = found.map((amenity) => amenity.id);
+  }
+
+  return { values, amenityIds };
+};
+
+// @route   POST /api/buildings
+// @desc    Create a building that groups several rentable units
+// @access  Private (Landlord only)
+const createBuilding = async (req, res) => {
+  try {
+    const { id: landlord_id } = req.user;
+
+    const { values, amenityIds, error } = await validateBuildingBody(
+      req.body,
+      false
+    );
+    if (error) {
+      return sendErrorResponse(res, 400, ValidationError.INVALID_INPUT, error);
+    }
+
+    const buildingId = await Building.create({ landlord_id, ...values });
+    if (amenityIds && amenityIds.length > 0) {
+      await Amenity.setForBuilding(buildingId, amenityIds);
+    }
+
+    sendSuccessResponse(res, 201, "Building created successfully.", {
+      building: await Building.findById(buildingId),
+    });
+  } catch (error) {
+    console.error("Error creating building:", error.message, error.stack);
+    sendErrorResponse(
+      res,
+      500,
+      ServerError.INTERNAL_SERVER_ERROR,
+      error.message
+    );
+  }
+};
+
+// @route   GET /api/buildings
+// @desc    Get the authenticated landlord's buildings with an occupancy summary for each
+// @access  Private (Landlord only)
+const getLandlordBuildings = async (req, res) => {
+  try {
+    const buildings = await Building.findByLandlordId(req.user.id);
+
+    sendSuccessResponse(res, 200, "Buildings retrieved successfully.", {
+      buildings,
+    });
+  } catch (error) {
+    console.error("Error getting buildings:", error.message, error.stack);
+    sendErrorResponse(
+      res,
+      500,
+      ServerError.INTERNAL_SERVER_ERROR,
+      error.message
+    );
+  }
+};
+
+// @route   GET /api/buildings/:id
+// @desc    Get a building with its shared details and units (?status= to filter units, e.g. available)
+// @access  Public
+const getBuildingById = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { status } = req.query;
+
+    if (status !== undefined && !Object.values(HOUSE_STATUS).includes(status)) {
+      return sendErrorResponse(
+        res,
+        400,
+        ValidationError.INVALID_INPUT,
+        `Invalid status provided. Allowed values: ${Object.values(
+          HOUSE_STATUS
+        ).join(", ")}`
+      );
+    }
+
+    const building = await Building.findById(id);
+    if (!building) {
+      return sendErrorResponse(
+        res,
+        404,
+        "Building Not Found",
+        `Building with ID ${id} does not exist.`
+      );
+    }
+
+    building.units = await Building.findUnits(building.id, {
+      status,
+      publishedOnly: true,
+    });
+
+    sendSuccessResponse(res, 200, "Building retrieved successfully.", {
+      building,
+    });
+  } catch (error) {
+    console.error("Error getting building:", error.message, error.stack);
+    sendErrorResponse(
+      res,
+      500,
+      ServerError.INTERNAL_SERVER_ERROR,
+      error.message
+    );
+  }
+};
+
+// @route   GET /api/buildings/:id/occupancy
+// @desc    Get the occupancy of a building: a summary and every unit with its status and tenant
+// @access  Private (Landlord who owns the building)
+const getBuildingOccupancy = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const building = await Building.findById(id);
+    if (!building) {
+      return sendErrorResponse(
+        res,
+        404,
+        "Building Not Found",
+        `Building with ID ${id} does not exist.`
+      );
+    }
+
+    if (building.landlord_id !== req.user.id) {
+      return sendErrorResponse(
+        res,
+        403,
+        AuthenticationError.FORBIDDEN,
+        "You are not authorized to view the occupancy of this building."
+      );
+    }
+
+    const { summary, units } = await Building.getOccupancy(building.id);
+
+    sendSuccessResponse(
+      res,
+      200,
+      "Building occupancy retrieved successfully.",
+      {
+        buildingId: building.id,
+        summary,
+        units,
+      }
+    );
+  } catch (error) {
+    console.error(
+      "Error getting building occupancy:",
+      error.message,
+      error.stack
+    );
+    sendErrorResponse(
+      res,
+      500,
+      ServerError.INTERNAL_SERVER_ERROR,
+      error.message
+    );
+  }
+};
+
+// @route   PUT /api/buildings/:id
+// @desc    Update a building. Address, coordinate and location changes are applied to all of its units
+// @access  Private (Landlord who owns the building)
+const updateBuilding = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const building = await Building.findById(id);
+    if (!building) {
+      return sendErrorResponse(
+        res,
+        404,
+        "Building Not Found",
+        `Building with ID ${id} does not exist.`
+      );
+    }
+
+    if (building.landlord_id !== req.user.id) {
+      return sendErrorResponse(
+        res,
+        403,
+        AuthenticationError.FORBIDDEN,
+        "You are not authorized to update this building."
+      );
+    }
+
+    const { values, amenityIds, error } = await validateBuildingBody(
+      req.body,
+      true
+    );
+    if (error) {
+      return sendErrorResponse(res, 400, ValidationError.INVALID_INPUT, error);
+    }
+    if (Object.keys(values).length === 0 && amenityIds === undefined) {
+      return sendErrorResponse(
+        res,
+        400,
+        ValidationError.INVALID_INPUT,
+        "No valid fields provided to update."
+      );
+    }
+
+    if (Object.keys(values).length > 0) {
+      await Building.update(building.id, values);
+    }
+    if (amenityIds !== undefined) {
+      await Amenity.setForBuilding(building.id, amenityIds);
+    }
+
+    sendSuccessResponse(res, 200, "Building updated successfully.", {
+      building: await Building.findById(building.id),
+    });
+  } catch (error) {
+    console.error("Error updating building:", error.message, error.stack);
+    sendErrorResponse(
+      res,
+      500,
+      ServerError.INTERNAL_SERVER_ERROR,
+      error.message
+    );
+  }
+};
+
+// @route   DELETE /api/buildings/:id
+// @desc    Delete a building that has no units
+// @access  Private (Landlord who owns the building)
+const deleteBuilding = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const building = await Building.findById(id);
+    if (!building) {
+      return sendErrorResponse(
+        res,
+        404,
+        "Building Not Found",
+        `Building with ID ${id} does not exist.`
+      );
+    }
+
+    if (building.landlord_id !== req.user.id) {
+      return sendErrorResponse(
+        res,
+        403,
+        AuthenticationError.FORBIDDEN,
+        "You are not authorized to delete this building."
+      );
+    }
+
+    // Units keep their rental history, so a building can only go once it is empty
+    if ((await Building.countUnits(building.id)) > 0) {
+      return sendErrorResponse(
+        res,
+        409,
+        "Invalid State",
+        "Buildings with units cannot be deleted."
+      );
+    }
+
+    // Image rows are removed with the building, so look up their stored files first
+    const images = await Promise.all(
+      building.images.map((image) => BuildingImage.findById(image.id))
+    );
+    const deleted = await Building.delete(building.id);
+    if (!deleted) {
+      return sendErrorResponse(
+        res,
+        400,
+        "Delete Failed",
+        "Failed to delete building."
+      );
+    }
+    for (const image of images.filter(Boolean)) {
+      await removeFile(image.storage_key);
+    }
+
+    sendSuccessResponse(res, 200, "Building deleted successfully.", {
+      id: building.id,
+    });
+  } catch (error) {
+    console.error("Error deleting building:", error.message, error.stack);
+    sendErrorResponse(
+      res,
+      500,
+      ServerError.INTERNAL_SERVER_ERROR,
+      error.message
+    );
+  }
+};
+
+// @route   POST /api/buildings/:id/images
+// @desc    Upload shared photos (multipart field "images", optional "captions") to a building
+// @access  Private (Landlord who owns the building)
+const uploadBuildingImages = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { id: userId, role } = req.user;
+    const files = req.files || [];
+
+    const building = await Building.findById(id);
+    if (!building) {
+      return sendErrorResponse(
+        res,
+        404,
+        "Building Not Found",
+        `Building with ID ${id} does not exist.`
+      );
+    }
+
+    if (role !== ROLE.LANDLORD || building.landlord_id !== userId) {
+      return sendErrorResponse(
+        res,
+        403,
+        AuthenticationError.FORBIDDEN,
+        "You are not authorized to manage images for this building."
+      );
+    }
+
+    if (files.length === 0) {
+      return sendErrorResponse(
+        res,
+        400,
+        ValidationError.INVALID_INPUT,
+        'At least one image file is required in the "images" field.'
+      );
+    }
+
+    if (building.images.length + files.length > MAX_IMAGES_PER_BUILDING) {
+      return sendErrorResponse(
+        res,
+        400,
+        ValidationError.INVALID_INPUT,
+        `A building can have at most ${MAX_IMAGES_PER_BUILDING} images. It currently has ${building.images.length}.`
+      );
+    }
+
+    // Captions arrive as a single string or an array matching the file order
+    const captions = [].concat(req.body.captions || []);
+    if (captions.some((caption) => caption.length > MAX_CAPTION_LENGTH)) {
+      return sendErrorResponse(
+        res,
+        400,
+        ValidationError.INVALID_INPUT,
+        `Captions must be at most ${MAX_CAPTION_LENGTH} characters.`
+      );
+    }
+
+    for (const [index, file] of files.entries()) {
+      const stored = await saveFile(
+        file.buffer,
+        buildStorageKey(`buildings/${building.id}`, file.mimetype)
+      );
+      try {
+        await BuildingImage.create({
+          building_id: building.id,
+          storage_key: stored.key,
+          url: stored.url,
+          caption: captions[index] || null,
+        });
+      } catch (error) {
+        // Don't leave orphaned files behind if the record could not be saved
+        await removeFile(stored.key);
+        throw error;
+      }
+    }
+
+    const galleries = await BuildingImage.findByBuildingIds([building.id]);
+    sendSuccessResponse(res, 201, "Building images uploaded successfully.", {
+      images: galleries[building.id] || [],
+    });
+  } catch (error) {
+    console.error(
+      "Error uploading building images:",
+      error.message,
+      error.stack
+    );
+    sendErrorResponse(
+      res,
+      500,
+      ServerError.INTERNAL_SERVER_ERROR,
+      error.message
+    );
+  }
+};
+
+// @route   DELETE /api/buildings/:id/images/:imageId
+// @desc    Delete a shared photo from a building
+// @access  Private (Landlord who owns the building)
+const deleteBuildingImage = async (req, res) => {
+  try {
+    const { id, imageId } = req.params;
+    const { id: userId, role } = req.user;
+
+    const building = await Building.findById(id);
+    if (!building) {
+      return sendErrorResponse(
+        res,
+        404,
+        "Building Not Found",
+        `Building with ID ${id} does not exist.`
+      );
+    }
+
+    if (role !== ROLE.LANDLORD || building.landlord_id !== userId) {
+      return sendErrorResponse(
+        res,
+        403,
+        AuthenticationError.FORBIDDEN,
+        "You are not authorized to manage images for this building."
+      );
+    }
+
+    const image = await BuildingImage.findById(imageId);
+    if (!image || image.building_id !== building.id) {
+      return sendErrorResponse(
+        res,
+        404,
+        "Image Not Found",
+        `Image with ID ${imageId} does not exist for this building.`
+      );
+    }
+
+    const deleted = await BuildingImage.delete(image.id);
+    if (!deleted) {
+      return sendErrorResponse(
+        res,
+        400,
+        "Delete Failed",
+        "Failed to delete building image."
+      );
+    }
+    await removeFile(image.storage_key);
+
+    sendSuccessResponse(res, 200, "Building image deleted successfully.", {
+      id: image.id,
+    });
+  } catch (error) {
+    console.error("Error deleting building image:", error.message, error.stack);
+    sendErrorResponse(
+      res,
+      500,
+      ServerError.INTERNAL_SERVER_ERROR,
+      error.message
+    );
+  }
+};
+
+module.exports = {
+  createBuilding,
+  getLandlordBuildings,
+  getBuildingById,
+  getBuildingOccupancy,
+  updateBuilding,
+  deleteBuilding,
+  uploadBuildingImages,
+  deleteBuildingImage,
+};
@@ -0,0 +1,86 @@
+// controllers/exchangeRateController.js
+const ExchangeRate = require("../models/ExchangeRate");
+const { sendSuccessResponse, sendErrorResponse } = require("../utils/helpers");
+const {
+  BASE_CURRENCY,
+  ServerError,
+  ValidationError,
+} = require("../utils/constants");
+
+// @route   GET /api/exchange-rates
+// @desc    Get the supported currencies. `rate_to_base` is the value of one unit in the base currency,
+//          which is what listings are converted through for ?currency= searches.
+// @access  Public
+const getExchangeRates = async (req, res) => {
+  try {
+    const rates = await ExchangeRate.findAll();
+
+    sendSuccessResponse(res, 200, "Exchange rates retrieved successfully.", {
+      base_currency: BASE_CURRENCY,
+      rates,
+    });
+  } catch (error) {
+    console.error("Error getting exchange rates:", error.message, error.stack);
+    sendErrorResponse(
+      res,
+      500,
+      ServerError.INTERNAL_SERVER_ERROR,
+      error.message
+    );
+  }
+};
+
+// @route   PUT /api/exchange-rates/:currency
+// @desc    Add a currency or update its exchange rate; houses listed in it are re-priced for search
+// @access  Private (Admin only)
+const setExchangeRate = async (req, res) => {
+  try {
+    const currency = req.params.currency.toUpperCase();
+    const { rate_to_base } = req.body;
+
+    if (!/^[A-Z]{3}$/.test(currency)) {
+      return sendErrorResponse(
+        res,
+        400,
+        ValidationError.INVALID_INPUT,
+        "Currency must be a three-letter currency code (e.g. USD)."
+      );
+    }
+    if (currency === BASE_CURRENCY) {
+      return sendErrorResponse(
+        res,
+        400,
+        ValidationError.INVALID_INPUT,
+        `${BASE_CURRENCY} is the base currency; its rate is always 1.`
+      );
+    }
+    if (typeof rate_to_base !== "number" || !(rate_to_base > 0)) {
+      return sendErrorResponse(
+        res,
+        400,
+        ValidationError.INVALID_INPUT,
+        "rate_to_base must be a positive number."
+      );
+    }
+
+    await ExchangeRate.upsert(currency, rate_to_base, req.user.id);
+    const rate = await ExchangeRate.findByCurrency(currency);
+
+    sendSuccessResponse(res, 200, "Exchange rate saved successfully.", {
+      rate,
+    });
+  } catch (error) {
+    console.error("Error setting exchange rate:", error.message, error.stack);
+    sendErrorResponse(
+      res,
+      500,
+      ServerError.INTERNAL_SERVER_ERROR,
+      error.message
+    );
+  }
+};
+
+module.exports = {
+  getExchangeRates,
+  setExchangeRate,
+};
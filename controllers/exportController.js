@@ -0,0 +1,224 @@
+// controllers/exportController.js
+const { Readable } = require("stream");
+const { pipeline } = require("stream/promises");
+const House = require("../models/House");
+const ExportJob = require("../models/ExportJob");
+const { readPrivateFile } = require("../services/storageService");
+const {
+  EXPORT_FILE_TYPES,
+  fetchExportPages,
+  serializeExport,
+  buildExportFileName,
+  queueExportJob,
+} = require("../services/exportService");
+const { sendSuccessResponse, sendErrorResponse } = require("../utils/helpers");
+const { parseDateRange } = require("../utils/dateRange");
+const {
+  EXPORT_DATASET,
+  EXPORT_FORMAT,
+  EXPORT_JOB_STATUS,
+  AuthenticationError,
+  NotFoundError,
+  ServerError,
+  ValidationError,
+} = require("../utils/constants");
+
+// Portfolios with more houses than this are always exported in the background
+const LARGE_PORTFOLIO_HOUSES = 100;
+
+// @route   GET /api/exports/:dataset
+// @desc    Export the landlord's houses, tenants, leases or payments (?format=csv|xlsx|json, ?from=&to= as YYYY-MM-DD).
+//          Small portfolios are streamed directly; large ones (or ?background=true) are queued and a download link is sent as a notification.
+// @access  Private (Landlord only)
+const exportDataset = async (req, res) => {
+  try {
+    const { id: landlordId } = req.user;
+    const { dataset } = req.params;
+    const { format = EXPORT_FORMAT.CSV, from, to, background } = req.query;
+
+    if (!Object.values(EXPORT_DATASET).includes(dataset)) {
+      return sendErrorResponse(
+        res,
+        400,
+        ValidationError.INVALID_INPUT,
+        `Invalid dataset. Allowed values: ${Object.values(EXPORT_DATASET).join(
+          ", "
+        )}`
+      );
+    }
+    if (!Object.values(EXPORT_FORMAT).includes(format)) {
+      return sendErrorResponse(
+        res,
+        400,
+        ValidationError.INVALID_INPUT,
+        `Invalid format. Allowed values: ${Object.values(EXPORT_FORMAT).join(
+          ", "
+        )}`
+      );
+    }
+    const { range, error } = parseDateRange({ from, to });
+    if (error) {
+      return sendErrorResponse(res, 400, ValidationError.INVALID_INPUT, error);
+    }
+
+    const { total: houseCount } = await House.findByLandlordId(landlordId, {
+      limit: 1,
+    });
+    if (background === "true" || houseCount > LARGE_PORTFOLIO_HOUSES) {
+      const jobId = await ExportJob.create({
+        landlord_id: landlordId,
+        dataset,
+        format,
+        filters: range,
+      });
+      queueExportJob(jobId);
+      return sendSuccessResponse(
+        res,
+        202,
+        "Export queued. You will be notified when it is ready to download.",
+        { job: await ExportJob.findById(jobId) }
+      );
+    }
+
+    res.status(200);
+    res.setHeader(
+      "Content-Type",
+      `${EXPORT_FILE_TYPES[format].contentType}; charset=utf-8`
+    );
+    res.setHeader(
+      "Content-Disposition",
+      `attachment; filename="${buildExportFileName(dataset, format)}"`
+    );
+    // Rows are read and sent a page at a time; pipeline waits for the client to keep up
+    await pipeline(
+      Readable.from(
+        serializeExport(
+          dataset,
+          format,
+          fetchExportPages(dataset, landlordId, range)
+        )
+      ),
+      res
+    );
+  } catch (error) {
+    console.error("Error exporting data:", error.message, error.stack);
+    if (res.headersSent || res.destroyed) {
+      return res.end();
+    }
+    sendErrorResponse(
+      res,
+      500,
+      ServerError.INTERNAL_SERVER_ERROR,
+      error.message
+    );
+  }
+};
+
+// @route   GET /api/exports/jobs
+// @desc    Get the landlord's background export jobs
+// @access  Private (Landlord only)
+const getExportJobs = async (req, res) => {
+  try {
+    const jobs = await ExportJob.findByLandlordId(req.user.id);
+
+    sendSuccessResponse(res, 200, "Export jobs retrieved successfully.", {
+      jobs,
+    });
+  } catch (error) {
+    console.error("Error getting export jobs:", error.message, error.stack);
+    sendErrorResponse(
+      res,
+      500,
+      ServerError.INTERNAL_SERVER_ERROR,
+      error.message
+    );
+  }
+};
+
+// @route   GET /api/exports/jobs/:id
+// @desc    Get the status of a background export job
+// @access  Private (Landlord who requested the export)
+const getExportJob = async (req, res) => {
+  try {
+    const job = await ExportJob.findById(req.params.id);
+    if (!job || job.landlord_id !== req.user.id) {
+      return sendErrorResponse(
+        res,
+        404,
+        NotFoundError.EXPORT_NOT_FOUND,
+        `Export job with ID ${req.params.id} does not exist.`
+      );
+    }
+
+    sendSuccessResponse(res, 200, "Export job retrieved successfully.", {
+      job,
+    });
+  } catch (error) {
+    console.error("Error getting export job:", error.message, error.stack);
+    sendErrorResponse(
+      res,
+      500,
+      ServerError.INTERNAL_SERVER_ERROR,
+      error.message
+    );
+  }
+};
+
+// @route   GET /api/exports/jobs/:id/download
+// @desc    Download the file of a completed background export
+// @access  Private (Landlord who requested the export)
+const downloadExport = async (req, res) => {
+  try {
+    const job = await ExportJob.findById(req.params.id);
+    if (!job) {
+      return sendErrorResponse(
+        res,
+        404,
+        NotFoundError.EXPORT_NOT_FOUND,
+        `Export job with ID ${req.params.id} does not exist.`
+      );
+    }
+    if (job.landlord_id !== req.user.id) {
+      return sendErrorResponse(
+        res,
+        403,
+        AuthenticationError.FORBIDDEN,
+        "You are not authorized to download this export."
+      );
+    }
+    if (job.status !== EXPORT_JOB_STATUS.COMPLETED) {
+      return sendErrorResponse(
+        res,
+        409,
+        "Export Not Ready",
+        `This export is ${job.status}.`
+      );
+    }
+
+    const contents = await readPrivateFile(job.storage_key);
+    res.setHeader(
+      "Content-Type",
+      `${EXPORT_FILE_TYPES[job.format].contentType}; charset=utf-8`
+    );
+    res.setHeader(
+      "Content-Disposition",
+      `attachment; filename="${buildExportFileName(job.dataset, job.format)}"`
+    );
+    res.status(200).send(contents);
+  } catch (error) {
+    console.error("Error downloading export:", error.message, error.stack);
+    sendErrorResponse(
+      res,
+      500,
+      ServerError.INTERNAL_SERVER_ERROR,
+      error.message
+    );
+  }
+};
+
+module.exports = {
+  exportDataset,
+  getExportJobs,
+  getExportJob,
+  downloadExport,
+};
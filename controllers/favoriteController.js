@@ -0,0 +1,136 @@
+// controllers/favoriteController.js
+const Favorite = require("../models/Favorite");
+const House = require("../models/House");
+const { sendSuccessResponse, sendErrorResponse } = require("../utils/helpers");
+const { isPublishedHouse } = require("../utils/houseStatus");
+const {
+  NotFoundError,
+  ServerError,
+  ValidationError,
+} = require("../utils/constants");
+
+// @route   GET /api/favorites
+// @desc    Get the authenticated tenant's saved houses
+// @access  Private (Tenant only)
+const getFavorites = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const offset = (page - 1) * limit;
+
+    const { houses, total } = await Favorite.findByUserId(req.user.id, {
+      limit,
+      offset,
+    });
+
+    sendSuccessResponse(res, 200, "Favourite houses retrieved successfully.", {
+      houses,
+      pagination: {
+        total,
+        page,
+        limit,
+        totalPages: Math.ceil(total / limit),
+      },
+    });
+  } catch (error) {
+    console.error("Error getting favourites:", error.message, error.stack);
+    sendErrorResponse(
+      res,
+      500,
+      ServerError.INTERNAL_SERVER_ERROR,
+      error.message
+    );
+  }
+};
+
+// @route   POST /api/favorites/:houseId
+// @desc    Save a house to the authenticated tenant's favourites
+// @access  Private (Tenant only)
+const addFavorite = async (req, res) => {
+  try {
+    const houseId = parseInt(req.params.houseId);
+    if (isNaN(houseId)) {
+      return sendErrorResponse(
+        res,
+        400,
+        ValidationError.INVALID_INPUT,
+        "houseId must be a number."
+      );
+    }
+
+    const house = await House.findById(houseId);
+    if (!house || !isPublishedHouse(house)) {
+      return sendErrorResponse(
+        res,
+        404,
+        NotFoundError.HOUSE_NOT_FOUND,
+        "House not found."
+      );
+    }
+
+    const added = await Favorite.add(req.user.id, houseId);
+
+    sendSuccessResponse(
+      res,
+      added ? 201 : 200,
+      added
+        ? "House added to favourites."
+        : "House is already in your favourites.",
+      { house_id: houseId, is_favorite: true }
+    );
+  } catch (error) {
+    console.error("Error adding favourite:", error.message, error.stack);
+    sendErrorResponse(
+      res,
+      500,
+      ServerError.INTERNAL_SERVER_ERROR,
+      error.message
+    );
+  }
+};
+
+// @route   DELETE /api/favorites/:houseId
+// @desc    Remove a house from the authenticated tenant's favourites
+// @access  Private (Tenant only)
+const removeFavorite = async (req, res) => {
+  try {
+    const houseId = parseInt(req.params.houseId);
+    if (isNaN(houseId)) {
+      return sendErrorResponse(
+        res,
+        400,
+        ValidationError.INVALID_INPUT,
+        "houseId must be a number."
+      );
+    }
+
+    const removed = await Favorite.remove(req.user.id, houseId);
+    if (!removed) {
+      return sendErrorResponse(
+        res,
+        404,
+        NotFoundError.FAVORITE_NOT_FOUND,
+        "This house is not in your favourites."
+      );
+    }
+
+    sendSuccessResponse(res, 200, "House removed from favourites.", {
+      house_id: houseId,
+      is_favorite: false,
+    });
+  } catch (error) {
+    console.error("Error removing favourite:", error.message, error.stack);
+    sendErrorResponse(
+      res,
+      500,
+      ServerError.INTERNAL_SERVER_ERROR,
+      error.message
+    );
+  }
+};
+
+module.exports = {
+  getFavorites,
+  addFavorite,
+  removeFavorite,
+};
@@ -1,16 +1,175 @@
 // controllers/houseController.js
+const crypto = require("crypto");
 const House = require("../models/House");
+const Amenity = require("../models/Amenity");
+const Building = require("../models/Building");
+const Favorite = require("../models/Favorite");
+const HouseStatusHistory = require("../models/HouseStatusHistory");
+const HouseView = require("../models/HouseView");
+const RentPayment = require("../models/RentPayment");
 const { sendSuccessResponse, sendErrorResponse } = require("../utils/helpers");
+const { addSearchHighlights } = require("../utils/search");
+const { decodeCursor } = require("../utils/pagination");
+const { isValidLatitude, isValidLongitude } = require("../utils/geo");
+const { BASE, resolveCurrency, convertAmount } = require("../utils/currency");
+const {
+  getManualStatusChangeError,
+  getPublishBlockers,
+  isPublishedHouse,
+  canViewHouse,
+} = require("../utils/houseStatus");
+const { validateNewHouse } = require("../utils/houseValidation");
+const { validateResponseDeadlineHours } = require("../utils/responseDeadline");
+const { suggestRent, getRentWarning } = require("../services/rentSuggestion");
+const { flagLikelyDuplicates } = require("../services/duplicateDetection");
+const {
+  resolveAmenityCodes,
+  resolveLocationId,
+  parseHouseFilters,
+} = require("../utils/houseFilters");
 const {
   ROLE,
   HOUSE_STATUS,
+  HOUSE_SORT,
+  HOUSE_STATUS_REASON,
+  MODERATION_STATUS,
   AuthenticationError,
   ServerError,
   ValidationError,
 } = require("../utils/constants");
 
+/**
+ * Parses the cursor pagination parameters of a house listing request.
+ * Cursor mode is enabled by ?pagination=cursor or by passing a ?cursor= from a previous page.
+ * @param {object} query - The request query string.
+ * @param {string} [sort] - The validated sort order (undefined for the default order).
+ * @param {boolean} [hasRelevance=false] - Whether the listing is ordered by keyword relevance by default.
+ * @returns {{error: string}|{useCursor: boolean, cursor: object|null}} The cursor options, or an error message.
+ */
+const parseCursorOptions = (query, sort, hasRelevance = false) => {
+  const { pagination, cursor } = query;
+  if (
+    pagination !== undefined &&
+    pagination !== "offset" &&
+    pagination !== "cursor"
+  ) {
+    return { error: 'pagination must be "offset" or "cursor".' };
+  }
+  const useCursor =
+    pagination === "cursor" || (pagination === undefined && !!cursor);
+  if (!useCursor) {
+    return { useCursor: false, cursor: null };
+  }
+  if (sort === HOUSE_SORT.DISTANCE || (!sort && hasRelevance)) {
+    return {
+      error:
+        "Cursor pagination is not available for distance or relevance ordering. Use page/limit instead.",
+    };
+  }
+  if (!cursor) {
+    return { useCursor: true, cursor: null };
+  }
+  const decoded = decodeCursor(cursor);
+  if (!decoded || decoded.sort !== (sort || HOUSE_SORT.NEWEST)) {
+    return {
+      error:
+        "Invalid cursor. Cursors are only valid for the sort order they were issued for.",
+    };
+  }
+  return { useCursor: true, cursor: decoded };
+};
+
+/**
+ * Builds the pagination metadata of a house listing response.
+ * @param {object} result - The result of House.findAll or House.findByLandlordId.
+ * @param {{useCursor: boolean, page: number, limit: number}} options
+ * @returns {object} Cursor metadata ({limit, nextCursor, hasMore}) or offset metadata ({total, page, limit, totalPages}).
+ */
+const buildPaginationMeta = (result, { useCursor, page, limit }) =>
+  useCursor
+    ? { limit, nextCursor: result.nextCursor, hasMore: result.hasMore }
+    : {
+        total: result.total,
+        page,
+        limit,
+        totalPages: Math.ceil(result.total / limit),
+      };
+
+// Whether published listings must be approved by an admin before going live
+const isModerationEnabled = () => process.env.LISTING_MODERATION === "true";
+
+/**
+ * Compares the rent of a new listing with comparable listings. Failures are logged rather
+ * than thrown, so a listing is never rejected because the comparison could not be made.
+ * @param {object} house - Validated house data, as returned by validateNewHouse.
+ * @param {number[]} amenityIds - IDs of the house's own amenities.
+ * @param {number} houseId - The ID of the new house.
+ * @returns {Promise<string[]>} Warnings for the landlord; empty if the rent looks plausible or the house has no location.
+ */
+const checkRentAgainstComparables = async (house, amenityIds, houseId) => {
+  if (house.latitude === null || house.latitude === undefined) return [];
+  try {
+    const shared = house.building_id
+      ? await Amenity.findByBuildingId(house.building_id)
+      : [];
+    const { currency } = await resolveCurrency(house.currency, "currency");
+    const { statistics } = await suggestRent({
+      latitude: parseFloat(house.latitude),
+      longitude: parseFloat(house.longitude),
+      bedrooms: parseInt(house.bedrooms),
+      bathrooms: parseInt(house.bathrooms),
+      amenityIds: [...amenityIds, ...shared.map((amenity) => amenity.id)],
+      excludeId: houseId,
+      currency,
+    });
+    const warning = getRentWarning(house.rent_amount, statistics);
+    return warning ? [warning] : [];
+  } catch (error) {
+    console.error(
+      `Error comparing the rent of house ${houseId}:`,
+      error.message
+    );
+    return [];
+  }
+};
+
+/**
+ * Records a view of a published listing for its analytics. Signed-in viewers are counted by
+ * user, anonymous ones by a hash of their IP address and user agent. The landlord's own views
+ * and admins' are not counted. Failures are logged rather than thrown so they never fail the page.
+ * @param {object} house - The viewed house.
+ * @param {object} req - Express request object.
+ */
+const recordHouseView = async (house, req) => {
+  const { user } = req;
+  if (
+    !isPublishedHouse(house) ||
+    (user && (user.id === house.landlord_id || user.role === ROLE.ADMIN))
+  ) {
+    return;
+  }
+  try {
+    await HouseView.record({
+      house_id: house.id,
+      viewer_key: user
+        ? `user:${user.id}`
+        : crypto
+            .createHash("sha256")
+            .update(`${req.ip}|${req.get("User-Agent") || ""}`)
+            .digest("hex"),
+      viewer_id: user ? user.id : null,
+    });
+  } catch (error) {
+    console.error(
+      `Error recording a view of house ${house.id}:`,
+      error.message
+    );
+  }
+};
+
 // @route   POST /api/houses
-// @desc    Create a new house listing
+// @desc    Create a new house listing (as a draft). The response warns when the rent is far outside that of comparable listings.
+//          Listings that look like copies of another landlord's listing are flagged for admin review.
 // @access  Private (Landlord only)
 const createHouse = async (req, res) => {
   try {
@@ -25,36 +184,86 @@ const createHouse = async (req, res) => {
       );
     }
 
+    const { house, amenityIds, error } = await validateNewHouse(
+      req.body,
+      landlord_id
+    );
+    if (error) {
+      return sendErrorResponse(
+        res,
+        error.statusCode,
+        error.type,
+        error.message
+      );
+    }
+
+    const houseId = await House.create(house);
+
+    if (amenityIds.length > 0) {
+      await Amenity.setForHouse(houseId, amenityIds);
+    }
+
+    const warnings = await checkRentAgainstComparables(
+      house,
+      amenityIds,
+      houseId
+    );
+    await flagLikelyDuplicates({ ...house, id: houseId });
+
+    sendSuccessResponse(
+      res,
+      201,
+      "House listing created as a draft. Publish it to make it visible to tenants.",
+      { houseId, status: HOUSE_STATUS.DRAFT, warnings }
+    );
+  } catch (error) {
+    console.error("Error creating house listing:", error.message, error.stack);
+    sendErrorResponse(
+      res,
+      500,
+      ServerError.INTERNAL_SERVER_ERROR,
+      error.message
+    );
+  }
+};
+
+// @route   POST /api/houses/rent-suggestion
+// @desc    Suggest a rent for a prospective house from comparable current and past listings.
+//          Body: bedrooms, bathrooms, latitude and longitude (or building_id), optional amenities (codes), rent_amount to check
+//          and currency to price in (defaults to the base currency).
+// @access  Private (Landlord only)
+const getRentSuggestion = async (req, res) => {
+  try {
     const {
-      title,
-      description,
-      address,
-      rent_amount,
       bedrooms,
       bathrooms,
-      image_url,
-      rental_start_date,
+      latitude,
+      longitude,
+      building_id,
+      amenities,
+      rent_amount,
+      currency,
     } = req.body;
 
-    // Basic validation for required fields
+    const parsedBedrooms = parseInt(bedrooms);
+    const parsedBathrooms = parseInt(bathrooms);
     if (
-      !title ||
-      !description ||
-      !address ||
-      !rent_amount ||
-      !bedrooms ||
-      !bathrooms
+      isNaN(parsedBedrooms) ||
+      parsedBedrooms < 0 ||
+      isNaN(parsedBathrooms) ||
+      parsedBathrooms < 0
     ) {
       return sendErrorResponse(
         res,
         400,
-        ValidationError.MISSING_REQUIRED_FIELDS,
-        "Title, description, address, rent amount, bedrooms, and bathrooms are required."
+        ValidationError.INVALID_INPUT,
+        "Bedrooms and bathrooms must be non-negative integers."
       );
     }
-
-    // Validate numeric fields
-    if (isNaN(parseFloat(rent_amount)) || parseFloat(rent_amount) <= 0) {
+    if (
+      rent_amount !== undefined &&
+      (isNaN(parseFloat(rent_amount)) || parseFloat(rent_amount) <= 0)
+    ) {
       return sendErrorResponse(
         res,
         400,
@@ -62,50 +271,131 @@ const createHouse = async (req, res) => {
         "Rent amount must be a positive number."
       );
     }
-    if (isNaN(parseInt(bedrooms)) || parseInt(bedrooms) < 0) {
-      return sendErrorResponse(
-        res,
-        400,
-        ValidationError.INVALID_INPUT,
-        "Bedrooms must be a non-negative integer."
+    let priceCurrency = BASE;
+    if (currency !== undefined && currency !== null) {
+      const { currency: found, error } = await resolveCurrency(
+        currency,
+        "currency"
       );
+      if (error) {
+        return sendErrorResponse(
+          res,
+          400,
+          ValidationError.INVALID_INPUT,
+          error
+        );
+      }
+      priceCurrency = found;
     }
-    if (isNaN(parseInt(bathrooms)) || parseInt(bathrooms) < 0) {
-      return sendErrorResponse(
-        res,
-        400,
-        ValidationError.INVALID_INPUT,
-        "Bathrooms must be a non-negative integer."
-      );
+
+    // The location comes from the coordinates given, or from the building the unit belongs to
+    let location;
+    let sharedAmenities = [];
+    if (building_id !== undefined && building_id !== null) {
+      const building = await Building.findById(building_id);
+      if (!building) {
+        return sendErrorResponse(
+          res,
+          404,
+          "Building Not Found",
+          `Building with ID ${building_id} does not exist.`
+        );
+      }
+      if (building.landlord_id !== req.user.id) {
+        return sendErrorResponse(
+          res,
+          403,
+          AuthenticationError.FORBIDDEN,
+          "You can only price units of your own buildings."
+        );
+      }
+      if (building.latitude === null) {
+        return sendErrorResponse(
+          res,
+          400,
+          ValidationError.INVALID_INPUT,
+          "The building has no coordinates; provide latitude and longitude instead."
+        );
+      }
+      location = {
+        latitude: parseFloat(building.latitude),
+        longitude: parseFloat(building.longitude),
+      };
+      sharedAmenities = await Amenity.findByBuildingId(building.id);
+    } else {
+      const lat = parseFloat(latitude);
+      const lng = parseFloat(longitude);
+      if (!isValidLatitude(lat) || !isValidLongitude(lng)) {
+        return sendErrorResponse(
+          res,
+          400,
+          ValidationError.INVALID_INPUT,
+          "A latitude between -90 and 90 and a longitude between -180 and 180 (or a building_id) are required."
+        );
+      }
+      location = { latitude: lat, longitude: lng };
     }
 
-    // Validate optional date format if provided
-    if (rental_start_date && isNaN(new Date(rental_start_date).getTime())) {
-      return sendErrorResponse(
-        res,
-        400,
-        ValidationError.INVALID_INPUT,
-        "Invalid rental_start_date format. Please use a valid date string (e.g., YYYY-MM-DD or ISO 8601)."
+    let amenityIds = [];
+    if (amenities !== undefined) {
+      if (!Array.isArray(amenities)) {
+        return sendErrorResponse(
+          res,
+          400,
+          ValidationError.INVALID_INPUT,
+          "Amenities must be an array of amenity codes."
+        );
+      }
+      const { amenities: found, unknown } = await resolveAmenityCodes(
+        amenities
       );
+      if (unknown.length > 0) {
+        return sendErrorResponse(
+          res,
+          400,
+          ValidationError.INVALID_INPUT,
+          `Unknown amenities: ${unknown.join(", ")}`
+        );
+      }
+      amenityIds = found.map((amenity) => amenity.id);
     }
 
-    const houseId = await House.create({
-      landlord_id,
-      title,
-      description,
-      address,
-      rent_amount,
-      bedrooms,
-      bathrooms,
-      image_url, // Now explicitly passed
-      rental_start_date, // Now explicitly passed
+    const { radiusKm, statistics, comparables } = await suggestRent({
+      ...location,
+      bedrooms: parsedBedrooms,
+      bathrooms: parsedBathrooms,
+      amenityIds: [
+        ...amenityIds,
+        ...sharedAmenities.map((amenity) => amenity.id),
+      ],
+      currency: priceCurrency,
     });
 
-    sendSuccessResponse(res, 201, "House listing created successfully.", {
-      houseId,
-    });
+    sendSuccessResponse(
+      res,
+      200,
+      statistics
+        ? "Rent suggestion calculated successfully."
+        : "Not enough comparable listings nearby to suggest a rent.",
+      {
+        suggestion: statistics
+          ? {
+              median: statistics.median,
+              range: { low: statistics.p25, high: statistics.p75 },
+            }
+          : null,
+        currency: priceCurrency.code,
+        statistics,
+        warning:
+          rent_amount !== undefined
+            ? getRentWarning(rent_amount, statistics)
+            : null,
+        radiusKm,
+        comparables,
+      }
+    );
   } catch (error) {
-    console.error("Error creating house listing:", error.message, error.stack);
+    console.error("Error suggesting rent:", error.message, error.stack);
     sendErrorResponse(
       res,
       500,
@@ -116,7 +406,9 @@ const createHouse = async (req, res) => {
 };
 
 // @route   GET /api/houses
-// @desc    Get all house listings (public or tenant view)
+// @desc    Get all house listings (public or tenant view), with optional keyword search via ?q=
+//          and area filtering via ?locationId=. facets.locations counts the matches per area one level down.
+//          ?currency= sets the display currency: minRent/maxRent are in it and each house gets display_rent_amount.
 // @access  Public (or Private for filtering options if needed)
 const getHouses = async (req, res) => {
   try {
@@ -125,98 +417,92 @@ const getHouses = async (req, res) => {
     const limit = parseInt(req.query.limit) || 10;
     const offset = (page - 1) * limit;
 
-    // Parse filter parameters
-    const { status, minRent, maxRent, bedrooms, bathrooms, is_active } =
-      req.query;
+    const { sort } = req.query;
 
-    // Validation for query parameters
-    const filterOptions = {};
-    if (status) {
-      if (!Object.values(HOUSE_STATUS).includes(status)) {
-        return sendErrorResponse(
-          res,
-          400,
-          ValidationError.INVALID_INPUT,
-          `Invalid status provided. Allowed values: ${Object.values(
-            HOUSE_STATUS
-          ).join(", ")}`
-        );
-      }
-      filterOptions.status = status;
-    }
-    if (minRent !== undefined) {
-      const parsedMinRent = parseFloat(minRent);
-      if (isNaN(parsedMinRent) || parsedMinRent < 0) {
-        return sendErrorResponse(
-          res,
-          400,
-          ValidationError.INVALID_INPUT,
-          "minRent must be a non-negative number."
-        );
-      }
-      filterOptions.minRent = parsedMinRent;
-    }
-    if (maxRent !== undefined) {
-      const parsedMaxRent = parseFloat(maxRent);
-      if (isNaN(parsedMaxRent) || parsedMaxRent < 0) {
-        return sendErrorResponse(
-          res,
-          400,
-          ValidationError.INVALID_INPUT,
-          "maxRent must be a non-negative number."
-        );
-      }
-      filterOptions.maxRent = parsedMaxRent;
+    // Parse and validate filter parameters
+    const { filters: filterOptions, error } = await parseHouseFilters(
+      req.query
+    );
+    if (error) {
+      return sendErrorResponse(res, 400, ValidationError.INVALID_INPUT, error);
     }
-    if (bedrooms !== undefined) {
-      const parsedBedrooms = parseInt(bedrooms);
-      if (isNaN(parsedBedrooms) || parsedBedrooms < 0) {
+    if (sort !== undefined) {
+      if (!Object.values(HOUSE_SORT).includes(sort)) {
         return sendErrorResponse(
           res,
           400,
           ValidationError.INVALID_INPUT,
-          "bedrooms must be a non-negative integer."
+          `Invalid sort provided. Allowed values: ${Object.values(
+            HOUSE_SORT
+          ).join(", ")}`
         );
       }
-      filterOptions.bedrooms = parsedBedrooms;
-    }
-    if (bathrooms !== undefined) {
-      const parsedBathrooms = parseInt(bathrooms);
-      if (isNaN(parsedBathrooms) || parsedBathrooms < 0) {
+      if (sort === HOUSE_SORT.DISTANCE && !filterOptions.near) {
         return sendErrorResponse(
           res,
           400,
           ValidationError.INVALID_INPUT,
-          "bathrooms must be a non-negative integer."
+          "sort=distance requires a near=lat,lng reference point."
         );
       }
-      filterOptions.bathrooms = parsedBathrooms;
+      filterOptions.sort = sort;
     }
-    if (is_active !== undefined) {
-      if (is_active !== "true" && is_active !== "false") {
-        return sendErrorResponse(
-          res,
-          400,
-          ValidationError.INVALID_INPUT,
-          'is_active must be "true" or "false".'
-        );
-      }
-      filterOptions.is_active = is_active === "true";
+
+    const cursorOptions = parseCursorOptions(
+      req.query,
+      filterOptions.sort,
+      !!filterOptions.q
+    );
+    if (cursorOptions.error) {
+      return sendErrorResponse(
+        res,
+        400,
+        ValidationError.INVALID_INPUT,
+        cursorOptions.error
+      );
     }
 
-    const { houses, total } = await House.findAll({
+    const result = await House.findAll({
       limit,
       offset,
       ...filterOptions,
+      ...cursorOptions,
     });
+    const locationFacets = await House.countByLocation(filterOptions);
+
+    // Rents are shown converted to the display currency alongside the listed rent
+    const displayCurrency = filterOptions.currency || BASE;
+    for (const house of result.houses) {
+      house.display_currency = displayCurrency.code;
+      house.display_rent_amount = convertAmount(
+        house.rent_amount_base,
+        BASE,
+        displayCurrency
+      );
+    }
+
+    // Authenticated callers see which listings they have saved
+    if (req.user) {
+      const favoriteIds = await Favorite.findFavoriteHouseIds(
+        req.user.id,
+        result.houses.map((house) => house.id)
+      );
+      for (const house of result.houses) {
+        house.is_favorite = favoriteIds.has(house.id);
+      }
+    }
 
     sendSuccessResponse(res, 200, "House listings retrieved successfully.", {
-      houses,
-      pagination: {
-        total,
+      houses: filterOptions.q
+        ? addSearchHighlights(result.houses, filterOptions.q)
+        : result.houses,
+      pagination: buildPaginationMeta(result, {
+        useCursor: cursorOptions.useCursor,
         page,
         limit,
-        totalPages: Math.ceil(total / limit),
+      }),
+      facets: {
+        locations: locationFacets,
       },
     });
   } catch (error) {
@@ -252,8 +538,16 @@ const getLandlordHouses = async (req, res) => {
     const offset = (page - 1) * limit;
 
     // Parse filter parameters
-    const { status, minRent, maxRent, bedrooms, bathrooms, is_active } =
-      req.query;
+    const {
+      status,
+      minRent,
+      maxRent,
+      bedrooms,
+      bathrooms,
+      is_active,
+      archived,
+      sort,
+    } = req.query;
 
     // Validation for query parameters (similar to getHouses)
     const filterOptions = {};
@@ -329,11 +623,48 @@ const getLandlordHouses = async (req, res) => {
       }
       filterOptions.is_active = is_active === "true";
     }
+    if (archived !== undefined) {
+      if (archived !== "true" && archived !== "false") {
+        return sendErrorResponse(
+          res,
+          400,
+          ValidationError.INVALID_INPUT,
+          'archived must be "true" or "false".'
+        );
+      }
+      filterOptions.archived = archived === "true";
+    }
+    if (sort !== undefined) {
+      // Landlord listings have no reference point, so distance ordering does not apply
+      const allowedSorts = Object.values(HOUSE_SORT).filter(
+        (value) => value !== HOUSE_SORT.DISTANCE
+      );
+      if (!allowedSorts.includes(sort)) {
+        return sendErrorResponse(
+          res,
+          400,
+          ValidationError.INVALID_INPUT,
+          `Invalid sort provided. Allowed values: ${allowedSorts.join(", ")}`
+        );
+      }
+      filterOptions.sort = sort;
+    }
+
+    const cursorOptions = parseCursorOptions(req.query, filterOptions.sort);
+    if (cursorOptions.error) {
+      return sendErrorResponse(
+        res,
+        400,
+        ValidationError.INVALID_INPUT,
+        cursorOptions.error
+      );
+    }
 
-    const { houses, total } = await House.findByLandlordId(landlordId, {
+    const result = await House.findByLandlordId(landlordId, {
       limit,
       offset,
       ...filterOptions,
+      ...cursorOptions,
     });
 
     sendSuccessResponse(
@@ -341,13 +672,12 @@ const getLandlordHouses = async (req, res) => {
       200,
       "Your house listings retrieved successfully.",
       {
-        houses,
-        pagination: {
-          total,
+        houses: result.houses,
+        pagination: buildPaginationMeta(result, {
+          useCursor: cursorOptions.useCursor,
           page,
           limit,
-          totalPages: Math.ceil(total / limit),
-        },
+        }),
       }
     );
   } catch (error) {
@@ -366,14 +696,15 @@ const getLandlordHouses = async (req, res) => {
 };
 
 // @route   GET /api/houses/:id
-// @desc    Get a single house listing by ID
-// @access  Public
+// @desc    Get a single house listing by ID. Views of published listings are recorded for the landlord's analytics.
+// @access  Public for published listings; drafts only for their landlord or an admin
 const getHouseById = async (req, res) => {
   try {
     const { id } = req.params;
     const house = await House.findById(id);
 
-    if (!house) {
+    // Drafts and other unpublished listings are only visible to their landlord and admins
+    if (!house || !canViewHouse(house, req.user)) {
       return sendErrorResponse(
         res,
         404,
@@ -382,6 +713,8 @@ const getHouseById = async (req, res) => {
       );
     }
 
+    await recordHouseView(house, req);
+
     sendSuccessResponse(res, 200, "House listing retrieved successfully.", {
       house,
     });
@@ -397,7 +730,8 @@ const getHouseById = async (req, res) => {
 };
 
 // @route   PUT /api/houses/:id
-// @desc    Update a house listing
+// @desc    Update a house listing. Changed text is checked for duplicates of other landlords' listings, like on creation.
+//          response_deadline_hours sets how long the landlord has to respond to new rent requests for it (null for their default).
 // @access  Private (Landlord only, for their own houses)
 const updateHouse = async (req, res) => {
   try {
@@ -425,54 +759,181 @@ const updateHouse = async (req, res) => {
       );
     }
 
-    // Validate incoming updates
-    if (
-      updates.rent_amount !== undefined &&
-      (isNaN(parseFloat(updates.rent_amount)) ||
-        parseFloat(updates.rent_amount) <= 0)
-    ) {
+    if (house.archived_at) {
       return sendErrorResponse(
         res,
-        400,
-        ValidationError.INVALID_INPUT,
-        "Rent amount must be a positive number."
+        409,
+        "House Archived",
+        "Archived house listings cannot be edited. Restore the listing first."
       );
     }
+
+    // Units share the address, coordinates and location of their building; edit the building instead
     if (
-      updates.bedrooms !== undefined &&
-      (isNaN(parseInt(updates.bedrooms)) || parseInt(updates.bedrooms) < 0)
+      house.building_id &&
+      ["address", "latitude", "longitude", "location_id"].some(
+        (key) => updates[key] !== undefined
+      )
     ) {
       return sendErrorResponse(
         res,
         400,
         ValidationError.INVALID_INPUT,
-        "Bedrooms must be a non-negative integer."
+        "The address, coordinates and location of a unit are managed on its building."
       );
     }
     if (
-      updates.bathrooms !== undefined &&
-      (isNaN(parseInt(updates.bathrooms)) || parseInt(updates.bathrooms) < 0)
+      updates.unit_label !== undefined &&
+      (!house.building_id ||
+        !updates.unit_label ||
+        String(updates.unit_label).length > 50)
     ) {
       return sendErrorResponse(
         res,
         400,
         ValidationError.INVALID_INPUT,
-        "Bathrooms must be a non-negative integer."
+        "unit_label can only be set on units of a building and must be at most 50 characters."
       );
     }
+
+    // Validate incoming updates
     if (
-      updates.status &&
-      !Object.values(HOUSE_STATUS).includes(updates.status)
+      updates.rent_amount !== undefined &&
+      (isNaN(parseFloat(updates.rent_amount)) ||
+        parseFloat(updates.rent_amount) <= 0)
     ) {
       return sendErrorResponse(
         res,
         400,
         ValidationError.INVALID_INPUT,
-        `Invalid status provided. Allowed values: ${Object.values(
-          HOUSE_STATUS
-        ).join(", ")}`
+        "Rent amount must be a positive number."
+      );
+    }
+    if (updates.currency !== undefined) {
+      const { currency, error: currencyError } = await resolveCurrency(
+        updates.currency,
+        "currency"
+      );
+      if (currencyError) {
+        return sendErrorResponse(
+          res,
+          400,
+          ValidationError.INVALID_INPUT,
+          currencyError
+        );
+      }
+      updates.currency = currency.code;
+    }
+    if (updates.response_deadline_hours !== undefined) {
+      const { hours, error: deadlineError } = validateResponseDeadlineHours(
+        updates.response_deadline_hours
+      );
+      if (deadlineError) {
+        return sendErrorResponse(
+          res,
+          400,
+          ValidationError.INVALID_INPUT,
+          deadlineError
+        );
+      }
+      updates.response_deadline_hours = hours;
+    }
+    if (
+      updates.bedrooms !== undefined &&
+      (isNaN(parseInt(updates.bedrooms)) || parseInt(updates.bedrooms) < 0)
+    ) {
+      return sendErrorResponse(
+        res,
+        400,
+        ValidationError.INVALID_INPUT,
+        "Bedrooms must be a non-negative integer."
+      );
+    }
+    if (
+      updates.bathrooms !== undefined &&
+      (isNaN(parseInt(updates.bathrooms)) || parseInt(updates.bathrooms) < 0)
+    ) {
+      return sendErrorResponse(
+        res,
+        400,
+        ValidationError.INVALID_INPUT,
+        "Bathrooms must be a non-negative integer."
+      );
+    }
+    // Status changes go through the house state machine rather than a raw column update
+    const { status, status_note } = updates;
+    delete updates.status;
+    delete updates.status_note;
+    if (status !== undefined) {
+      if (!Object.values(HOUSE_STATUS).includes(status)) {
+        return sendErrorResponse(
+          res,
+          400,
+          ValidationError.INVALID_INPUT,
+          `Invalid status provided. Allowed values: ${Object.values(
+            HOUSE_STATUS
+          ).join(", ")}`
+        );
+      }
+      const statusError =
+        status !== house.status && getManualStatusChangeError(house, status);
+      if (statusError) {
+        return sendErrorResponse(res, 409, "Invalid State", statusError);
+      }
+    }
+    if (
+      status_note !== undefined &&
+      (typeof status_note !== "string" || status_note.length > 500)
+    ) {
+      return sendErrorResponse(
+        res,
+        400,
+        ValidationError.INVALID_INPUT,
+        "status_note must be a string of at most 500 characters."
+      );
+    }
+    const hasLatitude =
+      updates.latitude !== undefined && updates.latitude !== null;
+    const hasLongitude =
+      updates.longitude !== undefined && updates.longitude !== null;
+    if (
+      hasLatitude !== hasLongitude ||
+      (updates.latitude !== undefined) !== (updates.longitude !== undefined)
+    ) {
+      return sendErrorResponse(
+        res,
+        400,
+        ValidationError.INVALID_INPUT,
+        "Latitude and longitude must be updated together."
       );
     }
+    if (
+      hasLatitude &&
+      (!isValidLatitude(parseFloat(updates.latitude)) ||
+        !isValidLongitude(parseFloat(updates.longitude)))
+    ) {
+      return sendErrorResponse(
+        res,
+        400,
+        ValidationError.INVALID_INPUT,
+        "Latitude must be between -90 and 90 and longitude between -180 and 180."
+      );
+    }
+    if (updates.location_id !== undefined && updates.location_id !== null) {
+      const { location, error: locationError } = await resolveLocationId(
+        updates.location_id,
+        "location_id"
+      );
+      if (locationError) {
+        return sendErrorResponse(
+          res,
+          400,
+          ValidationError.INVALID_INPUT,
+          locationError
+        );
+      }
+      updates.location_id = location.id;
+    }
     if (updates.is_active !== undefined) {
       if (typeof updates.is_active !== "boolean") {
         return sendErrorResponse(
@@ -499,7 +960,58 @@ const updateHouse = async (req, res) => {
     // Prevent tenant_id from being directly updated here, it should be managed via rent requests
     delete updates.tenant_id;
 
-    const updated = await House.update(id, updates);
+    // Amenities live in their own table, so they are replaced separately
+    const { amenities } = updates;
+    delete updates.amenities;
+    let amenityIds;
+    if (amenities !== undefined) {
+      if (!Array.isArray(amenities)) {
+        return sendErrorResponse(
+          res,
+          400,
+          ValidationError.INVALID_INPUT,
+          "Amenities must be an array of amenity codes."
+        );
+      }
+      const { amenities: found, unknown } = await resolveAmenityCodes(
+        amenities
+      );
+      if (unknown.length > 0) {
+        return sendErrorResponse(
+          res,
+          400,
+          ValidationError.INVALID_INPUT,
+          `Unknown amenities: ${unknown.join(", ")}`
+        );
+      }
+      amenityIds = found.map((amenity) => amenity.id);
+    }
+
+    const hasHouseFields = Object.keys(updates).length > 0;
+    const updated = hasHouseFields ? await House.update(id, updates) : true;
+    if (updated && amenityIds !== undefined) {
+      await Amenity.setForHouse(id, amenityIds);
+    }
+    if (updated && status !== undefined && status !== house.status) {
+      await House.transitionStatus(id, status, {
+        reason: HOUSE_STATUS_REASON.LANDLORD_UPDATE,
+        changedBy: userId,
+        note: status_note || null,
+      });
+    }
+    if (
+      updated &&
+      ["title", "description", "address"].some(
+        (field) => updates[field] !== undefined
+      )
+    ) {
+      await flagLikelyDuplicates({
+        ...house,
+        ...updates,
+        id: house.id,
+        landlord_id: house.landlord_id,
+      });
+    }
 
     if (!updated) {
       return sendErrorResponse(
@@ -513,9 +1025,14 @@ const updateHouse = async (req, res) => {
     sendSuccessResponse(res, 200, "House listing updated successfully.", {
       id,
       ...updates,
+      ...(status !== undefined && { status }),
+      ...(amenities !== undefined && { amenities }),
     });
   } catch (error) {
     console.error("Error updating house listing:", error.message, error.stack);
+    if (error.statusCode === 409) {
+      return sendErrorResponse(res, 409, "Invalid State", error.message);
+    }
     sendErrorResponse(
       res,
       500,
@@ -526,7 +1043,7 @@ const updateHouse = async (req, res) => {
 };
 
 // @route   DELETE /api/houses/:id
-// @desc    Delete a house listing
+// @desc    Archive a house listing (soft delete). Refused while the house has a tenant or outstanding payments.
 // @access  Private (Landlord only, for their own houses)
 const deleteHouse = async (req, res) => {
   try {
@@ -553,9 +1070,35 @@ const deleteHouse = async (req, res) => {
       );
     }
 
-    const deleted = await House.delete(id);
+    if (house.archived_at) {
+      return sendErrorResponse(
+        res,
+        409,
+        "Already Archived",
+        "This house listing is already archived."
+      );
+    }
+    if (house.tenant_id) {
+      return sendErrorResponse(
+        res,
+        409,
+        "House Has Tenant",
+        "This house has an active tenant. Release the tenant through their rent request before deleting the listing."
+      );
+    }
+    const outstandingPayments = await RentPayment.countOutstandingByHouseId(id);
+    if (outstandingPayments > 0) {
+      return sendErrorResponse(
+        res,
+        409,
+        "Outstanding Payments",
+        `This house has ${outstandingPayments} pending or overdue rent payment(s). Settle them before deleting the listing.`
+      );
+    }
+
+    const archived = await House.archive(id, userId);
 
-    if (!deleted) {
+    if (!archived) {
       return sendErrorResponse(
         res,
         400,
@@ -564,8 +1107,9 @@ const deleteHouse = async (req, res) => {
       );
     }
 
-    sendSuccessResponse(res, 200, "House listing deleted successfully.", {
+    sendSuccessResponse(res, 200, "House listing archived successfully.", {
       id,
+      archived: true,
     });
   } catch (error) {
     console.error("Error deleting house listing:", error.message, error.stack);
@@ -578,11 +1122,282 @@ const deleteHouse = async (req, res) => {
   }
 };
 
+// @route   POST /api/houses/:id/publish
+// @desc    Publish a draft once it is complete. With moderation enabled it is queued for admin approval instead.
+// @access  Private (Landlord only, for their own houses)
+const publishHouse = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { id: userId, role } = req.user;
+
+    const house = await House.findById(id);
+    if (!house) {
+      return sendErrorResponse(
+        res,
+        404,
+        "House Not Found",
+        `House with ID ${id} does not exist.`
+      );
+    }
+
+    if (role !== ROLE.LANDLORD || house.landlord_id !== userId) {
+      return sendErrorResponse(
+        res,
+        403,
+        AuthenticationError.FORBIDDEN,
+        "You are not authorized to publish this house listing."
+      );
+    }
+
+    if (house.archived_at) {
+      return sendErrorResponse(
+        res,
+        409,
+        "House Archived",
+        "Archived house listings cannot be published. Restore the listing first."
+      );
+    }
+    if (house.status !== HOUSE_STATUS.DRAFT) {
+      return sendErrorResponse(
+        res,
+        409,
+        "Invalid State",
+        "Only draft listings can be published."
+      );
+    }
+    if (house.moderation_status === MODERATION_STATUS.PENDING) {
+      return sendErrorResponse(
+        res,
+        409,
+        "Invalid State",
+        "This listing is already waiting for review."
+      );
+    }
+
+    const blockers = getPublishBlockers(house);
+    if (blockers.length > 0) {
+      return sendErrorResponse(res, 400, "Listing Incomplete", { blockers });
+    }
+
+    if (isModerationEnabled()) {
+      await House.setModeration(house.id, {
+        status: MODERATION_STATUS.PENDING,
+      });
+      return sendSuccessResponse(
+        res,
+        202,
+        "House listing submitted for review. It will go live once approved.",
+        { id: house.id, moderation_status: MODERATION_STATUS.PENDING }
+      );
+    }
+
+    await House.transitionStatus(house.id, HOUSE_STATUS.AVAILABLE, {
+      reason: HOUSE_STATUS_REASON.PUBLISHED,
+      changedBy: userId,
+    });
+
+    sendSuccessResponse(res, 200, "House listing published successfully.", {
+      house: await House.findById(house.id),
+    });
+  } catch (error) {
+    console.error(
+      "Error publishing house listing:",
+      error.message,
+      error.stack
+    );
+    if (error.statusCode === 409) {
+      return sendErrorResponse(res, 409, "Invalid State", error.message);
+    }
+    sendErrorResponse(
+      res,
+      500,
+      ServerError.INTERNAL_SERVER_ERROR,
+      error.message
+    );
+  }
+};
+
+// @route   POST /api/houses/:id/restore
+// @desc    Restore an archived house listing
+// @access  Private (Landlord only, for their own houses)
+const restoreHouse = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { id: userId, role } = req.user;
+
+    const house = await House.findById(id);
+    if (!house) {
+      return sendErrorResponse(
+        res,
+        404,
+        "House Not Found",
+        `House with ID ${id} does not exist.`
+      );
+    }
+
+    if (role !== ROLE.LANDLORD || house.landlord_id !== userId) {
+      return sendErrorResponse(
+        res,
+        403,
+        AuthenticationError.FORBIDDEN,
+        "You are not authorized to restore this house listing."
+      );
+    }
+
+    if (!house.archived_at) {
+      return sendErrorResponse(
+        res,
+        409,
+        "Not Archived",
+        "This house listing is not archived."
+      );
+    }
+
+    const restored = await House.restore(id, userId);
+    if (!restored) {
+      return sendErrorResponse(
+        res,
+        400,
+        "Restore Failed",
+        "Failed to restore house listing."
+      );
+    }
+
+    sendSuccessResponse(res, 200, "House listing restored successfully.", {
+      id,
+      archived: false,
+    });
+  } catch (error) {
+    console.error("Error restoring house listing:", error.message, error.stack);
+    sendErrorResponse(
+      res,
+      500,
+      ServerError.INTERNAL_SERVER_ERROR,
+      error.message
+    );
+  }
+};
+
+// @route   POST /api/houses/:id/confirm
+// @desc    Confirm an available listing is still current. Answers a stale-listing flag so the listing is not unlisted.
+// @access  Private (Landlord only, for their own houses)
+const confirmHouseListing = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { id: userId, role } = req.user;
+
+    const house = await House.findById(id);
+    if (!house) {
+      return sendErrorResponse(
+        res,
+        404,
+        "House Not Found",
+        `House with ID ${id} does not exist.`
+      );
+    }
+
+    if (role !== ROLE.LANDLORD || house.landlord_id !== userId) {
+      return sendErrorResponse(
+        res,
+        403,
+        AuthenticationError.FORBIDDEN,
+        "You are not authorized to confirm this house listing."
+      );
+    }
+
+    if (house.archived_at || house.status !== HOUSE_STATUS.AVAILABLE) {
+      return sendErrorResponse(
+        res,
+        409,
+        "Invalid State",
+        "Only available listings can be confirmed."
+      );
+    }
+
+    const confirmed = await House.confirmListing(house.id, userId);
+    if (!confirmed) {
+      return sendErrorResponse(
+        res,
+        409,
+        "Invalid State",
+        "Only available listings can be confirmed."
+      );
+    }
+
+    sendSuccessResponse(res, 200, "House listing confirmed successfully.", {
+      id: house.id,
+      stale_flagged_at: null,
+    });
+  } catch (error) {
+    console.error(
+      "Error confirming house listing:",
+      error.message,
+      error.stack
+    );
+    sendErrorResponse(
+      res,
+      500,
+      ServerError.INTERNAL_SERVER_ERROR,
+      error.message
+    );
+  }
+};
+
+// @route   GET /api/houses/:id/history
+// @desc    Get the status history of a house listing (every state transition, with reason and who made it)
+// @access  Private (Landlord only, for their own houses)
+const getHouseHistory = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { id: userId, role } = req.user;
+
+    const house = await House.findById(id);
+    if (!house) {
+      return sendErrorResponse(
+        res,
+        404,
+        "House Not Found",
+        `House with ID ${id} does not exist.`
+      );
+    }
+
+    if (role !== ROLE.LANDLORD || house.landlord_id !== userId) {
+      return sendErrorResponse(
+        res,
+        403,
+        AuthenticationError.FORBIDDEN,
+        "You are not authorized to view the history of this house listing."
+      );
+    }
+
+    const history = await HouseStatusHistory.findByHouseId(id);
+
+    sendSuccessResponse(res, 200, "House history retrieved successfully.", {
+      houseId: house.id,
+      status: house.status,
+      history,
+    });
+  } catch (error) {
+    console.error("Error getting house history:", error.message, error.stack);
+    sendErrorResponse(
+      res,
+      500,
+      ServerError.INTERNAL_SERVER_ERROR,
+      error.message
+    );
+  }
+};
+
 module.exports = {
   createHouse,
+  getRentSuggestion,
   getHouses,
   getLandlordHouses,
   getHouseById,
   updateHouse,
   deleteHouse,
+  publishHouse,
+  restoreHouse,
+  confirmHouseListing,
+  getHouseHistory,
 };
@@ -0,0 +1,372 @@
+// controllers/houseImageController.js
+const House = require("../models/House");
+const HouseImage = require("../models/HouseImage");
+const { sendSuccessResponse, sendErrorResponse } = require("../utils/helpers");
+const { canViewHouse } = require("../utils/houseStatus");
+const {
+  buildStorageKey,
+  saveFile,
+  removeFile,
+} = require("../services/storageService");
+const {
+  ROLE,
+  AuthenticationError,
+  ServerError,
+  ValidationError,
+} = require("../utils/constants");
+
+const MAX_IMAGES_PER_HOUSE = 20;
+const MAX_CAPTION_LENGTH = 255;
+
+// @route   GET /api/houses/:id/images
+// @desc    Get the photo gallery of a house
+// @access  Public for published listings; drafts only for their landlord or an admin
+const getHouseImages = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const house = await House.findById(id);
+    if (!house || !canViewHouse(house, req.user)) {
+      return sendErrorResponse(
+        res,
+        404,
+        "House Not Found",
+        `House with ID ${id} does not exist.`
+      );
+    }
+
+    sendSuccessResponse(res, 200, "House images retrieved successfully.", {
+      images: house.images,
+    });
+  } catch (error) {
+    console.error("Error getting house images:", error.message, error.stack);
+    sendErrorResponse(
+      res,
+      500,
+      ServerError.INTERNAL_SERVER_ERROR,
+      error.message
+    );
+  }
+};
+
+// @route   POST /api/houses/:id/images
+// @desc    Upload one or more photos (multipart field "images", optional "captions") to a house
+// @access  Private (Landlord only, for their own houses)
+const uploadHouseImages = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { id: userId, role } = req.user;
+    const files = req.files || [];
+
+    const house = await House.findById(id);
+    if (!house) {
+      return sendErrorResponse(
+        res,
+        404,
+        "House Not Found",
+        `House with ID ${id} does not exist.`
+      );
+    }
+
+    if (role !== ROLE.LANDLORD || house.landlord_id !== userId) {
+      return sendErrorResponse(
+        res,
+        403,
+        AuthenticationError.FORBIDDEN,
+        "You are not authorized to manage images for this house listing."
+      );
+    }
+
+    if (files.length === 0) {
+      return sendErrorResponse(
+        res,
+        400,
+        ValidationError.INVALID_INPUT,
+        'At least one image file is required in the "images" field.'
+      );
+    }
+
+    if (house.images.length + files.length > MAX_IMAGES_PER_HOUSE) {
+      return sendErrorResponse(
+        res,
+        400,
+        ValidationError.INVALID_INPUT,
+        `A house can have at most ${MAX_IMAGES_PER_HOUSE} images. It currently has ${house.images.length}.`
+      );
+    }
+
+    // Captions arrive as a single string or an array matching the file order
+    const captions = [].concat(req.body.captions || []);
+    if (captions.some((caption) => caption.length > MAX_CAPTION_LENGTH)) {
+      return sendErrorResponse(
+        res,
+        400,
+        ValidationError.INVALID_INPUT,
+        `Captions must be at most ${MAX_CAPTION_LENGTH} characters.`
+      );
+    }
+
+    const images = [];
+    for (const [index, file] of files.entries()) {
+      const stored = await saveFile(
+        file.buffer,
+        buildStorageKey(`houses/${house.id}`, file.mimetype)
+      );
+      try {
+        const imageId = await HouseImage.create({
+          house_id: house.id,
+          storage_key: stored.key,
+          url: stored.url,
+          caption: captions[index] || null,
+        });
+        images.push({ id: imageId, url: stored.url });
+      } catch (error) {
+        // Don't leave orphaned files behind if the record could not be saved
+        await removeFile(stored.key);
+        throw error;
+      }
+    }
+
+    // The first photo of an empty gallery becomes the cover
+    if (house.images.length === 0) {
+      await HouseImage.setCover(house.id, images[0].id);
+    }
+
+    sendSuccessResponse(res, 201, "House images uploaded successfully.", {
+      images: await HouseImage.findByHouseId(house.id),
+    });
+  } catch (error) {
+    console.error("Error uploading house images:", error.message, error.stack);
+    sendErrorResponse(
+      res,
+      500,
+      ServerError.INTERNAL_SERVER_ERROR,
+      error.message
+    );
+  }
+};
+
+// @route   PUT /api/houses/:id/images/order
+// @desc    Reorder the photo gallery of a house
+// @access  Private (Landlord only, for their own houses)
+const reorderHouseImages = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { id: userId, role } = req.user;
+    const { imageIds } = req.body;
+
+    const house = await House.findById(id);
+    if (!house) {
+      return sendErrorResponse(
+        res,
+        404,
+        "House Not Found",
+        `House with ID ${id} does not exist.`
+      );
+    }
+
+    if (role !== ROLE.LANDLORD || house.landlord_id !== userId) {
+      return sendErrorResponse(
+        res,
+        403,
+        AuthenticationError.FORBIDDEN,
+        "You are not authorized to manage images for this house listing."
+      );
+    }
+
+    // The new order must list every image of the house exactly once
+    const currentIds = house.images
+      .map((image) => image.id)
+      .sort((a, b) => a - b);
+    const requestedIds = Array.isArray(imageIds)
+      ? imageIds.map((imageId) => parseInt(imageId)).sort((a, b) => a - b)
+      : [];
+    if (
+      requestedIds.length !== currentIds.length ||
+      new Set(requestedIds).size !== requestedIds.length ||
+      requestedIds.some((imageId, index) => imageId !== currentIds[index])
+    ) {
+      return sendErrorResponse(
+        res,
+        400,
+        ValidationError.INVALID_INPUT,
+        "imageIds must list every image of this house exactly once."
+      );
+    }
+
+    await HouseImage.reorder(
+      house.id,
+      imageIds.map((imageId) => parseInt(imageId))
+    );
+
+    sendSuccessResponse(res, 200, "House images reordered successfully.", {
+      images: await HouseImage.findByHouseId(house.id),
+    });
+  } catch (error) {
+    console.error("Error reordering house images:", error.message, error.stack);
+    sendErrorResponse(
+      res,
+      500,
+      ServerError.INTERNAL_SERVER_ERROR,
+      error.message
+    );
+  }
+};
+
+// @route   PUT /api/houses/:id/images/:imageId
+// @desc    Update an image's caption and/or make it the cover photo
+// @access  Private (Landlord only, for their own houses)
+const updateHouseImage = async (req, res) => {
+  try {
+    const { id, imageId } = req.params;
+    const { id: userId, role } = req.user;
+    const { caption, is_cover } = req.body;
+
+    const house = await House.findById(id);
+    if (!house) {
+      return sendErrorResponse(
+        res,
+        404,
+        "House Not Found",
+        `House with ID ${id} does not exist.`
+      );
+    }
+
+    if (role !== ROLE.LANDLORD || house.landlord_id !== userId) {
+      return sendErrorResponse(
+        res,
+        403,
+        AuthenticationError.FORBIDDEN,
+        "You are not authorized to manage images for this house listing."
+      );
+    }
+
+    const image = await HouseImage.findById(imageId);
+    if (!image || image.house_id !== house.id) {
+      return sendErrorResponse(
+        res,
+        404,
+        "Image Not Found",
+        `Image with ID ${imageId} does not exist for this house.`
+      );
+    }
+
+    if (caption === undefined && is_cover === undefined) {
+      return sendErrorResponse(
+        res,
+        400,
+        ValidationError.INVALID_INPUT,
+        "Provide a caption and/or is_cover to update."
+      );
+    }
+    if (
+      caption !== undefined &&
+      caption !== null &&
+      (typeof caption !== "string" || caption.length > MAX_CAPTION_LENGTH)
+    ) {
+      return sendErrorResponse(
+        res,
+        400,
+        ValidationError.INVALID_INPUT,
+        `Caption must be a string of at most ${MAX_CAPTION_LENGTH} characters.`
+      );
+    }
+    if (is_cover !== undefined && is_cover !== true) {
+      return sendErrorResponse(
+        res,
+        400,
+        ValidationError.INVALID_INPUT,
+        "is_cover can only be set to true. Choose another image as cover instead."
+      );
+    }
+
+    if (caption !== undefined) {
+      await HouseImage.updateCaption(image.id, caption || null);
+    }
+    if (is_cover) {
+      await HouseImage.setCover(house.id, image.id);
+    }
+
+    sendSuccessResponse(res, 200, "House image updated successfully.", {
+      image: await HouseImage.findById(image.id),
+    });
+  } catch (error) {
+    console.error("Error updating house image:", error.message, error.stack);
+    sendErrorResponse(
+      res,
+      500,
+      ServerError.INTERNAL_SERVER_ERROR,
+      error.message
+    );
+  }
+};
+
+// @route   DELETE /api/houses/:id/images/:imageId
+// @desc    Delete a photo from a house's gallery
+// @access  Private (Landlord only, for their own houses)
+const deleteHouseImage = async (req, res) => {
+  try {
+    const { id, imageId } = req.params;
+    const { id: userId, role } = req.user;
+
+    const house = await House.findById(id);
+    if (!house) {
+      return sendErrorResponse(
+        res,
+        404,
+        "House Not Found",
+        `House with ID ${id} does not exist.`
+      );
+    }
+
+    if (role !== ROLE.LANDLORD || house.landlord_id !== userId) {
+      return sendErrorResponse(
+        res,
+        403,
+        AuthenticationError.FORBIDDEN,
+        "You are not authorized to manage images for this house listing."
+      );
+    }
+
+    const image = await HouseImage.findById(imageId);
+    if (!image || image.house_id !== house.id) {
+      return sendErrorResponse(
+        res,
+        404,
+        "Image Not Found",
+        `Image with ID ${imageId} does not exist for this house.`
+      );
+    }
+
+    const deleted = await HouseImage.delete(image);
+    if (!deleted) {
+      return sendErrorResponse(
+        res,
+        400,
+        "Delete Failed",
+        "Failed to delete house image."
+      );
+    }
+    await removeFile(image.storage_key);
+
+    sendSuccessResponse(res, 200, "House image deleted successfully.", {
+      id: image.id,
+    });
+  } catch (error) {
+    console.error("Error deleting house image:", error.message, error.stack);
+    sendErrorResponse(
+      res,
+      500,
+      ServerError.INTERNAL_SERVER_ERROR,
+      error.message
+    );
+  }
+};
+
+module.exports = {
+  getHouseImages,
+  uploadHouseImages,
+  reorderHouseImages,
+  updateHouseImage,
+  deleteHouseImage,
+};
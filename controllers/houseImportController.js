@@ -0,0 +1,175 @@
+// controllers/houseImportController.js
+const House = require("../models/House");
+const { sendSuccessResponse, sendErrorResponse } = require("../utils/helpers");
+const { validateNewHouse } = require("../utils/houseValidation");
+const { parseCsv } = require("../utils/csv");
+const { ServerError, ValidationError } = require("../utils/constants");
+
+const MAX_IMPORT_ROWS = 500;
+
+/**
+ * Reads the listings out of an uploaded import file.
+ * @param {object} file - The multer file (a .csv with a header row, or a .json array / {"houses": [...]}).
+ * @returns {{rows: Array}|{error: string}} The raw rows, or a message describing why the file could not be read.
+ */
+const readImportFile = (file) => {
+  const text = file.buffer.toString("utf8");
+  if (/\.csv$/i.test(file.originalname)) {
+    try {
+      return { rows: parseCsv(text) };
+    } catch (error) {
+      return { error: error.message };
+    }
+  }
+
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch (error) {
+    return { error: "The JSON file could not be parsed." };
+  }
+  const rows = Array.isArray(parsed) ? parsed : parsed && parsed.houses;
+  if (!Array.isArray(rows)) {
+    return {
+      error: 'JSON imports must be an array of houses or {"houses": [...]}.',
+    };
+  }
+  return { rows };
+};
+
+/**
+ * Converts a raw import row into the shape POST /api/houses accepts.
+ * Empty CSV cells are treated as missing, and amenities may be a list of codes separated by ";" or "|".
+ * @param {object} row - A raw CSV or JSON row.
+ * @returns {object} The listing fields.
+ */
+const normaliseImportRow = (row) => {
+  const fields = {};
+  for (const [key, value] of Object.entries(row)) {
+    if (value !== "" && value !== null) {
+      fields[key] = value;
+    }
+  }
+  if (typeof fields.amenities === "string") {
+    fields.amenities = fields.amenities
+      .split(/[;|]/)
+      .map((code) => code.trim())
+      .filter((code) => code.length > 0);
+  }
+  return fields;
+};
+
+// @route   POST /api/houses/import
+// @desc    Bulk import house listings from a CSV or JSON file (multipart field "file").
+//          ?dryRun=true only validates and reports row-level errors; otherwise the valid rows are created as drafts in one transaction.
+// @access  Private (Landlord only)
+const importHouses = async (req, res) => {
+  try {
+    const { id: landlordId } = req.user;
+    const dryRun = req.query.dryRun === "true";
+
+    if (!req.file) {
+      return sendErrorResponse(
+        res,
+        400,
+        ValidationError.INVALID_INPUT,
+        'A .csv or .json file is required in the "file" field.'
+      );
+    }
+
+    const { rows, error } = readImportFile(req.file);
+    if (error) {
+      return sendErrorResponse(res, 400, ValidationError.INVALID_INPUT, error);
+    }
+    if (rows.length === 0) {
+      return sendErrorResponse(
+        res,
+        400,
+        ValidationError.INVALID_INPUT,
+        "The import file does not contain any houses."
+      );
+    }
+    if (rows.length > MAX_IMPORT_ROWS) {
+      return sendErrorResponse(
+        res,
+        400,
+        ValidationError.INVALID_INPUT,
+        `An import can contain at most ${MAX_IMPORT_ROWS} houses. This file has ${rows.length}.`
+      );
+    }
+
+    // Validate every row with the same rules as POST /api/houses
+    const results = [];
+    const listings = [];
+    for (const [index, row] of rows.entries()) {
+      const result = { row: index + 1 };
+      if (!row || typeof row !== "object" || Array.isArray(row)) {
+        results.push({
+          ...result,
+          status: "invalid",
+          error: "Each house must be an object.",
+        });
+        continue;
+      }
+      const {
+        house,
+        amenityIds,
+        error: rowError,
+      } = await validateNewHouse(normaliseImportRow(row), landlordId);
+      if (rowError) {
+        results.push({ ...result, status: "invalid", error: rowError.message });
+        continue;
+      }
+      results.push({ ...result, status: "valid", title: house.title });
+      listings.push({ result: results[results.length - 1], house, amenityIds });
+    }
+
+    const summary = {
+      total: rows.length,
+      valid: listings.length,
+      invalid: rows.length - listings.length,
+      created: 0,
+    };
+
+    if (dryRun) {
+      return sendSuccessResponse(res, 200, "Import validated (dry run).", {
+        dryRun,
+        summary,
+        results,
+      });
+    }
+
+    if (listings.length === 0) {
+      return sendErrorResponse(res, 400, "Import Failed", {
+        message: "No valid houses to import.",
+        summary,
+        results,
+      });
+    }
+
+    const houseIds = await House.createMany(listings);
+    listings.forEach((listing, index) => {
+      listing.result.status = "created";
+      listing.result.houseId = houseIds[index];
+    });
+    summary.created = houseIds.length;
+
+    sendSuccessResponse(res, 201, "Houses imported as drafts successfully.", {
+      dryRun,
+      summary,
+      results,
+    });
+  } catch (error) {
+    console.error("Error importing houses:", error.message, error.stack);
+    sendErrorResponse(
+      res,
+      500,
+      ServerError.INTERNAL_SERVER_ERROR,
+      error.message
+    );
+  }
+};
+
+module.exports = {
+  importHouses,
+};
@@ -1,16 +1,54 @@
 const LeaseAgreement = require("../models/LeaseAgreement");
 const User = require("../models/user"); // Needed to verify landlord/tenant existence
 const House = require("../models/House"); // Needed to verify house existence and ownership
+const Notification = require("../models/Notification");
 const { sendSuccessResponse, sendErrorResponse } = require("../utils/helpers");
+const { resolveCurrency } = require("../utils/currency");
 const {
+  LEASE_STATUS,
+  NOTIFICATION_TYPE,
   ValidationError,
   AuthorizationError,
   NotFoundError,
   ServerError,
 } = require("../utils/constants");
 
+// Status changes with their own endpoint, which PUT /api/leases/:id does not make
+const STATUS_ENDPOINTS = {
+  [LEASE_STATUS.PENDING]: "POST /api/leases/:id/send",
+  [LEASE_STATUS.ACTIVE]: "POST /api/leases/:id/activate",
+};
+
+/**
+ * Prepares lease field changes from a request body: only admins can move a lease to another house,
+ * tenant or landlord, and the currency is resolved to its code.
+ * @param {object} updateData - Fields to change, from the request body. Modified in place.
+ * @param {string} currentUserRole - Role of the user making the change.
+ * @returns {Promise<string|null>} A validation message, or null if the changes are valid.
+ */
+const prepareLeaseChanges = async (updateData, currentUserRole) => {
+  // Prevent direct update of sensitive IDs if not admin
+  if (currentUserRole !== "admin") {
+    delete updateData.house_id;
+    delete updateData.tenant_id;
+    delete updateData.landlord_id;
+  }
+
+  if (updateData.currency !== undefined) {
+    const { currency, error: currencyError } = await resolveCurrency(
+      updateData.currency,
+      "currency"
+    );
+    if (currencyError) {
+      return currencyError;
+    }
+    updateData.currency = currency.code;
+  }
+  return null;
+};
+
 // @route   POST /api/leases
-// @desc    Create a new lease agreement
+// @desc    Create a new lease agreement. A lease created as active gets its rent payment schedule right away.
 // @access  Private (Landlord, Admin)
 const createLease = async (req, res) => {
   try {
@@ -21,6 +59,7 @@ const createLease = async (req, res) => {
       end_date,
       rent_amount,
       deposit_amount,
+      currency, // Optional, defaults to the house's currency
       terms,
       status, // Optional, defaults to 'pending'
       document_url,
@@ -84,6 +123,18 @@ const createLease = async (req, res) => {
       );
     }
 
+    // Amounts are in the house's currency unless the lease names another supported one
+    const { currency: leaseCurrency, error: currencyError } =
+      await resolveCurrency(currency || house.currency, "currency");
+    if (currencyError) {
+      return sendErrorResponse(
+        res,
+        400,
+        ValidationError.INVALID_INPUT,
+        currencyError
+      );
+    }
+
     // Use the house's landlord_id as the landlord_id for the lease
     const landlord_id = house.landlord_id;
 
@@ -95,13 +146,20 @@ const createLease = async (req, res) => {
       end_date,
       rent_amount,
       deposit_amount,
+      currency: leaseCurrency.code,
       terms,
-      status,
+      // Active leases start out pending and are activated below, which schedules their payments
+      status: status === LEASE_STATUS.ACTIVE ? LEASE_STATUS.PENDING : status,
       document_url,
     });
+    const activation =
+      status === LEASE_STATUS.ACTIVE
+        ? await LeaseAgreement.activate(leaseId)
+        : null;
 
     sendSuccessResponse(res, 201, "Lease agreement created successfully", {
       leaseId,
+      paymentsCreated: activation ? activation.paymentsCreated : 0,
     });
   } catch (error) {
     console.error(
@@ -196,6 +254,10 @@ const getLeaseById = async (req, res) => {
         "You are not authorized to view this lease agreement."
       );
     }
+    // Tenants only see a draft once their landlord sends it
+    if (currentUserRole === "tenant" && lease.status === LEASE_STATUS.DRAFT) {
+      return sendErrorResponse(res, 404, NotFoundError.LEASE_NOT_FOUND);
+    }
     if (
       currentUserRole !== "admin" &&
       currentUserRole !== "landlord" &&
@@ -228,12 +290,13 @@ const getLeaseById = async (req, res) => {
 };
 
 // @route   PUT /api/leases/:id
-// @desc    Update a lease agreement
+// @desc    Update a lease agreement. Status can only be changed to completed or terminated here; drafts are
+//          sent with POST /api/leases/:id/send and pending leases activated with POST /api/leases/:id/activate.
 // @access  Private (Landlord, Admin)
 const updateLease = async (req, res) => {
   try {
     const { id } = req.params;
-    const updateData = req.body;
+    const updateData = { ...req.body };
     const currentUserId = req.user.id;
     const currentUserRole = req.user.role;
 
@@ -259,11 +322,34 @@ const updateLease = async (req, res) => {
       );
     }
 
-    // Prevent direct update of sensitive IDs if not admin
-    if (currentUserRole !== "admin") {
-      delete updateData.house_id;
-      delete updateData.tenant_id;
-      delete updateData.landlord_id;
+    if (updateData.status === lease.status) {
+      delete updateData.status;
+    } else if (STATUS_ENDPOINTS[updateData.status]) {
+      return sendErrorResponse(
+        res,
+        400,
+        ValidationError.INVALID_INPUT,
+        `Use ${STATUS_ENDPOINTS[updateData.status]} to make a lease ${
+          updateData.status
+        }.`
+      );
+    } else if (updateData.status === LEASE_STATUS.DRAFT) {
+      return sendErrorResponse(
+        res,
+        400,
+        ValidationError.INVALID_INPUT,
+        "A lease cannot be moved back to draft."
+      );
+    }
+
+    const changesError = await prepareLeaseChanges(updateData, currentUserRole);
+    if (changesError) {
+      return sendErrorResponse(
+        res,
+        400,
+        ValidationError.INVALID_INPUT,
+        changesError
+      );
     }
 
     const updated = await LeaseAgreement.update(id, updateData);
@@ -294,6 +380,136 @@ const updateLease = async (req, res) => {
   }
 };
 
+// @route   POST /api/leases/:id/activate
+// @desc    Activate a pending lease and generate its rent payment schedule. Fields sent in the body (as for
+//          PUT /api/leases/:id) are changed in the same transaction, before the schedule is generated.
+// @access  Private (Landlord, Admin)
+const activateLease = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const updateData = { ...req.body };
+    const currentUserId = req.user.id;
+    const currentUserRole = req.user.role;
+
+    const lease = await LeaseAgreement.findById(id);
+    if (!lease) {
+      return sendErrorResponse(res, 404, NotFoundError.LEASE_NOT_FOUND);
+    }
+    if (currentUserRole === "landlord" && lease.landlord_id !== currentUserId) {
+      return sendErrorResponse(
+        res,
+        403,
+        AuthorizationError.NOT_AUTHORIZED,
+        "You are not authorized to activate this lease agreement."
+      );
+    } else if (currentUserRole !== "admin" && currentUserRole !== "landlord") {
+      return sendErrorResponse(
+        res,
+        403,
+        AuthorizationError.NOT_AUTHORIZED,
+        "Only landlords or administrators can activate lease agreements."
+      );
+    }
+
+    delete updateData.status;
+    const changesError = await prepareLeaseChanges(updateData, currentUserRole);
+    if (changesError) {
+      return sendErrorResponse(
+        res,
+        400,
+        ValidationError.INVALID_INPUT,
+        changesError
+      );
+    }
+
+    const activation = await LeaseAgreement.activate(id, updateData);
+    if (!activation) {
+      return sendErrorResponse(res, 404, NotFoundError.LEASE_NOT_FOUND);
+    }
+
+    sendSuccessResponse(res, 200, "Lease agreement activated", {
+      lease: await LeaseAgreement.findById(id),
+      paymentsCreated: activation.paymentsCreated,
+    });
+  } catch (error) {
+    console.error(
+      "Error activating lease agreement:",
+      error.message,
+      error.stack
+    );
+    if (error.statusCode === 409) {
+      return sendErrorResponse(res, 409, "Invalid State", error.message);
+    }
+    sendErrorResponse(
+      res,
+      500,
+      ServerError.INTERNAL_SERVER_ERROR,
+      error.message
+    );
+  }
+};
+
+// @route   POST /api/leases/:id/send
+// @desc    Send a draft lease (see PUT /api/rent-requests/:id/status) to the tenant, who is notified and can then see it
+// @access  Private (Landlord, Admin)
+const sendLease = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const currentUserId = req.user.id;
+    const currentUserRole = req.user.role;
+
+    const lease = await LeaseAgreement.findById(id);
+    if (!lease) {
+      return sendErrorResponse(res, 404, NotFoundError.LEASE_NOT_FOUND);
+    }
+    if (currentUserRole === "landlord" && lease.landlord_id !== currentUserId) {
+      return sendErrorResponse(
+        res,
+        403,
+        AuthorizationError.NOT_AUTHORIZED,
+        "You are not authorized to send this lease agreement."
+      );
+    } else if (currentUserRole !== "admin" && currentUserRole !== "landlord") {
+      return sendErrorResponse(
+        res,
+        403,
+        AuthorizationError.NOT_AUTHORIZED,
+        "Only landlords or administrators can send lease agreements."
+      );
+    }
+
+    if (!(await LeaseAgreement.send(id))) {
+      return sendErrorResponse(
+        res,
+        409,
+        "Invalid State",
+        "Only draft leases can be sent."
+      );
+    }
+    const house = await House.findById(lease.house_id);
+    await Notification.create({
+      user_id: lease.tenant_id,
+      type: NOTIFICATION_TYPE.LEASE_SENT,
+      source_id: lease.id,
+      message: `Your lease for "${
+        house ? house.title : "your new home"
+      }" is ready to review.`,
+    });
+
+    sendSuccessResponse(res, 200, "Lease agreement sent to the tenant", {
+      lease: await LeaseAgreement.findById(id),
+    });
+  } catch (error) {
+    console.error("Error sending lease agreement:", error.message, error.stack);
+    sendErrorResponse(
+      res,
+      500,
+      ServerError.INTERNAL_SERVER_ERROR,
+      error.message
+    );
+  }
+};
+
 // @route   DELETE /api/leases/:id
 // @desc    Delete a lease agreement
 // @access  Private (Landlord, Admin)
@@ -357,5 +573,7 @@ module.exports = {
   getAllLeases,
   getLeaseById,
   updateLease,
+  activateLease,
+  sendLease,
   deleteLease,
 };
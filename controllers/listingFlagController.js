@@ -0,0 +1,283 @@
+// controllers/listingFlagController.js
+const House = require("../models/House");
+const ListingFlag = require("../models/ListingFlag");
+const Notification = require("../models/Notification");
+const { sendSuccessResponse, sendErrorResponse } = require("../utils/helpers");
+const { canViewHouse } = require("../utils/houseStatus");
+const {
+  HOUSE_STATUS,
+  HOUSE_STATUS_REASON,
+  LISTING_FLAG_REASON,
+  LISTING_FLAG_SOURCE,
+  LISTING_FLAG_STATUS,
+  NOTIFICATION_TYPE,
+  NotFoundError,
+  ServerError,
+  ValidationError,
+} = require("../utils/constants");
+
+const MAX_DETAILS_LENGTH = 1000;
+const MAX_NOTE_LENGTH = 500;
+
+// @route   POST /api/houses/:id/report
+// @desc    Report a suspicious listing (scam, duplicate, misleading...). Reports go to the admin review queue.
+//          Body: reason (see LISTING_FLAG_REASON) and details, required when the reason is "other".
+// @access  Private (Tenant only)
+const reportHouse = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { id: userId } = req.user;
+    const { reason, details } = req.body;
+
+    if (!Object.values(LISTING_FLAG_REASON).includes(reason)) {
+      return sendErrorResponse(
+        res,
+        400,
+        ValidationError.INVALID_INPUT,
+        `Invalid reason. Allowed values: ${Object.values(
+          LISTING_FLAG_REASON
+        ).join(", ")}`
+      );
+    }
+    if (
+      details !== undefined &&
+      details !== null &&
+      (typeof details !== "string" || details.length > MAX_DETAILS_LENGTH)
+    ) {
+      return sendErrorResponse(
+        res,
+        400,
+        ValidationError.INVALID_INPUT,
+        `details must be text of at most ${MAX_DETAILS_LENGTH} characters.`
+      );
+    }
+    const trimmedDetails =
+      typeof details === "string" && details.trim() ? details.trim() : null;
+    if (reason === LISTING_FLAG_REASON.OTHER && !trimmedDetails) {
+      return sendErrorResponse(
+        res,
+        400,
+        ValidationError.INVALID_INPUT,
+        'Describe the problem in details when the reason is "other".'
+      );
+    }
+
+    const house = await House.findById(id);
+    if (!house || !canViewHouse(house, req.user)) {
+      return sendErrorResponse(
+        res,
+        404,
+        "House Not Found",
+        `House with ID ${id} does not exist.`
+      );
+    }
+
+    if (await ListingFlag.findOpenReport(house.id, userId)) {
+      return sendErrorResponse(
+        res,
+        409,
+        "Report Exists",
+        "You have already reported this listing. It is waiting for review."
+      );
+    }
+
+    const flagId = await ListingFlag.create({
+      house_id: house.id,
+      source: LISTING_FLAG_SOURCE.TENANT_REPORT,
+      reason,
+      details: trimmedDetails,
+      reported_by: userId,
+    });
+
+    sendSuccessResponse(
+      res,
+      201,
+      "Thank you. The listing has been reported for review.",
+      {
+        report: {
+          id: flagId,
+          house_id: house.id,
+          reason,
+          details: trimmedDetails,
+        },
+      }
+    );
+  } catch (error) {
+    console.error("Error reporting house listing:", error.message, error.stack);
+    sendErrorResponse(
+      res,
+      500,
+      ServerError.INTERNAL_SERVER_ERROR,
+      error.message
+    );
+  }
+};
+
+// @route   GET /api/moderation/flags
+// @desc    Get the review queue of suspicious listings: likely duplicates and tenant reports, oldest first.
+//          ?status= (default open), ?source= and ?houseId= filter it.
+// @access  Private (Admin only)
+const getListingFlags = async (req, res) => {
+  try {
+    const { status = LISTING_FLAG_STATUS.OPEN, source, houseId } = req.query;
+    if (!Object.values(LISTING_FLAG_STATUS).includes(status)) {
+      return sendErrorResponse(
+        res,
+        400,
+        ValidationError.INVALID_INPUT,
+        `Invalid status. Allowed values: ${Object.values(
+          LISTING_FLAG_STATUS
+        ).join(", ")}`
+      );
+    }
+    if (
+      source !== undefined &&
+      !Object.values(LISTING_FLAG_SOURCE).includes(source)
+    ) {
+      return sendErrorResponse(
+        res,
+        400,
+        ValidationError.INVALID_INPUT,
+        `Invalid source. Allowed values: ${Object.values(
+          LISTING_FLAG_SOURCE
+        ).join(", ")}`
+      );
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const offset = (page - 1) * limit;
+
+    const { flags, total } = await ListingFlag.findQueue({
+      status,
+      source,
+      houseId: parseInt(houseId) || undefined,
+      limit,
+      offset,
+    });
+
+    sendSuccessResponse(res, 200, "Listing flags retrieved successfully.", {
+      flags,
+      pagination: {
+        total,
+        page,
+        limit,
+        totalPages: Math.ceil(total / limit),
+      },
+    });
+  } catch (error) {
+    console.error("Error getting listing flags:", error.message, error.stack);
+    sendErrorResponse(
+      res,
+      500,
+      ServerError.INTERNAL_SERVER_ERROR,
+      error.message
+    );
+  }
+};
+
+// @route   PUT /api/moderation/flags/:id
+// @desc    Resolve a flag. "dismissed" closes this flag only; "actioned" unlists the listing, tells its landlord,
+//          and closes every open flag on it. Body: status and an optional note.
+// @access  Private (Admin only)
+const resolveListingFlag = async (req, res) => {
+  try {
+    const { status, note } = req.body;
+    if (
+      status !== LISTING_FLAG_STATUS.DISMISSED &&
+      status !== LISTING_FLAG_STATUS.ACTIONED
+    ) {
+      return sendErrorResponse(
+        res,
+        400,
+        ValidationError.INVALID_INPUT,
+        `Invalid status. Allowed values: ${LISTING_FLAG_STATUS.DISMISSED}, ${LISTING_FLAG_STATUS.ACTIONED}`
+      );
+    }
+    if (
+      note !== undefined &&
+      note !== null &&
+      (typeof note !== "string" || note.length > MAX_NOTE_LENGTH)
+    ) {
+      return sendErrorResponse(
+        res,
+        400,
+        ValidationError.INVALID_INPUT,
+        `note must be text of at most ${MAX_NOTE_LENGTH} characters.`
+      );
+    }
+    const trimmedNote =
+      typeof note === "string" && note.trim() ? note.trim() : null;
+
+    const flag = await ListingFlag.findById(req.params.id);
+    if (!flag) {
+      return sendErrorResponse(
+        res,
+        404,
+        NotFoundError.LISTING_FLAG_NOT_FOUND,
+        `Listing flag with ID ${req.params.id} does not exist.`
+      );
+    }
+    if (flag.status !== LISTING_FLAG_STATUS.OPEN) {
+      return sendErrorResponse(
+        res,
+        409,
+        "Invalid State",
+        "This flag has already been resolved."
+      );
+    }
+
+    if (status === LISTING_FLAG_STATUS.DISMISSED) {
+      await ListingFlag.resolve(flag.house_id, {
+        status,
+        note: trimmedNote,
+        resolvedBy: req.user.id,
+        flagId: flag.id,
+      });
+    } else {
+      if (flag.house_status !== HOUSE_STATUS.UNLISTED) {
+        await House.transitionStatus(flag.house_id, HOUSE_STATUS.UNLISTED, {
+          reason: HOUSE_STATUS_REASON.LISTING_REMOVED,
+          changedBy: req.user.id,
+          note: trimmedNote,
+        });
+        await Notification.create({
+          user_id: flag.landlord_id,
+          type: NOTIFICATION_TYPE.LISTING_REMOVED,
+          source_id: flag.house_id,
+          message: `Your listing "${
+            flag.house_title
+          }" was unlisted after a review${
+            trimmedNote ? `: ${trimmedNote}` : "."
+          }`,
+        });
+      }
+      await ListingFlag.resolve(flag.house_id, {
+        status,
+        note: trimmedNote,
+        resolvedBy: req.user.id,
+      });
+    }
+
+    sendSuccessResponse(res, 200, "Listing flag resolved successfully.", {
+      flag: await ListingFlag.findById(flag.id),
+    });
+  } catch (error) {
+    console.error("Error resolving listing flag:", error.message, error.stack);
+    if (error.statusCode === 409) {
+      return sendErrorResponse(res, 409, "Invalid State", error.message);
+    }
+    sendErrorResponse(
+      res,
+      500,
+      ServerError.INTERNAL_SERVER_ERROR,
+      error.message
+    );
+  }
+};
+
+module.exports = {
+  reportHouse,
+  getListingFlags,
+  resolveListingFlag,
+};
@@ -0,0 +1,113 @@
+// controllers/locationController.js
+const Location = require("../models/Location");
+const { sendSuccessResponse, sendErrorResponse } = require("../utils/helpers");
+const {
+  LOCATION_LEVEL,
+  NotFoundError,
+  ServerError,
+  ValidationError,
+} = require("../utils/constants");
+
+// @route   GET /api/locations
+// @desc    Browse the location hierarchy (province > district > sector > cell). With no filters the provinces are returned;
+//          ?parentId= lists the areas inside a location, ?level= and ?q= look areas up by level and name.
+// @access  Public
+const getLocations = async (req, res) => {
+  try {
+    const { parentId, level, q } = req.query;
+    const options = {};
+
+    if (parentId !== undefined) {
+      const parsedParentId = parseInt(parentId);
+      if (isNaN(parsedParentId) || parsedParentId <= 0) {
+        return sendErrorResponse(
+          res,
+          400,
+          ValidationError.INVALID_INPUT,
+          "parentId must be a positive integer."
+        );
+      }
+      options.parentId = parsedParentId;
+    }
+    if (level !== undefined) {
+      if (!Object.values(LOCATION_LEVEL).includes(level)) {
+        return sendErrorResponse(
+          res,
+          400,
+          ValidationError.INVALID_INPUT,
+          `Invalid level provided. Allowed values: ${Object.values(
+            LOCATION_LEVEL
+          ).join(", ")}`
+        );
+      }
+      options.level = level;
+    }
+    if (q !== undefined) {
+      const name = String(q).trim();
+      if (name.length < 2 || name.length > 100) {
+        return sendErrorResponse(
+          res,
+          400,
+          ValidationError.INVALID_INPUT,
+          "q must be between 2 and 100 characters."
+        );
+      }
+      options.q = name;
+    }
+    if (Object.keys(options).length === 0) {
+      options.level = LOCATION_LEVEL.PROVINCE;
+    }
+
+    const locations = await Location.findAll(options);
+
+    sendSuccessResponse(res, 200, "Locations retrieved successfully.", {
+      locations,
+    });
+  } catch (error) {
+    console.error("Error getting locations:", error.message, error.stack);
+    sendErrorResponse(
+      res,
+      500,
+      ServerError.INTERNAL_SERVER_ERROR,
+      error.message
+    );
+  }
+};
+
+// @route   GET /api/locations/:id
+// @desc    Get a location with its ancestors and the areas directly inside it
+// @access  Public
+const getLocationById = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const location = await Location.findById(id);
+    if (!location) {
+      return sendErrorResponse(
+        res,
+        404,
+        NotFoundError.LOCATION_NOT_FOUND,
+        `Location with ID ${id} does not exist.`
+      );
+    }
+
+    location.children = await Location.findAll({ parentId: location.id });
+
+    sendSuccessResponse(res, 200, "Location retrieved successfully.", {
+      location,
+    });
+  } catch (error) {
+    console.error("Error getting location:", error.message, error.stack);
+    sendErrorResponse(
+      res,
+      500,
+      ServerError.INTERNAL_SERVER_ERROR,
+      error.message
+    );
+  }
+};
+
+module.exports = {
+  getLocations,
+  getLocationById,
+};
@@ -0,0 +1,241 @@
+// controllers/moderationController.js
+const House = require("../models/House");
+const Notification = require("../models/Notification");
+const Review = require("../models/Review");
+const { sendSuccessResponse, sendErrorResponse } = require("../utils/helpers");
+const {
+  MODERATION_STATUS,
+  NOTIFICATION_TYPE,
+  REVIEW_STATUS,
+  NotFoundError,
+  ServerError,
+  ValidationError,
+} = require("../utils/constants");
+
+const MAX_REASON_LENGTH = 500;
+
+/**
+ * Loads a listing that is waiting for review, or sends the matching error response.
+ * @param {object} res - Express response object.
+ * @param {string|number} id - The ID of the house.
+ * @returns {Promise<object|null>} The house, or null if a response was sent.
+ */
+const findPendingHouse = async (res, id) => {
+  const house = await House.findById(id);
+  if (!house) {
+    sendErrorResponse(
+      res,
+      404,
+      "House Not Found",
+      `House with ID ${id} does not exist.`
+    );
+    return null;
+  }
+  if (house.moderation_status !== MODERATION_STATUS.PENDING) {
+    sendErrorResponse(
+      res,
+      409,
+      "Invalid State",
+      "This listing is not waiting for review."
+    );
+    return null;
+  }
+  return house;
+};
+
+// @route   GET /api/moderation/houses
+// @desc    Get the listings waiting for review, oldest first
+// @access  Private (Admin only)
+const getModerationQueue = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const offset = (page - 1) * limit;
+
+    const { houses, total } = await House.findPendingModeration({
+      limit,
+      offset,
+    });
+
+    sendSuccessResponse(res, 200, "Moderation queue retrieved successfully.", {
+      houses,
+      pagination: {
+        total,
+        page,
+        limit,
+        totalPages: Math.ceil(total / limit),
+      },
+    });
+  } catch (error) {
+    console.error(
+      "Error getting moderation queue:",
+      error.message,
+      error.stack
+    );
+    sendErrorResponse(
+      res,
+      500,
+      ServerError.INTERNAL_SERVER_ERROR,
+      error.message
+    );
+  }
+};
+
+// @route   POST /api/moderation/houses/:id/approve
+// @desc    Approve a listing waiting for review and publish it
+// @access  Private (Admin only)
+const approveHouse = async (req, res) => {
+  try {
+    const house = await findPendingHouse(res, req.params.id);
+    if (!house) return;
+
+    if (!(await House.approveListing(house.id, req.user.id))) {
+      return sendErrorResponse(
+        res,
+        404,
+        "House Not Found",
+        `House with ID ${house.id} does not exist.`
+      );
+    }
+    await Notification.create({
+      user_id: house.landlord_id,
+      type: NOTIFICATION_TYPE.LISTING_APPROVED,
+      source_id: house.id,
+      message: `Your listing "${house.title}" was approved and is now live.`,
+    });
+
+    sendSuccessResponse(res, 200, "House listing approved and published.", {
+      house: await House.findById(house.id),
+    });
+  } catch (error) {
+    console.error("Error approving house listing:", error.message, error.stack);
+    if (error.statusCode === 409) {
+      return sendErrorResponse(res, 409, "Invalid State", error.message);
+    }
+    sendErrorResponse(
+      res,
+      500,
+      ServerError.INTERNAL_SERVER_ERROR,
+      error.message
+    );
+  }
+};
+
+// @route   POST /api/moderation/houses/:id/reject
+// @desc    Reject a listing waiting for review. It stays a draft and the landlord is told why.
+// @access  Private (Admin only)
+const rejectHouse = async (req, res) => {
+  try {
+    const { reason } = req.body;
+    if (
+      typeof reason !== "string" ||
+      !reason.trim() ||
+      reason.length > MAX_REASON_LENGTH
+    ) {
+      return sendErrorResponse(
+        res,
+        400,
+        ValidationError.INVALID_INPUT,
+        `A rejection reason of at most ${MAX_REASON_LENGTH} characters is required.`
+      );
+    }
+
+    const house = await findPendingHouse(res, req.params.id);
+    if (!house) return;
+
+    await House.setModeration(house.id, {
+      status: MODERATION_STATUS.REJECTED,
+      reason: reason.trim(),
+      moderatedBy: req.user.id,
+    });
+    await Notification.create({
+      user_id: house.landlord_id,
+      type: NOTIFICATION_TYPE.LISTING_REJECTED,
+      source_id: house.id,
+      message: `Your listing "${
+        house.title
+      }" was not approved: ${reason.trim()}`,
+    });
+
+    sendSuccessResponse(res, 200, "House listing rejected.", {
+      id: house.id,
+      moderation_status: MODERATION_STATUS.REJECTED,
+      moderation_reason: reason.trim(),
+    });
+  } catch (error) {
+    console.error("Error rejecting house listing:", error.message, error.stack);
+    sendErrorResponse(
+      res,
+      500,
+      ServerError.INTERNAL_SERVER_ERROR,
+      error.message
+    );
+  }
+};
+
+// @route   PUT /api/moderation/reviews/:id
+// @desc    Hide a review that breaks the content rules (reason required), or make a hidden review visible again
+// @access  Private (Admin only)
+const moderateReview = async (req, res) => {
+  try {
+    const { status, reason } = req.body;
+    if (!Object.values(REVIEW_STATUS).includes(status)) {
+      return sendErrorResponse(
+        res,
+        400,
+        ValidationError.INVALID_INPUT,
+        `Invalid status. Allowed values: ${Object.values(REVIEW_STATUS).join(
+          ", "
+        )}`
+      );
+    }
+    if (
+      status === REVIEW_STATUS.HIDDEN &&
+      (typeof reason !== "string" ||
+        !reason.trim() ||
+        reason.length > MAX_REASON_LENGTH)
+    ) {
+      return sendErrorResponse(
+        res,
+        400,
+        ValidationError.INVALID_INPUT,
+        `A reason of at most ${MAX_REASON_LENGTH} characters is required to hide a review.`
+      );
+    }
+
+    const review = await Review.findById(req.params.id);
+    if (!review) {
+      return sendErrorResponse(
+        res,
+        404,
+        NotFoundError.REVIEW_NOT_FOUND,
+        `Review with ID ${req.params.id} does not exist.`
+      );
+    }
+
+    await Review.setStatus(review.id, {
+      status,
+      reason: status === REVIEW_STATUS.HIDDEN ? reason.trim() : null,
+      moderatedBy: req.user.id,
+    });
+
+    sendSuccessResponse(res, 200, "Review moderated successfully.", {
+      review: await Review.findById(review.id),
+    });
+  } catch (error) {
+    console.error("Error moderating review:", error.message, error.stack);
+    sendErrorResponse(
+      res,
+      500,
+      ServerError.INTERNAL_SERVER_ERROR,
+      error.message
+    );
+  }
+};
+
+module.exports = {
+  getModerationQueue,
+  approveHouse,
+  rejectHouse,
+  moderateReview,
+};
@@ -1,6 +1,12 @@
 const RentPayment = require("../models/RentPayment");
 const House = require("../models/House");
+const PaymentTransaction = require("../models/PaymentTransaction");
 const { sendSuccessResponse, sendErrorResponse } = require("../utils/helpers");
+const {
+  resolveCurrency,
+  getExchangeRate,
+  convertAmount,
+} = require("../utils/currency");
 const {
   ROLE,
   PAYMENT_STATUS,
@@ -21,6 +27,7 @@ const createRentPayment = async (req, res) => {
       due_date,
       amount,
       paid_amount,
+      currency, // Optional, defaults to the house's currency
       status,
       payment_method,
       payment_date,
@@ -79,12 +86,24 @@ const createRentPayment = async (req, res) => {
       );
     }
 
+    const { currency: paymentCurrency, error: currencyError } =
+      await resolveCurrency(currency || house.currency, "currency");
+    if (currencyError) {
+      return sendErrorResponse(
+        res,
+        400,
+        ValidationError.INVALID_INPUT,
+        currencyError
+      );
+    }
+
     const newPaymentData = {
       tenant_id,
       house_id,
       due_date,
       amount,
       paid_amount: paid_amount !== undefined ? paid_amount : 0,
+      currency: paymentCurrency.code,
       status: status || PAYMENT_STATUS.PENDING,
       payment_method: payment_method || null,
       payment_date: payment_date || null,
@@ -205,6 +224,8 @@ const getRentPaymentById = async (req, res) => {
       );
     }
 
+    payment.transactions = await PaymentTransaction.findByPaymentId(paymentId);
+
     sendSuccessResponse(
       res,
       200,
@@ -288,6 +309,36 @@ const updateRentPayment = async (req, res) => {
         "Paid amount must be a number."
       );
     }
+    if (updates.currency !== undefined) {
+      const { currency, error: currencyError } = await resolveCurrency(
+        updates.currency,
+        "currency"
+      );
+      if (currencyError) {
+        return sendErrorResponse(
+          res,
+          400,
+          ValidationError.INVALID_INPUT,
+          currencyError
+        );
+      }
+      updates.currency = currency.code;
+    }
+    // Amounts are not converted, so once money is recorded against the payment its currency is fixed
+    if (
+      updates.currency !== undefined &&
+      updates.currency !== payment.currency
+    ) {
+      const transactions = await PaymentTransaction.findByPaymentId(paymentId);
+      if (transactions.length > 0 || Number(payment.paid_amount) > 0) {
+        return sendErrorResponse(
+          res,
+          409,
+          "Invalid State",
+          "The currency of a payment cannot be changed once money has been recorded against it."
+        );
+      }
+    }
 
     const updated = await RentPayment.update(paymentId, updates);
 
@@ -316,7 +367,7 @@ const updateRentPayment = async (req, res) => {
 };
 
 // @route   PUT /api/rent-payments/pay/:id
-// @desc    Tenant makes a payment
+// @desc    Tenant makes a payment, optionally in another currency (converted at the current exchange rate)
 // @access  Private (Tenant only)
 const makePayment = async (req, res) => {
   try {
@@ -352,24 +403,57 @@ const makePayment = async (req, res) => {
       );
     }
 
-    const updatedPaymentData = {
-      paid_amount: (payment.paid_amount || 0) + updates.amount,
+    if (typeof updates.amount !== "number" || updates.amount <= 0) {
+      return sendErrorResponse(
+        res,
+        400,
+        ValidationError.INVALID_INPUT,
+        "Amount must be a positive number."
+      );
+    }
+
+    // The tenant may pay in a currency other than the one the payment is due in
+    const { currency: paymentCurrency, error: paymentCurrencyError } =
+      await resolveCurrency(payment.currency, "currency");
+    if (paymentCurrencyError) {
+      throw new Error(paymentCurrencyError);
+    }
+    const { currency: paidCurrency, error: currencyError } =
+      await resolveCurrency(updates.currency || payment.currency, "currency");
+    if (currencyError) {
+      return sendErrorResponse(
+        res,
+        400,
+        ValidationError.INVALID_INPUT,
+        currencyError
+      );
+    }
+
+    const transaction = {
+      amount: updates.amount,
+      currency: paidCurrency.code,
+      exchange_rate: getExchangeRate(paidCurrency, paymentCurrency),
+      converted_amount: convertAmount(
+        updates.amount,
+        paidCurrency,
+        paymentCurrency
+      ),
       payment_method: updates.payment_method,
-      payment_date: new Date(),
-      status:
-        (payment.paid_amount || 0) + updates.amount >= payment.amount
-          ? PAYMENT_STATUS.PAID
-          : PAYMENT_STATUS.PENDING,
+      paid_by: userId,
     };
 
-    const updated = await RentPayment.update(paymentId, updatedPaymentData);
+    const result = await RentPayment.recordTransaction(paymentId, transaction);
 
-    if (!updated) {
+    if (!result) {
       throw new Error("Failed to update payment record.");
     }
 
     sendSuccessResponse(res, 200, "Payment recorded successfully.", {
       paymentId,
+      transaction: { id: result.transactionId, ...transaction },
+      paid_amount: result.paid_amount,
+      currency: paymentCurrency.code,
+      status: result.status,
     });
   } catch (error) {
     console.error("Error making payment:", error.message, error.stack);
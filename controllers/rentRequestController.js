@@ -1,16 +1,47 @@
 // controllers/rentRequestController.js
 const RentRequest = require("../models/RentRequest");
+const RentRequestDocument = require("../models/RentRequestDocument");
+const RentRequestOffer = require("../models/RentRequestOffer");
 const House = require("../models/House"); // Needed to update house status
-const { sendSuccessResponse, sendErrorResponse } = require("../utils/helpers");
+const Notification = require("../models/Notification");
+const {
+  sendSuccessResponse,
+  sendErrorResponse,
+  buildAttachmentDisposition,
+} = require("../utils/helpers");
+const {
+  validateRentApplication,
+} = require("../utils/rentApplicationValidation");
+const { screenApplication } = require("../services/applicationScreening");
+const { buildDraftLease } = require("../utils/leaseDraft");
+const {
+  buildStorageKey,
+  savePrivateFile,
+  readPrivateFile,
+  removePrivateFile,
+} = require("../services/storageService");
 const {
   ROLE,
   RENT_REQUEST_STATUS,
   HOUSE_STATUS,
+  HOUSE_STATUS_REASON,
+  NOTIFICATION_TYPE,
+  APPLICATION_DOCUMENT_TYPE,
   AuthenticationError,
+  NotFoundError,
   ServerError,
   ValidationError,
 } = require("../utils/constants");
 
+// Upload fields of an application (see applicationDocumentsUpload) and the document type each holds
+const DOCUMENT_FIELDS = {
+  id_document: APPLICATION_DOCUMENT_TYPE.ID_DOCUMENT,
+  payslips: APPLICATION_DOCUMENT_TYPE.PAYSLIP,
+};
+
+// Documents as sent to clients: files are kept in private storage and only served through the download endpoint
+const toPublicDocument = ({ storage_key, ...document }) => document;
+
 // Helper for parsing and validating common query parameters for rent requests
 const parseAndValidatePaginationParams = (reqQuery) => {
   const page = parseInt(reqQuery.page) || 1;
@@ -70,7 +101,10 @@ const parseAndValidatePaginationParams = (reqQuery) => {
 };
 
 // @route   POST /api/rent-requests
-// @desc    Create a new rent request
+// @desc    Create a new rent request: a rental application with employment_status, employer, monthly_income,
+//          income_currency (defaults to the house's), household_size, move_in_date, references and an optional message.
+//          Sent as multipart/form-data, it can include an "id_document" file and "payslips" files.
+//          The request expires unless the landlord responds by its respond_by deadline (see utils/responseDeadline.js).
 // @access  Private (Tenant only)
 const createRentRequest = async (req, res) => {
   try {
@@ -106,7 +140,7 @@ const createRentRequest = async (req, res) => {
         `House with ID ${house_id} does not exist.`
       );
     }
-    if (house.status !== HOUSE_STATUS.AVAILABLE) {
+    if (house.status !== HOUSE_STATUS.AVAILABLE || house.archived_at) {
       return sendErrorResponse(
         res,
         400,
@@ -144,12 +178,47 @@ const createRentRequest = async (req, res) => {
       );
     }
 
+    const { application, error: applicationError } =
+      await validateRentApplication(req.body, house);
+    if (applicationError) {
+      return sendErrorResponse(
+        res,
+        400,
+        ValidationError.INVALID_INPUT,
+        applicationError
+      );
+    }
+
     const requestId = await RentRequest.create({
       user_id, // CHANGED: tenant_id -> user_id
       house_id,
       message,
+      ...application,
     });
 
+    for (const [field, type] of Object.entries(DOCUMENT_FIELDS)) {
+      for (const file of (req.files && req.files[field]) || []) {
+        const stored = await savePrivateFile(
+          file.buffer,
+          buildStorageKey(`rent-requests/${requestId}`, file.mimetype)
+        );
+        try {
+          await RentRequestDocument.create({
+            rent_request_id: requestId,
+            type,
+            storage_key: stored.key,
+            original_name: file.originalname,
+            mime_type: file.mimetype,
+            size: file.size,
+          });
+        } catch (error) {
+          // Don't leave orphaned files behind if the record could not be saved
+          await removePrivateFile(stored.key);
+          throw error;
+        }
+      }
+    }
+
     sendSuccessResponse(res, 201, "Rent request created successfully.", {
       requestId,
     });
@@ -302,6 +371,14 @@ const getRentRequestById = async (req, res) => {
     }
     // Admin always has access
 
+    const documents = await RentRequestDocument.findByRentRequestId(request.id);
+    request.documents = documents.map(toPublicDocument);
+    request.offers = await RentRequestOffer.findByRentRequestId(request.id);
+    // The screening summary is for the landlord deciding on the application, not the applicant
+    if (role !== ROLE.TENANT) {
+      request.screening = await screenApplication(request, documents);
+    }
+
     sendSuccessResponse(res, 200, "Rent request retrieved successfully.", {
       request,
     });
@@ -321,7 +398,10 @@ const getRentRequestById = async (req, res) => {
 };
 
 // @route   PUT /api/rent-requests/:id/status
-// @desc    Update the status of a rent request (accept/reject/cancel)
+// @desc    Update the status of a rent request (accept/reject/cancel). Expired requests cannot be changed. When accepting, create_lease: true also drafts
+//          the tenant's lease for the landlord to review and send: from the terms accepted in the request's offer thread,
+//          or else from the house's rent and the requested move-in date. An optional `lease` object overrides terms, and
+//          lease_months (default 12) and deposit_amount (default one month) when no terms were agreed.
 // @access  Private (Landlord for accept/reject, Tenant for cancel)
 const updateRentRequestStatus = async (req, res) => {
   try {
@@ -339,6 +419,14 @@ const updateRentRequestStatus = async (req, res) => {
         ).join(", ")}`
       );
     }
+    if (newStatus === RENT_REQUEST_STATUS.EXPIRED) {
+      return sendErrorResponse(
+        res,
+        400,
+        ValidationError.INVALID_INPUT,
+        "Rent requests expire automatically when the landlord does not respond by the deadline."
+      );
+    }
 
     const request = await RentRequest.findById(id);
     if (!request) {
@@ -381,6 +469,15 @@ const updateRentRequestStatus = async (req, res) => {
 
     // Specific rules for status transitions
     // Admin can bypass some state checks if needed, but for now, applying universal rules.
+    if (request.status === RENT_REQUEST_STATUS.EXPIRED) {
+      // The tenant applies again instead; reopening would expire again on the next check
+      return sendErrorResponse(
+        res,
+        400,
+        "Invalid State",
+        "Cannot change the status of an expired rent request. Send a new rent request instead."
+      );
+    }
     if (
       request.status === RENT_REQUEST_STATUS.ACCEPTED ||
       request.status === RENT_REQUEST_STATUS.REJECTED
@@ -401,12 +498,43 @@ const updateRentRequestStatus = async (req, res) => {
         );
       }
     }
+    if (request.status === RENT_REQUEST_STATUS.ACCEPTED) {
+      // Cancelling the request, calling off its lease and releasing the house its tenant rents happen in one transaction
+      const withdrawn = await RentRequest.withdrawAcceptance(request.id, {
+        status: newStatus,
+        reason: HOUSE_STATUS_REASON.RENT_REQUEST_CANCELLED,
+        changedBy: userId,
+      });
+      if (!withdrawn) {
+        return sendErrorResponse(
+          res,
+          404,
+          "Rent Request Not Found",
+          `Rent request with ID ${id} does not exist.`
+        );
+      }
+      return sendSuccessResponse(
+        res,
+        200,
+        "Rent request status updated successfully.",
+        {
+          id,
+          newStatus,
+          houseReleased: withdrawn.houseReleased,
+          leasesTerminated: withdrawn.leasesTerminated,
+          paymentsDeleted: withdrawn.paymentsDeleted,
+        }
+      );
+    }
 
     if (isLandlordAuthorized || isAdminAuthorized) {
       // Landlords and Admins can accept/reject
       if (newStatus === RENT_REQUEST_STATUS.ACCEPTED) {
-        // Check if house is still available before accepting
-        if (house.status !== HOUSE_STATUS.AVAILABLE) {
+        // Check if house is still available (or reserved) before accepting
+        if (
+          house.status !== HOUSE_STATUS.AVAILABLE &&
+          house.status !== HOUSE_STATUS.RESERVED
+        ) {
           return sendErrorResponse(
             res,
             400,
@@ -414,40 +542,62 @@ const updateRentRequestStatus = async (req, res) => {
             "House is no longer available to be rented to this tenant."
           );
         }
-        // When accepted, update house status and assign user
-        await House.updateStatusAndTenant(
-          request.house_id,
-          HOUSE_STATUS.RENTED,
-          request.user_id // CHANGED: request.tenant_id -> request.user_id
-        );
-        // Also, reject all other pending requests for this house
-        const pendingRequestsForHouseResult = await RentRequest.findAll({
-          houseId: request.house_id,
-          status: RENT_REQUEST_STATUS.PENDING,
-          limit: 9999, // Fetch all for this house
-          offset: 0,
-        });
-
-        for (const pendingReq of pendingRequestsForHouseResult.requests) {
-          if (pendingReq.id !== request.id) {
-            await RentRequest.updateStatus(
-              pendingReq.id,
-              RENT_REQUEST_STATUS.REJECTED
+        let draftLease;
+        if (
+          req.body.create_lease === true ||
+          req.body.create_lease === "true"
+        ) {
+          const { lease, error: leaseError } = buildDraftLease(
+            request,
+            house,
+            req.body.lease || {},
+            await RentRequestOffer.findAccepted(request.id)
+          );
+          if (leaseError) {
+            return sendErrorResponse(
+              res,
+              400,
+              ValidationError.INVALID_INPUT,
+              leaseError
             );
           }
+          draftLease = lease;
         }
-      } else if (newStatus === RENT_REQUEST_STATUS.REJECTED) {
-        // If a previously accepted request is rejected, make house available (if it was rented by this user)
-        if (
-          request.status === RENT_REQUEST_STATUS.ACCEPTED &&
-          house.tenant_id === request.user_id // CHANGED: request.tenant_id -> request.user_id (assuming house.tenant_id is for the current tenant)
-        ) {
-          await House.updateStatusAndTenant(
-            request.house_id,
-            HOUSE_STATUS.AVAILABLE,
-            null
+
+        // Rent the house to this user and reject all other pending requests for it, atomically.
+        // The checks above are repeated under a row lock, so of two concurrent accepts only one wins (the other gets 409).
+        const accepted = await RentRequest.accept(request.id, {
+          changedBy: userId,
+          draftLease,
+        });
+        if (!accepted) {
+          return sendErrorResponse(
+            res,
+            404,
+            "Rent Request Not Found",
+            `Rent request with ID ${id} does not exist.`
           );
         }
+        // Tell every applicant whose request was rejected because the house is now taken
+        for (const rejectedRequest of accepted.rejectedRequests) {
+          await Notification.create({
+            user_id: rejectedRequest.user_id,
+            type: NOTIFICATION_TYPE.RENT_REQUEST_REJECTED,
+            source_id: rejectedRequest.id,
+            message: `Your rent request for "${house.title}" was declined because the house has been rented to another applicant.`,
+          });
+        }
+        return sendSuccessResponse(
+          res,
+          200,
+          "Rent request status updated successfully.",
+          {
+            id,
+            newStatus,
+            rejectedRequests: accepted.rejected,
+            leaseId: accepted.leaseId,
+          }
+        );
       } else if (newStatus === RENT_REQUEST_STATUS.PENDING) {
         if (!isAdminAuthorized) {
           // Only admin can potentially revert to pending for data correction
@@ -460,22 +610,8 @@ const updateRentRequestStatus = async (req, res) => {
         }
       }
     } else if (isTenantAuthorized) {
-      // Only tenants can cancel their own requests
-      if (newStatus === RENT_REQUEST_STATUS.CANCELLED) {
-        // A tenant can cancel their own pending or accepted request
-        if (request.status === RENT_REQUEST_STATUS.ACCEPTED) {
-          // If tenant cancels an accepted request, unassign them from the house
-          if (house.tenant_id === request.user_id) {
-            // CHANGED: request.tenant_id -> request.user_id
-            // Only if this tenant is currently assigned
-            await House.updateStatusAndTenant(
-              request.house_id,
-              HOUSE_STATUS.AVAILABLE,
-              null
-            );
-          }
-        }
-      } else {
+      // Only tenants can cancel their own requests (an accepted one is cancelled above)
+      if (newStatus !== RENT_REQUEST_STATUS.CANCELLED) {
         return sendErrorResponse(
           res,
           403,
@@ -506,6 +642,10 @@ const updateRentRequestStatus = async (req, res) => {
       error.message,
       error.stack
     );
+    if (error.statusCode === 409) {
+      // The house or request changed status concurrently and no longer allows this transition
+      return sendErrorResponse(res, 409, "Invalid State", error.message);
+    }
     sendErrorResponse(
       res,
       500,
@@ -570,6 +710,7 @@ const deleteRentRequest = async (req, res) => {
     //   );
     // }
 
+    const documents = await RentRequestDocument.findByRentRequestId(request.id);
     const deleted = await RentRequest.delete(id);
 
     if (!deleted) {
@@ -580,6 +721,10 @@ const deleteRentRequest = async (req, res) => {
         "Failed to delete rent request."
       );
     }
+    // The document records went with the request; remove their files too
+    for (const document of documents) {
+      await removePrivateFile(document.storage_key);
+    }
 
     sendSuccessResponse(res, 200, "Rent request deleted successfully.", { id });
   } catch (error) {
@@ -593,10 +738,75 @@ const deleteRentRequest = async (req, res) => {
   }
 };
 
+// @route   GET /api/rent-requests/:id/documents/:documentId
+// @desc    Download a document uploaded with a rental application
+// @access  Private (Tenant who applied, Landlord of the house, or Admin)
+const downloadRentRequestDocument = async (req, res) => {
+  try {
+    const { id, documentId } = req.params;
+    const { id: userId, role } = req.user;
+
+    const request = await RentRequest.findById(id);
+    if (!request) {
+      return sendErrorResponse(
+        res,
+        404,
+        "Rent Request Not Found",
+        `Rent request with ID ${id} does not exist.`
+      );
+    }
+    if (
+      (role === ROLE.TENANT && request.user_id !== userId) ||
+      (role === ROLE.LANDLORD && request.landlord_id !== userId)
+    ) {
+      return sendErrorResponse(
+        res,
+        403,
+        AuthenticationError.FORBIDDEN,
+        "You are not authorized to view the documents of this rent request."
+      );
+    }
+
+    const document = await RentRequestDocument.findById(request.id, documentId);
+    if (!document) {
+      return sendErrorResponse(
+        res,
+        404,
+        NotFoundError.RENT_REQUEST_DOCUMENT_NOT_FOUND,
+        `Document with ID ${documentId} does not exist on this rent request.`
+      );
+    }
+
+    const contents = await readPrivateFile(document.storage_key);
+    res.setHeader("Content-Type", document.mime_type);
+    res.setHeader("X-Content-Type-Options", "nosniff");
+    res.setHeader(
+      "Content-Disposition",
+      buildAttachmentDisposition(
+        document.original_name || `${document.type}-${document.id}`
+      )
+    );
+    res.status(200).send(contents);
+  } catch (error) {
+    console.error(
+      "Error downloading rent request document:",
+      error.message,
+      error.stack
+    );
+    sendErrorResponse(
+      res,
+      500,
+      ServerError.INTERNAL_SERVER_ERROR,
+      error.message
+    );
+  }
+};
+
 module.exports = {
   createRentRequest,
   getRentRequests, // <-- This is the new, combined function
   getRentRequestById,
   updateRentRequestStatus,
   deleteRentRequest,
+  downloadRentRequestDocument,
 };
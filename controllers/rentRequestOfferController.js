@@ -0,0 +1,276 @@
+// controllers/rentRequestOfferController.js
+const RentRequest = require("../models/RentRequest");
+const RentRequestOffer = require("../models/RentRequestOffer");
+const House = require("../models/House");
+const Notification = require("../models/Notification");
+const { sendSuccessResponse, sendErrorResponse } = require("../utils/helpers");
+const { getDefaultLeaseTerms } = require("../utils/leaseDraft");
+const { validateOfferTerms } = require("../utils/rentOfferValidation");
+const {
+  ROLE,
+  RENT_OFFER_STATUS,
+  RENT_REQUEST_STATUS,
+  NOTIFICATION_TYPE,
+  AuthenticationError,
+  NotFoundError,
+  ServerError,
+  ValidationError,
+} = require("../utils/constants");
+
+// What a party may do with an open offer from the other party; countering is proposing new terms
+const OFFER_RESPONSES = {
+  accept: RENT_OFFER_STATUS.ACCEPTED,
+  decline: RENT_OFFER_STATUS.DECLINED,
+};
+
+/**
+ * Loads a rent request and works out which side of the negotiation the user is on.
+ * Sends the 404 or 403 response itself when the user may not take part.
+ * @param {object} req - Express request, with params.id and the authenticated user.
+ * @param {object} res - Express response.
+ * @returns {Promise<{request: object, party: string, otherPartyId: number}|null>} The request, the user's party
+ *          (ROLE.TENANT or ROLE.LANDLORD) and the other party's user ID, or null if a response was sent.
+ */
+const loadNegotiation = async (req, res) => {
+  const { id: userId, role } = req.user;
+  const request = await RentRequest.findById(req.params.id);
+  if (!request) {
+    sendErrorResponse(
+      res,
+      404,
+      "Rent Request Not Found",
+      `Rent request with ID ${req.params.id} does not exist.`
+    );
+    return null;
+  }
+  if (role === ROLE.TENANT && request.user_id === userId) {
+    return { request, party: ROLE.TENANT, otherPartyId: request.landlord_id };
+  }
+  if (role === ROLE.LANDLORD && request.landlord_id === userId) {
+    return { request, party: ROLE.LANDLORD, otherPartyId: request.user_id };
+  }
+  sendErrorResponse(
+    res,
+    403,
+    AuthenticationError.FORBIDDEN,
+    "Only the applicant and the landlord can negotiate this rent request."
+  );
+  return null;
+};
+
+// @route   GET /api/rent-requests/:id/offers
+// @desc    Get the negotiation history of a rent request, oldest first
+// @access  Private (Tenant who applied, or Landlord of the house)
+const getRentRequestOffers = async (req, res) => {
+  try {
+    const negotiation = await loadNegotiation(req, res);
+    if (!negotiation) return;
+
+    sendSuccessResponse(
+      res,
+      200,
+      "Rent request offers retrieved successfully.",
+      {
+        offers: await RentRequestOffer.findByRentRequestId(
+          negotiation.request.id
+        ),
+      }
+    );
+  } catch (error) {
+    console.error(
+      "Error getting rent request offers:",
+      error.message,
+      error.stack
+    );
+    sendErrorResponse(
+      res,
+      500,
+      ServerError.INTERNAL_SERVER_ERROR,
+      error.message
+    );
+  }
+};
+
+// @route   POST /api/rent-requests/:id/offers
+// @desc    Propose terms on a pending rent request: rent_amount, currency, start_date, lease_months, deposit_amount
+//          and an optional message. Terms left out are carried over from the latest offer (or the listing);
+//          a carried-over start_date that has passed moves to today.
+//          Proposing while the other party has an open offer counters it. A landlord's offer counts as their
+//          response to the request, so it no longer expires.
+// @access  Private (Tenant who applied, or Landlord of the house)
+const proposeRentRequestOffer = async (req, res) => {
+  try {
+    const negotiation = await loadNegotiation(req, res);
+    if (!negotiation) return;
+    const { request, party, otherPartyId } = negotiation;
+
+    if (request.status !== RENT_REQUEST_STATUS.PENDING) {
+      return sendErrorResponse(
+        res,
+        409,
+        "Invalid State",
+        "Terms can only be negotiated on pending rent requests."
+      );
+    }
+
+    const offers = await RentRequestOffer.findByRentRequestId(request.id);
+    const house = await House.findById(request.house_id);
+    const baseTerms =
+      offers.length > 0
+        ? offers[offers.length - 1]
+        : getDefaultLeaseTerms(request, house);
+    const { offer, error } = await validateOfferTerms(req.body, baseTerms);
+    if (error) {
+      return sendErrorResponse(res, 400, ValidationError.INVALID_INPUT, error);
+    }
+
+    const { offerId, counteredOfferId } = await RentRequestOffer.propose(
+      request.id,
+      { ...offer, proposed_by: req.user.id, proposer_role: party }
+    );
+    if (party === ROLE.LANDLORD) {
+      await RentRequest.markResponded(request.id);
+    }
+    await Notification.create({
+      user_id: otherPartyId,
+      type: NOTIFICATION_TYPE.RENT_OFFER_RECEIVED,
+      source_id: request.id,
+      message: `${
+        counteredOfferId
+          ? "Your offer was countered"
+          : "New terms were proposed"
+      } on the rent request for "${request.house_title}": ${
+        offer.rent_amount
+      } ${offer.currency} a month for ${offer.lease_months} months from ${
+        offer.start_date
+      }.`,
+    });
+
+    sendSuccessResponse(res, 201, "Offer proposed successfully.", {
+      offer: await RentRequestOffer.findById(request.id, offerId),
+      counteredOfferId,
+    });
+  } catch (error) {
+    console.error(
+      "Error proposing rent request offer:",
+      error.message,
+      error.stack
+    );
+    if (error.statusCode === 409) {
+      return sendErrorResponse(res, 409, "Invalid State", error.message);
+    }
+    sendErrorResponse(
+      res,
+      500,
+      ServerError.INTERNAL_SERVER_ERROR,
+      error.message
+    );
+  }
+};
+
+// @route   PUT /api/rent-requests/:id/offers/:offerId
+// @desc    Accept or decline an open offer from the other party (body: action "accept" or "decline").
+//          Accepted terms are used for the lease drafted when the landlord accepts the rent request.
+// @access  Private (Tenant who applied, or Landlord of the house)
+const respondToRentRequestOffer = async (req, res) => {
+  try {
+    const status = OFFER_RESPONSES[req.body.action];
+    if (!status) {
+      return sendErrorResponse(
+        res,
+        400,
+        ValidationError.INVALID_INPUT,
+        `Invalid action. Allowed values: ${Object.keys(OFFER_RESPONSES).join(
+          ", "
+        )}. Propose new terms to counter.`
+      );
+    }
+
+    const negotiation = await loadNegotiation(req, res);
+    if (!negotiation) return;
+    const { request, party, otherPartyId } = negotiation;
+
+    const offer = await RentRequestOffer.findById(
+      request.id,
+      req.params.offerId
+    );
+    if (!offer) {
+      return sendErrorResponse(
+        res,
+        404,
+        NotFoundError.RENT_OFFER_NOT_FOUND,
+        `Offer with ID ${req.params.offerId} does not exist on this rent request.`
+      );
+    }
+    if (offer.proposer_role === party) {
+      return sendErrorResponse(
+        res,
+        403,
+        AuthenticationError.FORBIDDEN,
+        "You cannot answer your own offer."
+      );
+    }
+    if (request.status !== RENT_REQUEST_STATUS.PENDING) {
+      return sendErrorResponse(
+        res,
+        409,
+        "Invalid State",
+        "Terms can only be negotiated on pending rent requests."
+      );
+    }
+    // The request's status is checked again under a row lock, in case it was accepted or closed meanwhile
+    if (
+      !(await RentRequestOffer.respond(
+        request.id,
+        offer.id,
+        status,
+        req.user.id
+      ))
+    ) {
+      return sendErrorResponse(
+        res,
+        409,
+        "Invalid State",
+        "This offer has already been answered."
+      );
+    }
+    if (party === ROLE.LANDLORD) {
+      await RentRequest.markResponded(request.id);
+    }
+
+    await Notification.create({
+      user_id: otherPartyId,
+      type:
+        status === RENT_OFFER_STATUS.ACCEPTED
+          ? NOTIFICATION_TYPE.RENT_OFFER_ACCEPTED
+          : NOTIFICATION_TYPE.RENT_OFFER_DECLINED,
+      source_id: request.id,
+      message: `Your offer on the rent request for "${request.house_title}" was ${status}.`,
+    });
+
+    sendSuccessResponse(res, 200, `Offer ${status} successfully.`, {
+      offer: await RentRequestOffer.findById(request.id, offer.id),
+    });
+  } catch (error) {
+    console.error(
+      "Error responding to rent request offer:",
+      error.message,
+      error.stack
+    );
+    if (error.statusCode === 409) {
+      return sendErrorResponse(res, 409, "Invalid State", error.message);
+    }
+    sendErrorResponse(
+      res,
+      500,
+      ServerError.INTERNAL_SERVER_ERROR,
+      error.message
+    );
+  }
+};
+
+module.exports = {
+  getRentRequestOffers,
+  proposeRentRequestOffer,
+  respondToRentRequestOffer,
+};
@@ -0,0 +1,311 @@
+// controllers/reviewController.js
+const House = require("../models/House");
+const LeaseAgreement = require("../models/LeaseAgreement");
+const Review = require("../models/Review");
+const User = require("../models/user");
+const Notification = require("../models/Notification");
+const { sendSuccessResponse, sendErrorResponse } = require("../utils/helpers");
+const { canViewHouse } = require("../utils/houseStatus");
+const {
+  ROLE,
+  LEASE_STATUS,
+  NOTIFICATION_TYPE,
+  AuthenticationError,
+  NotFoundError,
+  ServerError,
+  ValidationError,
+} = require("../utils/constants");
+
+const MAX_COMMENT_LENGTH = 2000;
+const MAX_REPLY_LENGTH = 1000;
+
+/**
+ * Checks that a rating is a whole number of stars from 1 to 5.
+ * @param {*} value - The raw rating.
+ * @returns {boolean} True if the rating is valid.
+ */
+const isValidRating = (value) =>
+  Number.isInteger(value) && value >= 1 && value <= 5;
+
+/**
+ * Reads the page and limit query parameters of a review list.
+ * @param {object} query - The request query.
+ * @returns {{page: number, limit: number, offset: number}}
+ */
+const parsePagination = (query) => {
+  const page = parseInt(query.page) || 1;
+  const limit = parseInt(query.limit) || 10;
+  return { page, limit, offset: (page - 1) * limit };
+};
+
+// @route   POST /api/houses/:id/reviews
+// @desc    Review a house and its landlord after a completed tenancy (house_rating and landlord_rating 1-5, optional comment)
+// @access  Private (Tenant with a completed lease of the house)
+const createReview = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { id: tenantId } = req.user;
+    const { house_rating, landlord_rating, comment } = req.body;
+
+    if (!isValidRating(house_rating) || !isValidRating(landlord_rating)) {
+      return sendErrorResponse(
+        res,
+        400,
+        ValidationError.INVALID_INPUT,
+        "house_rating and landlord_rating must be whole numbers from 1 to 5."
+      );
+    }
+    if (
+      comment !== undefined &&
+      comment !== null &&
+      (typeof comment !== "string" || comment.length > MAX_COMMENT_LENGTH)
+    ) {
+      return sendErrorResponse(
+        res,
+        400,
+        ValidationError.INVALID_INPUT,
+        `comment must be text of at most ${MAX_COMMENT_LENGTH} characters.`
+      );
+    }
+
+    const house = await House.findById(id);
+    if (!house) {
+      return sendErrorResponse(
+        res,
+        404,
+        "House Not Found",
+        `House with ID ${id} does not exist.`
+      );
+    }
+
+    const lease = await LeaseAgreement.findLatestByTenantAndHouse(
+      tenantId,
+      house.id,
+      LEASE_STATUS.COMPLETED
+    );
+    if (!lease) {
+      return sendErrorResponse(
+        res,
+        403,
+        AuthenticationError.FORBIDDEN,
+        "Only tenants whose lease of this house has been completed can review it."
+      );
+    }
+
+    if (await Review.findByHouseAndTenant(house.id, tenantId)) {
+      return sendErrorResponse(
+        res,
+        409,
+        "Review Exists",
+        "You have already reviewed this house."
+      );
+    }
+
+    const trimmedComment =
+      typeof comment === "string" && comment.trim() ? comment.trim() : null;
+    const reviewId = await Review.create({
+      house_id: house.id,
+      landlord_id: house.landlord_id,
+      tenant_id: tenantId,
+      lease_id: lease.id,
+      house_rating,
+      landlord_rating,
+      comment: trimmedComment,
+    });
+    await Notification.create({
+      user_id: house.landlord_id,
+      type: NOTIFICATION_TYPE.REVIEW_RECEIVED,
+      source_id: reviewId,
+      message: `A former tenant rated "${house.title}" ${house_rating}/5.`,
+    });
+
+    sendSuccessResponse(res, 201, "Review submitted successfully.", {
+      review: await Review.findById(reviewId),
+    });
+  } catch (error) {
+    console.error("Error creating review:", error.message, error.stack);
+    // Two submissions racing past the duplicate check hit the unique house/tenant key
+    if (error.code === "ER_DUP_ENTRY") {
+      return sendErrorResponse(
+        res,
+        409,
+        "Review Exists",
+        "You have already reviewed this house."
+      );
+    }
+    sendErrorResponse(
+      res,
+      500,
+      ServerError.INTERNAL_SERVER_ERROR,
+      error.message
+    );
+  }
+};
+
+// @route   GET /api/houses/:id/reviews
+// @desc    Get the reviews of a house, newest first, with its rating summary
+// @access  Public for published listings; drafts only for their landlord or an admin
+const getHouseReviews = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { page, limit, offset } = parsePagination(req.query);
+
+    const house = await House.findById(id);
+    if (!house || !canViewHouse(house, req.user)) {
+      return sendErrorResponse(
+        res,
+        404,
+        "House Not Found",
+        `House with ID ${id} does not exist.`
+      );
+    }
+
+    const { reviews, total } = await Review.findByHouseId(house.id, {
+      limit,
+      offset,
+    });
+
+    sendSuccessResponse(res, 200, "House reviews retrieved successfully.", {
+      rating: {
+        average: Number(house.rating_average),
+        count: house.rating_count,
+        landlord_average: house.landlord_rating_average,
+        landlord_count: house.landlord_rating_count,
+      },
+      reviews,
+      pagination: {
+        total,
+        page,
+        limit,
+        totalPages: Math.ceil(total / limit),
+      },
+    });
+  } catch (error) {
+    console.error("Error getting house reviews:", error.message, error.stack);
+    sendErrorResponse(
+      res,
+      500,
+      ServerError.INTERNAL_SERVER_ERROR,
+      error.message
+    );
+  }
+};
+
+// @route   GET /api/reviews/landlords/:landlordId
+// @desc    Get the reviews of all of a landlord's houses, newest first, with the landlord's rating summary
+// @access  Public
+const getLandlordReviews = async (req, res) => {
+  try {
+    const { landlordId } = req.params;
+    const { page, limit, offset } = parsePagination(req.query);
+
+    const landlord = await User.findById(landlordId);
+    if (!landlord || landlord.role !== ROLE.LANDLORD) {
+      return sendErrorResponse(
+        res,
+        404,
+        AuthenticationError.USER_NOT_FOUND,
+        `Landlord with ID ${landlordId} does not exist.`
+      );
+    }
+
+    const ratings = await Review.getLandlordRatings([landlord.id]);
+    const { reviews, total } = await Review.findByLandlordId(landlord.id, {
+      limit,
+      offset,
+    });
+
+    sendSuccessResponse(res, 200, "Landlord reviews retrieved successfully.", {
+      landlord: { id: landlord.id, username: landlord.username },
+      rating: ratings[landlord.id] || { average: 0, count: 0 },
+      reviews,
+      pagination: {
+        total,
+        page,
+        limit,
+        totalPages: Math.ceil(total / limit),
+      },
+    });
+  } catch (error) {
+    console.error(
+      "Error getting landlord reviews:",
+      error.message,
+      error.stack
+    );
+    sendErrorResponse(
+      res,
+      500,
+      ServerError.INTERNAL_SERVER_ERROR,
+      error.message
+    );
+  }
+};
+
+// @route   POST /api/reviews/:id/reply
+// @desc    Post the landlord's public reply to a review. Each review can be answered once.
+// @access  Private (Landlord of the reviewed house)
+const replyToReview = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { reply } = req.body;
+
+    if (
+      typeof reply !== "string" ||
+      !reply.trim() ||
+      reply.length > MAX_REPLY_LENGTH
+    ) {
+      return sendErrorResponse(
+        res,
+        400,
+        ValidationError.INVALID_INPUT,
+        `A reply of at most ${MAX_REPLY_LENGTH} characters is required.`
+      );
+    }
+
+    const review = await Review.findById(id);
+    if (!review) {
+      return sendErrorResponse(
+        res,
+        404,
+        NotFoundError.REVIEW_NOT_FOUND,
+        `Review with ID ${id} does not exist.`
+      );
+    }
+    if (review.landlord_id !== req.user.id) {
+      return sendErrorResponse(
+        res,
+        403,
+        AuthenticationError.FORBIDDEN,
+        "You can only reply to reviews of your own houses."
+      );
+    }
+
+    if (!(await Review.addReply(review.id, reply.trim()))) {
+      return sendErrorResponse(
+        res,
+        409,
+        "Reply Exists",
+        "This review already has a reply."
+      );
+    }
+
+    sendSuccessResponse(res, 200, "Reply posted successfully.", {
+      review: await Review.findById(review.id),
+    });
+  } catch (error) {
+    console.error("Error replying to review:", error.message, error.stack);
+    sendErrorResponse(
+      res,
+      500,
+      ServerError.INTERNAL_SERVER_ERROR,
+      error.message
+    );
+  }
+};
+
+module.exports = {
+  createReview,
+  getHouseReviews,
+  getLandlordReviews,
+  replyToReview,
+};
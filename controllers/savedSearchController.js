@@ -0,0 +1,243 @@
+// controllers/savedSearchController.js
+const SavedSearch = require("../models/SavedSearch");
+const { sendSuccessResponse, sendErrorResponse } = require("../utils/helpers");
+const { parseHouseFilters } = require("../utils/houseFilters");
+const {
+  AuthenticationError,
+  NotFoundError,
+  ServerError,
+  ValidationError,
+} = require("../utils/constants");
+
+const MAX_SAVED_SEARCHES_PER_USER = 20;
+
+// GET /api/houses query parameters that can be saved (pagination and sorting are not part of a search)
+const SAVED_SEARCH_FILTERS = [
+  "q",
+  "minRent",
+  "maxRent",
+  "currency",
+  "bedrooms",
+  "bathrooms",
+  "near",
+  "radiusKm",
+  "bbox",
+  "amenities",
+  "locationId",
+];
+
+/**
+ * Validates the name, filters and email_alerts of a saved search request body.
+ * @param {object} body - The request body.
+ * @param {boolean} partial - True for updates, where every field is optional.
+ * @returns {Promise<{values: object}|{error: string}>} The validated values, or a validation message.
+ */
+const validateSavedSearch = async (body, partial) => {
+  const { name, filters, email_alerts } = body;
+  const values = {};
+
+  if (name !== undefined || !partial) {
+    if (
+      typeof name !== "string" ||
+      name.trim().length === 0 ||
+      name.trim().length > 100
+    ) {
+      return { error: "name must be between 1 and 100 characters." };
+    }
+    values.name = name.trim();
+  }
+
+  if (filters !== undefined || !partial) {
+    if (!filters || typeof filters !== "object" || Array.isArray(filters)) {
+      return {
+        error: "filters must be an object of GET /api/houses filter values.",
+      };
+    }
+    const unknown = Object.keys(filters).filter(
+      (key) => !SAVED_SEARCH_FILTERS.includes(key)
+    );
+    if (unknown.length > 0) {
+      return {
+        error: `Unsupported filters: ${unknown.join(
+          ", "
+        )}. Allowed filters: ${SAVED_SEARCH_FILTERS.join(", ")}`,
+      };
+    }
+    const { error } = await parseHouseFilters(filters);
+    if (error) {
+      return { error };
+    }
+    values.filters = filters;
+  }
+
+  if (email_alerts !== undefined) {
+    if (typeof email_alerts !== "boolean") {
+      return { error: "email_alerts must be true or false." };
+    }
+    values.email_alerts = email_alerts;
+  }
+
+  return { values };
+};
+
+// @route   GET /api/saved-searches
+// @desc    Get the authenticated tenant's saved searches
+// @access  Private (Tenant only)
+const getSavedSearches = async (req, res) => {
+  try {
+    const savedSearches = await SavedSearch.findByUserId(req.user.id);
+
+    sendSuccessResponse(res, 200, "Saved searches retrieved successfully.", {
+      savedSearches,
+    });
+  } catch (error) {
+    console.error("Error getting saved searches:", error.message, error.stack);
+    sendErrorResponse(
+      res,
+      500,
+      ServerError.INTERNAL_SERVER_ERROR,
+      error.message
+    );
+  }
+};
+
+// @route   POST /api/saved-searches
+// @desc    Save a house search; new matching listings trigger a notification (and an email if email_alerts is on)
+// @access  Private (Tenant only)
+const createSavedSearch = async (req, res) => {
+  try {
+    const { values, error } = await validateSavedSearch(req.body, false);
+    if (error) {
+      return sendErrorResponse(res, 400, ValidationError.INVALID_INPUT, error);
+    }
+
+    const count = await SavedSearch.countByUserId(req.user.id);
+    if (count >= MAX_SAVED_SEARCHES_PER_USER) {
+      return sendErrorResponse(
+        res,
+        400,
+        ValidationError.INVALID_INPUT,
+        `You can save at most ${MAX_SAVED_SEARCHES_PER_USER} searches.`
+      );
+    }
+
+    const savedSearchId = await SavedSearch.create({
+      user_id: req.user.id,
+      ...values,
+    });
+    const savedSearch = await SavedSearch.findById(savedSearchId);
+
+    sendSuccessResponse(res, 201, "Search saved successfully.", {
+      savedSearch,
+    });
+  } catch (error) {
+    console.error("Error saving search:", error.message, error.stack);
+    sendErrorResponse(
+      res,
+      500,
+      ServerError.INTERNAL_SERVER_ERROR,
+      error.message
+    );
+  }
+};
+
+// @route   PUT /api/saved-searches/:id
+// @desc    Rename a saved search, change its filters or toggle email alerts
+// @access  Private (Owner only)
+const updateSavedSearch = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const savedSearch = await SavedSearch.findById(id);
+    if (!savedSearch) {
+      return sendErrorResponse(
+        res,
+        404,
+        NotFoundError.SAVED_SEARCH_NOT_FOUND,
+        "Saved search not found."
+      );
+    }
+    if (savedSearch.user_id !== req.user.id) {
+      return sendErrorResponse(
+        res,
+        403,
+        AuthenticationError.FORBIDDEN,
+        "You are not authorized to update this saved search."
+      );
+    }
+
+    const { values, error } = await validateSavedSearch(req.body, true);
+    if (error) {
+      return sendErrorResponse(res, 400, ValidationError.INVALID_INPUT, error);
+    }
+    if (Object.keys(values).length === 0) {
+      return sendErrorResponse(
+        res,
+        400,
+        ValidationError.INVALID_INPUT,
+        "No valid fields provided for update."
+      );
+    }
+
+    await SavedSearch.update(id, values);
+    const updatedSearch = await SavedSearch.findById(id);
+
+    sendSuccessResponse(res, 200, "Saved search updated successfully.", {
+      savedSearch: updatedSearch,
+    });
+  } catch (error) {
+    console.error("Error updating saved search:", error.message, error.stack);
+    sendErrorResponse(
+      res,
+      500,
+      ServerError.INTERNAL_SERVER_ERROR,
+      error.message
+    );
+  }
+};
+
+// @route   DELETE /api/saved-searches/:id
+// @desc    Delete a saved search
+// @access  Private (Owner only)
+const deleteSavedSearch = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const savedSearch = await SavedSearch.findById(id);
+    if (!savedSearch) {
+      return sendErrorResponse(
+        res,
+        404,
+        NotFoundError.SAVED_SEARCH_NOT_FOUND,
+        "Saved search not found."
+      );
+    }
+    if (savedSearch.user_id !== req.user.id) {
+      return sendErrorResponse(
+        res,
+        403,
+        AuthenticationError.FORBIDDEN,
+        "You are not authorized to delete this saved search."
+      );
+    }
+
+    await SavedSearch.delete(id);
+
+    sendSuccessResponse(res, 200, "Saved search deleted successfully.");
+  } catch (error) {
+    console.error("Error deleting saved search:", error.message, error.stack);
+    sendErrorResponse(
+      res,
+      500,
+      ServerError.INTERNAL_SERVER_ERROR,
+      error.message
+    );
+  }
+};
+
+module.exports = {
+  getSavedSearches,
+  createSavedSearch,
+  updateSavedSearch,
+  deleteSavedSearch,
+};
@@ -2,6 +2,8 @@ const User = require("../models/user"); // Import your User model
 const { ROLE } = require("../utils/constants"); // Assuming you have roles
 const { sendSuccessResponse, sendErrorResponse } = require("../utils/helpers"); // Your utility functions
 const House = require("../models/House"); // Assuming you have a House model to check property ownership
+const RentRequest = require("../models/RentRequest");
+const { validateResponseDeadlineHours } = require("../utils/responseDeadline");
 
 /**
  * Get users by role. Only for Admins.
@@ -34,7 +36,7 @@ const getUsersByRole = async (req, res) => {
 };
 
 /**
- * Get a single user by ID.
+ * Get a single user by ID. Landlords include how they respond to rent requests (see RentRequest.getResponseStats).
  */
 const getUserById = async (req, res) => {
   try {
@@ -52,6 +54,10 @@ const getUserById = async (req, res) => {
       );
     }
 
+    if (user.role === ROLE.LANDLORD) {
+      user.response_stats = await RentRequest.getResponseStats(user.id);
+    }
+
     sendSuccessResponse(res, 200, "User retrieved successfully.", { user });
   } catch (error) {
     console.error("Error getting user by ID:", error.message);
@@ -59,6 +65,30 @@ const getUserById = async (req, res) => {
   }
 };
 
+/**
+ * Set the landlord's default deadline for responding to rent requests, in hours.
+ * Listings can override it; null goes back to the server default. Only for Landlords.
+ */
+const updateResponseDeadline = async (req, res) => {
+  try {
+    const { hours, error } = validateResponseDeadlineHours(
+      req.body.response_deadline_hours
+    );
+    if (error) {
+      return sendErrorResponse(res, 400, "Invalid Input", error);
+    }
+
+    await User.update(req.user.id, { response_deadline_hours: hours });
+
+    sendSuccessResponse(res, 200, "Response deadline updated successfully.", {
+      response_deadline_hours: hours,
+    });
+  } catch (error) {
+    console.error("Error updating response deadline:", error.message);
+    sendErrorResponse(res, 500, "Internal Server Error", error.message);
+  }
+};
+
 /**
  * Deactivate a tenant by setting their status to 'inactive'.
  * Requires a landlord or admin role.
@@ -115,6 +145,7 @@ const deactivateTenant = async (req, res) => {
 module.exports = {
   getUsersByRole,
   getUserById,
+  updateResponseDeadline,
   deactivateTenant,
   // Export the new function
 };
@@ -22,6 +22,10 @@ const errorHandler = (err, req, res, next) => {
     statusCode = 400;
     message = `Resource not found with ID of ${err.value}`;
     errorDetails = "CastError";
+  } else if (err.name === "MulterError") {
+    // File upload errors (file too large, too many files, unexpected field)
+    statusCode = 400;
+    errorDetails = err.code;
   }
   // Add more custom error handling based on your application's needs
 
@@ -0,0 +1,24 @@
+// middleware/optionalAuth.js
+const { verifyToken } = require("../config/jwt");
+
+/**
+ * Like the 'auth' middleware, but for public routes: attaches req.user when a valid token
+ * is sent and otherwise lets the request through anonymously instead of rejecting it.
+ */
+const optionalAuth = (req, res, next) => {
+  const token = req.header("Authorization");
+  if (!token) {
+    return next();
+  }
+
+  try {
+    const decoded = verifyToken(token);
+    req.user = decoded.user;
+  } catch (err) {
+    // An invalid or expired token on a public route is treated as an anonymous request
+    req.user = undefined;
+  }
+  next();
+};
+
+module.exports = optionalAuth;
@@ -0,0 +1,81 @@
+// middleware/upload.js
+const multer = require("multer");
+
+const MAX_IMAGE_SIZE = 5 * 1024 * 1024; // 5 MB
+const MAX_IMAGES_PER_UPLOAD = 10;
+const ALLOWED_IMAGE_TYPES = ["image/jpeg", "image/png", "image/webp"];
+
+/**
+ * Multer instance for house photos. Files are kept in memory and handed to the
+ * storage service by the controller, so the storage backend stays pluggable.
+ */
+const imageUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_IMAGE_SIZE, files: MAX_IMAGES_PER_UPLOAD },
+  fileFilter: (req, file, cb) => {
+    if (!ALLOWED_IMAGE_TYPES.includes(file.mimetype)) {
+      const error = new Error(
+        `Unsupported image type. Allowed types: ${ALLOWED_IMAGE_TYPES.join(
+          ", "
+        )}`
+      );
+      error.statusCode = 400;
+      return cb(error);
+    }
+    cb(null, true);
+  },
+});
+
+const MAX_IMPORT_FILE_SIZE = 2 * 1024 * 1024; // 2 MB
+const IMPORT_FILE_PATTERN = /\.(csv|json)$/i;
+
+/**
+ * Multer instance for bulk listing imports: a single CSV or JSON file, kept in memory.
+ */
+const importUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_IMPORT_FILE_SIZE, files: 1 },
+  fileFilter: (req, file, cb) => {
+    if (!IMPORT_FILE_PATTERN.test(file.originalname)) {
+      const error = new Error("Import files must be .csv or .json files.");
+      error.statusCode = 400;
+      return cb(error);
+    }
+    cb(null, true);
+  },
+});
+
+const MAX_DOCUMENT_SIZE = 5 * 1024 * 1024; // 5 MB
+const MAX_PAYSLIPS = 3;
+const ALLOWED_DOCUMENT_TYPES = ["application/pdf", "image/jpeg", "image/png"];
+
+/**
+ * Multer instance for rental application documents: one ID document (field "id_document") and up to
+ * MAX_PAYSLIPS payslips (field "payslips"), kept in memory for the storage service.
+ */
+const applicationDocumentsUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_DOCUMENT_SIZE, files: MAX_PAYSLIPS + 1 },
+  fileFilter: (req, file, cb) => {
+    if (!ALLOWED_DOCUMENT_TYPES.includes(file.mimetype)) {
+      const error = new Error(
+        `Unsupported document type. Allowed types: ${ALLOWED_DOCUMENT_TYPES.join(
+          ", "
+        )}`
+      );
+      error.statusCode = 400;
+      return cb(error);
+    }
+    cb(null, true);
+  },
+}).fields([
+  { name: "id_document", maxCount: 1 },
+  { name: "payslips", maxCount: MAX_PAYSLIPS },
+]);
+
+module.exports = {
+  MAX_IMAGES_PER_UPLOAD,
+  imageUpload,
+  importUpload,
+  applicationDocumentsUpload,
+};
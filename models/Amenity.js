@@ -0,0 +1,187 @@
+// models/Amenity.js
+const { getPool } = require("../config/database");
+
+class Amenity {
+  /**
+   * Retrieves the full amenity catalogue.
+   * @returns {Array} An array of amenity objects ordered by category and name.
+   */
+  static async findAll() {
+    const pool = getPool();
+    const [rows] = await pool.execute(
+      `SELECT id, code, name, category FROM amenities ORDER BY category, name`
+    );
+    return rows;
+  }
+
+  /**
+   * Retrieves the amenities matching the given codes.
+   * @param {string[]} codes - Amenity codes (e.g., ['parking', 'furnished']).
+   * @returns {Array} An array of the amenity objects that exist.
+   */
+  static async findByCodes(codes) {
+    if (codes.length === 0) return [];
+    const pool = getPool();
+    const placeholders = codes.map(() => "?").join(", ");
+    const [rows] = await pool.execute(
+      `SELECT id, code, name, category FROM amenities WHERE code IN (${placeholders})`,
+      codes
+    );
+    return rows;
+  }
+
+  /**
+   * Retrieves the amenities of a house.
+   * @param {number} houseId - The ID of the house.
+   * @returns {Array} An array of amenity objects.
+   */
+  static async findByHouseId(houseId) {
+    const pool = getPool();
+    const [rows] = await pool.execute(
+      `SELECT a.id, a.code, a.name, a.category
+             FROM house_amenities ha
+             JOIN amenities a ON ha.amenity_id = a.id
+             WHERE ha.house_id = ?
+             ORDER BY a.category, a.name`,
+      [houseId]
+    );
+    return rows;
+  }
+
+  /**
+   * Retrieves the amenities of several houses in one query.
+   * @param {number[]} houseIds - The IDs of the houses.
+   * @returns {Object<number, Array>} A map of house ID to its array of amenities.
+   */
+  static async findByHouseIds(houseIds) {
+    const amenities = {};
+    if (houseIds.length === 0) return amenities;
+
+    const pool = getPool();
+    const placeholders = houseIds.map(() => "?").join(", ");
+    const [rows] = await pool.execute(
+      `SELECT ha.house_id, a.id, a.code, a.name, a.category
+             FROM house_amenities ha
+             JOIN amenities a ON ha.amenity_id = a.id
+             WHERE ha.house_id IN (${placeholders})
+             ORDER BY a.category, a.name`,
+      houseIds
+    );
+    for (const { house_id, ...amenity } of rows) {
+      (amenities[house_id] = amenities[house_id] || []).push(amenity);
+    }
+    return amenities;
+  }
+
+  /**
+   * Retrieves the shared amenities of a building.
+   * @param {number} buildingId - The ID of the building.
+   * @returns {Array} An array of amenity objects.
+   */
+  static async findByBuildingId(buildingId) {
+    const amenities = await Amenity.findByBuildingIds([buildingId]);
+    return amenities[buildingId] || [];
+  }
+
+  /**
+   * Retrieves the shared amenities of several buildings in one query.
+   * @param {number[]} buildingIds - The IDs of the buildings.
+   * @returns {Object<number, Array>} A map of building ID to its array of amenities.
+   */
+  static async findByBuildingIds(buildingIds) {
+    const amenities = {};
+    if (buildingIds.length === 0) return amenities;
+
+    const pool = getPool();
+    const placeholders = buildingIds.map(() => "?").join(", ");
+    const [rows] = await pool.execute(
+      `SELECT ba.building_id, a.id, a.code, a.name, a.category
+             FROM building_amenities ba
+             JOIN amenities a ON ba.amenity_id = a.id
+             WHERE ba.building_id IN (${placeholders})
+             ORDER BY a.category, a.name`,
+      buildingIds
+    );
+    for (const { building_id, ...amenity } of rows) {
+      (amenities[building_id] = amenities[building_id] || []).push(amenity);
+    }
+    return amenities;
+  }
+
+  /**
+   * Replaces the shared amenities of a building.
+   * @param {number} buildingId - The ID of the building.
+   * @param {number[]} amenityIds - IDs of the amenities the building now has.
+   * @returns {boolean} True once the amenities have been replaced.
+   */
+  static async setForBuilding(buildingId, amenityIds) {
+    const pool = getPool();
+    const connection = await pool.getConnection();
+    try {
+      await connection.beginTransaction();
+      await connection.execute(
+        "DELETE FROM building_amenities WHERE building_id = ?",
+        [buildingId]
+      );
+      if (amenityIds.length > 0) {
+        const placeholders = amenityIds.map(() => "(?, ?)").join(", ");
+        await connection.execute(
+          `INSERT INTO building_amenities (building_id, amenity_id) VALUES ${placeholders}`,
+          amenityIds.flatMap((amenityId) => [buildingId, amenityId])
+        );
+      }
+      await connection.commit();
+      return true;
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+
+  /**
+   * Replaces the amenities of a house.
+   * @param {number} houseId - The ID of the house.
+   * @param {number[]} amenityIds - IDs of the amenities the house now has.
+   * @returns {boolean} True once the amenities have been replaced.
+   */
+  static async setForHouse(houseId, amenityIds) {
+    const pool = getPool();
+    const connection = await pool.getConnection();
+    try {
+      await connection.beginTransaction();
+      await connection.execute(
+        "DELETE FROM house_amenities WHERE house_id = ?",
+        [houseId]
+      );
+      await Amenity.addToHouse(houseId, amenityIds, connection);
+      await connection.commit();
+      return true;
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+
+  /**
+   * Links amenities to a house, keeping the ones it already has.
+   * @param {number} houseId - The ID of the house.
+   * @param {number[]} amenityIds - IDs of the amenities to add.
+   * @param {object} [connection] - Optional connection to run on (to join a caller's transaction).
+   * @returns {boolean} True once the amenities have been added.
+   */
+  static async addToHouse(houseId, amenityIds, connection = getPool()) {
+    if (amenityIds.length === 0) return true;
+    const placeholders = amenityIds.map(() => "(?, ?)").join(", ");
+    await connection.execute(
+      `INSERT IGNORE INTO house_amenities (house_id, amenity_id) VALUES ${placeholders}`,
+      amenityIds.flatMap((amenityId) => [houseId, amenityId])
+    );
+    return true;
+  }
+}
+
+module.exports = Amenity;
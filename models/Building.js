@@ -0,0 +1,281 @@
+// models/Building.js
+const { getPool } = require("../config/database");
+const Amenity = require("./Amenity");
+const BuildingImage = require("./BuildingImage");
+const Location = require("./Location");
+
+// Shared fields that are copied onto every unit so unit search and filtering keep working
+const SHARED_UNIT_FIELDS = ["address", "latitude", "longitude", "location_id"];
+
+/**
+ * Summarises the occupancy of a building from its units.
+ * @param {Array} units - Units with `status` and `tenant_id`.
+ * @returns {{total_units: number, occupied_units: number, vacant_units: number, occupancy_rate: number, by_status: Object<string, number>}}
+ */
+const summariseOccupancy = (units) => {
+  const byStatus = {};
+  for (const unit of units) {
+    byStatus[unit.status] = (byStatus[unit.status] || 0) + 1;
+  }
+  const occupied = units.filter((unit) => unit.tenant_id).length;
+  return {
+    total_units: units.length,
+    occupied_units: occupied,
+    vacant_units: units.length - occupied,
+    occupancy_rate:
+      units.length > 0 ? Math.round((occupied / units.length) * 1000) / 10 : 0,
+    by_status: byStatus,
+  };
+};
+
+class Building {
+  /**
+   * Creates a new building (a property that groups several rentable units).
+   * @param {object} buildingData - Object containing landlord_id, name, address, description (optional), latitude and longitude (optional), location_id (optional).
+   * @returns {number} The ID of the newly created building.
+   */
+  static async create({
+    landlord_id,
+    name,
+    address,
+    description = null,
+    latitude = null,
+    longitude = null,
+    location_id = null,
+  }) {
+    const pool = getPool();
+    const [result] = await pool.execute(
+      `INSERT INTO buildings (landlord_id, name, description, address, latitude, longitude, location_id)
+             VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [
+        landlord_id,
+        name,
+        description,
+        address,
+        latitude,
+        longitude,
+        location_id,
+      ]
+    );
+    return result.insertId;
+  }
+
+  /**
+   * Retrieves a building by its ID, with its shared photos, amenities and location.
+   * @param {number} id - The ID of the building.
+   * @returns {object|null} The building object or null if not found.
+   */
+  static async findById(id) {
+    const pool = getPool();
+    const [rows] = await pool.execute(
+      `SELECT b.id, b.landlord_id, u.username as landlord_username,
+                    b.name, b.description, b.address, b.latitude, b.longitude,
+                    b.location_id, b.created_at, b.updated_at
+             FROM buildings b
+             JOIN users u ON b.landlord_id = u.id
+             WHERE b.id = ?`,
+      [id]
+    );
+    if (!rows[0]) return null;
+
+    const galleries = await BuildingImage.findByBuildingIds([id]);
+    rows[0].images = galleries[id] || [];
+    rows[0].amenities = await Amenity.findByBuildingId(id);
+    rows[0].location = rows[0].location_id
+      ? await Location.findById(rows[0].location_id)
+      : null;
+    return rows[0];
+  }
+
+  /**
+   * Retrieves a short summary (name, address and shared photos) of several buildings, for embedding in unit listings.
+   * @param {number[]} ids - The IDs of the buildings.
+   * @returns {Object<number, object>} A map of building ID to its summary.
+   */
+  static async findSummariesByIds(ids) {
+    const summaries = {};
+    if (ids.length === 0) return summaries;
+
+    const pool = getPool();
+    const placeholders = ids.map(() => "?").join(", ");
+    const [rows] = await pool.execute(
+      `SELECT id, name, address FROM buildings WHERE id IN (${placeholders})`,
+      ids
+    );
+    const galleries = await BuildingImage.findByBuildingIds(ids);
+    for (const row of rows) {
+      summaries[row.id] = { ...row, images: galleries[row.id] || [] };
+    }
+    return summaries;
+  }
+
+  /**
+   * Retrieves a landlord's buildings with an occupancy summary for each.
+   * Archived units are not counted.
+   * @param {number} landlordId - The ID of the landlord.
+   * @returns {Array} An array of buildings, each with total_units, occupied_units, vacant_units and occupancy_rate.
+   */
+  static async findByLandlordId(landlordId) {
+    const pool = getPool();
+    const [rows] = await pool.execute(
+      `SELECT b.id, b.landlord_id, b.name, b.description, b.address,
+                    b.latitude, b.longitude, b.location_id, b.created_at, b.updated_at,
+                    COUNT(h.id) as total_units,
+                    COUNT(h.tenant_id) as occupied_units
+             FROM buildings b
+             LEFT JOIN houses h ON h.building_id = b.id AND h.archived_at IS NULL
+             WHERE b.landlord_id = ?
+             GROUP BY b.id
+             ORDER BY b.name ASC, b.id ASC`,
+      [landlordId]
+    );
+    return rows.map((row) => ({
+      ...row,
+      vacant_units: row.total_units - row.occupied_units,
+      occupancy_rate:
+        row.total_units > 0
+          ? Math.round((row.occupied_units / row.total_units) * 1000) / 10
+          : 0,
+    }));
+  }
+
+  /**
+   * Retrieves the units of a building.
+   * @param {number} buildingId - The ID of the building.
+   * @param {object} [options]
+   * @param {boolean} [options.includeTenants=false] - Include tenant details (landlord views only).
+   * @param {string} [options.status] - Optional: Only return units with this status.
+   * @param {boolean} [options.publishedOnly=false] - Only return published units (public views).
+   * @returns {Array} An array of units ordered by unit label. Archived units are excluded.
+   */
+  static async findUnits(
+    buildingId,
+    { includeTenants = false, status, publishedOnly = false } = {}
+  ) {
+    const pool = getPool();
+    const params = [buildingId];
+    let query = `
+            SELECT h.id, h.unit_label, h.title, h.rent_amount, h.currency, h.bedrooms,
+                   h.bathrooms, h.status, h.image_url
+                   ${
+                     includeTenants
+                       ? ", h.tenant_id, tu.username as tenant_username"
+                       : ""
+                   }
+            FROM houses h
+            LEFT JOIN users tu ON h.tenant_id = tu.id
+            WHERE h.building_id = ? AND h.archived_at IS NULL`;
+    if (status) {
+      query += " AND h.status = ?";
+      params.push(status);
+    }
+    if (publishedOnly) {
+      query +=
+        " AND h.published_at IS NOT NULL AND h.status NOT IN ('draft', 'unlisted')";
+    }
+    query += " ORDER BY h.unit_label ASC, h.id ASC";
+
+    const [rows] = await pool.execute(query, params);
+    return rows;
+  }
+
+  /**
+   * Returns the occupancy of a building: a summary and every unit with its status and tenant.
+   * @param {number} buildingId - The ID of the building.
+   * @returns {{summary: object, units: Array}}
+   */
+  static async getOccupancy(buildingId) {
+    const units = await Building.findUnits(buildingId, {
+      includeTenants: true,
+    });
+    return { summary: summariseOccupancy(units), units };
+  }
+
+  /**
+   * Counts the units of a building, including archived ones.
+   * @param {number} buildingId - The ID of the building.
+   * @returns {number} The number of units.
+   */
+  static async countUnits(buildingId) {
+    const pool = getPool();
+    const [rows] = await pool.execute(
+      "SELECT COUNT(*) as total FROM houses WHERE building_id = ?",
+      [buildingId]
+    );
+    return rows[0].total;
+  }
+
+  /**
+   * Updates a building. Changes to the shared address, coordinates or location are copied onto its units.
+   * @param {number} id - The ID of the building.
+   * @param {object} updates - Object containing name, description, address, latitude, longitude and/or location_id.
+   * @returns {boolean} True if updated, false otherwise.
+   */
+  static async update(id, updates) {
+    const allowedFields = [
+      "name",
+      "description",
+      "address",
+      "latitude",
+      "longitude",
+      "location_id",
+    ];
+    const fields = [];
+    const values = [];
+    for (const key in updates) {
+      if (allowedFields.includes(key)) {
+        fields.push(`${key} = ?`);
+        values.push(updates[key]);
+      }
+    }
+    if (fields.length === 0) {
+      return false;
+    }
+
+    const unitFields = Object.keys(updates).filter((key) =>
+      SHARED_UNIT_FIELDS.includes(key)
+    );
+
+    const pool = getPool();
+    const connection = await pool.getConnection();
+    try {
+      await connection.beginTransaction();
+      const [result] = await connection.execute(
+        `UPDATE buildings SET ${fields.join(
+          ", "
+        )}, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+        [...values, id]
+      );
+      if (result.affectedRows > 0 && unitFields.length > 0) {
+        await connection.execute(
+          `UPDATE houses SET ${unitFields
+            .map((key) => `${key} = ?`)
+            .join(", ")}, updated_at = CURRENT_TIMESTAMP WHERE building_id = ?`,
+          [...unitFields.map((key) => updates[key]), id]
+        );
+      }
+      await connection.commit();
+      return result.affectedRows > 0;
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+
+  /**
+   * Deletes a building. Only buildings without units may be deleted.
+   * @param {number} id - The ID of the building.
+   * @returns {boolean} True if deleted, false otherwise.
+   */
+  static async delete(id) {
+    const pool = getPool();
+    const [result] = await pool.execute("DELETE FROM buildings WHERE id = ?", [
+      id,
+    ]);
+    return result.affectedRows > 0;
+  }
+}
+
+module.exports = Building;
@@ -0,0 +1,74 @@
+// models/BuildingImage.js
+const { getPool } = require("../config/database");
+
+class BuildingImage {
+  /**
+   * Adds a shared photo to a building. It is appended after the existing photos.
+   * @param {object} imageData - Object containing building_id, storage_key, url and caption (optional).
+   * @returns {number} The ID of the newly created image.
+   */
+  static async create({ building_id, storage_key, url, caption = null }) {
+    const pool = getPool();
+    const [result] = await pool.execute(
+      `INSERT INTO building_images (building_id, storage_key, url, caption, sort_order)
+             SELECT ?, ?, ?, ?, COALESCE(MAX(sort_order) + 1, 0)
+             FROM building_images WHERE building_id = ?`,
+      [building_id, storage_key, url, caption, building_id]
+    );
+    return result.insertId;
+  }
+
+  /**
+   * Finds a single building image by its ID.
+   * @param {number} id - The ID of the image.
+   * @returns {object|null} The image object or null if not found.
+   */
+  static async findById(id) {
+    const pool = getPool();
+    const [rows] = await pool.execute(
+      `SELECT id, building_id, storage_key, url, caption, sort_order, created_at
+             FROM building_images WHERE id = ?`,
+      [id]
+    );
+    return rows[0] || null;
+  }
+
+  /**
+   * Retrieves the shared photos of several buildings in one query.
+   * @param {number[]} buildingIds - The IDs of the buildings.
+   * @returns {Object<number, Array>} A map of building ID to its array of images.
+   */
+  static async findByBuildingIds(buildingIds) {
+    const galleries = {};
+    if (buildingIds.length === 0) return galleries;
+
+    const pool = getPool();
+    const placeholders = buildingIds.map(() => "?").join(", ");
+    const [rows] = await pool.execute(
+      `SELECT id, building_id, url, caption, sort_order, created_at
+             FROM building_images WHERE building_id IN (${placeholders})
+             ORDER BY sort_order ASC, id ASC`,
+      buildingIds
+    );
+    for (const row of rows) {
+      (galleries[row.building_id] = galleries[row.building_id] || []).push(row);
+    }
+    return galleries;
+  }
+
+  /**
+   * Deletes a building image record. The caller removes the stored file.
+   * @param {number} id - The ID of the image.
+   * @returns {boolean} True if deleted, false otherwise.
+   */
+  static async delete(id) {
+    const pool = getPool();
+    const [result] = await pool.execute(
+      "DELETE FROM building_images WHERE id = ?",
+      [id]
+    );
+    return result.affectedRows > 0;
+  }
+}
+
+module.exports = BuildingImage;
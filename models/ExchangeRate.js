@@ -0,0 +1,74 @@
+// models/ExchangeRate.js
+const { getPool } = require("../config/database");
+
+class ExchangeRate {
+  /**
+   * Retrieves every currency with its exchange rate.
+   * @returns {Array} Rates ordered by currency code; `rate_to_base` is the value of one unit in BASE_CURRENCY.
+   */
+  static async findAll() {
+    const pool = getPool();
+    const [rows] = await pool.execute(
+      `SELECT er.currency, er.rate_to_base, er.updated_by,
+                    u.username as updated_by_username, er.updated_at
+             FROM exchange_rates er
+             LEFT JOIN users u ON er.updated_by = u.id
+             ORDER BY er.currency ASC`
+    );
+    return rows;
+  }
+
+  /**
+   * Retrieves the exchange rate of a currency.
+   * @param {string} currency - ISO 4217 currency code (e.g. 'USD').
+   * @returns {object|null} The rate or null if the currency is not supported.
+   */
+  static async findByCurrency(currency) {
+    const pool = getPool();
+    const [rows] = await pool.execute(
+      `SELECT currency, rate_to_base, updated_by, updated_at
+             FROM exchange_rates WHERE currency = ?`,
+      [currency]
+    );
+    return rows[0] || null;
+  }
+
+  /**
+   * Sets the exchange rate of a currency, adding the currency if it is new, and re-prices every
+   * house listed in it. Houses keep their rent in BASE_CURRENCY (rent_amount_base) so that search
+   * can filter and sort across currencies; a rate change is not a change to the listing itself,
+   * so updated_at is left as it was.
+   * @param {string} currency - ISO 4217 currency code.
+   * @param {number} rate - Value of one unit of the currency in BASE_CURRENCY.
+   * @param {number} updatedBy - ID of the admin setting the rate.
+   * @returns {boolean} True once saved.
+   */
+  static async upsert(currency, rate, updatedBy) {
+    const pool = getPool();
+    const connection = await pool.getConnection();
+    try {
+      await connection.beginTransaction();
+      await connection.execute(
+        `INSERT INTO exchange_rates (currency, rate_to_base, updated_by)
+               VALUES (?, ?, ?)
+               ON DUPLICATE KEY UPDATE rate_to_base = VALUES(rate_to_base),
+                                       updated_by = VALUES(updated_by)`,
+        [currency, rate, updatedBy]
+      );
+      await connection.execute(
+        `UPDATE houses SET rent_amount_base = ROUND(rent_amount * ?, 2), updated_at = updated_at
+               WHERE currency = ?`,
+        [rate, currency]
+      );
+      await connection.commit();
+      return true;
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+}
+
+module.exports = ExchangeRate;
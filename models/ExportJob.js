@@ -0,0 +1,117 @@
+// models/ExportJob.js
+const { getPool } = require("../config/database");
+const { EXPORT_JOB_STATUS } = require("../utils/constants");
+
+// The filters column holds JSON; mysql2 may return it as a string or already parsed
+const toExportJob = (row) => ({
+  ...row,
+  filters:
+    typeof row.filters === "string"
+      ? JSON.parse(row.filters)
+      : row.filters || {},
+});
+
+const JOB_COLUMNS = `id, landlord_id, dataset, format, filters, status, storage_key,
+                    row_count, error, created_at, started_at, completed_at`;
+
+class ExportJob {
+  /**
+   * Queues a background export.
+   * @param {object} jobData - Object containing landlord_id, dataset, format and filters (e.g., {from, to}).
+   * @returns {number} The ID of the new job.
+   */
+  static async create({ landlord_id, dataset, format, filters = {} }) {
+    const pool = getPool();
+    const [result] = await pool.execute(
+      `INSERT INTO export_jobs (landlord_id, dataset, format, filters, status)
+             VALUES (?, ?, ?, ?, ?)`,
+      [
+        landlord_id,
+        dataset,
+        format,
+        JSON.stringify(filters),
+        EXPORT_JOB_STATUS.PENDING,
+      ]
+    );
+    return result.insertId;
+  }
+
+  /**
+   * Finds an export job by its ID.
+   * @param {number} id - The ID of the job.
+   * @returns {object|null} The job or null if not found.
+   */
+  static async findById(id) {
+    const pool = getPool();
+    const [rows] = await pool.execute(
+      `SELECT ${JOB_COLUMNS} FROM export_jobs WHERE id = ?`,
+      [id]
+    );
+    return rows[0] ? toExportJob(rows[0]) : null;
+  }
+
+  /**
+   * Retrieves a landlord's export jobs, newest first.
+   * @param {number} landlordId - The ID of the landlord.
+   * @returns {Array} An array of export jobs.
+   */
+  static async findByLandlordId(landlordId) {
+    const pool = getPool();
+    const [rows] = await pool.execute(
+      `SELECT ${JOB_COLUMNS} FROM export_jobs WHERE landlord_id = ?
+             ORDER BY created_at DESC, id DESC`,
+      [landlordId]
+    );
+    return rows.map(toExportJob);
+  }
+
+  /**
+   * Marks a pending job as being processed.
+   * @param {number} id - The ID of the job.
+   * @returns {boolean} True if the job was pending and is now processing.
+   */
+  static async markProcessing(id) {
+    const pool = getPool();
+    const [result] = await pool.execute(
+      `UPDATE export_jobs SET status = ?, started_at = CURRENT_TIMESTAMP
+             WHERE id = ? AND status = ?`,
+      [EXPORT_JOB_STATUS.PROCESSING, id, EXPORT_JOB_STATUS.PENDING]
+    );
+    return result.affectedRows > 0;
+  }
+
+  /**
+   * Records the generated file of a finished job.
+   * @param {number} id - The ID of the job.
+   * @param {object} output - Object containing storage_key and row_count.
+   * @returns {boolean} True if updated, false otherwise.
+   */
+  static async markCompleted(id, { storage_key, row_count }) {
+    const pool = getPool();
+    const [result] = await pool.execute(
+      `UPDATE export_jobs SET status = ?, storage_key = ?, row_count = ?,
+                    completed_at = CURRENT_TIMESTAMP
+             WHERE id = ?`,
+      [EXPORT_JOB_STATUS.COMPLETED, storage_key, row_count, id]
+    );
+    return result.affectedRows > 0;
+  }
+
+  /**
+   * Records why a job failed.
+   * @param {number} id - The ID of the job.
+   * @param {string} error - The failure message.
+   * @returns {boolean} True if updated, false otherwise.
+   */
+  static async markFailed(id, error) {
+    const pool = getPool();
+    const [result] = await pool.execute(
+      `UPDATE export_jobs SET status = ?, error = ?, completed_at = CURRENT_TIMESTAMP
+             WHERE id = ?`,
+      [EXPORT_JOB_STATUS.FAILED, String(error).slice(0, 500), id]
+    );
+    return result.affectedRows > 0;
+  }
+}
+
+module.exports = ExportJob;
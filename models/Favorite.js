@@ -0,0 +1,164 @@
+// models/Favorite.js
+const { getPool } = require("../config/database");
+const Notification = require("./Notification");
+const { buildDateRangeConditions } = require("../utils/dateRange");
+
+class Favorite {
+  /**
+   * Saves a house to a user's favourites. Saving the same house twice is a no-op.
+   * @param {number} userId - The ID of the user.
+   * @param {number} houseId - The ID of the house.
+   * @returns {boolean} True if the house was newly saved, false if it was already a favourite.
+   */
+  static async add(userId, houseId) {
+    const pool = getPool();
+    const [result] = await pool.execute(
+      `INSERT IGNORE INTO favorites (user_id, house_id) VALUES (?, ?)`,
+      [userId, houseId]
+    );
+    return result.affectedRows > 0;
+  }
+
+  /**
+   * Removes a house from a user's favourites.
+   * @param {number} userId - The ID of the user.
+   * @param {number} houseId - The ID of the house.
+   * @returns {boolean} True if removed, false if the house was not a favourite.
+   */
+  static async remove(userId, houseId) {
+    const pool = getPool();
+    const [result] = await pool.execute(
+      `DELETE FROM favorites WHERE user_id = ? AND house_id = ?`,
+      [userId, houseId]
+    );
+    return result.affectedRows > 0;
+  }
+
+  /**
+   * Retrieves a user's saved houses, most recently saved first.
+   * @param {number} userId - The ID of the user.
+   * @param {object} options - Pagination options.
+   * @param {number} [options.limit=10] - Number of records to return.
+   * @param {number} [options.offset=0] - Number of records to skip.
+   * @returns {{houses: Array, total: number}} The saved houses (with `favorited_at`) and the total count.
+   */
+  static async findByUserId(userId, { limit = 10, offset = 0 } = {}) {
+    const pool = getPool();
+    const [rows] = await pool.execute(
+      `SELECT h.id, h.landlord_id, u.username as landlord_username,
+                    h.title, h.description, h.address, h.rent_amount, h.currency,
+                    h.bedrooms, h.bathrooms, h.status, h.is_active,
+                    h.image_url, h.rental_start_date,
+                    h.latitude, h.longitude,
+                    h.archived_at, h.created_at, h.updated_at,
+                    f.created_at as favorited_at
+             FROM favorites f
+             JOIN houses h ON f.house_id = h.id
+             JOIN users u ON h.landlord_id = u.id
+             WHERE f.user_id = ?
+             ORDER BY f.created_at DESC, f.id DESC
+             LIMIT ? OFFSET ?`,
+      [userId, limit, offset]
+    );
+
+    const [countRows] = await pool.execute(
+      `SELECT COUNT(*) as total FROM favorites WHERE user_id = ?`,
+      [userId]
+    );
+
+    return {
+      houses: rows,
+      total: countRows[0].total,
+    };
+  }
+
+  /**
+   * Returns which of the given houses a user has saved.
+   * @param {number} userId - The ID of the user.
+   * @param {number[]} houseIds - The IDs of the houses to check.
+   * @returns {Set<number>} The IDs of the houses that are favourites.
+   */
+  static async findFavoriteHouseIds(userId, houseIds) {
+    if (houseIds.length === 0) return new Set();
+    const pool = getPool();
+    const placeholders = houseIds.map(() => "?").join(", ");
+    const [rows] = await pool.execute(
+      `SELECT house_id FROM favorites WHERE user_id = ? AND house_id IN (${placeholders})`,
+      [userId, ...houseIds]
+    );
+    return new Set(rows.map((row) => row.house_id));
+  }
+
+  /**
+   * Counts how many users saved each of several houses within a date range.
+   * @param {number[]} houseIds - The IDs of the houses.
+   * @param {{from: string, to: string}} [range] - Optional range (YYYY-MM-DD, both inclusive).
+   * @returns {Object<number, number>} Counts keyed by house ID. Houses nobody saved are omitted.
+   */
+  static async countByHouseIds(houseIds, range = {}) {
+    if (houseIds.length === 0) return {};
+    const pool = getPool();
+    const { conditions, params } = buildDateRangeConditions(
+      "created_at",
+      range
+    );
+    const placeholders = houseIds.map(() => "?").join(", ");
+    conditions.unshift(`house_id IN (${placeholders})`);
+    const [rows] = await pool.execute(
+      `SELECT house_id, COUNT(*) as favorites FROM favorites
+             WHERE ${conditions.join(" AND ")}
+             GROUP BY house_id`,
+      [...houseIds, ...params]
+    );
+    const counts = {};
+    for (const row of rows) {
+      counts[row.house_id] = row.favorites;
+    }
+    return counts;
+  }
+
+  /**
+   * Counts how many users saved a house per day.
+   * @param {number} houseId - The ID of the house.
+   * @param {{from: string, to: string}} [range] - Optional range (YYYY-MM-DD, both inclusive).
+   * @returns {Array<{day: string, favorites: number}>} One entry per day with new favourites, oldest first.
+   */
+  static async countDailyByHouseId(houseId, range = {}) {
+    const pool = getPool();
+    const { conditions, params } = buildDateRangeConditions(
+      "created_at",
+      range
+    );
+    conditions.unshift("house_id = ?");
+    const [rows] = await pool.execute(
+      `SELECT DATE_FORMAT(created_at, '%Y-%m-%d') as day, COUNT(*) as favorites
+             FROM favorites
+             WHERE ${conditions.join(" AND ")}
+             GROUP BY day
+             ORDER BY day ASC`,
+      [houseId, ...params]
+    );
+    return rows;
+  }
+
+  /**
+   * Sends a notification to every user who has saved a house.
+   * @param {number} houseId - The ID of the house.
+   * @param {string} type - The notification type (see NOTIFICATION_TYPE).
+   * @param {string} message - The notification message.
+   * @returns {number} The number of users notified.
+   */
+  static async notifyWatchers(houseId, type, message) {
+    const pool = getPool();
+    const [rows] = await pool.execute(
+      `SELECT user_id FROM favorites WHERE house_id = ?`,
+      [houseId]
+    );
+    for (const { user_id } of rows) {
+      await Notification.create({ user_id, type, source_id: houseId, message });
+    }
+    return rows.length;
+  }
+}
+
+module.exports = Favorite;
@@ -1,57 +1,427 @@
 // models/House.js
 const { getPool } = require("../config/database");
-const { HOUSE_STATUS } = require("../utils/constants"); // Ensure this is correctly imported
+const {
+  BASE_CURRENCY,
+  HOUSE_STATUS,
+  HOUSE_SORT,
+  HOUSE_STATUS_REASON,
+  MODERATION_STATUS,
+  NOTIFICATION_TYPE,
+  RENT_REQUEST_STATUS,
+} = require("../utils/constants"); // Ensure this is correctly imported
+const { canTransitionHouseStatus } = require("../utils/houseStatus");
+const { EARTH_RADIUS_KM, getBoundingBox } = require("../utils/geo");
+const { encodeCursor } = require("../utils/pagination");
+const HouseImage = require("./HouseImage");
+const Amenity = require("./Amenity");
+const Building = require("./Building");
+const Location = require("./Location");
+const Favorite = require("./Favorite");
+const HouseStatusHistory = require("./HouseStatusHistory");
+const Review = require("./Review");
+const { queueSavedSearchAlerts } = require("../services/savedSearchAlerts");
+
+// Great-circle (haversine) distance in km between a point and a house. Placeholders: lat, lng, lat.
+const DISTANCE_SQL = `(${EARTH_RADIUS_KM} * ACOS(LEAST(1, COS(RADIANS(?)) * COS(RADIANS(h.latitude)) * COS(RADIANS(h.longitude) - RADIANS(?)) + SIN(RADIANS(?)) * SIN(RADIANS(h.latitude)))))`;
+
+// Sort orders that support keyset (cursor) pagination. h.id breaks ties in the same direction.
+// Rents are compared in BASE_CURRENCY so that houses listed in different currencies sort together.
+const KEYSET_SORTS = {
+  [HOUSE_SORT.NEWEST]: { column: "created_at", direction: "DESC" },
+  [HOUSE_SORT.RENT_ASC]: { column: "rent_amount_base", direction: "ASC" },
+  [HOUSE_SORT.RENT_DESC]: { column: "rent_amount_base", direction: "DESC" },
+  [HOUSE_SORT.BEDROOMS]: { column: "bedrooms", direction: "DESC" },
+  [HOUSE_SORT.RATING]: { column: "rating_average", direction: "DESC" },
+};
+
+/**
+ * Builds the ORDER BY clause for a house listing query, and the keyset condition
+ * that continues after `cursor` when cursor pagination is used.
+ * @param {object} options
+ * @param {string} [options.sort] - One of HOUSE_SORT. Defaults to relevance for keyword searches, else newest.
+ * @param {boolean} [options.hasRelevance] - Whether the query selects a full-text `relevance` score.
+ * @param {{value: *, id: number}} [options.cursor] - Decoded cursor to continue after.
+ * @returns {{orderBy: string, sortColumn: string|null, keyset: {condition: string, params: Array}|null}}
+ */
+const buildHouseOrdering = ({ sort, hasRelevance = false, cursor = null }) => {
+  if (sort === HOUSE_SORT.DISTANCE) {
+    return {
+      orderBy:
+        "distance_km IS NULL, distance_km ASC, h.created_at DESC, h.id DESC",
+      sortColumn: null,
+      keyset: null,
+    };
+  }
+  if (!sort && hasRelevance) {
+    return {
+      orderBy: "relevance DESC, h.created_at DESC, h.id DESC",
+      sortColumn: null,
+      keyset: null,
+    };
+  }
+
+  const { column, direction } = KEYSET_SORTS[sort || HOUSE_SORT.NEWEST];
+  const operator = direction === "DESC" ? "<" : ">";
+  return {
+    orderBy: `h.${column} ${direction}, h.id ${direction}`,
+    sortColumn: column,
+    keyset: cursor
+      ? {
+          condition: `(h.${column} ${operator} ? OR (h.${column} = ? AND h.id ${operator} ?))`,
+          params: [cursor.value, cursor.value, cursor.id],
+        }
+      : null,
+  };
+};
+
+/**
+ * Builds the WHERE conditions of a public house search (see House.findAll for the filters).
+ * Archived and unpublished houses are always excluded.
+ * @param {object} filters - Filter options as accepted by House.findAll.
+ * @returns {{conditions: string[], params: Array, selectParams: Array, extraSelect: string}} The conditions and their
+ *          parameters, plus the extra SELECT columns (relevance, distance_km) and their parameters.
+ */
+const buildSearchConditions = ({
+  status,
+  minRent,
+  maxRent,
+  bedrooms,
+  bathrooms,
+  is_active,
+  q,
+  near,
+  radiusKm,
+  bbox,
+  amenityIds,
+  buildingId,
+  location,
+  currency,
+}) => {
+  // Archived, unpublished and unlisted houses never appear in public search (see isPublishedHouse)
+  const conditions = [
+    "h.archived_at IS NULL",
+    "h.published_at IS NOT NULL",
+    "h.status <> 'draft'",
+    "h.status <> 'unlisted'",
+  ];
+  const params = [];
+  const selectParams = []; // Parameters used in the SELECT list (relevance score, distance)
+  let extraSelect = "";
+
+  if (q) {
+    // Natural language mode ranks rows by how well they match the keywords
+    extraSelect = `,
+                 MATCH(h.title, h.description, h.address) AGAINST (? IN NATURAL LANGUAGE MODE) AS relevance`;
+    selectParams.push(q);
+    conditions.push(
+      "MATCH(h.title, h.description, h.address) AGAINST (? IN NATURAL LANGUAGE MODE)"
+    );
+    params.push(q);
+  }
+  if (near) {
+    extraSelect += `,
+                 ${DISTANCE_SQL} AS distance_km`;
+    selectParams.push(near.lat, near.lng, near.lat);
+    if (radiusKm !== undefined && radiusKm !== null) {
+      // Pre-filter on the enclosing box so the coordinate index can be used
+      const box = getBoundingBox(near.lat, near.lng, radiusKm);
+      conditions.push("h.latitude BETWEEN ? AND ?");
+      params.push(box.minLat, box.maxLat);
+      conditions.push("h.longitude BETWEEN ? AND ?");
+      params.push(box.minLng, box.maxLng);
+      conditions.push(`${DISTANCE_SQL} <= ?`);
+      params.push(near.lat, near.lng, near.lat, radiusKm);
+    }
+  }
+  if (bbox) {
+    conditions.push("h.latitude BETWEEN ? AND ?");
+    params.push(bbox.minLat, bbox.maxLat);
+    conditions.push("h.longitude BETWEEN ? AND ?");
+    params.push(bbox.minLng, bbox.maxLng);
+  }
+  if (amenityIds && amenityIds.length > 0) {
+    // All-of semantics: the house (or its building) must be linked to every requested amenity
+    const placeholders = amenityIds.map(() => "?").join(", ");
+    conditions.push(
+      `h.id IN (SELECT la.house_id FROM (
+                  SELECT ha.house_id, ha.amenity_id FROM house_amenities ha
+                  UNION
+                  SELECT u.id, ba.amenity_id FROM houses u
+                  JOIN building_amenities ba ON ba.building_id = u.building_id
+                ) la
+                WHERE la.amenity_id IN (${placeholders})
+                GROUP BY la.house_id
+                HAVING COUNT(DISTINCT la.amenity_id) = ?)`
+    );
+    params.push(...amenityIds, amenityIds.length);
+  }
+  if (buildingId !== undefined && buildingId !== null) {
+    conditions.push("h.building_id = ?");
+    params.push(buildingId);
+  }
+  if (status) {
+    conditions.push("h.status = ?");
+    params.push(status);
+  }
+  // Rent bounds are given in the display currency and compared in BASE_CURRENCY
+  const rentRate = currency ? currency.rate : 1;
+  if (minRent !== undefined && minRent !== null) {
+    conditions.push("h.rent_amount_base >= ?");
+    params.push(minRent * rentRate);
+  }
+  if (maxRent !== undefined && maxRent !== null) {
+    conditions.push("h.rent_amount_base <= ?");
+    params.push(maxRent * rentRate);
+  }
+  if (bedrooms !== undefined && bedrooms !== null) {
+    conditions.push("h.bedrooms = ?");
+    params.push(bedrooms);
+  }
+  if (bathrooms !== undefined && bathrooms !== null) {
+    conditions.push("h.bathrooms = ?");
+    params.push(bathrooms);
+  }
+  if (is_active !== undefined && is_active !== null) {
+    // Handle boolean filter
+    conditions.push("h.is_active = ?");
+    params.push(is_active);
+  }
+  if (location) {
+    // Every location stores its ancestors, so an area matches the houses in any location inside it
+    conditions.push(
+      `h.location_id IN (SELECT id FROM locations WHERE ${location.level}_id = ?)`
+    );
+    params.push(location.id);
+  }
+
+  return { conditions, params, selectParams, extraSelect };
+};
+
+/**
+ * Attaches each house's photo gallery, amenities, `location` (the area with its province,
+ * district, sector and cell, or null) and its landlord's review rating
+ * (`landlord_rating_average`, 0 while unrated like the house's own `rating_average`, and
+ * `landlord_rating_count`). Units of a building also get the building's shared amenities
+ * and a `building` summary carrying its shared photos.
+ * @param {Array} houses - House rows to decorate in place.
+ */
+const attachHouseDetails = async (houses) => {
+  const houseIds = houses.map((h) => h.id);
+  const buildingIds = [
+    ...new Set(houses.map((h) => h.building_id).filter(Boolean)),
+  ];
+  const galleries = await HouseImage.findByHouseIds(houseIds);
+  const amenities = await Amenity.findByHouseIds(houseIds);
+  const buildingAmenities = await Amenity.findByBuildingIds(buildingIds);
+  const buildings = await Building.findSummariesByIds(buildingIds);
+  const locations = await Location.findSummariesByIds([
+    ...new Set(houses.map((h) => h.location_id).filter(Boolean)),
+  ]);
+  const landlordRatings = await Review.getLandlordRatings([
+    ...new Set(houses.map((h) => h.landlord_id)),
+  ]);
+  for (const house of houses) {
+    house.images = galleries[house.id] || [];
+    const own = amenities[house.id] || [];
+    const shared = (buildingAmenities[house.building_id] || []).filter(
+      (amenity) => !own.some((a) => a.id === amenity.id)
+    );
+    house.amenities = [...own, ...shared];
+    house.building = buildings[house.building_id] || null;
+    house.location = locations[house.location_id] || null;
+    const landlordRating = landlordRatings[house.landlord_id];
+    house.landlord_rating_average = landlordRating ? landlordRating.average : 0;
+    house.landlord_rating_count = landlordRating ? landlordRating.count : 0;
+  }
+};
+
+/**
+ * Trims the extra look-ahead row of a cursor page and builds the cursor for the next page.
+ * @param {Array} rows - Rows fetched with LIMIT limit + 1.
+ * @param {number} limit - The requested page size.
+ * @param {string} sort - The sort order of the page.
+ * @param {string} sortColumn - The column the page is ordered by.
+ * @returns {{houses: Array, nextCursor: string|null, hasMore: boolean}}
+ */
+const buildCursorPage = (rows, limit, sort, sortColumn) => {
+  const hasMore = rows.length > limit;
+  const houses = hasMore ? rows.slice(0, limit) : rows;
+  const last = houses[houses.length - 1];
+  return {
+    houses,
+    nextCursor: hasMore ? encodeCursor(sort, last[sortColumn], last.id) : null,
+    hasMore,
+  };
+};
+
+/**
+ * Notifies the users who saved a house. Failures are logged rather than thrown so that
+ * the change that triggered the notification is never rolled back by it.
+ * @param {number} houseId - The ID of the house.
+ * @param {string} type - The notification type (see NOTIFICATION_TYPE).
+ * @param {string} message - The notification message.
+ */
+const notifyFavoriteWatchers = async (houseId, type, message) => {
+  try {
+    await Favorite.notifyWatchers(houseId, type, message);
+  } catch (error) {
+    console.error(
+      `Error notifying watchers of house ${houseId}:`,
+      error.message
+    );
+  }
+};
+
+// When the landlord last showed a listing is still live: the latest edit, confirmation or status change
+// (updated_at), or the latest rent request they answered. Placeholders: the two unanswered request statuses.
+const LANDLORD_ACTIVITY_SQL = `GREATEST(h.updated_at, COALESCE(
+            (SELECT MAX(rr.updated_at) FROM rent_requests rr
+             WHERE rr.house_id = h.id AND rr.status NOT IN (?, ?)), h.updated_at))`;
+
+/**
+ * Builds the WHERE condition for available listings that have gone stale, in one of two stages.
+ * @param {object} options - Exactly one of staleDays or graceDays.
+ * @param {number} [options.staleDays] - Match listings without landlord activity for this many days that have not been flagged since.
+ * @param {number} [options.graceDays] - Match listings flagged at least this many days ago without landlord activity since.
+ * @returns {{condition: string, params: Array}} The condition on houses `h` and its parameters.
+ */
+const buildStaleListingCondition = ({ staleDays, graceDays }) => {
+  const activityParams = [
+    RENT_REQUEST_STATUS.PENDING,
+    RENT_REQUEST_STATUS.CANCELLED,
+  ];
+  const conditions = ["h.status = ?", "h.archived_at IS NULL"];
+  const params = [HOUSE_STATUS.AVAILABLE];
+  if (staleDays !== undefined) {
+    conditions.push(
+      `${LANDLORD_ACTIVITY_SQL} < NOW() - INTERVAL ? DAY`,
+      `(h.stale_flagged_at IS NULL OR h.stale_flagged_at < ${LANDLORD_ACTIVITY_SQL})`
+    );
+    params.push(...activityParams, staleDays, ...activityParams);
+  } else {
+    conditions.push(
+      "h.stale_flagged_at < NOW() - INTERVAL ? DAY",
+      `h.stale_flagged_at >= ${LANDLORD_ACTIVITY_SQL}`
+    );
+    params.push(graceDays, ...activityParams);
+  }
+  return { condition: conditions.join(" AND "), params };
+};
 
 class House {
   /**
-   * Creates a new house listing.
-   * @param {object} houseData - Object containing title, description, address, rent_amount, bedrooms, bathrooms, landlord_id, image_url (optional), rental_start_date (optional).
+   * Creates a new house listing. It starts as a draft, hidden from tenants until it is published.
+   * @param {object} houseData - Object containing title, description, address, rent_amount, currency (optional, defaults to BASE_CURRENCY), bedrooms, bathrooms, landlord_id, image_url (optional), rental_start_date (optional), latitude and longitude (optional), location_id (optional), building_id and unit_label (optional, for units of a building).
+   * @param {object} [connection] - Optional connection to run on (to join a caller's transaction).
    * @returns {number} The ID of the newly created house.
    */
-  static async create({
-    title,
-    description,
-    address,
-    rent_amount,
-    bedrooms,
-    bathrooms,
-    landlord_id,
-    image_url = null,
-    rental_start_date = null,
-  }) {
-    const pool = getPool();
-    const [result] = await pool.execute(
-      `INSERT INTO houses (landlord_id, title, description, address, rent_amount, bedrooms, bathrooms, status, is_active, image_url, rental_start_date)
-             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+  static async create(
+    {
+      title,
+      description,
+      address,
+      rent_amount,
+      currency = BASE_CURRENCY,
+      bedrooms,
+      bathrooms,
+      landlord_id,
+      image_url = null,
+      rental_start_date = null,
+      latitude = null,
+      longitude = null,
+      location_id = null,
+      building_id = null,
+      unit_label = null,
+    },
+    connection = getPool()
+  ) {
+    const [result] = await connection.execute(
+      `INSERT INTO houses (landlord_id, title, description, address, rent_amount, currency, bedrooms, bathrooms, status, is_active, image_url, rental_start_date, latitude, longitude, location_id, building_id, unit_label)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
       [
         landlord_id,
         title,
         description,
         address,
         rent_amount,
+        currency,
         bedrooms,
         bathrooms,
-        HOUSE_STATUS.AVAILABLE,
+        HOUSE_STATUS.DRAFT,
         true,
         image_url,
         rental_start_date,
+        latitude,
+        longitude,
+        location_id,
+        building_id,
+        unit_label,
       ]
     );
+    await House.refreshRentBase(result.insertId, connection);
+    await HouseStatusHistory.create(
+      {
+        house_id: result.insertId,
+        from_status: null,
+        to_status: HOUSE_STATUS.DRAFT,
+        reason: HOUSE_STATUS_REASON.CREATED,
+        changed_by: landlord_id,
+      },
+      connection
+    );
     return result.insertId;
   }
 
+  /**
+   * Creates several house listings, with their amenities, in one transaction.
+   * Either every listing is created or none are.
+   * @param {Array<{house: object, amenityIds: number[]}>} listings - House data as accepted by create, plus amenity IDs.
+   * @returns {number[]} The IDs of the new houses, in the order given.
+   */
+  static async createMany(listings) {
+    const pool = getPool();
+    const connection = await pool.getConnection();
+    try {
+      await connection.beginTransaction();
+      const houseIds = [];
+      for (const { house, amenityIds } of listings) {
+        const houseId = await House.create(house, connection);
+        await Amenity.addToHouse(houseId, amenityIds, connection);
+        houseIds.push(houseId);
+      }
+      await connection.commit();
+      return houseIds;
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+
   /**
    * Retrieves all house listings with pagination and optional filtering.
    * @param {object} options - Pagination and filter options.
    * @param {number} [options.limit=10] - Number of records to return.
    * @param {number} [options.offset=0] - Number of records to skip.
    * @param {string} [options.status] - Optional: Filter by house status (e.g., 'available', 'rented').
-   * @param {number} [options.minRent] - Optional: Filter by minimum rent amount.
-   * @param {number} [options.maxRent] - Optional: Filter by maximum rent amount.
+   * @param {number} [options.minRent] - Optional: Filter by minimum rent amount, in `currency`.
+   * @param {number} [options.maxRent] - Optional: Filter by maximum rent amount, in `currency`.
+   * @param {{code: string, rate: number}} [options.currency] - Optional: Currency of minRent and maxRent, with its rate to BASE_CURRENCY. Defaults to BASE_CURRENCY.
    * @param {number} [options.bedrooms] - Optional: Filter by number of bedrooms.
    * @param {number} [options.bathrooms] - Optional: Filter by number of bathrooms.
    * @param {boolean} [options.is_active] - Optional: Filter by active status.
-   * @returns {{houses: Array, total: number}} An object containing an array of house objects and the total count.
+   * @param {string} [options.q] - Optional: Full-text keyword search over title, description and address. Results are ranked by relevance.
+   * @param {{lat: number, lng: number}} [options.near] - Optional: Reference point; each house gets a `distance_km` from it.
+   * @param {number} [options.radiusKm] - Optional: Only return houses within this many km of `near`.
+   * @param {{minLat: number, minLng: number, maxLat: number, maxLng: number}} [options.bbox] - Optional: Only return houses inside this box.
+   * @param {number[]} [options.amenityIds] - Optional: Only return houses that have ALL of these amenities (their own or their building's).
+   * @param {number} [options.buildingId] - Optional: Only return units of this building.
+   * @param {{id: number, level: string}} [options.location] - Optional: Only return houses in this area, at any level of the location hierarchy.
+   * @param {string} [options.sort] - Optional: One of HOUSE_SORT. 'distance' requires `near`. Defaults to relevance when `q` is set, else newest.
+   * @param {boolean} [options.useCursor=false] - Optional: Use keyset pagination instead of limit/offset. Skips the COUNT query.
+   * @param {{value: *, id: number}} [options.cursor] - Optional: Decoded cursor to continue after (cursor mode only).
+   * @returns {{houses: Array, total: number}|{houses: Array, nextCursor: string|null, hasMore: boolean}} The houses plus the total count (offset mode) or the next cursor (cursor mode).
    */
   static async findAll({
     limit = 10,
@@ -62,56 +432,90 @@ class House {
     bedrooms,
     bathrooms,
     is_active,
+    q,
+    near,
+    radiusKm,
+    bbox,
+    amenityIds,
+    buildingId,
+    location,
+    currency,
+    sort,
+    useCursor = false,
+    cursor = null,
   } = {}) {
     const pool = getPool();
+    const { conditions, params, selectParams, extraSelect } =
+      buildSearchConditions({
+        status,
+        minRent,
+        maxRent,
+        bedrooms,
+        bathrooms,
+        is_active,
+        q,
+        near,
+        radiusKm,
+        bbox,
+        amenityIds,
+        buildingId,
+        location,
+        currency,
+      });
+
+    const { orderBy, sortColumn, keyset } = buildHouseOrdering({
+      sort,
+      hasRelevance: Boolean(q),
+      cursor: useCursor ? cursor : null,
+    });
+
     let query = `
             SELECT h.id, h.landlord_id, u.username as landlord_username,
                    h.title, h.description, h.address, h.rent_amount,
+                   h.currency, h.rent_amount_base,
                    h.bedrooms, h.bathrooms, h.status, h.is_active,
                    h.tenant_id, tu.username as tenant_username,
                    h.image_url, h.rental_start_date,
-                   h.created_at, h.updated_at
+                   h.latitude, h.longitude, h.location_id,
+                   h.building_id, h.unit_label, h.published_at,
+                   h.rating_average, h.rating_count,
+                   h.archived_at, h.created_at, h.updated_at${extraSelect}
             FROM houses h
             JOIN users u ON h.landlord_id = u.id
             LEFT JOIN users tu ON h.tenant_id = tu.id
         `;
-    const conditions = [];
-    const params = [];
 
-    if (status) {
-      conditions.push("h.status = ?");
-      params.push(status);
-    }
-    if (minRent !== undefined && minRent !== null) {
-      conditions.push("h.rent_amount >= ?");
-      params.push(minRent);
-    }
-    if (maxRent !== undefined && maxRent !== null) {
-      conditions.push("h.rent_amount <= ?");
-      params.push(maxRent);
-    }
-    if (bedrooms !== undefined && bedrooms !== null) {
-      conditions.push("h.bedrooms = ?");
-      params.push(bedrooms);
-    }
-    if (bathrooms !== undefined && bathrooms !== null) {
-      conditions.push("h.bathrooms = ?");
-      params.push(bathrooms);
-    }
-    if (is_active !== undefined && is_active !== null) {
-      // Handle boolean filter
-      conditions.push("h.is_active = ?");
-      params.push(is_active);
+    if (useCursor) {
+      if (keyset) {
+        conditions.push(keyset.condition);
+        params.push(...keyset.params);
+      }
+      if (conditions.length > 0) {
+        query += ` WHERE ${conditions.join(" AND ")}`;
+      }
+      // Fetch one extra row to know whether another page follows; no COUNT query in cursor mode
+      query += ` ORDER BY ${orderBy} LIMIT ?`;
+      params.push(limit + 1);
+
+      const [rows] = await pool.execute(query, [...selectParams, ...params]);
+      const page = buildCursorPage(
+        rows,
+        limit,
+        sort || HOUSE_SORT.NEWEST,
+        sortColumn
+      );
+      await attachHouseDetails(page.houses);
+      return page;
     }
 
     if (conditions.length > 0) {
       query += ` WHERE ${conditions.join(" AND ")}`;
     }
 
-    query += ` ORDER BY h.created_at DESC LIMIT ? OFFSET ?`;
+    query += ` ORDER BY ${orderBy} LIMIT ? OFFSET ?`;
     params.push(limit, offset);
 
-    const [rows] = await pool.execute(query, params);
+    const [rows] = await pool.execute(query, [...selectParams, ...params]);
 
     // For total count (needed for pagination metadata)
     let countQuery = `SELECT COUNT(*) as total FROM houses h`;
@@ -123,25 +527,61 @@ class House {
     }
     const [countRows] = await pool.execute(countQuery, countParams);
 
+    await attachHouseDetails(rows);
+
     return {
       houses: rows,
       total: countRows[0].total,
     };
   }
 
+  /**
+   * Counts the houses of a public search per area one level below the area searched (per province
+   * when no area is given), for faceted navigation. Houses without a location are not counted.
+   * @param {object} [filters] - Filter options as accepted by findAll (pagination and sorting are ignored).
+   * @returns {Array<{id: number, name: string, level: string, count: number}>} The areas with matching houses,
+   *          most houses first. Empty when searching a cell, the smallest area.
+   */
+  static async countByLocation(filters = {}) {
+    const level = Location.childLevel(
+      filters.location && filters.location.level
+    );
+    if (!level) return [];
+
+    const pool = getPool();
+    const { conditions, params } = buildSearchConditions(filters);
+    const [rows] = await pool.execute(
+      `SELECT a.id, a.name, a.level, COUNT(*) as count
+             FROM houses h
+             JOIN locations l ON l.id = h.location_id
+             JOIN locations a ON a.id = l.${level}_id
+             WHERE ${conditions.join(" AND ")}
+             GROUP BY a.id, a.name, a.level
+             ORDER BY count DESC, a.name ASC`,
+      params
+    );
+    return rows;
+  }
+
   /**
    * Retrieves a single house listing by its ID.
    * @param {number} id - The ID of the house.
-   * @returns {object|null} The house object or null if not found.
+   * @returns {object|null} The house object (with its `images` gallery and `amenities`) or null if not found.
    */
   static async findById(id) {
     const pool = getPool();
     const [rows] = await pool.execute(
       `SELECT h.id, h.landlord_id, u.username as landlord_username,
                     h.title, h.description, h.address, h.rent_amount,
+                    h.currency, h.rent_amount_base,
                     h.bedrooms, h.bathrooms, h.status, h.is_active,
                     h.tenant_id, tu.username as tenant_username,
                     h.image_url, h.rental_start_date,
+                   h.latitude, h.longitude, h.location_id,
+                    h.building_id, h.unit_label, h.published_at,
+                    h.rating_average, h.rating_count,
+                    h.moderation_status, h.moderation_reason, h.moderated_at,
+                    h.stale_flagged_at, h.response_deadline_hours, h.archived_at,
                     h.created_at, h.updated_at
              FROM houses h
              JOIN users u ON h.landlord_id = u.id
@@ -149,7 +589,10 @@ class House {
              WHERE h.id = ?`,
       [id]
     );
-    return rows[0] || null;
+    if (!rows[0]) return null;
+
+    await attachHouseDetails(rows);
+    return rows[0];
   }
 
   /**
@@ -164,7 +607,13 @@ class House {
    * @param {number} [options.bedrooms] - Optional: Filter by number of bedrooms.
    * @param {number} [options.bathrooms] - Optional: Filter by number of bathrooms.
    * @param {boolean} [options.is_active] - Optional: Filter by active status.
-   * @returns {{houses: Array, total: number}} An object containing an array of house objects and the total count.
+   * @param {boolean} [options.archived] - Optional: true for only archived houses, false for only current ones. Returns both by default.
+   * @param {Date|string} [options.createdFrom] - Optional: Only houses listed on or after this date.
+   * @param {Date|string} [options.createdTo] - Optional: Only houses listed on or before this date.
+   * @param {string} [options.sort] - Optional: One of HOUSE_SORT except 'distance'. Defaults to newest.
+   * @param {boolean} [options.useCursor=false] - Optional: Use keyset pagination instead of limit/offset. Skips the COUNT query.
+   * @param {{value: *, id: number}} [options.cursor] - Optional: Decoded cursor to continue after (cursor mode only).
+   * @returns {{houses: Array, total: number}|{houses: Array, nextCursor: string|null, hasMore: boolean}} The houses plus the total count (offset mode) or the next cursor (cursor mode).
    */
   static async findByLandlordId(
     landlordId,
@@ -177,15 +626,27 @@ class House {
       bedrooms,
       bathrooms,
       is_active,
+      archived,
+      createdFrom,
+      createdTo,
+      sort,
+      useCursor = false,
+      cursor = null,
     } = {}
   ) {
     const pool = getPool();
     let query = `
             SELECT h.id, h.landlord_id, u.username as landlord_username,
                    h.title, h.description, h.address, h.rent_amount,
+                   h.currency, h.rent_amount_base,
                    h.bedrooms, h.bathrooms, h.status, h.is_active,
                    h.tenant_id, tu.username as tenant_username,
                    h.image_url, h.rental_start_date,
+                   h.latitude, h.longitude, h.location_id,
+                   h.building_id, h.unit_label, h.published_at,
+                   h.rating_average, h.rating_count,
+                   h.moderation_status, h.moderation_reason, h.moderated_at,
+                   h.stale_flagged_at, h.response_deadline_hours, h.archived_at,
                    h.created_at, h.updated_at
             FROM houses h
             JOIN users u ON h.landlord_id = u.id
@@ -219,12 +680,52 @@ class House {
       conditions.push("h.is_active = ?");
       params.push(is_active);
     }
+    if (archived !== undefined && archived !== null) {
+      conditions.push(
+        archived ? "h.archived_at IS NOT NULL" : "h.archived_at IS NULL"
+      );
+    }
+    if (createdFrom) {
+      conditions.push("h.created_at >= ?");
+      params.push(createdFrom);
+    }
+    if (createdTo) {
+      conditions.push("h.created_at <= ?");
+      params.push(createdTo);
+    }
+
+    const { orderBy, sortColumn, keyset } = buildHouseOrdering({
+      sort,
+      cursor: useCursor ? cursor : null,
+    });
+
+    if (useCursor) {
+      if (keyset) {
+        conditions.push(keyset.condition);
+        params.push(...keyset.params);
+      }
+      if (conditions.length > 0) {
+        query += ` AND ${conditions.join(" AND ")}`;
+      }
+      query += ` ORDER BY ${orderBy} LIMIT ?`;
+      params.push(limit + 1);
+
+      const [rows] = await pool.execute(query, params);
+      const page = buildCursorPage(
+        rows,
+        limit,
+        sort || HOUSE_SORT.NEWEST,
+        sortColumn
+      );
+      await attachHouseDetails(page.houses);
+      return page;
+    }
 
     if (conditions.length > 0) {
       query += ` AND ${conditions.join(" AND ")}`; // Use AND because WHERE h.landlord_id is already there
     }
 
-    query += ` ORDER BY h.created_at DESC LIMIT ? OFFSET ?`;
+    query += ` ORDER BY ${orderBy} LIMIT ? OFFSET ?`;
     params.push(limit, offset);
 
     const [rows] = await pool.execute(query, params);
@@ -239,6 +740,8 @@ class House {
     }
     const [countRows] = await pool.execute(countQuery, countParams);
 
+    await attachHouseDetails(rows);
+
     return {
       houses: rows,
       total: countRows[0].total,
@@ -247,6 +750,8 @@ class House {
 
   /**
    * Updates an existing house listing.
+   * Status and tenant are not updatable here; use transitionStatus so the change is validated and recorded.
+   * Users who saved the house are notified when its rent changes.
    * @param {number} id - The ID of the house to update.
    * @param {object} updates - Object containing fields to update.
    * @returns {boolean} True if updated, false otherwise.
@@ -262,13 +767,17 @@ class House {
       "description",
       "address",
       "rent_amount",
+      "currency",
       "bedrooms",
       "bathrooms",
-      "status",
       "is_active",
-      "tenant_id",
       "image_url",
       "rental_start_date", // Added image_url and rental_start_date
+      "latitude",
+      "longitude",
+      "location_id",
+      "unit_label",
+      "response_deadline_hours",
     ];
 
     for (const key in updates) {
@@ -284,44 +793,591 @@ class House {
 
     values.push(id); // Add ID for WHERE clause
 
+    let previous = null;
+    if (updates.rent_amount !== undefined || updates.currency !== undefined) {
+      const [rows] = await pool.execute(
+        "SELECT title, rent_amount, currency FROM houses WHERE id = ?",
+        [id]
+      );
+      previous = rows[0] || null;
+    }
+
+    // Editing a listing shows the landlord is still active, which answers a stale-listing flag
     const [result] = await pool.execute(
       `UPDATE houses SET ${fields.join(
         ", "
-      )}, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+      )}, stale_flagged_at = NULL, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
       values
     );
+
+    if (result.affectedRows > 0 && previous) {
+      await House.refreshRentBase(id);
+      const rentAmount =
+        updates.rent_amount !== undefined
+          ? updates.rent_amount
+          : previous.rent_amount;
+      const currency = updates.currency || previous.currency;
+      if (
+        parseFloat(previous.rent_amount) !== parseFloat(rentAmount) ||
+        previous.currency !== currency
+      ) {
+        await notifyFavoriteWatchers(
+          id,
+          NOTIFICATION_TYPE.FAVORITE_RENT_CHANGED,
+          `The rent for "${previous.title}" changed from ${previous.rent_amount} ${previous.currency} to ${rentAmount} ${currency}.`
+        );
+      }
+    }
     return result.affectedRows > 0;
   }
 
   /**
-   * Deletes a house listing by its ID.
-   * @param {number} id - The ID of the house to delete.
-   * @returns {boolean} True if deleted, false otherwise.
+   * Recomputes a house's rent in BASE_CURRENCY (rent_amount_base) from its rent, currency and the
+   * current exchange rate. It is stored so that search can filter and sort across currencies.
+   * @param {number} id - The ID of the house.
+   * @param {object} [connection] - Optional connection to run on (to join a caller's transaction).
    */
-  static async delete(id) {
+  static async refreshRentBase(id, connection = getPool()) {
+    await connection.execute(
+      `UPDATE houses h
+             JOIN exchange_rates er ON er.currency = h.currency
+             SET h.rent_amount_base = ROUND(h.rent_amount * er.rate_to_base, 2),
+                 h.updated_at = h.updated_at
+             WHERE h.id = ?`,
+      [id]
+    );
+  }
+
+  /**
+   * Archives a house listing. Archived houses are hidden from public search but keep their
+   * leases, payments, reminders and maintenance history, and can be restored.
+   * @param {number} id - The ID of the house to archive.
+   * @param {number|null} [changedBy=null] - ID of the user archiving the house.
+   * @returns {boolean} True if archived, false if the house does not exist or is already archived.
+   */
+  static async archive(id, changedBy = null) {
+    return House.setArchived(id, true, changedBy);
+  }
+
+  /**
+   * Restores an archived house listing.
+   * @param {number} id - The ID of the house to restore.
+   * @param {number|null} [changedBy=null] - ID of the user restoring the house.
+   * @returns {boolean} True if restored, false if the house does not exist or is not archived.
+   */
+  static async restore(id, changedBy = null) {
+    return House.setArchived(id, false, changedBy);
+  }
+
+  /**
+   * Sets or clears archived_at and records the change in the house's status history.
+   * @param {number} id - The ID of the house.
+   * @param {boolean} archived - True to archive, false to restore.
+   * @param {number|null} changedBy - ID of the user making the change.
+   * @returns {boolean} True if the house changed, false otherwise.
+   */
+  static async setArchived(id, archived, changedBy) {
     const pool = getPool();
-    const [result] = await pool.execute("DELETE FROM houses WHERE id = ?", [
-      id,
-    ]);
-    return result.affectedRows > 0;
+    const connection = await pool.getConnection();
+    try {
+      await connection.beginTransaction();
+      const [result] = await connection.execute(
+        archived
+          ? "UPDATE houses SET archived_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP WHERE id = ? AND archived_at IS NULL"
+          : "UPDATE houses SET archived_at = NULL, updated_at = CURRENT_TIMESTAMP WHERE id = ? AND archived_at IS NOT NULL",
+        [id]
+      );
+      if (result.affectedRows === 0) {
+        await connection.rollback();
+        return false;
+      }
+      // The status itself is unchanged; the history entry records when and by whom
+      const [rows] = await connection.execute(
+        "SELECT status FROM houses WHERE id = ?",
+        [id]
+      );
+      await HouseStatusHistory.create(
+        {
+          house_id: id,
+          from_status: rows[0].status,
+          to_status: rows[0].status,
+          reason: archived
+            ? HOUSE_STATUS_REASON.ARCHIVED
+            : HOUSE_STATUS_REASON.RESTORED,
+          changed_by: changedBy,
+        },
+        connection
+      );
+      await connection.commit();
+      return true;
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
   }
 
   /**
-   * Updates the status and optionally the tenant of a house.
-   * This is typically used when a rent request is approved/rejected or a tenant moves out.
+   * Moves a house to a new status through the house state machine and records the change in its history.
+   * This is how rent requests, maintenance and landlords change a house's status, and how a draft is published.
+   * Users who saved the house, or whose saved searches match it, are notified when it becomes available again.
    * @param {number} houseId - The ID of the house.
-   * @param {string} status - The new status (e.g., 'rented', 'available').
-   * @param {number|null} tenantId - The ID of the tenant, or null if unassigning.
-   * @returns {boolean} True if updated, false otherwise.
+   * @param {string} toStatus - The new status (see HOUSE_STATUS).
+   * @param {object} options
+   * @param {string} options.reason - Why the status changed (see HOUSE_STATUS_REASON).
+   * @param {number|null} [options.tenantId] - Tenant to assign. Defaults to keeping the current tenant when moving to rented or under_maintenance, and to no tenant otherwise.
+   * @param {number|null} [options.changedBy] - ID of the user who made the change (null for system changes).
+   * @param {string|null} [options.note] - Optional free-text note stored with the history entry.
+   * @returns {{fromStatus: string, toStatus: string}|null} The transition made, or null if the house does not exist.
+   * @throws {Error} With statusCode 409 if the state machine does not allow the transition.
    */
-  static async updateStatusAndTenant(houseId, status, tenantId = null) {
+  static async transitionStatus(houseId, toStatus, options) {
     const pool = getPool();
-    const [result] = await pool.execute(
-      `UPDATE houses SET status = ?, tenant_id = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
-      [status, tenantId, houseId]
+    const connection = await pool.getConnection();
+    let previous;
+    try {
+      await connection.beginTransaction();
+      previous = await House.applyStatusTransition(
+        houseId,
+        toStatus,
+        options,
+        connection
+      );
+      if (!previous) {
+        await connection.rollback();
+        return null;
+      }
+      await connection.commit();
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+
+    if (toStatus === HOUSE_STATUS.AVAILABLE) {
+      await House.announceAvailable(houseId, previous.title);
+    }
+    return { fromStatus: previous.status, toStatus };
+  }
+
+  /**
+   * Tells the users who saved a house, and those whose saved searches match it, that it is available again.
+   * Called once a change that made the house available is committed (see transitionStatus, and
+   * applyStatusTransition callers).
+   * @param {number} houseId - The ID of the house.
+   * @param {string} title - The house's title.
+   */
+  static async announceAvailable(houseId, title) {
+    await notifyFavoriteWatchers(
+      houseId,
+      NOTIFICATION_TYPE.FAVORITE_AVAILABLE,
+      `"${title}" is available for rent again.`
+    );
+    queueSavedSearchAlerts(houseId, House.findById);
+  }
+
+  /**
+   * The locked part of transitionStatus, for callers that change a house's status as one step of a larger
+   * transaction (see RentRequest.accept). Locks the house row until the transaction ends, checks the state
+   * machine, updates the house and records the history entry. Sends no notifications.
+   * @param {number} houseId - The ID of the house.
+   * @param {string} toStatus - The new status (see HOUSE_STATUS).
+   * @param {object} options - As for transitionStatus.
+   * @param {object} connection - A connection with an open transaction.
+   * @returns {{title: string, status: string, tenant_id: number|null}|null} The house before the change, or null if it does not exist.
+   * @throws {Error} With statusCode 409 if the state machine does not allow the transition.
+   */
+  static async applyStatusTransition(
+    houseId,
+    toStatus,
+    { reason, tenantId, changedBy = null, note = null },
+    connection
+  ) {
+    // Lock the row so concurrent transitions are applied one at a time
+    const [rows] = await connection.execute(
+      "SELECT title, status, tenant_id FROM houses WHERE id = ? FOR UPDATE",
+      [houseId]
+    );
+    const previous = rows[0];
+    if (!previous) return null;
+    if (!canTransitionHouseStatus(previous.status, toStatus)) {
+      const error = new Error(
+        `Cannot change house status from ${previous.status} to ${toStatus}.`
+      );
+      error.statusCode = 409;
+      throw error;
+    }
+
+    const keepsTenant =
+      toStatus === HOUSE_STATUS.RENTED ||
+      toStatus === HOUSE_STATUS.UNDER_MAINTENANCE;
+    const newTenantId =
+      tenantId !== undefined
+        ? tenantId
+        : keepsTenant
+        ? previous.tenant_id
+        : null;
+
+    // The first time a house becomes available is when it is published
+    await connection.execute(
+      `UPDATE houses SET status = ?, tenant_id = ?,
+              published_at = IF(? = 'available', COALESCE(published_at, CURRENT_TIMESTAMP), published_at),
+              stale_flagged_at = NULL, updated_at = CURRENT_TIMESTAMP
+       WHERE id = ?`,
+      [toStatus, newTenantId, toStatus, houseId]
+    );
+    await HouseStatusHistory.create(
+      {
+        house_id: houseId,
+        from_status: previous.status,
+        to_status: toStatus,
+        reason,
+        note,
+        changed_by: changedBy,
+      },
+      connection
+    );
+    return previous;
+  }
+
+  /**
+   * Finds available listings that have gone stale, oldest first.
+   * @param {object} options - Exactly one of staleDays or graceDays.
+   * @param {number} [options.staleDays] - Listings without landlord activity for this many days, not yet flagged (see flagStaleListing).
+   * @param {number} [options.graceDays] - Listings flagged this many days ago or more that the landlord has not acted on since (see expireStaleListing).
+   * @param {number} [limit=500] - Maximum number of listings to return.
+   * @returns {Array} Houses with id, landlord_id, title and stale_flagged_at.
+   */
+  static async findStaleListings(options, limit = 500) {
+    const pool = getPool();
+    const { condition, params } = buildStaleListingCondition(options);
+    const [rows] = await pool.execute(
+      `SELECT h.id, h.landlord_id, h.title, h.stale_flagged_at
+             FROM houses h
+             WHERE ${condition}
+             ORDER BY h.id ASC
+             LIMIT ?`,
+      [...params, limit]
+    );
+    return rows;
+  }
+
+  /**
+   * Flags a listing as stale and records it in the house's status history. The staleness check is
+   * repeated in the update, so a landlord who became active in the meantime is not flagged.
+   * Flagging does not count as an edit: updated_at is left as it was.
+   * @param {number} id - The ID of the house.
+   * @param {number} staleDays - Days without landlord activity after which a listing is stale.
+   * @returns {boolean} True if the listing was flagged, false if it is no longer stale.
+   */
+  static async flagStaleListing(id, staleDays) {
+    const pool = getPool();
+    const connection = await pool.getConnection();
+    try {
+      await connection.beginTransaction();
+      const { condition, params } = buildStaleListingCondition({ staleDays });
+      const [result] = await connection.execute(
+        `UPDATE houses h SET h.stale_flagged_at = CURRENT_TIMESTAMP, h.updated_at = h.updated_at
+               WHERE h.id = ? AND ${condition}`,
+        [id, ...params]
+      );
+      if (result.affectedRows === 0) {
+        await connection.rollback();
+        return false;
+      }
+      await HouseStatusHistory.create(
+        {
+          house_id: id,
+          from_status: HOUSE_STATUS.AVAILABLE,
+          to_status: HOUSE_STATUS.AVAILABLE,
+          reason: HOUSE_STATUS_REASON.STALE_FLAGGED,
+          note: `No landlord activity for ${staleDays} days.`,
+        },
+        connection
+      );
+      await connection.commit();
+      return true;
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+
+  /**
+   * Unlists a stale listing whose landlord did not respond to the flag within the grace period, and
+   * records it in the house's status history. The check is repeated in the update, so a listing
+   * confirmed in the meantime stays live.
+   * @param {number} id - The ID of the house.
+   * @param {number} graceDays - Days the landlord had to respond to the flag.
+   * @returns {boolean} True if the listing was unlisted, false if it no longer qualifies.
+   */
+  static async expireStaleListing(id, graceDays) {
+    const pool = getPool();
+    const connection = await pool.getConnection();
+    try {
+      await connection.beginTransaction();
+      const { condition, params } = buildStaleListingCondition({ graceDays });
+      const [result] = await connection.execute(
+        `UPDATE houses h SET h.status = ?, h.stale_flagged_at = NULL, h.updated_at = CURRENT_TIMESTAMP
+               WHERE h.id = ? AND ${condition}`,
+        [HOUSE_STATUS.UNLISTED, id, ...params]
+      );
+      if (result.affectedRows === 0) {
+        await connection.rollback();
+        return false;
+      }
+      await HouseStatusHistory.create(
+        {
+          house_id: id,
+          from_status: HOUSE_STATUS.AVAILABLE,
+          to_status: HOUSE_STATUS.UNLISTED,
+          reason: HOUSE_STATUS_REASON.STALE_UNLISTED,
+          note: `Not confirmed within ${graceDays} days of being flagged as stale.`,
+        },
+        connection
+      );
+      await connection.commit();
+      return true;
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+
+  /**
+   * Confirms that an available listing is still current: clears any stale-listing flag, counts as
+   * landlord activity, and records the confirmation in the house's status history.
+   * @param {number} id - The ID of the house.
+   * @param {number} changedBy - ID of the landlord confirming the listing.
+   * @returns {boolean} True if confirmed, false if the house is not an available, unarchived listing.
+   */
+  static async confirmListing(id, changedBy) {
+    const pool = getPool();
+    const connection = await pool.getConnection();
+    try {
+      await connection.beginTransaction();
+      const [result] = await connection.execute(
+        `UPDATE houses SET stale_flagged_at = NULL, updated_at = CURRENT_TIMESTAMP
+               WHERE id = ? AND status = ? AND archived_at IS NULL`,
+        [id, HOUSE_STATUS.AVAILABLE]
+      );
+      if (result.affectedRows === 0) {
+        await connection.rollback();
+        return false;
+      }
+      await HouseStatusHistory.create(
+        {
+          house_id: id,
+          from_status: HOUSE_STATUS.AVAILABLE,
+          to_status: HOUSE_STATUS.AVAILABLE,
+          reason: HOUSE_STATUS_REASON.LISTING_CONFIRMED,
+          changed_by: changedBy,
+        },
+        connection
+      );
+      await connection.commit();
+      return true;
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+
+  /**
+   * Records the moderation state of a listing. Submitting a listing counts as landlord activity and places it in
+   * the moderation queue (see findPendingModeration); an admin's review leaves updated_at as it was.
+   * @param {number} id - The ID of the house.
+   * @param {object} moderation
+   * @param {string} moderation.status - One of MODERATION_STATUS.
+   * @param {string|null} [moderation.reason] - Why the listing was rejected.
+   * @param {number|null} [moderation.moderatedBy] - ID of the admin who reviewed it (null when submitting).
+   * @param {object} [connection] - Connection to run the update on, e.g. inside a transaction. Defaults to the pool.
+   * @returns {boolean} True if updated, false otherwise.
+   */
+  static async setModeration(
+    id,
+    { status, reason = null, moderatedBy = null },
+    connection = getPool()
+  ) {
+    const reviewed = status !== MODERATION_STATUS.PENDING;
+    const [result] = await connection.execute(
+      `UPDATE houses SET moderation_status = ?, moderation_reason = ?,
+                moderated_by = ?, moderated_at = ${
+                  reviewed ? "CURRENT_TIMESTAMP" : "NULL"
+                }, updated_at = ${reviewed ? "updated_at" : "CURRENT_TIMESTAMP"}
+         WHERE id = ?`,
+      [status, reason, moderatedBy, id]
     );
     return result.affectedRows > 0;
   }
+
+  /**
+   * Approves a listing waiting for review and publishes it, in one transaction, so it never goes live while
+   * still sitting in the moderation queue. Users watching the house are notified as by transitionStatus.
+   * @param {number} id - The ID of the house.
+   * @param {number} moderatedBy - ID of the admin approving it.
+   * @returns {boolean} True if approved, false if the house does not exist.
+   * @throws {Error} With statusCode 409 if the listing can no longer be published.
+   */
+  static async approveListing(id, moderatedBy) {
+    const pool = getPool();
+    const connection = await pool.getConnection();
+    let previous;
+    try {
+      await connection.beginTransaction();
+      previous = await House.applyStatusTransition(
+        id,
+        HOUSE_STATUS.AVAILABLE,
+        {
+          reason: HOUSE_STATUS_REASON.LISTING_APPROVED,
+          changedBy: moderatedBy,
+        },
+        connection
+      );
+      if (!previous) {
+        await connection.rollback();
+        return false;
+      }
+      await House.setModeration(
+        id,
+        { status: MODERATION_STATUS.APPROVED, moderatedBy },
+        connection
+      );
+      await connection.commit();
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+
+    await House.announceAvailable(id, previous.title);
+    return true;
+  }
+
+  /**
+   * Retrieves the listings waiting for moderation, oldest submission first.
+   * @param {object} options - Pagination options.
+   * @param {number} [options.limit=10] - Number of records to return.
+   * @param {number} [options.offset=0] - Number of records to skip.
+   * @returns {{houses: Array, total: number}} The pending houses and their total count.
+   */
+  static async findPendingModeration({ limit = 10, offset = 0 } = {}) {
+    const pool = getPool();
+    const [rows] = await pool.execute(
+      `SELECT h.id, h.landlord_id, u.username as landlord_username,
+                    h.title, h.description, h.address, h.rent_amount,
+                    h.currency, h.rent_amount_base,
+                    h.bedrooms, h.bathrooms, h.status, h.image_url,
+                    h.building_id, h.unit_label, h.moderation_status,
+                    h.created_at, h.updated_at
+             FROM houses h
+             JOIN users u ON h.landlord_id = u.id
+             WHERE h.moderation_status = ? AND h.archived_at IS NULL
+             ORDER BY h.updated_at ASC, h.id ASC
+             LIMIT ? OFFSET ?`,
+      [MODERATION_STATUS.PENDING, limit, offset]
+    );
+    const [countRows] = await pool.execute(
+      `SELECT COUNT(*) as total FROM houses
+             WHERE moderation_status = ? AND archived_at IS NULL`,
+      [MODERATION_STATUS.PENDING]
+    );
+    await attachHouseDetails(rows);
+    return { houses: rows, total: countRows[0].total };
+  }
+
+  /**
+   * Finds listings comparable to a prospective house: every house that has ever been published
+   * (current, rented and archived ones alike) with the same number of bedrooms and about the same
+   * number of bathrooms, within a radius. Drafts never count.
+   * @param {object} options
+   * @param {{lat: number, lng: number}} options.near - Location of the prospective house.
+   * @param {number} options.radiusKm - Search radius in km.
+   * @param {number} options.bedrooms - Exact number of bedrooms.
+   * @param {number} options.bathrooms - Number of bathrooms; comparables may have one more or one fewer.
+   * @param {number} [options.excludeId] - Optional: A house to leave out (the house being priced).
+   * @param {number} [options.limit=100] - Maximum number of houses to return.
+   * @returns {Array} The houses, nearest first, each with a `distance_km`.
+   */
+  static async findComparables({
+    near,
+    radiusKm,
+    bedrooms,
+    bathrooms,
+    excludeId = null,
+    limit = 100,
+  }) {
+    const pool = getPool();
+    const box = getBoundingBox(near.lat, near.lng, radiusKm);
+    const [rows] = await pool.execute(
+      `SELECT h.id, h.title, h.address, h.rent_amount, h.currency, h.rent_amount_base,
+                    h.bedrooms, h.bathrooms,
+                    h.status, h.building_id, h.latitude, h.longitude,
+                    h.published_at, h.archived_at, h.created_at,
+                    ${DISTANCE_SQL} AS distance_km
+             FROM houses h
+             WHERE h.published_at IS NOT NULL
+               AND h.id <> ?
+               AND h.bedrooms = ?
+               AND h.bathrooms BETWEEN ? AND ?
+               AND h.latitude BETWEEN ? AND ?
+               AND h.longitude BETWEEN ? AND ?
+             HAVING distance_km <= ?
+             ORDER BY distance_km ASC, h.id ASC
+             LIMIT ?`,
+      [
+        near.lat,
+        near.lng,
+        near.lat,
+        excludeId || 0,
+        bedrooms,
+        bathrooms - 1,
+        bathrooms + 1,
+        box.minLat,
+        box.maxLat,
+        box.minLng,
+        box.maxLng,
+        radiusKm,
+        limit,
+      ]
+    );
+    return rows;
+  }
+
+  /**
+   * Finds other landlords' listings whose text best matches a listing, as candidates for duplicate
+   * detection. Drafts are included so that a copy is caught whichever of the two is published first.
+   * @param {object} house - The listing: id, landlord_id, title, description and address.
+   * @param {number} [limit=20] - Maximum number of candidates to return.
+   * @returns {Array} Houses with id, landlord_id, title, description, address, rent_amount and currency, best match first.
+   */
+  static async findDuplicateCandidates(house, limit = 20) {
+    const pool = getPool();
+    const text = [house.title, house.address, house.description]
+      .filter(Boolean)
+      .join(" ");
+    const [rows] = await pool.execute(
+      `SELECT h.id, h.landlord_id, h.title, h.description, h.address,
+                    h.rent_amount, h.currency,
+                    MATCH(h.title, h.description, h.address) AGAINST (? IN NATURAL LANGUAGE MODE) AS relevance
+             FROM houses h
+             WHERE h.id <> ? AND h.landlord_id <> ? AND h.archived_at IS NULL
+               AND MATCH(h.title, h.description, h.address) AGAINST (? IN NATURAL LANGUAGE MODE)
+             ORDER BY relevance DESC, h.id ASC
+             LIMIT ?`,
+      [text, house.id, house.landlord_id, text, limit]
+    );
+    return rows;
+  }
 }
 
 module.exports = House;
@@ -0,0 +1,218 @@
+// models/HouseImage.js
+const { getPool } = require("../config/database");
+
+class HouseImage {
+  /**
+   * Adds an image to a house's gallery. It is appended after the existing images.
+   * @param {object} imageData - Object containing house_id, storage_key, url, caption (optional) and is_cover (optional).
+   * @returns {number} The ID of the newly created image.
+   */
+  static async create({
+    house_id,
+    storage_key,
+    url,
+    caption = null,
+    is_cover = false,
+  }) {
+    const pool = getPool();
+    const [result] = await pool.execute(
+      `INSERT INTO house_images (house_id, storage_key, url, caption, sort_order, is_cover)
+             SELECT ?, ?, ?, ?, COALESCE(MAX(sort_order) + 1, 0), ?
+             FROM house_images WHERE house_id = ?`,
+      [house_id, storage_key, url, caption, is_cover, house_id]
+    );
+    return result.insertId;
+  }
+
+  /**
+   * Finds a single image by its ID.
+   * @param {number} id - The ID of the image.
+   * @returns {object|null} The image object or null if not found.
+   */
+  static async findById(id) {
+    const pool = getPool();
+    const [rows] = await pool.execute(
+      `SELECT id, house_id, storage_key, url, caption, sort_order, is_cover, created_at
+             FROM house_images WHERE id = ?`,
+      [id]
+    );
+    return rows[0] || null;
+  }
+
+  /**
+   * Retrieves the gallery of a house, cover photo first, then in display order.
+   * @param {number} houseId - The ID of the house.
+   * @returns {Array} An array of image objects.
+   */
+  static async findByHouseId(houseId) {
+    const pool = getPool();
+    const [rows] = await pool.execute(
+      `SELECT id, house_id, url, caption, sort_order, is_cover, created_at
+             FROM house_images WHERE house_id = ?
+             ORDER BY is_cover DESC, sort_order ASC, id ASC`,
+      [houseId]
+    );
+    return rows;
+  }
+
+  /**
+   * Retrieves the galleries of several houses in one query.
+   * @param {number[]} houseIds - The IDs of the houses.
+   * @returns {Object<number, Array>} A map of house ID to its array of images.
+   */
+  static async findByHouseIds(houseIds) {
+    const galleries = {};
+    if (houseIds.length === 0) return galleries;
+
+    const pool = getPool();
+    const placeholders = houseIds.map(() => "?").join(", ");
+    const [rows] = await pool.execute(
+      `SELECT id, house_id, url, caption, sort_order, is_cover, created_at
+             FROM house_images WHERE house_id IN (${placeholders})
+             ORDER BY is_cover DESC, sort_order ASC, id ASC`,
+      houseIds
+    );
+    for (const row of rows) {
+      (galleries[row.house_id] = galleries[row.house_id] || []).push(row);
+    }
+    return galleries;
+  }
+
+  /**
+   * Counts the images in a house's gallery.
+   * @param {number} houseId - The ID of the house.
+   * @returns {number} The number of images.
+   */
+  static async countByHouseId(houseId) {
+    const pool = getPool();
+    const [rows] = await pool.execute(
+      `SELECT COUNT(*) as total FROM house_images WHERE house_id = ?`,
+      [houseId]
+    );
+    return rows[0].total;
+  }
+
+  /**
+   * Updates the caption of an image.
+   * @param {number} id - The ID of the image.
+   * @param {string|null} caption - The new caption.
+   * @returns {boolean} True if updated, false otherwise.
+   */
+  static async updateCaption(id, caption) {
+    const pool = getPool();
+    const [result] = await pool.execute(
+      `UPDATE house_images SET caption = ? WHERE id = ?`,
+      [caption, id]
+    );
+    return result.affectedRows > 0;
+  }
+
+  /**
+   * Makes an image the cover photo of its house, clearing the flag on the others.
+   * The house's legacy `image_url` is kept in sync with the cover photo.
+   * @param {number} houseId - The ID of the house.
+   * @param {number} imageId - The ID of the image to use as cover.
+   * @returns {boolean} True if the cover was set, false if the image does not belong to the house.
+   */
+  static async setCover(houseId, imageId) {
+    const pool = getPool();
+    const connection = await pool.getConnection();
+    try {
+      await connection.beginTransaction();
+      const [result] = await connection.execute(
+        `UPDATE house_images SET is_cover = (id = ?) WHERE house_id = ?`,
+        [imageId, houseId]
+      );
+      const [rows] = await connection.execute(
+        `SELECT url FROM house_images WHERE id = ? AND house_id = ?`,
+        [imageId, houseId]
+      );
+      if (result.affectedRows === 0 || rows.length === 0) {
+        await connection.rollback();
+        return false;
+      }
+      await connection.execute(
+        `UPDATE houses SET image_url = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+        [rows[0].url, houseId]
+      );
+      await connection.commit();
+      return true;
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+
+  /**
+   * Reorders a house's gallery.
+   * @param {number} houseId - The ID of the house.
+   * @param {number[]} imageIds - Every image ID of the house, in the desired order.
+   * @returns {boolean} True if reordered.
+   */
+  static async reorder(houseId, imageIds) {
+    const pool = getPool();
+    const connection = await pool.getConnection();
+    try {
+      await connection.beginTransaction();
+      for (const [index, imageId] of imageIds.entries()) {
+        await connection.execute(
+          `UPDATE house_images SET sort_order = ? WHERE id = ? AND house_id = ?`,
+          [index, imageId, houseId]
+        );
+      }
+      await connection.commit();
+      return true;
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+
+  /**
+   * Deletes an image record. If it was the cover photo, the next image becomes the cover.
+   * The stored file itself must be removed by the caller through the storage service.
+   * @param {object} image - The image row (as returned by findById).
+   * @returns {boolean} True if deleted, false otherwise.
+   */
+  static async delete(image) {
+    const pool = getPool();
+    const connection = await pool.getConnection();
+    try {
+      await connection.beginTransaction();
+      const [result] = await connection.execute(
+        "DELETE FROM house_images WHERE id = ?",
+        [image.id]
+      );
+      if (image.is_cover) {
+        const [next] = await connection.execute(
+          `SELECT id, url FROM house_images WHERE house_id = ?
+                 ORDER BY sort_order ASC, id ASC LIMIT 1`,
+          [image.house_id]
+        );
+        if (next.length > 0) {
+          await connection.execute(
+            "UPDATE house_images SET is_cover = TRUE WHERE id = ?",
+            [next[0].id]
+          );
+        }
+        await connection.execute(
+          `UPDATE houses SET image_url = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+          [next.length > 0 ? next[0].url : null, image.house_id]
+        );
+      }
+      await connection.commit();
+      return result.affectedRows > 0;
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+}
+
+module.exports = HouseImage;
@@ -0,0 +1,70 @@
+// models/HouseStatusHistory.js
+const { getPool } = require("../config/database");
+
+class HouseStatusHistory {
+  /**
+   * Records a house status change.
+   * @param {object} entry - Object containing house_id, from_status (null for a new house), to_status, reason, note (optional) and changed_by (optional user ID).
+   * @param {object} [connection] - Optional connection to run on (to join a caller's transaction).
+   * @returns {number} The ID of the new history entry.
+   */
+  static async create(
+    {
+      house_id,
+      from_status,
+      to_status,
+      reason,
+      note = null,
+      changed_by = null,
+    },
+    connection = getPool()
+  ) {
+    const [result] = await connection.execute(
+      `INSERT INTO house_status_history (house_id, from_status, to_status, reason, note, changed_by)
+             VALUES (?, ?, ?, ?, ?, ?)`,
+      [house_id, from_status, to_status, reason, note, changed_by]
+    );
+    return result.insertId;
+  }
+
+  /**
+   * Retrieves the status history of a house, oldest first.
+   * @param {number} houseId - The ID of the house.
+   * @returns {Array} An array of history entries, with the username of whoever made each change.
+   */
+  static async findByHouseId(houseId) {
+    const pool = getPool();
+    const [rows] = await pool.execute(
+      `SELECT hsh.id, hsh.house_id, hsh.from_status, hsh.to_status, hsh.reason,
+                    hsh.note, hsh.changed_by, u.username as changed_by_username,
+                    hsh.created_at
+             FROM house_status_history hsh
+             LEFT JOIN users u ON hsh.changed_by = u.id
+             WHERE hsh.house_id = ?
+             ORDER BY hsh.created_at ASC, hsh.id ASC`,
+      [houseId]
+    );
+    return rows;
+  }
+
+  /**
+   * Finds the most recent change that moved a house into the given status.
+   * @param {number} houseId - The ID of the house.
+   * @param {string} status - The status the house moved into.
+   * @returns {object|null} The history entry or null if the house was never in that status.
+   */
+  static async findLatestInto(houseId, status) {
+    const pool = getPool();
+    const [rows] = await pool.execute(
+      `SELECT id, house_id, from_status, to_status, reason, note, changed_by, created_at
+             FROM house_status_history
+             WHERE house_id = ? AND to_status = ?
+             ORDER BY created_at DESC, id DESC
+             LIMIT 1`,
+      [houseId, status]
+    );
+    return rows[0] || null;
+  }
+}
+
+module.exports = HouseStatusHistory;
@@ -0,0 +1,80 @@
+// models/HouseView.js
+const { getPool } = require("../config/database");
+const { buildDateRangeConditions } = require("../utils/dateRange");
+
+class HouseView {
+  /**
+   * Records that someone viewed a house. Each viewer has one row per house and day,
+   * whose view_count grows with repeat views.
+   * @param {object} view - Object containing house_id, viewer_key (stable per viewer) and viewer_id (optional user ID).
+   * @returns {boolean} True once recorded.
+   */
+  static async record({ house_id, viewer_key, viewer_id = null }) {
+    const pool = getPool();
+    await pool.execute(
+      `INSERT INTO house_views (house_id, viewer_key, viewer_id, viewed_on)
+             VALUES (?, ?, ?, CURRENT_DATE)
+             ON DUPLICATE KEY UPDATE view_count = view_count + 1,
+                                     last_viewed_at = CURRENT_TIMESTAMP`,
+      [house_id, viewer_key, viewer_id]
+    );
+    return true;
+  }
+
+  /**
+   * Totals the views and unique viewers of several houses over a date range.
+   * @param {number[]} houseIds - The IDs of the houses.
+   * @param {{from: string, to: string}} [range] - Optional range (YYYY-MM-DD, both inclusive).
+   * @returns {Object<number, {views: number, unique_viewers: number}>} Totals keyed by house ID. Houses without views are omitted.
+   */
+  static async getTotalsByHouseIds(houseIds, range = {}) {
+    if (houseIds.length === 0) return {};
+    const pool = getPool();
+    const { conditions, params } = buildDateRangeConditions("viewed_on", range);
+    const placeholders = houseIds.map(() => "?").join(", ");
+    conditions.unshift(`house_id IN (${placeholders})`);
+    const [rows] = await pool.execute(
+      `SELECT house_id, SUM(view_count) as views, COUNT(DISTINCT viewer_key) as unique_viewers
+             FROM house_views
+             WHERE ${conditions.join(" AND ")}
+             GROUP BY house_id`,
+      [...houseIds, ...params]
+    );
+    const totals = {};
+    for (const row of rows) {
+      totals[row.house_id] = {
+        views: Number(row.views),
+        unique_viewers: row.unique_viewers,
+      };
+    }
+    return totals;
+  }
+
+  /**
+   * Counts the views and unique viewers of a house per day.
+   * @param {number} houseId - The ID of the house.
+   * @param {{from: string, to: string}} [range] - Optional range (YYYY-MM-DD, both inclusive).
+   * @returns {Array<{day: string, views: number, unique_viewers: number}>} One entry per day with views, oldest first.
+   */
+  static async getDailyByHouseId(houseId, range = {}) {
+    const pool = getPool();
+    const { conditions, params } = buildDateRangeConditions("viewed_on", range);
+    conditions.unshift("house_id = ?");
+    const [rows] = await pool.execute(
+      `SELECT DATE_FORMAT(viewed_on, '%Y-%m-%d') as day, SUM(view_count) as views,
+                    COUNT(*) as unique_viewers
+             FROM house_views
+             WHERE ${conditions.join(" AND ")}
+             GROUP BY viewed_on
+             ORDER BY viewed_on ASC`,
+      [houseId, ...params]
+    );
+    return rows.map((row) => ({
+      day: row.day,
+      views: Number(row.views),
+      unique_viewers: row.unique_viewers,
+    }));
+  }
+}
+
+module.exports = HouseView;
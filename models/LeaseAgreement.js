@@ -1,34 +1,44 @@
 const { getPool } = require("../config/database");
+const RentPayment = require("./RentPayment");
+const { BASE_CURRENCY, LEASE_STATUS } = require("../utils/constants");
 
 class LeaseAgreement {
   /**
    * Creates a new lease agreement.
-   * @param {object} leaseData - Object containing lease agreement data.
+   * @param {object} leaseData - Object containing lease agreement data. rent_amount and deposit_amount are in `currency` (defaults to BASE_CURRENCY).
+   *        rent_request_id links a lease drafted on acceptance to its rent request (see RentRequest.accept).
+   * @param {object} [connection] - Optional connection to run on (to join a caller's transaction).
    * @returns {number} The ID of the newly created lease agreement.
    */
-  static async create({
-    house_id,
-    tenant_id,
-    landlord_id,
-    start_date,
-    end_date,
-    rent_amount,
-    deposit_amount,
-    terms,
-    status = "pending", // Default status
-    document_url,
-  }) {
-    const pool = getPool();
-    const [result] = await pool.execute(
-      "INSERT INTO lease_agreements (house_id, tenant_id, landlord_id, start_date, end_date, rent_amount, deposit_amount, terms, status, document_url) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)",
+  static async create(
+    {
+      house_id,
+      tenant_id,
+      landlord_id,
+      start_date,
+      end_date,
+      rent_amount,
+      deposit_amount,
+      currency = BASE_CURRENCY,
+      terms,
+      status = "pending", // Default status
+      document_url = null,
+      rent_request_id = null,
+    },
+    connection = getPool()
+  ) {
+    const [result] = await connection.execute(
+      "INSERT INTO lease_agreements (house_id, tenant_id, landlord_id, rent_request_id, start_date, end_date, rent_amount, deposit_amount, currency, terms, status, document_url) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)",
       [
         house_id,
         tenant_id,
         landlord_id,
+        rent_request_id,
         start_date,
         end_date,
         rent_amount,
         deposit_amount,
+        currency,
         terms,
         status,
         document_url,
@@ -66,30 +76,68 @@ class LeaseAgreement {
   }
 
   /**
-   * Finds all lease agreements for a specific tenant.
+   * Finds all lease agreements for a specific tenant, except drafts their landlord has not sent yet.
    * @param {number} tenantId - The ID of the tenant.
    * @returns {Array} An array of lease agreement objects.
    */
   static async findByTenantId(tenantId) {
     const pool = getPool();
     const [rows] = await pool.execute(
-      "SELECT * FROM lease_agreements WHERE tenant_id = ?",
-      [tenantId]
+      "SELECT * FROM lease_agreements WHERE tenant_id = ? AND status <> ?",
+      [tenantId, LEASE_STATUS.DRAFT]
     );
     return rows;
   }
 
   /**
-   * Finds all lease agreements managed by a specific landlord.
-   * @param {number} landlordId - The ID of the landlord.
-   * @returns {Array} An array of lease agreement objects.
+   * Finds a tenant's most recent lease of a house that has a given status.
+   * @param {number} tenantId - The ID of the tenant.
+   * @param {number} houseId - The ID of the house.
+   * @param {string} status - One of LEASE_STATUS.
+   * @returns {object|null} The lease agreement object or null if there is none.
    */
-  static async findByLandlordId(landlordId) {
+  static async findLatestByTenantAndHouse(tenantId, houseId, status) {
     const pool = getPool();
     const [rows] = await pool.execute(
-      "SELECT * FROM lease_agreements WHERE landlord_id = ?",
-      [landlordId]
+      `SELECT * FROM lease_agreements
+             WHERE tenant_id = ? AND house_id = ? AND status = ?
+             ORDER BY end_date DESC, id DESC LIMIT 1`,
+      [tenantId, houseId, status]
     );
+    return rows[0] || null;
+  }
+
+  /**
+   * Finds all lease agreements managed by a specific landlord.
+   * @param {number} landlordId - The ID of the landlord.
+   * @param {object} [options]
+   * @param {Date|string} [options.from] - Optional: Only leases still running on or after this date.
+   * @param {Date|string} [options.to] - Optional: Only leases starting on or before this date.
+   * @param {number} [options.limit] - Optional: Return at most this many leases (a page), after `offset`.
+   * @param {number} [options.offset=0] - Optional: Number of leases to skip when paging.
+   * @returns {Array} An array of lease agreement objects, oldest first.
+   */
+  static async findByLandlordId(
+    landlordId,
+    { from, to, limit, offset = 0 } = {}
+  ) {
+    const pool = getPool();
+    let query = "SELECT * FROM lease_agreements WHERE landlord_id = ?";
+    const params = [landlordId];
+    if (from) {
+      query += " AND end_date >= ?";
+      params.push(from);
+    }
+    if (to) {
+      query += " AND start_date <= ?";
+      params.push(to);
+    }
+    query += " ORDER BY id ASC";
+    if (limit !== undefined) {
+      query += " LIMIT ? OFFSET ?";
+      params.push(limit, offset);
+    }
+    const [rows] = await pool.execute(query, params);
     return rows;
   }
 
@@ -97,10 +145,10 @@ class LeaseAgreement {
    * Updates an existing lease agreement.
    * @param {number} id - The ID of the lease agreement to update.
    * @param {object} updateData - Object containing fields to update (e.g., status, end_date, terms).
+   * @param {object} [connection] - Connection to run the update on, e.g. inside a transaction. Defaults to the pool.
    * @returns {boolean} True if the update was successful, false otherwise.
    */
-  static async update(id, updateData) {
-    const pool = getPool();
+  static async update(id, updateData, connection = getPool()) {
     const fields = [];
     const values = [];
 
@@ -119,13 +167,84 @@ class LeaseAgreement {
     }
 
     values.push(id); // Add the ID for the WHERE clause
-    const [result] = await pool.execute(
+    const [result] = await connection.execute(
       `UPDATE lease_agreements SET ${fields.join(", ")} WHERE id = ?`,
       values
     );
     return result.affectedRows > 0;
   }
 
+  /**
+   * Sends a draft lease to its tenant by making it pending.
+   * @param {number} id - The ID of the lease agreement.
+   * @returns {boolean} True if the lease was a draft and has been sent, false otherwise.
+   */
+  static async send(id) {
+    const pool = getPool();
+    const [result] = await pool.execute(
+      "UPDATE lease_agreements SET status = ? WHERE id = ? AND status = ?",
+      [LEASE_STATUS.PENDING, id, LEASE_STATUS.DRAFT]
+    );
+    return result.affectedRows > 0;
+  }
+
+  /**
+   * Activates a pending lease and generates its rent payment schedule (see RentPayment.createLeaseSchedule),
+   * in one transaction. The lease row is locked, so the schedule is generated once even if the lease is
+   * activated twice concurrently. Last changes to the lease's fields are applied in the same transaction,
+   * before the schedule is generated, so they are rolled back if the lease cannot be activated.
+   * @param {number} id - The ID of the lease agreement.
+   * @param {object} [updateData={}] - Fields to change along with the activation (see update). Must not include status.
+   * @returns {{paymentsCreated: number}|null} How many payments were scheduled, or null if the lease does not exist.
+   * @throws {Error} With statusCode 409 if the lease is not pending.
+   */
+  static async activate(id, updateData = {}) {
+    const pool = getPool();
+    const connection = await pool.getConnection();
+    try {
+      await connection.beginTransaction();
+      const [rows] = await connection.execute(
+        "SELECT * FROM lease_agreements WHERE id = ? FOR UPDATE",
+        [id]
+      );
+      const lease = rows[0];
+      if (!lease) {
+        await connection.rollback();
+        return null;
+      }
+      if (lease.status !== LEASE_STATUS.PENDING) {
+        const error = new Error(
+          lease.status === LEASE_STATUS.DRAFT
+            ? "Send the draft lease to the tenant before activating it."
+            : `Cannot activate a lease that is ${lease.status}.`
+        );
+        error.statusCode = 409;
+        throw error;
+      }
+
+      await LeaseAgreement.update(
+        id,
+        { ...updateData, status: LEASE_STATUS.ACTIVE },
+        connection
+      );
+      const [activated] = await connection.execute(
+        "SELECT * FROM lease_agreements WHERE id = ?",
+        [id]
+      );
+      const paymentsCreated = await RentPayment.createLeaseSchedule(
+        activated[0],
+        connection
+      );
+      await connection.commit();
+      return { paymentsCreated };
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+
   /**
    * Deletes a lease agreement by its ID.
    * @param {number} id - The ID of the lease agreement to delete.
@@ -0,0 +1,193 @@
+// models/ListingFlag.js
+const { getPool } = require("../config/database");
+const {
+  LISTING_FLAG_SOURCE,
+  LISTING_FLAG_STATUS,
+} = require("../utils/constants");
+
+const FLAG_QUERY = `
+            SELECT lf.id, lf.house_id, h.title as house_title, h.address as house_address,
+                   h.rent_amount as house_rent_amount, h.currency as house_currency,
+                   h.status as house_status, h.landlord_id, lu.username as landlord_username,
+                   lf.source, lf.reason, lf.details,
+                   lf.matched_house_id, mh.title as matched_house_title,
+                   mh.rent_amount as matched_house_rent_amount, mh.currency as matched_house_currency,
+                   mh.landlord_id as matched_landlord_id, mu.username as matched_landlord_username,
+                   lf.similarity, lf.reported_by, ru.username as reported_by_username,
+                   lf.status, lf.resolution_note, lf.resolved_by, su.username as resolved_by_username,
+                   lf.resolved_at, lf.created_at
+            FROM listing_flags lf
+            JOIN houses h ON lf.house_id = h.id
+            JOIN users lu ON h.landlord_id = lu.id
+            LEFT JOIN houses mh ON lf.matched_house_id = mh.id
+            LEFT JOIN users mu ON mh.landlord_id = mu.id
+            LEFT JOIN users ru ON lf.reported_by = ru.id
+            LEFT JOIN users su ON lf.resolved_by = su.id`;
+
+class ListingFlag {
+  /**
+   * Adds a listing to the admin review queue.
+   * @param {object} flagData - Object containing house_id, source (LISTING_FLAG_SOURCE), reason (LISTING_FLAG_REASON),
+   *        and optional details, matched_house_id and similarity (duplicate detection) or reported_by (tenant reports).
+   * @returns {number} The ID of the new flag.
+   */
+  static async create({
+    house_id,
+    source,
+    reason,
+    details = null,
+    matched_house_id = null,
+    similarity = null,
+    reported_by = null,
+  }) {
+    const pool = getPool();
+    const [result] = await pool.execute(
+      `INSERT INTO listing_flags (house_id, source, reason, details, matched_house_id, similarity, reported_by)
+             VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [
+        house_id,
+        source,
+        reason,
+        details,
+        matched_house_id,
+        similarity,
+        reported_by,
+      ]
+    );
+    return result.insertId;
+  }
+
+  /**
+   * Retrieves a flag with the listings and users it refers to.
+   * @param {number} id - The ID of the flag.
+   * @returns {object|null} The flag or null if not found.
+   */
+  static async findById(id) {
+    const pool = getPool();
+    const [rows] = await pool.execute(`${FLAG_QUERY} WHERE lf.id = ?`, [id]);
+    return rows[0] || null;
+  }
+
+  /**
+   * Checks whether two listings are already flagged as duplicates of each other and waiting for review.
+   * @param {number} houseId - The ID of one listing.
+   * @param {number} matchedHouseId - The ID of the other.
+   * @returns {boolean} True if an open duplicate flag links them, in either direction.
+   */
+  static async hasOpenDuplicate(houseId, matchedHouseId) {
+    const pool = getPool();
+    const [rows] = await pool.execute(
+      `SELECT id FROM listing_flags
+             WHERE source = ? AND status = ?
+               AND ((house_id = ? AND matched_house_id = ?) OR (house_id = ? AND matched_house_id = ?))
+             LIMIT 1`,
+      [
+        LISTING_FLAG_SOURCE.DUPLICATE_DETECTION,
+        LISTING_FLAG_STATUS.OPEN,
+        houseId,
+        matchedHouseId,
+        matchedHouseId,
+        houseId,
+      ]
+    );
+    return rows.length > 0;
+  }
+
+  /**
+   * Finds a tenant's report of a listing that is still waiting for review.
+   * @param {number} houseId - The ID of the listing.
+   * @param {number} userId - The ID of the tenant.
+   * @returns {object|null} The report or null if there is none open.
+   */
+  static async findOpenReport(houseId, userId) {
+    const pool = getPool();
+    const [rows] = await pool.execute(
+      `SELECT id, house_id, reason, details, created_at
+             FROM listing_flags
+             WHERE house_id = ? AND reported_by = ? AND source = ? AND status = ?
+             LIMIT 1`,
+      [
+        houseId,
+        userId,
+        LISTING_FLAG_SOURCE.TENANT_REPORT,
+        LISTING_FLAG_STATUS.OPEN,
+      ]
+    );
+    return rows[0] || null;
+  }
+
+  /**
+   * Retrieves the admin review queue, oldest first so nothing waits forever.
+   * @param {object} [options]
+   * @param {string} [options.status=LISTING_FLAG_STATUS.OPEN] - Only flags in this status.
+   * @param {string} [options.source] - Optional: Only flags from this source (LISTING_FLAG_SOURCE).
+   * @param {number} [options.houseId] - Optional: Only flags on this listing.
+   * @param {number} [options.limit=10] - Number of records to return.
+   * @param {number} [options.offset=0] - Number of records to skip.
+   * @returns {{flags: Array, total: number}} The flags and their total count.
+   */
+  static async findQueue({
+    status = LISTING_FLAG_STATUS.OPEN,
+    source,
+    houseId,
+    limit = 10,
+    offset = 0,
+  } = {}) {
+    const pool = getPool();
+    const conditions = ["lf.status = ?"];
+    const params = [status];
+    if (source) {
+      conditions.push("lf.source = ?");
+      params.push(source);
+    }
+    if (houseId) {
+      conditions.push("lf.house_id = ?");
+      params.push(houseId);
+    }
+    const where = conditions.join(" AND ");
+
+    const [rows] = await pool.execute(
+      `${FLAG_QUERY} WHERE ${where}
+             ORDER BY lf.created_at ASC, lf.id ASC
+             LIMIT ? OFFSET ?`,
+      [...params, limit, offset]
+    );
+    const [countRows] = await pool.execute(
+      `SELECT COUNT(*) as total FROM listing_flags lf WHERE ${where}`,
+      params
+    );
+    return { flags: rows, total: countRows[0].total };
+  }
+
+  /**
+   * Closes the open flags of a listing after an admin reviewed it.
+   * @param {number} houseId - The ID of the listing.
+   * @param {object} resolution
+   * @param {string} resolution.status - LISTING_FLAG_STATUS.DISMISSED or LISTING_FLAG_STATUS.ACTIONED.
+   * @param {string|null} [resolution.note] - Optional note on the decision.
+   * @param {number} resolution.resolvedBy - ID of the admin.
+   * @param {number} [resolution.flagId] - Optional: Close only this flag instead of all of the listing's open flags.
+   * @returns {number} The number of flags closed.
+   */
+  static async resolve(houseId, { status, note = null, resolvedBy, flagId }) {
+    const pool = getPool();
+    const params = [
+      status,
+      note,
+      resolvedBy,
+      houseId,
+      LISTING_FLAG_STATUS.OPEN,
+    ];
+    let query = `UPDATE listing_flags
+             SET status = ?, resolution_note = ?, resolved_by = ?, resolved_at = CURRENT_TIMESTAMP
+             WHERE house_id = ? AND status = ?`;
+    if (flagId !== undefined) {
+      query += " AND id = ?";
+      params.push(flagId);
+    }
+    const [result] = await pool.execute(query, params);
+    return result.affectedRows;
+  }
+}
+
+module.exports = ListingFlag;
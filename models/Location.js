@@ -0,0 +1,156 @@
+// models/Location.js
+const { getPool } = require("../config/database");
+const { LOCATION_LEVEL } = require("../utils/constants");
+
+// Levels from the largest area to the smallest; each location stores the IDs of its ancestors at these levels
+const LEVELS = Object.values(LOCATION_LEVEL);
+
+const SUMMARY_QUERY = `
+            SELECT l.id, l.parent_id, l.level, l.name, l.code,
+                   l.province_id, p.name as province_name,
+                   l.district_id, d.name as district_name,
+                   l.sector_id, s.name as sector_name,
+                   l.cell_id, c.name as cell_name
+            FROM locations l
+            LEFT JOIN locations p ON p.id = l.province_id
+            LEFT JOIN locations d ON d.id = l.district_id
+            LEFT JOIN locations s ON s.id = l.sector_id
+            LEFT JOIN locations c ON c.id = l.cell_id`;
+
+/**
+ * Shapes a row of SUMMARY_QUERY into a location with its ancestors, e.g.
+ * `{id, level: 'sector', name: 'Kimironko', province: {id, name}, district: {id, name}, sector: {id, name}, cell: null}`.
+ * @param {object} row - A row of SUMMARY_QUERY.
+ * @returns {object} The location summary. The location itself appears at its own level.
+ */
+const toSummary = (row) => {
+  const summary = {
+    id: row.id,
+    parent_id: row.parent_id,
+    level: row.level,
+    name: row.name,
+    code: row.code,
+  };
+  for (const level of LEVELS) {
+    summary[level] = row[`${level}_id`]
+      ? { id: row[`${level}_id`], name: row[`${level}_name`] }
+      : null;
+  }
+  return summary;
+};
+
+class Location {
+  /**
+   * Returns the level below another one.
+   * @param {string|null} level - One of LOCATION_LEVEL, or null for the top of the hierarchy.
+   * @returns {string|null} The next smaller level, or null below a cell.
+   */
+  static childLevel(level) {
+    if (!level) return LEVELS[0];
+    return LEVELS[LEVELS.indexOf(level) + 1] || null;
+  }
+
+  /**
+   * Creates a location, or renames the existing one with the same code, and records its ancestors.
+   * Seeding the hierarchy twice therefore leaves it unchanged.
+   * @param {object} locationData - Object containing parent_id (null for provinces), level (LOCATION_LEVEL), name and code (unique path, e.g. 'kigali-city/gasabo').
+   * @param {object} [connection] - Optional connection to run on (to join a caller's transaction).
+   * @returns {number} The ID of the location.
+   */
+  static async upsert(
+    { parent_id = null, level, name, code },
+    connection = getPool()
+  ) {
+    const [result] = await connection.execute(
+      `INSERT INTO locations (parent_id, level, name, code)
+             VALUES (?, ?, ?, ?)
+             ON DUPLICATE KEY UPDATE id = LAST_INSERT_ID(id), parent_id = VALUES(parent_id),
+                                     level = VALUES(level), name = VALUES(name)`,
+      [parent_id, level, name, code]
+    );
+    const id = result.insertId;
+    // A location is its own ancestor at its level, and inherits the others from its parent
+    await connection.execute(
+      `UPDATE locations l
+             LEFT JOIN locations p ON p.id = l.parent_id
+             SET ${LEVELS.map(
+               (column) =>
+                 `l.${column}_id = IF(l.level = '${column}', l.id, p.${column}_id)`
+             ).join(", ")}
+             WHERE l.id = ?`,
+      [id]
+    );
+    return id;
+  }
+
+  /**
+   * Retrieves a location with its ancestors.
+   * @param {number} id - The ID of the location.
+   * @returns {object|null} The location summary (see findSummariesByIds) or null if not found.
+   */
+  static async findById(id) {
+    const pool = getPool();
+    const [rows] = await pool.execute(`${SUMMARY_QUERY} WHERE l.id = ?`, [id]);
+    return rows[0] ? toSummary(rows[0]) : null;
+  }
+
+  /**
+   * Retrieves several locations with their ancestors, for embedding in house listings.
+   * @param {number[]} ids - The IDs of the locations.
+   * @returns {Object<number, object>} A map of location ID to its summary: id, parent_id, level, name, code,
+   *          and a `{id, name}` (or null) for each of province, district, sector and cell.
+   */
+  static async findSummariesByIds(ids) {
+    const summaries = {};
+    if (ids.length === 0) return summaries;
+
+    const pool = getPool();
+    const placeholders = ids.map(() => "?").join(", ");
+    const [rows] = await pool.execute(
+      `${SUMMARY_QUERY} WHERE l.id IN (${placeholders})`,
+      ids
+    );
+    for (const row of rows) {
+      summaries[row.id] = toSummary(row);
+    }
+    return summaries;
+  }
+
+  /**
+   * Lists locations, for browsing the hierarchy or looking up an area by name.
+   * @param {object} [options]
+   * @param {number|null} [options.parentId] - Optional: Only the direct children of this location.
+   * @param {string} [options.level] - Optional: Only locations at this level (see LOCATION_LEVEL).
+   * @param {string} [options.q] - Optional: Only locations whose name contains this text.
+   * @param {number} [options.limit=500] - Maximum number of locations to return.
+   * @returns {Array} Location summaries ordered by name.
+   */
+  static async findAll({ parentId, level, q, limit = 500 } = {}) {
+    const pool = getPool();
+    const conditions = [];
+    const params = [];
+    if (parentId !== undefined && parentId !== null) {
+      conditions.push("l.parent_id = ?");
+      params.push(parentId);
+    }
+    if (level) {
+      conditions.push("l.level = ?");
+      params.push(level);
+    }
+    if (q) {
+      conditions.push("l.name LIKE ?");
+      params.push(`%${q}%`);
+    }
+    let query = SUMMARY_QUERY;
+    if (conditions.length > 0) {
+      query += ` WHERE ${conditions.join(" AND ")}`;
+    }
+    query += " ORDER BY l.name ASC, l.id ASC LIMIT ?";
+    params.push(limit);
+
+    const [rows] = await pool.execute(query, params);
+    return rows.map(toSummary);
+  }
+}
+
+module.exports = Location;
@@ -189,6 +189,21 @@ class MaintenanceRequest {
     return result.affectedRows > 0;
   }
 
+  /**
+   * Counts the maintenance requests of a house that have a given status.
+   * @param {number} houseId - The ID of the house.
+   * @param {string} status - The status to count (e.g., 'In Progress').
+   * @returns {number} The number of matching requests.
+   */
+  static async countByHouseIdAndStatus(houseId, status) {
+    const pool = getPool();
+    const [rows] = await pool.execute(
+      "SELECT COUNT(*) as total FROM maintenance_requests WHERE house_id = ? AND status = ?",
+      [houseId, status]
+    );
+    return rows[0].total;
+  }
+
   /**
    * Deletes a maintenance request by its ID.
    * @param {number} id - The ID of the request to delete.
@@ -0,0 +1,62 @@
+// models/PaymentTransaction.js
+const { getPool } = require("../config/database");
+
+class PaymentTransaction {
+  /**
+   * Records money received against a rent payment, with the exchange rate used to reconcile it.
+   * @param {object} transactionData - Object containing payment_id, amount and currency (as paid),
+   *        exchange_rate (paid currency to the payment's currency), converted_amount (in the payment's currency),
+   *        and optional payment_method and paid_by.
+   * @param {object} [connection] - Optional connection to run on (to join a caller's transaction).
+   * @returns {number} The ID of the newly created transaction.
+   */
+  static async create(
+    {
+      payment_id,
+      amount,
+      currency,
+      exchange_rate,
+      converted_amount,
+      payment_method = null,
+      paid_by = null,
+    },
+    connection = getPool()
+  ) {
+    const [result] = await connection.execute(
+      `INSERT INTO payment_transactions (payment_id, amount, currency, exchange_rate, converted_amount, payment_method, paid_by)
+             VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [
+        payment_id,
+        amount,
+        currency,
+        exchange_rate,
+        converted_amount,
+        payment_method,
+        paid_by,
+      ]
+    );
+    return result.insertId;
+  }
+
+  /**
+   * Retrieves the transactions recorded against a rent payment.
+   * @param {number} paymentId - The ID of the payment record.
+   * @returns {Array} Transactions, oldest first.
+   */
+  static async findByPaymentId(paymentId) {
+    const pool = getPool();
+    const [rows] = await pool.execute(
+      `SELECT pt.id, pt.payment_id, pt.amount, pt.currency, pt.exchange_rate,
+                    pt.converted_amount, pt.payment_method, pt.paid_by,
+                    u.username as paid_by_username, pt.created_at
+             FROM payment_transactions pt
+             LEFT JOIN users u ON pt.paid_by = u.id
+             WHERE pt.payment_id = ?
+             ORDER BY pt.created_at ASC, pt.id ASC`,
+      [paymentId]
+    );
+    return rows;
+  }
+}
+
+module.exports = PaymentTransaction;
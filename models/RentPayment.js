@@ -1,12 +1,14 @@
 // models/RentPayment.js
 const { getPool } = require("../config/database");
-const { PAYMENT_STATUS } = require("../utils/constants"); // Import payment status constants
+const PaymentTransaction = require("./PaymentTransaction");
+const { PAYMENT_STATUS, BASE_CURRENCY } = require("../utils/constants"); // Import payment status constants
+const { addMonths, formatDbDate } = require("../utils/dateRange");
 
 class RentPayment {
   /**
    * Creates a new rent payment record.
    * Typically, this might be initiated when a rent request is approved, or manually by a landlord.
-   * @param {object} paymentData - Object containing tenant_id, house_id, due_date, amount, and optional fields.
+   * @param {object} paymentData - Object containing tenant_id, house_id, due_date, amount, and optional fields (amounts are in `currency`, default BASE_CURRENCY).
    * @returns {number} The ID of the newly created payment record.
    */
   static async create({
@@ -15,6 +17,7 @@ class RentPayment {
     due_date,
     amount,
     paid_amount = 0,
+    currency = BASE_CURRENCY,
     status = PAYMENT_STATUS.PENDING,
     payment_method = null,
     payment_date = null,
@@ -22,14 +25,15 @@ class RentPayment {
   }) {
     const pool = getPool();
     const [result] = await pool.execute(
-      `INSERT INTO rent_payments (tenant_id, house_id, due_date, amount, paid_amount, status, payment_method, payment_date, receipt_url)
-             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      `INSERT INTO rent_payments (tenant_id, house_id, due_date, amount, paid_amount, currency, status, payment_method, payment_date, receipt_url)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
       [
         tenant_id,
         house_id,
         due_date,
         amount,
         paid_amount,
+        currency,
         status,
         payment_method,
         payment_date,
@@ -39,6 +43,42 @@ class RentPayment {
     return result.insertId;
   }
 
+  /**
+   * Creates the monthly rent payments of a lease: one pending payment of the lease's rent, in its currency,
+   * due on the start date and on the same day of every following month up to the end date.
+   * @param {object} lease - The lease agreement, with id, tenant_id, house_id, start_date, end_date, rent_amount and currency.
+   * @param {object} [connection] - Optional connection to run on (to join a caller's transaction).
+   * @returns {number} The number of payments created.
+   */
+  static async createLeaseSchedule(lease, connection = getPool()) {
+    const startDate = formatDbDate(lease.start_date);
+    const endDate = formatDbDate(lease.end_date);
+    const dueDates = [];
+    for (
+      let dueDate = startDate, month = 1;
+      dueDate <= endDate;
+      dueDate = addMonths(startDate, month++)
+    ) {
+      dueDates.push(dueDate);
+    }
+    if (dueDates.length === 0) return 0;
+
+    const [result] = await connection.execute(
+      `INSERT INTO rent_payments (tenant_id, house_id, lease_id, due_date, amount, currency, status)
+             VALUES ${dueDates.map(() => "(?, ?, ?, ?, ?, ?, ?)").join(", ")}`,
+      dueDates.flatMap((dueDate) => [
+        lease.tenant_id,
+        lease.house_id,
+        lease.id,
+        dueDate,
+        lease.rent_amount,
+        lease.currency,
+        PAYMENT_STATUS.PENDING,
+      ])
+    );
+    return result.affectedRows;
+  }
+
   /**
    * Retrieves all payment records. Could be filtered for admin use.
    * @returns {Array} An array of payment objects.
@@ -48,7 +88,7 @@ class RentPayment {
     const [rows] = await pool.execute(
       `SELECT rp.id, rp.tenant_id, tu.username as tenant_username,
                     rp.house_id, h.title as house_title, h.address as house_address,
-                    rp.due_date, rp.amount, rp.paid_amount, rp.status,
+                    rp.lease_id, rp.due_date, rp.amount, rp.paid_amount, rp.currency, rp.status,
                     rp.payment_method, rp.payment_date, rp.receipt_url,
                     rp.created_at, rp.updated_at
              FROM rent_payments rp
@@ -69,7 +109,7 @@ class RentPayment {
     const [rows] = await pool.execute(
       `SELECT rp.id, rp.tenant_id, tu.username as tenant_username,
                     rp.house_id, h.title as house_title, h.address as house_address,
-                    rp.due_date, rp.amount, rp.paid_amount, rp.status,
+                    rp.lease_id, rp.due_date, rp.amount, rp.paid_amount, rp.currency, rp.status,
                     rp.payment_method, rp.payment_date, rp.receipt_url,
                     rp.created_at, rp.updated_at
              FROM rent_payments rp
@@ -81,24 +121,64 @@ class RentPayment {
     return rows;
   }
 
+  /**
+   * Deletes the payments scheduled for a lease that nothing has been paid on yet, e.g. when the lease is
+   * called off. Payments with money recorded against them are kept.
+   * @param {number} leaseId - The ID of the lease agreement.
+   * @param {object} [connection] - Optional connection to run on (to join a caller's transaction).
+   * @returns {number} The number of payments deleted.
+   */
+  static async deleteUnpaidForLease(leaseId, connection = getPool()) {
+    const [result] = await connection.execute(
+      `DELETE FROM rent_payments
+             WHERE lease_id = ? AND status <> ? AND COALESCE(paid_amount, 0) = 0
+               AND NOT EXISTS (SELECT 1 FROM payment_transactions pt WHERE pt.payment_id = rent_payments.id)`,
+      [leaseId, PAYMENT_STATUS.PAID]
+    );
+    return result.affectedRows;
+  }
+
   /**
    * Retrieves payment records for houses owned by a specific landlord.
    * @param {number} landlordId - The ID of the landlord.
+   * @param {object} [options]
+   * @param {Date|string} [options.from] - Optional: Only payments due on or after this date.
+   * @param {Date|string} [options.to] - Optional: Only payments due on or before this date.
+   * @param {number} [options.limit] - Optional: Return at most this many payments (a page), after `offset`.
+   * @param {number} [options.offset=0] - Optional: Number of payments to skip when paging.
    * @returns {Array} An array of payment objects.
    */
-  static async findByLandlordId(landlordId) {
+  static async findByLandlordId(
+    landlordId,
+    { from, to, limit, offset = 0 } = {}
+  ) {
     const pool = getPool();
+    const params = [landlordId];
+    let dateConditions = "";
+    if (from) {
+      dateConditions += " AND rp.due_date >= ?";
+      params.push(from);
+    }
+    if (to) {
+      dateConditions += " AND rp.due_date <= ?";
+      params.push(to);
+    }
+    let page = "";
+    if (limit !== undefined) {
+      page = " LIMIT ? OFFSET ?";
+      params.push(limit, offset);
+    }
     const [rows] = await pool.execute(
       `SELECT rp.id, rp.tenant_id, tu.username as tenant_username,
                     rp.house_id, h.title as house_title, h.address as house_address,
-                    rp.due_date, rp.amount, rp.paid_amount, rp.status,
+                    rp.lease_id, rp.due_date, rp.amount, rp.paid_amount, rp.currency, rp.status,
                     rp.payment_method, rp.payment_date, rp.receipt_url,
                     rp.created_at, rp.updated_at
              FROM rent_payments rp
              JOIN users tu ON rp.tenant_id = tu.id
              JOIN houses h ON rp.house_id = h.id
-             WHERE h.landlord_id = ? ORDER BY rp.due_date DESC`,
-      [landlordId]
+             WHERE h.landlord_id = ?${dateConditions} ORDER BY rp.due_date DESC, rp.id DESC${page}`,
+      params
     );
     return rows;
   }
@@ -115,7 +195,7 @@ class RentPayment {
       `SELECT rp.id, rp.tenant_id, tu.username as tenant_username,
                     rp.house_id, h.title as house_title, h.address as house_address,
                     h.landlord_id, lu.username as landlord_username,
-                    rp.due_date, rp.amount, rp.paid_amount, rp.status,
+                    rp.lease_id, rp.due_date, rp.amount, rp.paid_amount, rp.currency, rp.status,
                     rp.payment_method, rp.payment_date, rp.receipt_url,
                     rp.created_at, rp.updated_at
              FROM rent_payments rp
@@ -145,6 +225,7 @@ class RentPayment {
       "due_date",
       "amount",
       "paid_amount",
+      "currency",
       "status",
       "payment_method",
       "payment_date",
@@ -173,6 +254,99 @@ class RentPayment {
     return result.affectedRows > 0;
   }
 
+  /**
+   * Records money received against a payment and updates its running total. The row is locked while
+   * the total is recalculated, so two transactions recorded at once cannot overwrite each other.
+   * @param {number} paymentId - The ID of the payment record.
+   * @param {object} transactionData - Object containing amount and currency (as paid), exchange_rate and
+   *        converted_amount (in the payment's currency), payment_method and paid_by.
+   * @returns {object|null} `{transactionId, paid_amount, status}` after the transaction, or null if the payment does not exist.
+   */
+  static async recordTransaction(paymentId, transactionData) {
+    const pool = getPool();
+    const connection = await pool.getConnection();
+    try {
+      await connection.beginTransaction();
+      const [rows] = await connection.execute(
+        "SELECT amount, paid_amount FROM rent_payments WHERE id = ? FOR UPDATE",
+        [paymentId]
+      );
+      if (rows.length === 0) {
+        await connection.rollback();
+        return null;
+      }
+
+      const transactionId = await PaymentTransaction.create(
+        { ...transactionData, payment_id: paymentId },
+        connection
+      );
+      const paidAmount =
+        Math.round(
+          (parseFloat(rows[0].paid_amount || 0) +
+            transactionData.converted_amount) *
+            100
+        ) / 100;
+      const status =
+        paidAmount >= parseFloat(rows[0].amount)
+          ? PAYMENT_STATUS.PAID
+          : PAYMENT_STATUS.PENDING;
+      await connection.execute(
+        `UPDATE rent_payments SET paid_amount = ?, status = ?, payment_method = ?,
+                    payment_date = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+             WHERE id = ?`,
+        [paidAmount, status, transactionData.payment_method || null, paymentId]
+      );
+
+      await connection.commit();
+      return { transactionId, paid_amount: paidAmount, status };
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+
+  /**
+   * Summarises how a tenant has paid rent on the platform, for screening their rental applications.
+   * A payment counts as late if it was paid after its due date, or is still unpaid past it.
+   * @param {number} tenantId - The ID of the tenant.
+   * @returns {{total: number, paid: number, paid_late: number, overdue: number}} Payment counts, of payments already due.
+   */
+  static async getTenantHistory(tenantId) {
+    const pool = getPool();
+    const [rows] = await pool.execute(
+      `SELECT COUNT(*) as total,
+                    COALESCE(SUM(status = ?), 0) as paid,
+                    COALESCE(SUM(status = ? AND DATE(payment_date) > due_date), 0) as paid_late,
+                    COALESCE(SUM(status <> ?), 0) as overdue
+             FROM rent_payments
+             WHERE tenant_id = ? AND due_date < CURDATE()`,
+      [PAYMENT_STATUS.PAID, PAYMENT_STATUS.PAID, PAYMENT_STATUS.PAID, tenantId]
+    );
+    const { total, paid, paid_late, overdue } = rows[0];
+    return {
+      total: Number(total),
+      paid: Number(paid),
+      paid_late: Number(paid_late),
+      overdue: Number(overdue),
+    };
+  }
+
+  /**
+   * Counts the payments of a house that are still outstanding (pending or overdue).
+   * @param {number} houseId - The ID of the house.
+   * @returns {number} The number of outstanding payments.
+   */
+  static async countOutstandingByHouseId(houseId) {
+    const pool = getPool();
+    const [rows] = await pool.execute(
+      "SELECT COUNT(*) as total FROM rent_payments WHERE house_id = ? AND status IN (?, ?)",
+      [houseId, PAYMENT_STATUS.PENDING, PAYMENT_STATUS.OVERDUE]
+    );
+    return rows[0].total;
+  }
+
   /**
    * Deletes a payment record by its ID.
    * @param {number} paymentId - The ID of the payment to delete.
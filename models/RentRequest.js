@@ -1,36 +1,111 @@
 // models/RentRequest.js
 const { getPool } = require("../config/database");
-const { RENT_REQUEST_STATUS } = require("../utils/constants"); // Ensure this constant is imported
+const {
+  BASE_CURRENCY,
+  HOUSE_STATUS,
+  HOUSE_STATUS_REASON,
+  LEASE_STATUS,
+  RENT_REQUEST_STATUS,
+} = require("../utils/constants"); // Ensure this constant is imported
+const House = require("./House");
+const LeaseAgreement = require("./LeaseAgreement");
+const RentPayment = require("./RentPayment");
+const RentRequestOffer = require("./RentRequestOffer");
+const { buildDateRangeConditions } = require("../utils/dateRange");
+const {
+  DEFAULT_RESPONSE_DEADLINE_HOURS,
+} = require("../utils/responseDeadline");
+
+/**
+ * Builds the WHERE condition for pending requests the landlord has not responded to (accepted, rejected,
+ * or proposed or answered terms), by their response deadline. Requests made before deadlines existed have
+ * no respond_by and never match.
+ * @param {object} [options]
+ * @param {number} [options.reminderHours] - Match requests due within this many hours whose landlord has not been
+ *        reminded yet (see markDeadlineReminderSent). Without it, match requests whose deadline has passed.
+ * @returns {{condition: string, params: Array}} SQL on `rent_requests rr` and its parameters.
+ */
+const buildResponseDeadlineCondition = ({ reminderHours } = {}) => {
+  const conditions = ["rr.status = ?", "rr.responded_at IS NULL"];
+  const params = [RENT_REQUEST_STATUS.PENDING];
+  if (reminderHours === undefined) {
+    conditions.push("rr.respond_by <= NOW()");
+  } else {
+    conditions.push(
+      "rr.deadline_reminder_sent_at IS NULL",
+      "rr.respond_by > NOW()",
+      "rr.respond_by <= NOW() + INTERVAL ? HOUR"
+    );
+    params.push(reminderHours);
+  }
+  return { condition: conditions.join(" AND "), params };
+};
 
 class RentRequest {
   /**
-   * Creates a new rent request.
-   * @param {object} requestData - Object containing user_id, house_id, message.
+   * Creates a new rent request, due for a response from the landlord within the house's response deadline,
+   * else the landlord's, else DEFAULT_RESPONSE_DEADLINE_HOURS.
+   * @param {object} requestData - Object containing user_id, house_id, message, and the application: employment_status,
+   *        employer, monthly_income (in income_currency), household_size, move_in_date and references (see validateRentApplication).
    * @returns {number} The ID of the newly created rent request.
    */
-  static async create({ user_id, house_id, message }) {
+  static async create({
+    user_id,
+    house_id,
+    message,
+    employment_status = null,
+    employer = null,
+    monthly_income = null,
+    income_currency = BASE_CURRENCY,
+    household_size = null,
+    move_in_date = null,
+    references = [],
+  }) {
     // CHANGED: tenant_id -> user_id
     const pool = getPool();
     const [result] = await pool.execute(
-      `INSERT INTO rent_requests (user_id, house_id, message, status)
-               VALUES (?, ?, ?, ?)`, // CHANGED: tenant_id -> user_id
-      [user_id, house_id, message, RENT_REQUEST_STATUS.PENDING] // CHANGED: tenant_id -> user_id
+      `INSERT INTO rent_requests (user_id, house_id, message, employment_status, employer, monthly_income,
+                                          income_currency, household_size, move_in_date, applicant_references, status, respond_by)
+               VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?,
+                       NOW() + INTERVAL (SELECT COALESCE(h.response_deadline_hours, u.response_deadline_hours, ?)
+                                         FROM houses h JOIN users u ON h.landlord_id = u.id
+                                         WHERE h.id = ?) HOUR)`, // CHANGED: tenant_id -> user_id
+      [
+        user_id,
+        house_id,
+        message || null,
+        employment_status,
+        employer,
+        monthly_income,
+        income_currency,
+        household_size,
+        move_in_date,
+        JSON.stringify(references),
+        RENT_REQUEST_STATUS.PENDING,
+        DEFAULT_RESPONSE_DEADLINE_HOURS,
+        house_id,
+      ] // CHANGED: tenant_id -> user_id
     );
     return result.insertId;
   }
 
   /**
-   * Finds a rent request by its ID.
+   * Finds a rent request by its ID, with the full application and the rent and size of the house applied for.
    * @param {number} id - The ID of the rent request.
-   * @returns {object|null} The rent request object or null if not found.
+   * @returns {object|null} The rent request object (with a `references` array) or null if not found.
    */
   static async findById(id) {
     const pool = getPool();
     const [rows] = await pool.execute(
       `SELECT rr.id, rr.user_id, tu.username AS user_username, -- CHANGED: rr.tenant_id -> rr.user_id, tenant_username -> user_username
                      rr.house_id, h.title AS house_title,
+                     h.rent_amount AS house_rent_amount, h.currency AS house_currency,
+                     h.bedrooms AS house_bedrooms,
                      h.landlord_id, lu.username AS landlord_username,
-                     rr.message, rr.status, rr.created_at, rr.updated_at
+                     rr.message, rr.employment_status, rr.employer,
+                     rr.monthly_income, rr.income_currency, rr.household_size,
+                     rr.move_in_date, rr.applicant_references,
+                     rr.status, rr.respond_by, rr.responded_at, rr.created_at, rr.updated_at
                FROM rent_requests rr
                JOIN users tu ON rr.user_id = tu.id -- CHANGED: rr.tenant_id -> rr.user_id
                JOIN houses h ON rr.house_id = h.id
@@ -38,7 +113,13 @@ class RentRequest {
                WHERE rr.id = ?`,
       [id]
     );
-    return rows[0] || null;
+    const request = rows[0];
+    if (!request) return null;
+    const { applicant_references, ...rest } = request;
+    return {
+      ...rest,
+      references: applicant_references ? JSON.parse(applicant_references) : [],
+    };
   }
 
   /**
@@ -64,7 +145,9 @@ class RentRequest {
              SELECT rr.id, rr.user_id, tu.username AS user_username, -- CHANGED: rr.tenant_id -> rr.user_id, tenant_username -> user_username
                     rr.house_id, h.title AS house_title,
                     h.landlord_id, lu.username AS landlord_username,
-                    rr.message, rr.status, rr.created_at, rr.updated_at
+                    rr.message, rr.employment_status, rr.monthly_income, rr.income_currency,
+                    rr.household_size, rr.move_in_date,
+                    rr.status, rr.respond_by, rr.responded_at, rr.created_at, rr.updated_at
              FROM rent_requests rr
              JOIN users tu ON rr.user_id = tu.id -- CHANGED: rr.tenant_id -> rr.user_id
              JOIN houses h ON rr.house_id = h.id
@@ -129,7 +212,9 @@ class RentRequest {
              SELECT rr.id, rr.user_id, tu.username AS user_username, -- CHANGED: rr.tenant_id -> rr.user_id, tenant_username -> user_username
                     rr.house_id, h.title AS house_title,
                     h.landlord_id, lu.username AS landlord_username,
-                    rr.message, rr.status, rr.created_at, rr.updated_at
+                    rr.message, rr.employment_status, rr.monthly_income, rr.income_currency,
+                    rr.household_size, rr.move_in_date,
+                    rr.status, rr.respond_by, rr.responded_at, rr.created_at, rr.updated_at
              FROM rent_requests rr
              JOIN users tu ON rr.user_id = tu.id -- CHANGED: rr.tenant_id -> rr.user_id
              JOIN houses h ON rr.house_id = h.id
@@ -191,7 +276,9 @@ class RentRequest {
              SELECT rr.id, rr.user_id, tu.username AS user_username, -- CHANGED: rr.tenant_id -> rr.user_id, tenant_username -> user_username
                     rr.house_id, h.title AS house_title,
                     h.landlord_id, lu.username AS landlord_username,
-                    rr.message, rr.status, rr.created_at, rr.updated_at
+                    rr.message, rr.employment_status, rr.monthly_income, rr.income_currency,
+                    rr.household_size, rr.move_in_date,
+                    rr.status, rr.respond_by, rr.responded_at, rr.created_at, rr.updated_at
              FROM rent_requests rr
              JOIN users tu ON rr.user_id = tu.id -- CHANGED: rr.tenant_id -> rr.user_id
              JOIN houses h ON rr.house_id = h.id
@@ -242,20 +329,464 @@ class RentRequest {
   }
 
   /**
-   * Updates the status of a rent request.
+   * Updates the status of a rent request. Rejecting it counts as the landlord's response (see markResponded).
+   * Unless the request goes back to pending, its open offers are closed in the same transaction (see
+   * RentRequestOffer.closeOpen).
    * @param {number} id - The ID of the rent request.
    * @param {string} newStatus - The new status (e.g., 'accepted', 'rejected', 'cancelled').
    * @returns {boolean} True if updated, false otherwise.
    */
   static async updateStatus(id, newStatus) {
     const pool = getPool();
+    const connection = await pool.getConnection();
+    const respondedAt =
+      newStatus === RENT_REQUEST_STATUS.REJECTED
+        ? " responded_at = COALESCE(responded_at, CURRENT_TIMESTAMP),"
+        : "";
+    try {
+      await connection.beginTransaction();
+      const [result] = await connection.execute(
+        `UPDATE rent_requests SET status = ?,${respondedAt} updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+        [newStatus, id]
+      );
+      if (
+        result.affectedRows > 0 &&
+        newStatus !== RENT_REQUEST_STATUS.PENDING
+      ) {
+        await RentRequestOffer.closeOpen([id], connection);
+      }
+      await connection.commit();
+      return result.affectedRows > 0;
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+
+  /**
+   * Records the landlord's first response to a rent request, which stops it from expiring.
+   * Proposing or answering terms in the request's negotiation thread counts as a response.
+   * @param {number} id - The ID of the rent request.
+   * @returns {boolean} True if this was the landlord's first response, false otherwise.
+   */
+  static async markResponded(id) {
+    const pool = getPool();
+    const [result] = await pool.execute(
+      "UPDATE rent_requests SET responded_at = CURRENT_TIMESTAMP WHERE id = ? AND responded_at IS NULL",
+      [id]
+    );
+    return result.affectedRows > 0;
+  }
+
+  /**
+   * Accepts a pending rent request in one transaction: locks the house, rents it to the applicant, records the
+   * status change, rejects every other pending request for the house, closes the open offers of all these
+   * requests, and optionally drafts the applicant's lease.
+   * Concurrent accepts for the same house queue on the house row lock, so only the first can win; the others find
+   * the house taken and fail.
+   * @param {number} id - The ID of the rent request.
+   * @param {object} [options]
+   * @param {number|null} [options.changedBy] - ID of the user accepting the request.
+   * @param {object} [options.draftLease] - Optional: Lease data (see buildDraftLease) to create a draft lease for the applicant from.
+   * @returns {{houseId: number, tenantId: number, rejected: number, rejectedRequests: Array<{id: number, user_id: number}>,
+   *          leaseId: number|null}|null} The house rented, its new tenant, the competing requests rejected (so their
+   *          tenants can be told) and the draft lease, or null if the request does not exist.
+   * @throws {Error} With statusCode 409 if the request is no longer pending or the house is no longer available.
+   */
+  static async accept(id, { changedBy = null, draftLease } = {}) {
+    const pool = getPool();
+    const connection = await pool.getConnection();
+    try {
+      await connection.beginTransaction();
+      const [requestRows] = await connection.execute(
+        "SELECT house_id FROM rent_requests WHERE id = ?",
+        [id]
+      );
+      if (!requestRows[0]) {
+        await connection.rollback();
+        return null;
+      }
+      const houseId = requestRows[0].house_id;
+
+      // Always lock the house before its requests, so concurrent accepts queue in the same order
+      const [houseRows] = await connection.execute(
+        "SELECT status FROM houses WHERE id = ? FOR UPDATE",
+        [houseId]
+      );
+      const [lockedRows] = await connection.execute(
+        "SELECT user_id, status FROM rent_requests WHERE id = ? FOR UPDATE",
+        [id]
+      );
+      const request = lockedRows[0];
+      if (request.status !== RENT_REQUEST_STATUS.PENDING) {
+        const error = new Error(
+          `Cannot accept a rent request that is ${request.status}.`
+        );
+        error.statusCode = 409;
+        throw error;
+      }
+      const house = houseRows[0];
+      if (
+        !house ||
+        (house.status !== HOUSE_STATUS.AVAILABLE &&
+          house.status !== HOUSE_STATUS.RESERVED)
+      ) {
+        const error = new Error(
+          "House is no longer available to be rented to this tenant."
+        );
+        error.statusCode = 409;
+        throw error;
+      }
+
+      await House.applyStatusTransition(
+        houseId,
+        HOUSE_STATUS.RENTED,
+        {
+          reason: HOUSE_STATUS_REASON.RENT_REQUEST_ACCEPTED,
+          tenantId: request.user_id,
+          changedBy,
+          note: `Rent request #${id}`,
+        },
+        connection
+      );
+      await connection.execute(
+        `UPDATE rent_requests SET status = ?, responded_at = COALESCE(responded_at, CURRENT_TIMESTAMP),
+                    updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+        [RENT_REQUEST_STATUS.ACCEPTED, id]
+      );
+      const [rejectedRequests] = await connection.execute(
+        `SELECT id, user_id FROM rent_requests
+             WHERE house_id = ? AND status = ? AND id <> ? FOR UPDATE`,
+        [houseId, RENT_REQUEST_STATUS.PENDING, id]
+      );
+      await connection.execute(
+        `UPDATE rent_requests SET status = ?, responded_at = COALESCE(responded_at, CURRENT_TIMESTAMP),
+                    updated_at = CURRENT_TIMESTAMP
+             WHERE house_id = ? AND status = ? AND id <> ?`,
+        [RENT_REQUEST_STATUS.REJECTED, houseId, RENT_REQUEST_STATUS.PENDING, id]
+      );
+      await RentRequestOffer.closeOpen(
+        [id, ...rejectedRequests.map((rejected) => rejected.id)],
+        connection
+      );
+      const leaseId = draftLease
+        ? await LeaseAgreement.create(
+            {
+              ...draftLease,
+              house_id: houseId,
+              tenant_id: request.user_id,
+              rent_request_id: id,
+              status: LEASE_STATUS.DRAFT,
+            },
+            connection
+          )
+        : null;
+      await connection.commit();
+      return {
+        houseId,
+        tenantId: request.user_id,
+        rejected: rejectedRequests.length,
+        rejectedRequests,
+        leaseId,
+      };
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+
+  /**
+   * Undoes the acceptance of a rent request in one transaction, locking the house and then the request as accept
+   * does: the request is cancelled or rejected, the lease drafted for it is terminated along with its unpaid
+   * payments and, if its tenant still rents the house, the house is made available again. An active lease must
+   * be ended first. Nothing changes if any step fails.
+   * @param {number} id - The ID of the rent request.
+   * @param {object} options
+   * @param {string} options.status - The request's new status (RENT_REQUEST_STATUS.CANCELLED or REJECTED).
+   * @param {string} options.reason - Why the house is released (see HOUSE_STATUS_REASON).
+   * @param {number|null} [options.changedBy] - ID of the user undoing the acceptance.
+   * @returns {{houseId: number, houseReleased: boolean, leasesTerminated: number, paymentsDeleted: number}|null} The
+   *          house, whether it was made available again, and how many leases and unpaid payments were called off,
+   *          or null if the request does not exist.
+   * @throws {Error} With statusCode 409 if the request is no longer accepted, its lease is active, or the house
+   *         cannot be released.
+   */
+  static async withdrawAcceptance(id, { status, reason, changedBy = null }) {
+    const pool = getPool();
+    const connection = await pool.getConnection();
+    let released = null;
+    let houseId;
+    let leasesTerminated = 0;
+    let paymentsDeleted = 0;
+    try {
+      await connection.beginTransaction();
+      const [requestRows] = await connection.execute(
+        "SELECT house_id FROM rent_requests WHERE id = ?",
+        [id]
+      );
+      if (!requestRows[0]) {
+        await connection.rollback();
+        return null;
+      }
+      houseId = requestRows[0].house_id;
+
+      // Same lock order as accept
+      const [houseRows] = await connection.execute(
+        "SELECT tenant_id FROM houses WHERE id = ? FOR UPDATE",
+        [houseId]
+      );
+      const [lockedRows] = await connection.execute(
+        "SELECT user_id, status FROM rent_requests WHERE id = ? FOR UPDATE",
+        [id]
+      );
+      const request = lockedRows[0];
+      if (request.status !== RENT_REQUEST_STATUS.ACCEPTED) {
+        const error = new Error(
+          `Cannot undo the acceptance of a rent request that is ${request.status}.`
+        );
+        error.statusCode = 409;
+        throw error;
+      }
+
+      // Locked too, so the lease cannot be activated while it is being called off
+      const [leases] = await connection.execute(
+        "SELECT id, status FROM lease_agreements WHERE rent_request_id = ? FOR UPDATE",
+        [id]
+      );
+      if (leases.some((lease) => lease.status === LEASE_STATUS.ACTIVE)) {
+        const error = new Error(
+          "The lease of this rent request is active. End the lease before cancelling the request."
+        );
+        error.statusCode = 409;
+        throw error;
+      }
+      for (const lease of leases) {
+        if (
+          lease.status === LEASE_STATUS.DRAFT ||
+          lease.status === LEASE_STATUS.PENDING
+        ) {
+          await LeaseAgreement.update(
+            lease.id,
+            { status: LEASE_STATUS.TERMINATED },
+            connection
+          );
+          leasesTerminated += 1;
+        }
+        paymentsDeleted += await RentPayment.deleteUnpaidForLease(
+          lease.id,
+          connection
+        );
+      }
+
+      // Only release the house if this request's tenant is the one renting it
+      if (houseRows[0] && houseRows[0].tenant_id === request.user_id) {
+        released = await House.applyStatusTransition(
+          houseId,
+          HOUSE_STATUS.AVAILABLE,
+          { reason, changedBy, note: `Rent request #${id}` },
+          connection
+        );
+      }
+      await connection.execute(
+        "UPDATE rent_requests SET status = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?",
+        [status, id]
+      );
+      await connection.commit();
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+
+    if (released) {
+      await House.announceAvailable(houseId, released.title);
+    }
+    return {
+      houseId,
+      houseReleased: Boolean(released),
+      leasesTerminated,
+      paymentsDeleted,
+    };
+  }
+
+  /**
+   * Finds pending rent requests the landlord has not responded to, by response deadline, oldest deadline first.
+   * @param {object} [options]
+   * @param {number} [options.reminderHours] - Find requests due within this many hours whose landlord has not been
+   *        reminded yet. Without it, find requests whose deadline has passed (see expire).
+   * @param {number} [limit=500] - Maximum number of requests to return.
+   * @returns {Array} Requests with id, user_id, house_id, house_title, landlord_id and respond_by.
+   */
+  static async findAwaitingResponse(options = {}, limit = 500) {
+    const pool = getPool();
+    const { condition, params } = buildResponseDeadlineCondition(options);
+    const [rows] = await pool.execute(
+      `SELECT rr.id, rr.user_id, rr.house_id, h.title AS house_title, h.landlord_id, rr.respond_by
+             FROM rent_requests rr
+             JOIN houses h ON rr.house_id = h.id
+             WHERE ${condition}
+             ORDER BY rr.respond_by ASC, rr.id ASC
+             LIMIT ?`,
+      [...params, limit]
+    );
+    return rows;
+  }
+
+  /**
+   * Expires a pending rent request whose response deadline has passed, closing its open offers in the same
+   * transaction. The check is repeated in the update, so a request the landlord responded to in the meantime
+   * is left alone.
+   * @param {number} id - The ID of the rent request.
+   * @returns {boolean} True if the request was expired, false if it no longer qualifies.
+   */
+  static async expire(id) {
+    const pool = getPool();
+    const connection = await pool.getConnection();
+    const { condition, params } = buildResponseDeadlineCondition();
+    try {
+      await connection.beginTransaction();
+      const [result] = await connection.execute(
+        `UPDATE rent_requests rr SET rr.status = ?, rr.updated_at = CURRENT_TIMESTAMP
+               WHERE rr.id = ? AND ${condition}`,
+        [RENT_REQUEST_STATUS.EXPIRED, id, ...params]
+      );
+      if (result.affectedRows > 0) {
+        await RentRequestOffer.closeOpen([id], connection);
+      }
+      await connection.commit();
+      return result.affectedRows > 0;
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+
+  /**
+   * Records that the landlord was reminded of a rent request's response deadline, so they are reminded once.
+   * @param {number} id - The ID of the rent request.
+   * @param {number} reminderHours - Hours before the deadline that landlords are reminded.
+   * @returns {boolean} True if the reminder is due and was recorded, false if it no longer qualifies.
+   */
+  static async markDeadlineReminderSent(id, reminderHours) {
+    const pool = getPool();
+    const { condition, params } = buildResponseDeadlineCondition({
+      reminderHours,
+    });
     const [result] = await pool.execute(
-      `UPDATE rent_requests SET status = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
-      [newStatus, id]
+      `UPDATE rent_requests rr SET rr.deadline_reminder_sent_at = CURRENT_TIMESTAMP, rr.updated_at = rr.updated_at
+             WHERE rr.id = ? AND ${condition}`,
+      [id, ...params]
     );
     return result.affectedRows > 0;
   }
 
+  /**
+   * Summarises how a landlord responds to rent requests for their houses. Requests still waiting within
+   * their deadline, and requests cancelled before a response, count towards neither answered nor expired.
+   * @param {number} landlordId - The ID of the landlord.
+   * @returns {{received: number, responded: number, expired: number, response_rate: number|null,
+   *          average_response_hours: number|null}} Counts, the percentage of decided requests the landlord
+   *          responded to, and the average time to the first response in hours (one decimal).
+   */
+  static async getResponseStats(landlordId) {
+    const pool = getPool();
+    const [rows] = await pool.execute(
+      `SELECT COUNT(*) as received,
+                    SUM(rr.responded_at IS NOT NULL) as responded,
+                    SUM(rr.status = ?) as expired,
+                    AVG(TIMESTAMPDIFF(MINUTE, rr.created_at, rr.responded_at)) as average_minutes
+             FROM rent_requests rr
+             JOIN houses h ON rr.house_id = h.id
+             WHERE h.landlord_id = ?`,
+      [RENT_REQUEST_STATUS.EXPIRED, landlordId]
+    );
+    const responded = Number(rows[0].responded) || 0;
+    const expired = Number(rows[0].expired) || 0;
+    const averageMinutes = rows[0].average_minutes;
+    return {
+      received: rows[0].received,
+      responded,
+      expired,
+      response_rate:
+        responded + expired > 0
+          ? Math.round((responded / (responded + expired)) * 100)
+          : null,
+      average_response_hours:
+        averageMinutes === null
+          ? null
+          : Math.round(Number(averageMinutes) / 6) / 10,
+    };
+  }
+
+  /**
+   * Counts the rent requests made for several houses within a date range, and how many of
+   * those requests were accepted.
+   * @param {number[]} houseIds - The IDs of the houses.
+   * @param {{from: string, to: string}} [range] - Optional range of request dates (YYYY-MM-DD, both inclusive).
+   * @returns {Object<number, {requests: number, accepted: number}>} Counts keyed by house ID. Houses without requests are omitted.
+   */
+  static async countByHouseIds(houseIds, range = {}) {
+    if (houseIds.length === 0) return {};
+    const pool = getPool();
+    const { conditions, params } = buildDateRangeConditions(
+      "created_at",
+      range
+    );
+    const placeholders = houseIds.map(() => "?").join(", ");
+    conditions.unshift(`house_id IN (${placeholders})`);
+    const [rows] = await pool.execute(
+      `SELECT house_id, COUNT(*) as requests, SUM(status = ?) as accepted
+             FROM rent_requests
+             WHERE ${conditions.join(" AND ")}
+             GROUP BY house_id`,
+      [RENT_REQUEST_STATUS.ACCEPTED, ...houseIds, ...params]
+    );
+    const counts = {};
+    for (const row of rows) {
+      counts[row.house_id] = {
+        requests: row.requests,
+        accepted: Number(row.accepted),
+      };
+    }
+    return counts;
+  }
+
+  /**
+   * Counts the rent requests made for a house per day, and how many of each day's requests were accepted.
+   * @param {number} houseId - The ID of the house.
+   * @param {{from: string, to: string}} [range] - Optional range of request dates (YYYY-MM-DD, both inclusive).
+   * @returns {Array<{day: string, requests: number, accepted: number}>} One entry per day with requests, oldest first.
+   */
+  static async countDailyByHouseId(houseId, range = {}) {
+    const pool = getPool();
+    const { conditions, params } = buildDateRangeConditions(
+      "created_at",
+      range
+    );
+    conditions.unshift("house_id = ?");
+    const [rows] = await pool.execute(
+      `SELECT DATE_FORMAT(created_at, '%Y-%m-%d') as day, COUNT(*) as requests,
+                    SUM(status = ?) as accepted
+             FROM rent_requests
+             WHERE ${conditions.join(" AND ")}
+             GROUP BY day
+             ORDER BY day ASC`,
+      [RENT_REQUEST_STATUS.ACCEPTED, houseId, ...params]
+    );
+    return rows.map((row) => ({
+      day: row.day,
+      requests: row.requests,
+      accepted: Number(row.accepted),
+    }));
+  }
+
   /**
    * Deletes a rent request.
    * @param {number} id - The ID of the rent request.
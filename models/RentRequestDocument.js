@@ -0,0 +1,64 @@
+// models/RentRequestDocument.js
+const { getPool } = require("../config/database");
+
+class RentRequestDocument {
+  /**
+   * Records a document uploaded with a rental application.
+   * @param {object} documentData - Object containing rent_request_id, type (APPLICATION_DOCUMENT_TYPE), storage_key,
+   *        original_name, mime_type and size (bytes).
+   * @returns {number} The ID of the new document.
+   */
+  static async create({
+    rent_request_id,
+    type,
+    storage_key,
+    original_name = null,
+    mime_type,
+    size,
+  }) {
+    const pool = getPool();
+    const [result] = await pool.execute(
+      `INSERT INTO rent_request_documents (rent_request_id, type, storage_key, original_name, mime_type, size)
+             VALUES (?, ?, ?, ?, ?, ?)`,
+      [rent_request_id, type, storage_key, original_name, mime_type, size]
+    );
+    return result.insertId;
+  }
+
+  /**
+   * Retrieves the documents of a rental application. Storage keys are included for downloads and
+   * clean-up; they must not be sent to clients, since documents are only served through the API.
+   * @param {number} rentRequestId - The ID of the rent request.
+   * @returns {Array} The documents, in upload order.
+   */
+  static async findByRentRequestId(rentRequestId) {
+    const pool = getPool();
+    const [rows] = await pool.execute(
+      `SELECT id, rent_request_id, type, storage_key, original_name, mime_type, size, created_at
+             FROM rent_request_documents
+             WHERE rent_request_id = ?
+             ORDER BY id ASC`,
+      [rentRequestId]
+    );
+    return rows;
+  }
+
+  /**
+   * Retrieves a document of a rental application.
+   * @param {number} rentRequestId - The ID of the rent request.
+   * @param {number} id - The ID of the document.
+   * @returns {object|null} The document or null if the application has no such document.
+   */
+  static async findById(rentRequestId, id) {
+    const pool = getPool();
+    const [rows] = await pool.execute(
+      `SELECT id, rent_request_id, type, storage_key, original_name, mime_type, size, created_at
+             FROM rent_request_documents
+             WHERE rent_request_id = ? AND id = ?`,
+      [rentRequestId, id]
+    );
+    return rows[0] || null;
+  }
+}
+
+module.exports = RentRequestDocument;
@@ -0,0 +1,220 @@
+// models/RentRequestOffer.js
+const { getPool } = require("../config/database");
+const {
+  RENT_OFFER_STATUS,
+  RENT_REQUEST_STATUS,
+} = require("../utils/constants");
+
+const OFFER_COLUMNS = `o.id, o.rent_request_id, o.proposed_by, pu.username AS proposed_by_username,
+                   o.proposer_role, o.rent_amount, o.currency, o.start_date, o.lease_months,
+                   o.deposit_amount, o.message, o.status, o.responded_by, o.responded_at, o.created_at`;
+
+// Throws the 409 error the controllers map to "Invalid State"
+const throwConflict = (message) => {
+  const error = new Error(message);
+  error.statusCode = 409;
+  throw error;
+};
+
+class RentRequestOffer {
+  /**
+   * Proposes terms on a pending rent request. An open offer from the other party is countered by it;
+   * a party with an open offer of their own has to wait for the answer. The rent request row is locked,
+   * so two parties proposing at the same time are handled one after the other.
+   * @param {number} rentRequestId - The ID of the rent request.
+   * @param {object} offerData - Object containing proposed_by, proposer_role (ROLE.TENANT or ROLE.LANDLORD), rent_amount,
+   *        currency, start_date (YYYY-MM-DD), lease_months, deposit_amount and an optional message.
+   * @returns {{offerId: number, counteredOfferId: number|null}} The new offer, and the offer it countered.
+   * @throws {Error} With statusCode 409 if the request is not pending or the proposer already has an open offer.
+   */
+  static async propose(
+    rentRequestId,
+    {
+      proposed_by,
+      proposer_role,
+      rent_amount,
+      currency,
+      start_date,
+      lease_months,
+      deposit_amount,
+      message = null,
+    }
+  ) {
+    const pool = getPool();
+    const connection = await pool.getConnection();
+    try {
+      await connection.beginTransaction();
+      const [requestRows] = await connection.execute(
+        "SELECT status FROM rent_requests WHERE id = ? FOR UPDATE",
+        [rentRequestId]
+      );
+      if (
+        !requestRows[0] ||
+        requestRows[0].status !== RENT_REQUEST_STATUS.PENDING
+      ) {
+        throwConflict("Terms can only be negotiated on pending rent requests.");
+      }
+
+      const [openRows] = await connection.execute(
+        "SELECT id, proposer_role FROM rent_request_offers WHERE rent_request_id = ? AND status = ?",
+        [rentRequestId, RENT_OFFER_STATUS.OPEN]
+      );
+      const open = openRows[0];
+      if (open && open.proposer_role === proposer_role) {
+        throwConflict(
+          "Your last offer is still waiting for an answer. Wait for it to be accepted, countered or declined."
+        );
+      }
+      if (open) {
+        await connection.execute(
+          `UPDATE rent_request_offers SET status = ?, responded_by = ?, responded_at = CURRENT_TIMESTAMP
+                 WHERE id = ?`,
+          [RENT_OFFER_STATUS.COUNTERED, proposed_by, open.id]
+        );
+      }
+
+      const [result] = await connection.execute(
+        `INSERT INTO rent_request_offers (rent_request_id, proposed_by, proposer_role, rent_amount, currency,
+                                                 start_date, lease_months, deposit_amount, message)
+               VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          rentRequestId,
+          proposed_by,
+          proposer_role,
+          rent_amount,
+          currency,
+          start_date,
+          lease_months,
+          deposit_amount,
+          message,
+        ]
+      );
+      await connection.commit();
+      return {
+        offerId: result.insertId,
+        counteredOfferId: open ? open.id : null,
+      };
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+
+  /**
+   * Accepts or declines an open offer. The rent request row is locked as in propose, so an offer cannot be
+   * answered while its request is being accepted, rejected, cancelled or expired (see closeOpen).
+   * @param {number} rentRequestId - The ID of the rent request.
+   * @param {number} id - The ID of the offer.
+   * @param {string} status - RENT_OFFER_STATUS.ACCEPTED or RENT_OFFER_STATUS.DECLINED.
+   * @param {number} respondedBy - ID of the user answering.
+   * @returns {boolean} True if the offer was open and has been answered, false if it was already answered.
+   * @throws {Error} With statusCode 409 if the request is no longer pending.
+   */
+  static async respond(rentRequestId, id, status, respondedBy) {
+    const pool = getPool();
+    const connection = await pool.getConnection();
+    try {
+      await connection.beginTransaction();
+      const [requestRows] = await connection.execute(
+        "SELECT status FROM rent_requests WHERE id = ? FOR UPDATE",
+        [rentRequestId]
+      );
+      if (
+        !requestRows[0] ||
+        requestRows[0].status !== RENT_REQUEST_STATUS.PENDING
+      ) {
+        throwConflict("Terms can only be negotiated on pending rent requests.");
+      }
+
+      const [result] = await connection.execute(
+        `UPDATE rent_request_offers SET status = ?, responded_by = ?, responded_at = CURRENT_TIMESTAMP
+               WHERE id = ? AND rent_request_id = ? AND status = ?`,
+        [status, respondedBy, id, rentRequestId, RENT_OFFER_STATUS.OPEN]
+      );
+      await connection.commit();
+      return result.affectedRows > 0;
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+
+  /**
+   * Closes the open offers of rent requests that are no longer pending, so they can no longer be answered.
+   * Run it in the transaction that changes the requests' status, after locking the request rows.
+   * @param {Array<number>} rentRequestIds - The IDs of the rent requests.
+   * @param {object} [connection] - Connection to run on, e.g. inside a transaction. Defaults to the pool.
+   * @returns {number} How many offers were closed.
+   */
+  static async closeOpen(rentRequestIds, connection = getPool()) {
+    if (rentRequestIds.length === 0) return 0;
+    const placeholders = rentRequestIds.map(() => "?").join(", ");
+    const [result] = await connection.execute(
+      `UPDATE rent_request_offers SET status = ?
+             WHERE status = ? AND rent_request_id IN (${placeholders})`,
+      [RENT_OFFER_STATUS.CLOSED, RENT_OFFER_STATUS.OPEN, ...rentRequestIds]
+    );
+    return result.affectedRows;
+  }
+
+  /**
+   * Finds an offer of a rent request.
+   * @param {number} rentRequestId - The ID of the rent request.
+   * @param {number} id - The ID of the offer.
+   * @returns {object|null} The offer or null if the request has no such offer.
+   */
+  static async findById(rentRequestId, id) {
+    const pool = getPool();
+    const [rows] = await pool.execute(
+      `SELECT ${OFFER_COLUMNS}
+             FROM rent_request_offers o
+             JOIN users pu ON o.proposed_by = pu.id
+             WHERE o.rent_request_id = ? AND o.id = ?`,
+      [rentRequestId, id]
+    );
+    return rows[0] || null;
+  }
+
+  /**
+   * Retrieves the negotiation history of a rent request, oldest first.
+   * @param {number} rentRequestId - The ID of the rent request.
+   * @returns {Array} The offers, with the username of whoever proposed each.
+   */
+  static async findByRentRequestId(rentRequestId) {
+    const pool = getPool();
+    const [rows] = await pool.execute(
+      `SELECT ${OFFER_COLUMNS}
+             FROM rent_request_offers o
+             JOIN users pu ON o.proposed_by = pu.id
+             WHERE o.rent_request_id = ?
+             ORDER BY o.created_at ASC, o.id ASC`,
+      [rentRequestId]
+    );
+    return rows;
+  }
+
+  /**
+   * Finds the terms both parties last agreed on for a rent request.
+   * @param {number} rentRequestId - The ID of the rent request.
+   * @returns {object|null} The most recently accepted offer, or null if none was accepted.
+   */
+  static async findAccepted(rentRequestId) {
+    const pool = getPool();
+    const [rows] = await pool.execute(
+      `SELECT ${OFFER_COLUMNS}
+             FROM rent_request_offers o
+             JOIN users pu ON o.proposed_by = pu.id
+             WHERE o.rent_request_id = ? AND o.status = ?
+             ORDER BY o.responded_at DESC, o.id DESC
+             LIMIT 1`,
+      [rentRequestId, RENT_OFFER_STATUS.ACCEPTED]
+    );
+    return rows[0] || null;
+  }
+}
+
+module.exports = RentRequestOffer;
@@ -0,0 +1,218 @@
+// models/Review.js
+const { getPool } = require("../config/database");
+const { REVIEW_STATUS } = require("../utils/constants");
+
+const REVIEW_COLUMNS = `r.id, r.house_id, h.title as house_title, r.landlord_id,
+                    r.tenant_id, tu.username as tenant_username, r.house_rating,
+                    r.landlord_rating, r.comment, r.landlord_reply, r.replied_at,
+                    r.status, r.created_at, r.updated_at`;
+
+/**
+ * Retrieves a page of visible reviews matching one column.
+ * @param {string} column - The column to match (r.house_id or r.landlord_id).
+ * @param {number} value - The value to match.
+ * @param {{limit: number, offset: number}} options - Pagination options.
+ * @returns {Promise<{reviews: Array, total: number}>} The reviews and the total count.
+ */
+const findVisibleReviews = async (column, value, { limit, offset }) => {
+  const pool = getPool();
+  const [rows] = await pool.execute(
+    `SELECT ${REVIEW_COLUMNS}
+           FROM reviews r
+           JOIN houses h ON r.house_id = h.id
+           JOIN users tu ON r.tenant_id = tu.id
+           WHERE ${column} = ? AND r.status = ?
+           ORDER BY r.created_at DESC, r.id DESC
+           LIMIT ? OFFSET ?`,
+    [value, REVIEW_STATUS.VISIBLE, limit, offset]
+  );
+  const [countRows] = await pool.execute(
+    `SELECT COUNT(*) as total FROM reviews r WHERE ${column} = ? AND r.status = ?`,
+    [value, REVIEW_STATUS.VISIBLE]
+  );
+  return { reviews: rows, total: countRows[0].total };
+};
+
+class Review {
+  /**
+   * Creates a tenant review and refreshes the house's rating summary.
+   * @param {object} reviewData - Object containing house_id, landlord_id, tenant_id, lease_id, house_rating (1-5), landlord_rating (1-5) and comment (optional).
+   * @returns {number} The ID of the new review.
+   */
+  static async create({
+    house_id,
+    landlord_id,
+    tenant_id,
+    lease_id,
+    house_rating,
+    landlord_rating,
+    comment = null,
+  }) {
+    const pool = getPool();
+    const [result] = await pool.execute(
+      `INSERT INTO reviews (house_id, landlord_id, tenant_id, lease_id, house_rating, landlord_rating, comment)
+             VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [
+        house_id,
+        landlord_id,
+        tenant_id,
+        lease_id,
+        house_rating,
+        landlord_rating,
+        comment,
+      ]
+    );
+    await Review.refreshHouseRating(house_id);
+    return result.insertId;
+  }
+
+  /**
+   * Finds a review by its ID, whatever its status.
+   * @param {number} id - The ID of the review.
+   * @returns {object|null} The review (with moderation details) or null if not found.
+   */
+  static async findById(id) {
+    const pool = getPool();
+    const [rows] = await pool.execute(
+      `SELECT ${REVIEW_COLUMNS}, r.lease_id, r.moderation_reason,
+                    r.moderated_by, r.moderated_at
+             FROM reviews r
+             JOIN houses h ON r.house_id = h.id
+             JOIN users tu ON r.tenant_id = tu.id
+             WHERE r.id = ?`,
+      [id]
+    );
+    return rows[0] || null;
+  }
+
+  /**
+   * Finds the review a tenant left for a house.
+   * @param {number} houseId - The ID of the house.
+   * @param {number} tenantId - The ID of the tenant.
+   * @returns {object|null} The review or null if the tenant has not reviewed the house.
+   */
+  static async findByHouseAndTenant(houseId, tenantId) {
+    const pool = getPool();
+    const [rows] = await pool.execute(
+      `SELECT id, house_id, tenant_id, status, created_at
+             FROM reviews WHERE house_id = ? AND tenant_id = ?`,
+      [houseId, tenantId]
+    );
+    return rows[0] || null;
+  }
+
+  /**
+   * Retrieves the visible reviews of a house, newest first.
+   * @param {number} houseId - The ID of the house.
+   * @param {object} options - Pagination options.
+   * @param {number} [options.limit=10] - Number of records to return.
+   * @param {number} [options.offset=0] - Number of records to skip.
+   * @returns {{reviews: Array, total: number}} The reviews and the total count.
+   */
+  static async findByHouseId(houseId, { limit = 10, offset = 0 } = {}) {
+    return findVisibleReviews("r.house_id", houseId, { limit, offset });
+  }
+
+  /**
+   * Retrieves the visible reviews of every house of a landlord, newest first.
+   * @param {number} landlordId - The ID of the landlord.
+   * @param {object} options - Pagination options.
+   * @param {number} [options.limit=10] - Number of records to return.
+   * @param {number} [options.offset=0] - Number of records to skip.
+   * @returns {{reviews: Array, total: number}} The reviews and the total count.
+   */
+  static async findByLandlordId(landlordId, { limit = 10, offset = 0 } = {}) {
+    return findVisibleReviews("r.landlord_id", landlordId, { limit, offset });
+  }
+
+  /**
+   * Averages the landlord ratings of the visible reviews of several landlords.
+   * @param {number[]} landlordIds - The IDs of the landlords.
+   * @returns {Object<number, {average: number, count: number}>} Rating summaries keyed by landlord ID. Landlords without reviews are omitted.
+   */
+  static async getLandlordRatings(landlordIds) {
+    if (landlordIds.length === 0) return {};
+    const pool = getPool();
+    const placeholders = landlordIds.map(() => "?").join(", ");
+    const [rows] = await pool.execute(
+      `SELECT landlord_id, ROUND(AVG(landlord_rating), 2) as average, COUNT(*) as count
+             FROM reviews
+             WHERE landlord_id IN (${placeholders}) AND status = ?
+             GROUP BY landlord_id`,
+      [...landlordIds, REVIEW_STATUS.VISIBLE]
+    );
+    const ratings = {};
+    for (const row of rows) {
+      ratings[row.landlord_id] = {
+        average: Number(row.average),
+        count: row.count,
+      };
+    }
+    return ratings;
+  }
+
+  /**
+   * Adds the landlord's public reply to a review. A review has at most one reply.
+   * @param {number} id - The ID of the review.
+   * @param {string} reply - The reply text.
+   * @returns {boolean} True if the reply was saved, false if the review already had one.
+   */
+  static async addReply(id, reply) {
+    const pool = getPool();
+    const [result] = await pool.execute(
+      `UPDATE reviews SET landlord_reply = ?, replied_at = CURRENT_TIMESTAMP
+             WHERE id = ? AND landlord_reply IS NULL`,
+      [reply, id]
+    );
+    return result.affectedRows > 0;
+  }
+
+  /**
+   * Hides or restores a review and refreshes the house's rating summary.
+   * @param {number} id - The ID of the review.
+   * @param {object} moderation - Object containing status (REVIEW_STATUS), reason (optional) and moderatedBy (user ID).
+   * @returns {boolean} True if updated, false otherwise.
+   */
+  static async setStatus(id, { status, reason = null, moderatedBy }) {
+    const pool = getPool();
+    const [result] = await pool.execute(
+      `UPDATE reviews SET status = ?, moderation_reason = ?, moderated_by = ?,
+                    moderated_at = CURRENT_TIMESTAMP
+             WHERE id = ?`,
+      [status, reason, moderatedBy, id]
+    );
+    if (result.affectedRows === 0) return false;
+
+    const [rows] = await pool.execute(
+      "SELECT house_id FROM reviews WHERE id = ?",
+      [id]
+    );
+    await Review.refreshHouseRating(rows[0].house_id);
+    return true;
+  }
+
+  /**
+   * Recomputes the rating_average and rating_count stored on a house from its visible reviews.
+   * They are kept on the house so that search can sort by rating. A review is not a change to the
+   * listing itself, so updated_at is left as it was.
+   * @param {number} houseId - The ID of the house.
+   */
+  static async refreshHouseRating(houseId) {
+    const pool = getPool();
+    await pool.execute(
+      `UPDATE houses h
+             LEFT JOIN (
+               SELECT house_id, ROUND(AVG(house_rating), 2) as average, COUNT(*) as count
+               FROM reviews WHERE house_id = ? AND status = ?
+               GROUP BY house_id
+             ) r ON r.house_id = h.id
+             SET h.rating_average = COALESCE(r.average, 0),
+                 h.rating_count = COALESCE(r.count, 0),
+                 h.updated_at = h.updated_at
+             WHERE h.id = ?`,
+      [houseId, REVIEW_STATUS.VISIBLE, houseId]
+    );
+  }
+}
+
+module.exports = Review;
@@ -0,0 +1,208 @@
+// models/SavedSearch.js
+const { getPool } = require("../config/database");
+const { LOCATION_LEVEL } = require("../utils/constants");
+
+// The filters column holds JSON; mysql2 may return it as a string or already parsed
+const parseFilters = (filters) =>
+  typeof filters === "string" ? JSON.parse(filters) : filters || {};
+
+// SQL for the raw value of one filter of a saved search `s`, or NULL if the search does not use it
+const filterValue = (key) =>
+  `JSON_UNQUOTE(JSON_EXTRACT(s.filters, '$.${key}'))`;
+
+const toSavedSearch = (row) => ({
+  ...row,
+  filters: parseFilters(row.filters),
+  email_alerts: Boolean(row.email_alerts),
+});
+
+class SavedSearch {
+  /**
+   * Creates a saved search.
+   * @param {object} searchData - Object containing user_id, name, filters (GET /api/houses query values) and email_alerts (optional).
+   * @returns {number} The ID of the newly created saved search.
+   */
+  static async create({ user_id, name, filters, email_alerts = false }) {
+    const pool = getPool();
+    const [result] = await pool.execute(
+      `INSERT INTO saved_searches (user_id, name, filters, email_alerts)
+             VALUES (?, ?, ?, ?)`,
+      [user_id, name, JSON.stringify(filters), email_alerts]
+    );
+    return result.insertId;
+  }
+
+  /**
+   * Finds a saved search by its ID.
+   * @param {number} id - The ID of the saved search.
+   * @returns {object|null} The saved search or null if not found.
+   */
+  static async findById(id) {
+    const pool = getPool();
+    const [rows] = await pool.execute(
+      `SELECT id, user_id, name, filters, email_alerts, created_at, updated_at
+             FROM saved_searches WHERE id = ?`,
+      [id]
+    );
+    return rows[0] ? toSavedSearch(rows[0]) : null;
+  }
+
+  /**
+   * Retrieves a user's saved searches, newest first.
+   * @param {number} userId - The ID of the user.
+   * @returns {Array} An array of saved searches.
+   */
+  static async findByUserId(userId) {
+    const pool = getPool();
+    const [rows] = await pool.execute(
+      `SELECT id, user_id, name, filters, email_alerts, created_at, updated_at
+             FROM saved_searches WHERE user_id = ?
+             ORDER BY created_at DESC, id DESC`,
+      [userId]
+    );
+    return rows.map(toSavedSearch);
+  }
+
+  /**
+   * Counts a user's saved searches.
+   * @param {number} userId - The ID of the user.
+   * @returns {number} The number of saved searches.
+   */
+  static async countByUserId(userId) {
+    const pool = getPool();
+    const [rows] = await pool.execute(
+      `SELECT COUNT(*) as total FROM saved_searches WHERE user_id = ?`,
+      [userId]
+    );
+    return rows[0].total;
+  }
+
+  /**
+   * Retrieves the saved searches a newly available house may match, together with their owners' emails.
+   * Searches that rule the house out by status, bedrooms, bathrooms, area or rent are filtered out in SQL;
+   * the rest still have to be checked with matchesHouseFilters. The owner's own searches are left out.
+   * @param {object} house - The house, as returned by House.findById (with `location`).
+   * @returns {Array} An array of saved searches with an `email` field.
+   */
+  static async findCandidatesForHouse(house) {
+    const pool = getPool();
+    const conditions = ["s.user_id <> ?"];
+    const params = [house.landlord_id];
+    // A search passes each check when it does not use the filter
+    const addFilterCondition = (key, condition, ...values) => {
+      conditions.push(`(${filterValue(key)} IS NULL OR ${condition})`);
+      params.push(...values);
+    };
+
+    addFilterCondition("status", `${filterValue("status")} = ?`, house.status);
+    addFilterCondition(
+      "bedrooms",
+      `CAST(${filterValue("bedrooms")} AS SIGNED) = ?`,
+      house.bedrooms
+    );
+    addFilterCondition(
+      "bathrooms",
+      `CAST(${filterValue("bathrooms")} AS SIGNED) = ?`,
+      house.bathrooms
+    );
+    // The house's area at every level of the location hierarchy
+    const locationIds = house.location
+      ? Object.values(LOCATION_LEVEL)
+          .map((level) => house.location[level])
+          .filter(Boolean)
+          .map((area) => String(area.id))
+      : [];
+    addFilterCondition(
+      "locationId",
+      locationIds.length > 0
+        ? `${filterValue("locationId")} IN (${locationIds
+            .map(() => "?")
+            .join(", ")})`
+        : "FALSE",
+      ...locationIds
+    );
+    // Rent bounds are in the search's currency; compare them in BASE_CURRENCY like matchesHouseFilters does
+    const rentBase = parseFloat(house.rent_amount_base);
+    addFilterCondition(
+      "minRent",
+      `CAST(${filterValue(
+        "minRent"
+      )} AS DECIMAL(14,2)) * COALESCE(er.rate_to_base, 1) <= ?`,
+      rentBase
+    );
+    addFilterCondition(
+      "maxRent",
+      `CAST(${filterValue(
+        "maxRent"
+      )} AS DECIMAL(14,2)) * COALESCE(er.rate_to_base, 1) >= ?`,
+      rentBase
+    );
+
+    const [rows] = await pool.execute(
+      `SELECT s.id, s.user_id, s.name, s.filters, s.email_alerts, u.email
+             FROM saved_searches s
+             JOIN users u ON s.user_id = u.id
+             LEFT JOIN exchange_rates er
+               ON er.currency = UPPER(${filterValue(
+                 "currency"
+               )}) COLLATE utf8mb4_general_ci
+             WHERE ${conditions.join(" AND ")}`,
+      params
+    );
+    return rows.map(toSavedSearch);
+  }
+
+  /**
+   * Updates a saved search.
+   * @param {number} id - The ID of the saved search.
+   * @param {object} updates - Object containing name, filters and/or email_alerts.
+   * @returns {boolean} True if updated, false otherwise.
+   */
+  static async update(id, updates) {
+    const pool = getPool();
+    const fields = [];
+    const values = [];
+
+    if (updates.name !== undefined) {
+      fields.push("name = ?");
+      values.push(updates.name);
+    }
+    if (updates.filters !== undefined) {
+      fields.push("filters = ?");
+      values.push(JSON.stringify(updates.filters));
+    }
+    if (updates.email_alerts !== undefined) {
+      fields.push("email_alerts = ?");
+      values.push(updates.email_alerts);
+    }
+
+    if (fields.length === 0) {
+      return false;
+    }
+
+    values.push(id);
+    const [result] = await pool.execute(
+      `UPDATE saved_searches SET ${fields.join(
+        ", "
+      )}, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+      values
+    );
+    return result.affectedRows > 0;
+  }
+
+  /**
+   * Deletes a saved search.
+   * @param {number} id - The ID of the saved search.
+   * @returns {boolean} True if deleted, false otherwise.
+   */
+  static async delete(id) {
+    const pool = getPool();
+    const [result] = await pool.execute(
+      "DELETE FROM saved_searches WHERE id = ?",
+      [id]
+    );
+    return result.affectedRows > 0;
+  }
+}
+
+module.exports = SavedSearch;
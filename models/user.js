@@ -22,7 +22,7 @@ class User {
   static async findById(id) {
     const pool = getPool();
     const [rows] = await pool.execute(
-      "SELECT id, username, email, phone, role FROM users WHERE id = ?", // Added 'status' to the select statement
+      "SELECT id, username, email, phone, role, response_deadline_hours FROM users WHERE id = ?", // Added 'status' to the select statement
       [id]
     );
     return rows[0] || null;
@@ -54,6 +54,29 @@ class User {
     return result.affectedRows > 0;
   }
 
+  // --- Find the Current Tenants of a Landlord's Houses ---
+  // Pass `limit` (and `offset`) to read them a page at a time
+  static async findTenantsByLandlordId(landlordId, { limit, offset = 0 } = {}) {
+    const pool = getPool();
+    const params = [landlordId];
+    let page = "";
+    if (limit !== undefined) {
+      page = " LIMIT ? OFFSET ?";
+      params.push(limit, offset);
+    }
+    const [rows] = await pool.execute(
+      `SELECT u.id, u.username, u.email, u.phone,
+              h.id as house_id, h.title as house_title, h.address as house_address,
+              h.unit_label, h.rent_amount, h.currency, h.rental_start_date
+       FROM houses h
+       JOIN users u ON h.tenant_id = u.id
+       WHERE h.landlord_id = ? AND h.archived_at IS NULL
+       ORDER BY u.username ASC, h.id ASC${page}`,
+      params
+    );
+    return rows;
+  }
+
   // --- Existing Methods for Password Reset ---
 
   static async updateResetToken(userId, token, expires) {
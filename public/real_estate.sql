@@ -23,6 +23,137 @@ SET time_zone = "+00:00";
 
 -- --------------------------------------------------------
 
+--
+-- Table structure for table `amenities`
+--
+
+CREATE TABLE `amenities` (
+  `id` int(11) NOT NULL,
+  `code` varchar(50) NOT NULL,
+  `name` varchar(100) NOT NULL,
+  `category` varchar(50) NOT NULL DEFAULT 'general'
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_general_ci;
+
+--
+-- Dumping data for table `amenities`
+--
+
+INSERT INTO `amenities` (`id`, `code`, `name`, `category`) VALUES
+(1, 'furnished', 'Furnished', 'interior'),
+(2, 'parking', 'Parking', 'exterior'),
+(3, 'water_tank', 'Water tank', 'utilities'),
+(4, 'generator', 'Backup generator', 'utilities'),
+(5, 'security_guard', 'Security guard', 'security'),
+(6, 'internet', 'Internet', 'utilities'),
+(7, 'pets_allowed', 'Pets allowed', 'policies'),
+(8, 'garden', 'Garden', 'exterior'),
+(9, 'hot_water', 'Hot water', 'utilities'),
+(10, 'cctv', 'CCTV', 'security');
+
+-- --------------------------------------------------------
+
+--
+-- Table structure for table `building_amenities`
+--
+
+CREATE TABLE `building_amenities` (
+  `building_id` int(11) NOT NULL,
+  `amenity_id` int(11) NOT NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_general_ci;
+
+-- --------------------------------------------------------
+
+--
+-- Table structure for table `building_images`
+--
+
+CREATE TABLE `building_images` (
+  `id` int(11) NOT NULL,
+  `building_id` int(11) NOT NULL,
+  `storage_key` varchar(500) NOT NULL,
+  `url` varchar(500) NOT NULL,
+  `caption` varchar(255) DEFAULT NULL,
+  `sort_order` int(11) NOT NULL DEFAULT 0,
+  `created_at` timestamp NOT NULL DEFAULT current_timestamp()
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_general_ci;
+
+-- --------------------------------------------------------
+
+--
+-- Table structure for table `buildings`
+--
+
+CREATE TABLE `buildings` (
+  `id` int(11) NOT NULL,
+  `landlord_id` int(11) NOT NULL,
+  `name` varchar(255) NOT NULL,
+  `description` text DEFAULT NULL,
+  `address` varchar(300) NOT NULL,
+  `latitude` decimal(10,7) DEFAULT NULL,
+  `longitude` decimal(10,7) DEFAULT NULL,
+  `location_id` int(11) DEFAULT NULL,
+  `created_at` timestamp NOT NULL DEFAULT current_timestamp(),
+  `updated_at` timestamp NOT NULL DEFAULT current_timestamp() ON UPDATE current_timestamp()
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_general_ci;
+
+-- --------------------------------------------------------
+
+--
+-- Table structure for table `exchange_rates`
+--
+
+CREATE TABLE `exchange_rates` (
+  `id` int(11) NOT NULL,
+  `currency` char(3) NOT NULL,
+  `rate_to_base` decimal(18,8) NOT NULL,
+  `updated_by` int(11) DEFAULT NULL,
+  `created_at` timestamp NOT NULL DEFAULT current_timestamp(),
+  `updated_at` timestamp NOT NULL DEFAULT current_timestamp() ON UPDATE current_timestamp()
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_general_ci;
+
+--
+-- Dumping data for table `exchange_rates`
+--
+
+INSERT INTO `exchange_rates` (`id`, `currency`, `rate_to_base`) VALUES
+(1, 'RWF', 1.00000000);
+
+-- --------------------------------------------------------
+
+--
+-- Table structure for table `export_jobs`
+--
+
+CREATE TABLE `export_jobs` (
+  `id` int(11) NOT NULL,
+  `landlord_id` int(11) NOT NULL,
+  `dataset` enum('houses','tenants','leases','payments') NOT NULL,
+  `format` enum('csv','xlsx','json') NOT NULL DEFAULT 'csv',
+  `filters` longtext CHARACTER SET utf8mb4 COLLATE utf8mb4_bin NOT NULL CHECK (json_valid(`filters`)),
+  `status` enum('pending','processing','completed','failed') NOT NULL DEFAULT 'pending',
+  `storage_key` varchar(500) DEFAULT NULL,
+  `row_count` int(11) DEFAULT NULL,
+  `error` varchar(500) DEFAULT NULL,
+  `created_at` timestamp NOT NULL DEFAULT current_timestamp(),
+  `started_at` timestamp NULL DEFAULT NULL,
+  `completed_at` timestamp NULL DEFAULT NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_general_ci;
+
+-- --------------------------------------------------------
+
+--
+-- Table structure for table `favorites`
+--
+
+CREATE TABLE `favorites` (
+  `id` int(11) NOT NULL,
+  `user_id` int(11) NOT NULL,
+  `house_id` int(11) NOT NULL,
+  `created_at` timestamp NOT NULL DEFAULT current_timestamp()
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_general_ci;
+
+-- --------------------------------------------------------
+
 --
 -- Table structure for table `houses`
 --
@@ -35,12 +166,29 @@ CREATE TABLE `houses` (
   `description` text DEFAULT NULL,
   `address` varchar(300) NOT NULL,
   `rent_amount` decimal(10,2) NOT NULL,
+  `currency` char(3) NOT NULL DEFAULT 'RWF',
+  `rent_amount_base` decimal(14,2) NOT NULL DEFAULT 0.00,
   `bedrooms` int(11) DEFAULT 0,
   `bathrooms` int(11) DEFAULT 0,
-  `status` enum('available','rented') NOT NULL DEFAULT 'available',
+  `status` enum('draft','available','reserved','rented','under_maintenance','unlisted') NOT NULL DEFAULT 'draft',
   `image_url` varchar(500) DEFAULT NULL,
   `is_active` tinyint(1) DEFAULT 1,
   `rental_start_date` date DEFAULT NULL,
+  `latitude` decimal(10,7) DEFAULT NULL,
+  `longitude` decimal(10,7) DEFAULT NULL,
+  `location_id` int(11) DEFAULT NULL,
+  `building_id` int(11) DEFAULT NULL,
+  `unit_label` varchar(50) DEFAULT NULL,
+  `published_at` timestamp NULL DEFAULT NULL,
+  `moderation_status` enum('none','pending','approved','rejected') NOT NULL DEFAULT 'none',
+  `moderation_reason` varchar(500) DEFAULT NULL,
+  `moderated_by` int(11) DEFAULT NULL,
+  `moderated_at` timestamp NULL DEFAULT NULL,
+  `rating_average` decimal(3,2) NOT NULL DEFAULT 0.00,
+  `rating_count` int(11) NOT NULL DEFAULT 0,
+  `stale_flagged_at` timestamp NULL DEFAULT NULL,
+  `archived_at` timestamp NULL DEFAULT NULL,
+  `response_deadline_hours` int(11) DEFAULT NULL,
   `created_at` timestamp NOT NULL DEFAULT current_timestamp(),
   `updated_at` timestamp NOT NULL DEFAULT current_timestamp() ON UPDATE current_timestamp()
 ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_general_ci;
@@ -49,12 +197,74 @@ CREATE TABLE `houses` (
 -- Dumping data for table `houses`
 --
 
-INSERT INTO `houses` (`id`, `landlord_id`, `tenant_id`, `title`, `description`, `address`, `rent_amount`, `bedrooms`, `bathrooms`, `status`, `image_url`, `is_active`, `rental_start_date`, `created_at`, `updated_at`) VALUES
-(1, 2, NULL, 'Spacious Family Home', 'Beautiful 4-bedroom house with a large garden.', '123 Main St, Springfield', 1500.00, 4, 2, 'available', 'http://example.com/house1.jpg', 1, '2025-08-01', '2025-07-23 13:30:50', '2025-07-23 13:30:50'),
-(2, 2, NULL, 'Spacious Family Home', 'Beautiful 4-bedroom house with a large garden.', '123 Main St, Springfield', 1500.00, 4, 2, 'available', 'http://example.com/house1.jpg', 1, '2025-08-01', '2025-07-23 13:30:54', '2025-07-23 13:30:54'),
-(3, 2, NULL, 'Spacious Family Home', 'Beautiful 4-bedroom house with a large garden.', '123 Main St, Springfield', 1500.00, 4, 2, 'available', 'http://example.com/house1.jpg', 1, '2025-08-01', '2025-07-23 13:31:45', '2025-07-23 13:31:45'),
-(4, 4, NULL, 'Updated House Title', 'This is a beautifully updated house.', '123 Test St, Test City', 1250.00, 4, 2, 'available', 'http://example.com/images/house1.jpg', 1, '2025-09-01', '2025-07-24 11:28:38', '2025-07-24 11:39:11'),
-(5, 4, NULL, 'Modern Apartment', 'Spacious 3-bedroom apartment.', '123 Test St, Test City', 1200.00, 3, 2, 'available', 'http://example.com/images/house1.jpg', 1, '2025-09-01', '2025-07-24 12:13:18', '2025-07-24 12:13:18');
+INSERT INTO `houses` (`id`, `landlord_id`, `tenant_id`, `title`, `description`, `address`, `rent_amount`, `bedrooms`, `bathrooms`, `status`, `image_url`, `is_active`, `rental_start_date`, `created_at`, `updated_at`, `published_at`, `rent_amount_base`) VALUES
+(1, 2, NULL, 'Spacious Family Home', 'Beautiful 4-bedroom house with a large garden.', '123 Main St, Springfield', 1500.00, 4, 2, 'available', 'http://example.com/house1.jpg', 1, '2025-08-01', '2025-07-23 13:30:50', '2025-07-23 13:30:50', '2025-07-23 13:30:50', 1500.00),
+(2, 2, NULL, 'Spacious Family Home', 'Beautiful 4-bedroom house with a large garden.', '123 Main St, Springfield', 1500.00, 4, 2, 'available', 'http://example.com/house1.jpg', 1, '2025-08-01', '2025-07-23 13:30:54', '2025-07-23 13:30:54', '2025-07-23 13:30:54', 1500.00),
+(3, 2, NULL, 'Spacious Family Home', 'Beautiful 4-bedroom house with a large garden.', '123 Main St, Springfield', 1500.00, 4, 2, 'available', 'http://example.com/house1.jpg', 1, '2025-08-01', '2025-07-23 13:31:45', '2025-07-23 13:31:45', '2025-07-23 13:31:45', 1500.00),
+(4, 4, NULL, 'Updated House Title', 'This is a beautifully updated house.', '123 Test St, Test City', 1250.00, 4, 2, 'available', 'http://example.com/images/house1.jpg', 1, '2025-09-01', '2025-07-24 11:28:38', '2025-07-24 11:39:11', '2025-07-24 11:28:38', 1250.00),
+(5, 4, NULL, 'Modern Apartment', 'Spacious 3-bedroom apartment.', '123 Test St, Test City', 1200.00, 3, 2, 'available', 'http://example.com/images/house1.jpg', 1, '2025-09-01', '2025-07-24 12:13:18', '2025-07-24 12:13:18', '2025-07-24 12:13:18', 1200.00);
+
+-- --------------------------------------------------------
+
+--
+-- Table structure for table `house_amenities`
+--
+
+CREATE TABLE `house_amenities` (
+  `house_id` int(11) NOT NULL,
+  `amenity_id` int(11) NOT NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_general_ci;
+
+-- --------------------------------------------------------
+
+--
+-- Table structure for table `house_images`
+--
+
+CREATE TABLE `house_images` (
+  `id` int(11) NOT NULL,
+  `house_id` int(11) NOT NULL,
+  `storage_key` varchar(500) NOT NULL,
+  `url` varchar(500) NOT NULL,
+  `caption` varchar(255) DEFAULT NULL,
+  `sort_order` int(11) NOT NULL DEFAULT 0,
+  `is_cover` tinyint(1) NOT NULL DEFAULT 0,
+  `created_at` timestamp NOT NULL DEFAULT current_timestamp()
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_general_ci;
+
+-- --------------------------------------------------------
+
+--
+-- Table structure for table `house_status_history`
+--
+
+CREATE TABLE `house_status_history` (
+  `id` int(11) NOT NULL,
+  `house_id` int(11) NOT NULL,
+  `from_status` varchar(30) DEFAULT NULL,
+  `to_status` varchar(30) NOT NULL,
+  `reason` varchar(50) NOT NULL,
+  `note` varchar(500) DEFAULT NULL,
+  `changed_by` int(11) DEFAULT NULL,
+  `created_at` timestamp NOT NULL DEFAULT current_timestamp()
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_general_ci;
+
+-- --------------------------------------------------------
+
+--
+-- Table structure for table `house_views`
+--
+
+CREATE TABLE `house_views` (
+  `id` int(11) NOT NULL,
+  `house_id` int(11) NOT NULL,
+  `viewer_key` varchar(64) NOT NULL,
+  `viewer_id` int(11) DEFAULT NULL,
+  `viewed_on` date NOT NULL,
+  `view_count` int(11) NOT NULL DEFAULT 1,
+  `first_viewed_at` timestamp NOT NULL DEFAULT current_timestamp(),
+  `last_viewed_at` timestamp NOT NULL DEFAULT current_timestamp()
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_general_ci;
 
 -- --------------------------------------------------------
 
@@ -67,10 +277,12 @@ CREATE TABLE `lease_agreements` (
   `house_id` int(11) NOT NULL,
   `tenant_id` int(11) NOT NULL,
   `landlord_id` int(11) NOT NULL,
+  `rent_request_id` int(11) DEFAULT NULL,
   `start_date` date NOT NULL,
   `end_date` date NOT NULL,
   `rent_amount` decimal(10,2) NOT NULL,
   `deposit_amount` decimal(10,2) NOT NULL,
+  `currency` char(3) NOT NULL DEFAULT 'RWF',
   `terms` text NOT NULL,
   `status` varchar(50) DEFAULT 'pending',
   `document_url` varchar(255) DEFAULT NULL,
@@ -87,6 +299,47 @@ INSERT INTO `lease_agreements` (`id`, `house_id`, `tenant_id`, `landlord_id`, `s
 
 -- --------------------------------------------------------
 
+--
+-- Table structure for table `listing_flags`
+--
+
+CREATE TABLE `listing_flags` (
+  `id` int(11) NOT NULL,
+  `house_id` int(11) NOT NULL,
+  `source` enum('duplicate_detection','tenant_report') NOT NULL,
+  `reason` varchar(50) NOT NULL,
+  `details` varchar(1000) DEFAULT NULL,
+  `matched_house_id` int(11) DEFAULT NULL,
+  `similarity` decimal(5,4) DEFAULT NULL,
+  `reported_by` int(11) DEFAULT NULL,
+  `status` enum('open','dismissed','actioned') NOT NULL DEFAULT 'open',
+  `resolution_note` varchar(500) DEFAULT NULL,
+  `resolved_by` int(11) DEFAULT NULL,
+  `resolved_at` timestamp NULL DEFAULT NULL,
+  `created_at` timestamp NOT NULL DEFAULT current_timestamp()
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_general_ci;
+
+-- --------------------------------------------------------
+
+--
+-- Table structure for table `locations`
+--
+
+CREATE TABLE `locations` (
+  `id` int(11) NOT NULL,
+  `parent_id` int(11) DEFAULT NULL,
+  `level` enum('province','district','sector','cell') NOT NULL,
+  `name` varchar(100) NOT NULL,
+  `code` varchar(255) NOT NULL,
+  `province_id` int(11) DEFAULT NULL,
+  `district_id` int(11) DEFAULT NULL,
+  `sector_id` int(11) DEFAULT NULL,
+  `cell_id` int(11) DEFAULT NULL,
+  `created_at` timestamp NOT NULL DEFAULT current_timestamp()
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_general_ci;
+
+-- --------------------------------------------------------
+
 --
 -- Table structure for table `maintenance_requests`
 --
@@ -135,6 +388,24 @@ CREATE TABLE `notifications` (
 
 -- --------------------------------------------------------
 
+--
+-- Table structure for table `payment_transactions`
+--
+
+CREATE TABLE `payment_transactions` (
+  `id` int(11) NOT NULL,
+  `payment_id` int(11) NOT NULL,
+  `amount` decimal(12,2) NOT NULL,
+  `currency` char(3) NOT NULL,
+  `exchange_rate` decimal(18,8) NOT NULL DEFAULT 1.00000000,
+  `converted_amount` decimal(12,2) NOT NULL,
+  `payment_method` enum('mtn','airtel','credit_card') DEFAULT NULL,
+  `paid_by` int(11) DEFAULT NULL,
+  `created_at` timestamp NOT NULL DEFAULT current_timestamp()
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_general_ci;
+
+-- --------------------------------------------------------
+
 --
 -- Table structure for table `rent_payments`
 --
@@ -143,9 +414,11 @@ CREATE TABLE `rent_payments` (
   `id` int(11) NOT NULL,
   `tenant_id` int(11) NOT NULL,
   `house_id` int(11) NOT NULL,
+  `lease_id` int(11) DEFAULT NULL,
   `due_date` date NOT NULL,
   `amount` decimal(10,2) NOT NULL,
   `paid_amount` decimal(10,2) DEFAULT 0.00,
+  `currency` char(3) NOT NULL DEFAULT 'RWF',
   `status` enum('pending','paid','overdue') DEFAULT 'pending',
   `payment_method` enum('mtn','airtel','credit_card') DEFAULT NULL,
   `payment_date` timestamp NULL DEFAULT NULL,
@@ -175,6 +448,46 @@ CREATE TABLE `rent_reminders` (
 
 -- --------------------------------------------------------
 
+--
+-- Table structure for table `rent_request_documents`
+--
+
+CREATE TABLE `rent_request_documents` (
+  `id` int(11) NOT NULL,
+  `rent_request_id` int(11) NOT NULL,
+  `type` enum('id_document','payslip') NOT NULL,
+  `storage_key` varchar(500) NOT NULL,
+  `original_name` varchar(255) DEFAULT NULL,
+  `mime_type` varchar(100) NOT NULL,
+  `size` int(11) NOT NULL,
+  `created_at` timestamp NOT NULL DEFAULT current_timestamp()
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_general_ci;
+
+-- --------------------------------------------------------
+
+--
+-- Table structure for table `rent_request_offers`
+--
+
+CREATE TABLE `rent_request_offers` (
+  `id` int(11) NOT NULL,
+  `rent_request_id` int(11) NOT NULL,
+  `proposed_by` int(11) NOT NULL,
+  `proposer_role` enum('tenant','landlord') NOT NULL,
+  `rent_amount` decimal(10,2) NOT NULL,
+  `currency` char(3) NOT NULL DEFAULT 'RWF',
+  `start_date` date NOT NULL,
+  `lease_months` int(11) NOT NULL,
+  `deposit_amount` decimal(10,2) NOT NULL,
+  `message` varchar(1000) DEFAULT NULL,
+  `status` enum('open','accepted','countered','declined','closed') NOT NULL DEFAULT 'open',
+  `responded_by` int(11) DEFAULT NULL,
+  `responded_at` timestamp NULL DEFAULT NULL,
+  `created_at` timestamp NOT NULL DEFAULT current_timestamp()
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_general_ci;
+
+-- --------------------------------------------------------
+
 --
 -- Table structure for table `rent_requests`
 --
@@ -184,7 +497,17 @@ CREATE TABLE `rent_requests` (
   `user_id` int(11) NOT NULL,
   `house_id` int(11) NOT NULL,
   `message` text DEFAULT NULL,
-  `status` enum('pending','approved','rejected','cancelled') DEFAULT 'pending',
+  `employment_status` varchar(30) DEFAULT NULL,
+  `employer` varchar(200) DEFAULT NULL,
+  `monthly_income` decimal(12,2) DEFAULT NULL,
+  `income_currency` char(3) NOT NULL DEFAULT 'RWF',
+  `household_size` int(11) DEFAULT NULL,
+  `move_in_date` date DEFAULT NULL,
+  `applicant_references` longtext CHARACTER SET utf8mb4 COLLATE utf8mb4_bin DEFAULT NULL CHECK (json_valid(`applicant_references`)),
+  `status` enum('pending','accepted','rejected','cancelled','expired') DEFAULT 'pending',
+  `respond_by` timestamp NULL DEFAULT NULL,
+  `deadline_reminder_sent_at` timestamp NULL DEFAULT NULL,
+  `responded_at` timestamp NULL DEFAULT NULL,
   `created_at` timestamp NOT NULL DEFAULT current_timestamp(),
   `updated_at` timestamp NOT NULL DEFAULT current_timestamp() ON UPDATE current_timestamp()
 ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_general_ci;
@@ -199,6 +522,47 @@ INSERT INTO `rent_requests` (`id`, `user_id`, `house_id`, `message`, `status`, `
 
 -- --------------------------------------------------------
 
+--
+-- Table structure for table `reviews`
+--
+
+CREATE TABLE `reviews` (
+  `id` int(11) NOT NULL,
+  `house_id` int(11) NOT NULL,
+  `landlord_id` int(11) NOT NULL,
+  `tenant_id` int(11) NOT NULL,
+  `lease_id` int(11) NOT NULL,
+  `house_rating` tinyint(1) NOT NULL,
+  `landlord_rating` tinyint(1) NOT NULL,
+  `comment` text DEFAULT NULL,
+  `landlord_reply` text DEFAULT NULL,
+  `replied_at` timestamp NULL DEFAULT NULL,
+  `status` enum('visible','hidden') NOT NULL DEFAULT 'visible',
+  `moderation_reason` varchar(500) DEFAULT NULL,
+  `moderated_by` int(11) DEFAULT NULL,
+  `moderated_at` timestamp NULL DEFAULT NULL,
+  `created_at` timestamp NOT NULL DEFAULT current_timestamp(),
+  `updated_at` timestamp NOT NULL DEFAULT current_timestamp() ON UPDATE current_timestamp()
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_general_ci;
+
+-- --------------------------------------------------------
+
+--
+-- Table structure for table `saved_searches`
+--
+
+CREATE TABLE `saved_searches` (
+  `id` int(11) NOT NULL,
+  `user_id` int(11) NOT NULL,
+  `name` varchar(100) NOT NULL,
+  `filters` longtext CHARACTER SET utf8mb4 COLLATE utf8mb4_bin NOT NULL CHECK (json_valid(`filters`)),
+  `email_alerts` tinyint(1) NOT NULL DEFAULT 0,
+  `created_at` timestamp NOT NULL DEFAULT current_timestamp(),
+  `updated_at` timestamp NOT NULL DEFAULT current_timestamp() ON UPDATE current_timestamp()
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_general_ci;
+
+-- --------------------------------------------------------
+
 --
 -- Table structure for table `users`
 --
@@ -209,7 +573,8 @@ CREATE TABLE `users` (
   `email` varchar(100) NOT NULL,
   `password` varchar(255) NOT NULL,
   `phone` varchar(20) DEFAULT NULL,
-  `role` enum('tenant','landlord') DEFAULT 'tenant',
+  `role` enum('tenant','landlord','admin') DEFAULT 'tenant',
+  `response_deadline_hours` int(11) DEFAULT NULL,
   `created_at` timestamp NOT NULL DEFAULT current_timestamp(),
   `updated_at` timestamp NOT NULL DEFAULT current_timestamp() ON UPDATE current_timestamp(),
   `password_reset_token` varchar(255) DEFAULT NULL,
@@ -231,6 +596,58 @@ INSERT INTO `users` (`id`, `username`, `email`, `password`, `phone`, `role`, `cr
 -- Indexes for dumped tables
 --
 
+--
+-- Indexes for table `amenities`
+--
+ALTER TABLE `amenities`
+  ADD PRIMARY KEY (`id`),
+  ADD UNIQUE KEY `code` (`code`);
+
+--
+-- Indexes for table `building_amenities`
+--
+ALTER TABLE `building_amenities`
+  ADD PRIMARY KEY (`building_id`,`amenity_id`),
+  ADD KEY `amenity_id` (`amenity_id`);
+
+--
+-- Indexes for table `building_images`
+--
+ALTER TABLE `building_images`
+  ADD PRIMARY KEY (`id`),
+  ADD KEY `idx_building_sort` (`building_id`,`sort_order`);
+
+--
+-- Indexes for table `buildings`
+--
+ALTER TABLE `buildings`
+  ADD PRIMARY KEY (`id`),
+  ADD KEY `idx_landlord_id` (`landlord_id`),
+  ADD KEY `idx_location_id` (`location_id`);
+
+--
+-- Indexes for table `exchange_rates`
+--
+ALTER TABLE `exchange_rates`
+  ADD PRIMARY KEY (`id`),
+  ADD UNIQUE KEY `uniq_currency` (`currency`),
+  ADD KEY `updated_by` (`updated_by`);
+
+--
+-- Indexes for table `export_jobs`
+--
+ALTER TABLE `export_jobs`
+  ADD PRIMARY KEY (`id`),
+  ADD KEY `idx_landlord_created` (`landlord_id`,`created_at`);
+
+--
+-- Indexes for table `favorites`
+--
+ALTER TABLE `favorites`
+  ADD PRIMARY KEY (`id`),
+  ADD UNIQUE KEY `uniq_user_house` (`user_id`,`house_id`),
+  ADD KEY `house_id` (`house_id`);
+
 --
 -- Indexes for table `houses`
 --
@@ -238,7 +655,51 @@ ALTER TABLE `houses`
   ADD PRIMARY KEY (`id`),
   ADD KEY `idx_tenant_id` (`tenant_id`),
   ADD KEY `idx_landlord_id` (`landlord_id`),
-  ADD KEY `idx_is_active` (`is_active`);
+  ADD KEY `idx_is_active` (`is_active`),
+  ADD KEY `idx_archived_at` (`archived_at`),
+  ADD KEY `idx_building_id` (`building_id`),
+  ADD KEY `idx_location_id` (`location_id`),
+  ADD KEY `idx_moderation_status` (`moderation_status`),
+  ADD KEY `idx_status_stale` (`status`,`stale_flagged_at`),
+  ADD KEY `moderated_by` (`moderated_by`),
+  ADD KEY `idx_lat_lng` (`latitude`,`longitude`),
+  ADD KEY `idx_created_id` (`created_at`,`id`),
+  ADD KEY `idx_rent_id` (`rent_amount`,`id`),
+  ADD KEY `idx_rent_base_id` (`rent_amount_base`,`id`),
+  ADD KEY `idx_bedrooms_id` (`bedrooms`,`id`),
+  ADD KEY `idx_rating_id` (`rating_average`,`id`),
+  ADD KEY `idx_landlord_created_id` (`landlord_id`,`created_at`,`id`),
+  ADD FULLTEXT KEY `ft_houses_search` (`title`,`description`,`address`);
+
+--
+-- Indexes for table `house_amenities`
+--
+ALTER TABLE `house_amenities`
+  ADD PRIMARY KEY (`house_id`,`amenity_id`),
+  ADD KEY `amenity_id` (`amenity_id`);
+
+--
+-- Indexes for table `house_images`
+--
+ALTER TABLE `house_images`
+  ADD PRIMARY KEY (`id`),
+  ADD KEY `idx_house_order` (`house_id`,`sort_order`);
+
+--
+-- Indexes for table `house_status_history`
+--
+ALTER TABLE `house_status_history`
+  ADD PRIMARY KEY (`id`),
+  ADD KEY `idx_house_created` (`house_id`,`created_at`),
+  ADD KEY `changed_by` (`changed_by`);
+
+--
+-- Indexes for table `house_views`
+--
+ALTER TABLE `house_views`
+  ADD PRIMARY KEY (`id`),
+  ADD UNIQUE KEY `uniq_house_day_viewer` (`house_id`,`viewed_on`,`viewer_key`),
+  ADD KEY `viewer_id` (`viewer_id`);
 
 --
 -- Indexes for table `lease_agreements`
@@ -247,7 +708,32 @@ ALTER TABLE `lease_agreements`
   ADD PRIMARY KEY (`id`),
   ADD KEY `house_id` (`house_id`),
   ADD KEY `tenant_id` (`tenant_id`),
-  ADD KEY `landlord_id` (`landlord_id`);
+  ADD KEY `landlord_id` (`landlord_id`),
+  ADD KEY `rent_request_id` (`rent_request_id`);
+
+--
+-- Indexes for table `listing_flags`
+--
+ALTER TABLE `listing_flags`
+  ADD PRIMARY KEY (`id`),
+  ADD KEY `idx_status_created` (`status`,`created_at`),
+  ADD KEY `idx_house_status` (`house_id`,`status`),
+  ADD KEY `matched_house_id` (`matched_house_id`),
+  ADD KEY `reported_by` (`reported_by`),
+  ADD KEY `resolved_by` (`resolved_by`);
+
+--
+-- Indexes for table `locations`
+--
+ALTER TABLE `locations`
+  ADD PRIMARY KEY (`id`),
+  ADD UNIQUE KEY `uniq_code` (`code`),
+  ADD KEY `idx_parent_name` (`parent_id`,`name`),
+  ADD KEY `idx_level_name` (`level`,`name`),
+  ADD KEY `idx_province_id` (`province_id`),
+  ADD KEY `idx_district_id` (`district_id`),
+  ADD KEY `idx_sector_id` (`sector_id`),
+  ADD KEY `idx_cell_id` (`cell_id`);
 
 --
 -- Indexes for table `maintenance_requests`
@@ -265,6 +751,14 @@ ALTER TABLE `notifications`
   ADD PRIMARY KEY (`id`),
   ADD KEY `user_id` (`user_id`);
 
+--
+-- Indexes for table `payment_transactions`
+--
+ALTER TABLE `payment_transactions`
+  ADD PRIMARY KEY (`id`),
+  ADD KEY `idx_payment_id` (`payment_id`),
+  ADD KEY `paid_by` (`paid_by`);
+
 --
 -- Indexes for table `rent_payments`
 --
@@ -272,7 +766,8 @@ ALTER TABLE `rent_payments`
   ADD PRIMARY KEY (`id`),
   ADD KEY `house_id` (`house_id`),
   ADD KEY `idx_tenant_status` (`tenant_id`,`status`),
-  ADD KEY `idx_due_date` (`due_date`);
+  ADD KEY `idx_due_date` (`due_date`),
+  ADD KEY `idx_lease_id` (`lease_id`);
 
 --
 -- Indexes for table `rent_reminders`
@@ -284,6 +779,22 @@ ALTER TABLE `rent_reminders`
   ADD KEY `house_id` (`house_id`),
   ADD KEY `fk_rent_payments_id` (`payment_id`);
 
+--
+-- Indexes for table `rent_request_documents`
+--
+ALTER TABLE `rent_request_documents`
+  ADD PRIMARY KEY (`id`),
+  ADD KEY `idx_rent_request_id` (`rent_request_id`);
+
+--
+-- Indexes for table `rent_request_offers`
+--
+ALTER TABLE `rent_request_offers`
+  ADD PRIMARY KEY (`id`),
+  ADD KEY `idx_rent_request_status` (`rent_request_id`,`status`),
+  ADD KEY `proposed_by` (`proposed_by`),
+  ADD KEY `responded_by` (`responded_by`);
+
 --
 -- Indexes for table `rent_requests`
 --
@@ -291,7 +802,27 @@ ALTER TABLE `rent_requests`
   ADD PRIMARY KEY (`id`),
   ADD KEY `house_id` (`house_id`),
   ADD KEY `idx_status` (`status`),
-  ADD KEY `idx_user_house` (`user_id`,`house_id`);
+  ADD KEY `idx_user_house` (`user_id`,`house_id`),
+  ADD KEY `idx_status_respond_by` (`status`,`respond_by`);
+
+--
+-- Indexes for table `reviews`
+--
+ALTER TABLE `reviews`
+  ADD PRIMARY KEY (`id`),
+  ADD UNIQUE KEY `uniq_house_tenant` (`house_id`,`tenant_id`),
+  ADD KEY `idx_house_status_created` (`house_id`,`status`,`created_at`),
+  ADD KEY `idx_landlord_status` (`landlord_id`,`status`),
+  ADD KEY `tenant_id` (`tenant_id`),
+  ADD KEY `lease_id` (`lease_id`),
+  ADD KEY `moderated_by` (`moderated_by`);
+
+--
+-- Indexes for table `saved_searches`
+--
+ALTER TABLE `saved_searches`
+  ADD PRIMARY KEY (`id`),
+  ADD KEY `user_id` (`user_id`);
 
 --
 -- Indexes for table `users`
@@ -305,18 +836,84 @@ ALTER TABLE `users`
 -- AUTO_INCREMENT for dumped tables
 --
 
+--
+-- AUTO_INCREMENT for table `amenities`
+--
+ALTER TABLE `amenities`
+  MODIFY `id` int(11) NOT NULL AUTO_INCREMENT, AUTO_INCREMENT=11;
+
+--
+-- AUTO_INCREMENT for table `building_images`
+--
+ALTER TABLE `building_images`
+  MODIFY `id` int(11) NOT NULL AUTO_INCREMENT;
+
+--
+-- AUTO_INCREMENT for table `buildings`
+--
+ALTER TABLE `buildings`
+  MODIFY `id` int(11) NOT NULL AUTO_INCREMENT;
+
+--
+-- AUTO_INCREMENT for table `exchange_rates`
+--
+ALTER TABLE `exchange_rates`
+  MODIFY `id` int(11) NOT NULL AUTO_INCREMENT, AUTO_INCREMENT=2;
+
+--
+-- AUTO_INCREMENT for table `export_jobs`
+--
+ALTER TABLE `export_jobs`
+  MODIFY `id` int(11) NOT NULL AUTO_INCREMENT;
+
+--
+-- AUTO_INCREMENT for table `favorites`
+--
+ALTER TABLE `favorites`
+  MODIFY `id` int(11) NOT NULL AUTO_INCREMENT;
+
 --
 -- AUTO_INCREMENT for table `houses`
 --
 ALTER TABLE `houses`
   MODIFY `id` int(11) NOT NULL AUTO_INCREMENT, AUTO_INCREMENT=6;
 
+--
+-- AUTO_INCREMENT for table `house_images`
+--
+ALTER TABLE `house_images`
+  MODIFY `id` int(11) NOT NULL AUTO_INCREMENT;
+
+--
+-- AUTO_INCREMENT for table `house_status_history`
+--
+ALTER TABLE `house_status_history`
+  MODIFY `id` int(11) NOT NULL AUTO_INCREMENT;
+
+--
+-- AUTO_INCREMENT for table `house_views`
+--
+ALTER TABLE `house_views`
+  MODIFY `id` int(11) NOT NULL AUTO_INCREMENT;
+
 --
 -- AUTO_INCREMENT for table `lease_agreements`
 --
 ALTER TABLE `lease_agreements`
   MODIFY `id` int(11) NOT NULL AUTO_INCREMENT, AUTO_INCREMENT=2;
 
+--
+-- AUTO_INCREMENT for table `listing_flags`
+--
+ALTER TABLE `listing_flags`
+  MODIFY `id` int(11) NOT NULL AUTO_INCREMENT;
+
+--
+-- AUTO_INCREMENT for table `locations`
+--
+ALTER TABLE `locations`
+  MODIFY `id` int(11) NOT NULL AUTO_INCREMENT;
+
 --
 -- AUTO_INCREMENT for table `maintenance_requests`
 --
@@ -329,6 +926,12 @@ ALTER TABLE `maintenance_requests`
 ALTER TABLE `notifications`
   MODIFY `id` int(11) NOT NULL AUTO_INCREMENT;
 
+--
+-- AUTO_INCREMENT for table `payment_transactions`
+--
+ALTER TABLE `payment_transactions`
+  MODIFY `id` int(11) NOT NULL AUTO_INCREMENT;
+
 --
 -- AUTO_INCREMENT for table `rent_payments`
 --
@@ -341,12 +944,36 @@ ALTER TABLE `rent_payments`
 ALTER TABLE `rent_reminders`
   MODIFY `id` int(11) NOT NULL AUTO_INCREMENT;
 
+--
+-- AUTO_INCREMENT for table `rent_request_documents`
+--
+ALTER TABLE `rent_request_documents`
+  MODIFY `id` int(11) NOT NULL AUTO_INCREMENT;
+
+--
+-- AUTO_INCREMENT for table `rent_request_offers`
+--
+ALTER TABLE `rent_request_offers`
+  MODIFY `id` int(11) NOT NULL AUTO_INCREMENT;
+
 --
 -- AUTO_INCREMENT for table `rent_requests`
 --
 ALTER TABLE `rent_requests`
   MODIFY `id` int(11) NOT NULL AUTO_INCREMENT, AUTO_INCREMENT=3;
 
+--
+-- AUTO_INCREMENT for table `reviews`
+--
+ALTER TABLE `reviews`
+  MODIFY `id` int(11) NOT NULL AUTO_INCREMENT;
+
+--
+-- AUTO_INCREMENT for table `saved_searches`
+--
+ALTER TABLE `saved_searches`
+  MODIFY `id` int(11) NOT NULL AUTO_INCREMENT;
+
 --
 -- AUTO_INCREMENT for table `users`
 --
@@ -357,12 +984,81 @@ ALTER TABLE `users`
 -- Constraints for dumped tables
 --
 
+--
+-- Constraints for table `building_amenities`
+--
+ALTER TABLE `building_amenities`
+  ADD CONSTRAINT `building_amenities_ibfk_1` FOREIGN KEY (`building_id`) REFERENCES `buildings` (`id`) ON DELETE CASCADE,
+  ADD CONSTRAINT `building_amenities_ibfk_2` FOREIGN KEY (`amenity_id`) REFERENCES `amenities` (`id`) ON DELETE CASCADE;
+
+--
+-- Constraints for table `building_images`
+--
+ALTER TABLE `building_images`
+  ADD CONSTRAINT `building_images_ibfk_1` FOREIGN KEY (`building_id`) REFERENCES `buildings` (`id`) ON DELETE CASCADE;
+
+--
+-- Constraints for table `buildings`
+--
+ALTER TABLE `buildings`
+  ADD CONSTRAINT `buildings_ibfk_1` FOREIGN KEY (`landlord_id`) REFERENCES `users` (`id`) ON DELETE CASCADE,
+  ADD CONSTRAINT `buildings_ibfk_2` FOREIGN KEY (`location_id`) REFERENCES `locations` (`id`) ON DELETE SET NULL;
+
+--
+-- Constraints for table `exchange_rates`
+--
+ALTER TABLE `exchange_rates`
+  ADD CONSTRAINT `exchange_rates_ibfk_1` FOREIGN KEY (`updated_by`) REFERENCES `users` (`id`) ON DELETE SET NULL;
+
+--
+-- Constraints for table `export_jobs`
+--
+ALTER TABLE `export_jobs`
+  ADD CONSTRAINT `export_jobs_ibfk_1` FOREIGN KEY (`landlord_id`) REFERENCES `users` (`id`) ON DELETE CASCADE;
+
+--
+-- Constraints for table `favorites`
+--
+ALTER TABLE `favorites`
+  ADD CONSTRAINT `favorites_ibfk_1` FOREIGN KEY (`user_id`) REFERENCES `users` (`id`) ON DELETE CASCADE,
+  ADD CONSTRAINT `favorites_ibfk_2` FOREIGN KEY (`house_id`) REFERENCES `houses` (`id`) ON DELETE CASCADE;
+
 --
 -- Constraints for table `houses`
 --
 ALTER TABLE `houses`
   ADD CONSTRAINT `houses_ibfk_1` FOREIGN KEY (`landlord_id`) REFERENCES `users` (`id`) ON DELETE CASCADE,
-  ADD CONSTRAINT `houses_ibfk_2` FOREIGN KEY (`tenant_id`) REFERENCES `users` (`id`) ON DELETE SET NULL;
+  ADD CONSTRAINT `houses_ibfk_2` FOREIGN KEY (`tenant_id`) REFERENCES `users` (`id`) ON DELETE SET NULL,
+  ADD CONSTRAINT `houses_ibfk_3` FOREIGN KEY (`building_id`) REFERENCES `buildings` (`id`) ON DELETE SET NULL,
+  ADD CONSTRAINT `houses_ibfk_4` FOREIGN KEY (`moderated_by`) REFERENCES `users` (`id`) ON DELETE SET NULL,
+  ADD CONSTRAINT `houses_ibfk_5` FOREIGN KEY (`location_id`) REFERENCES `locations` (`id`) ON DELETE SET NULL;
+
+--
+-- Constraints for table `house_amenities`
+--
+ALTER TABLE `house_amenities`
+  ADD CONSTRAINT `house_amenities_ibfk_1` FOREIGN KEY (`house_id`) REFERENCES `houses` (`id`) ON DELETE CASCADE,
+  ADD CONSTRAINT `house_amenities_ibfk_2` FOREIGN KEY (`amenity_id`) REFERENCES `amenities` (`id`) ON DELETE CASCADE;
+
+--
+-- Constraints for table `house_images`
+--
+ALTER TABLE `house_images`
+  ADD CONSTRAINT `house_images_ibfk_1` FOREIGN KEY (`house_id`) REFERENCES `houses` (`id`) ON DELETE CASCADE;
+
+--
+-- Constraints for table `house_status_history`
+--
+ALTER TABLE `house_status_history`
+  ADD CONSTRAINT `house_status_history_ibfk_1` FOREIGN KEY (`house_id`) REFERENCES `houses` (`id`) ON DELETE CASCADE,
+  ADD CONSTRAINT `house_status_history_ibfk_2` FOREIGN KEY (`changed_by`) REFERENCES `users` (`id`) ON DELETE SET NULL;
+
+--
+-- Constraints for table `house_views`
+--
+ALTER TABLE `house_views`
+  ADD CONSTRAINT `house_views_ibfk_1` FOREIGN KEY (`house_id`) REFERENCES `houses` (`id`) ON DELETE CASCADE,
+  ADD CONSTRAINT `house_views_ibfk_2` FOREIGN KEY (`viewer_id`) REFERENCES `users` (`id`) ON DELETE SET NULL;
 
 --
 -- Constraints for table `lease_agreements`
@@ -370,7 +1066,23 @@ ALTER TABLE `houses`
 ALTER TABLE `lease_agreements`
   ADD CONSTRAINT `lease_agreements_ibfk_1` FOREIGN KEY (`house_id`) REFERENCES `houses` (`id`) ON DELETE CASCADE,
   ADD CONSTRAINT `lease_agreements_ibfk_2` FOREIGN KEY (`tenant_id`) REFERENCES `users` (`id`) ON DELETE CASCADE,
-  ADD CONSTRAINT `lease_agreements_ibfk_3` FOREIGN KEY (`landlord_id`) REFERENCES `users` (`id`) ON DELETE CASCADE;
+  ADD CONSTRAINT `lease_agreements_ibfk_3` FOREIGN KEY (`landlord_id`) REFERENCES `users` (`id`) ON DELETE CASCADE,
+  ADD CONSTRAINT `lease_agreements_ibfk_4` FOREIGN KEY (`rent_request_id`) REFERENCES `rent_requests` (`id`) ON DELETE SET NULL;
+
+--
+-- Constraints for table `listing_flags`
+--
+ALTER TABLE `listing_flags`
+  ADD CONSTRAINT `listing_flags_ibfk_1` FOREIGN KEY (`house_id`) REFERENCES `houses` (`id`) ON DELETE CASCADE,
+  ADD CONSTRAINT `listing_flags_ibfk_2` FOREIGN KEY (`matched_house_id`) REFERENCES `houses` (`id`) ON DELETE SET NULL,
+  ADD CONSTRAINT `listing_flags_ibfk_3` FOREIGN KEY (`reported_by`) REFERENCES `users` (`id`) ON DELETE SET NULL,
+  ADD CONSTRAINT `listing_flags_ibfk_4` FOREIGN KEY (`resolved_by`) REFERENCES `users` (`id`) ON DELETE SET NULL;
+
+--
+-- Constraints for table `locations`
+--
+ALTER TABLE `locations`
+  ADD CONSTRAINT `locations_ibfk_1` FOREIGN KEY (`parent_id`) REFERENCES `locations` (`id`) ON DELETE CASCADE;
 
 --
 -- Constraints for table `maintenance_requests`
@@ -386,12 +1098,20 @@ ALTER TABLE `maintenance_requests`
 ALTER TABLE `notifications`
   ADD CONSTRAINT `notifications_ibfk_1` FOREIGN KEY (`user_id`) REFERENCES `users` (`id`) ON DELETE CASCADE;
 
+--
+-- Constraints for table `payment_transactions`
+--
+ALTER TABLE `payment_transactions`
+  ADD CONSTRAINT `payment_transactions_ibfk_1` FOREIGN KEY (`payment_id`) REFERENCES `rent_payments` (`id`) ON DELETE CASCADE,
+  ADD CONSTRAINT `payment_transactions_ibfk_2` FOREIGN KEY (`paid_by`) REFERENCES `users` (`id`) ON DELETE SET NULL;
+
 --
 -- Constraints for table `rent_payments`
 --
 ALTER TABLE `rent_payments`
   ADD CONSTRAINT `rent_payments_ibfk_1` FOREIGN KEY (`tenant_id`) REFERENCES `users` (`id`) ON DELETE CASCADE,
-  ADD CONSTRAINT `rent_payments_ibfk_2` FOREIGN KEY (`house_id`) REFERENCES `houses` (`id`) ON DELETE CASCADE;
+  ADD CONSTRAINT `rent_payments_ibfk_2` FOREIGN KEY (`house_id`) REFERENCES `houses` (`id`) ON DELETE CASCADE,
+  ADD CONSTRAINT `rent_payments_ibfk_3` FOREIGN KEY (`lease_id`) REFERENCES `lease_agreements` (`id`) ON DELETE SET NULL;
 
 --
 -- Constraints for table `rent_reminders`
@@ -402,12 +1122,42 @@ ALTER TABLE `rent_reminders`
   ADD CONSTRAINT `rent_reminders_ibfk_2` FOREIGN KEY (`tenant_id`) REFERENCES `users` (`id`) ON DELETE CASCADE,
   ADD CONSTRAINT `rent_reminders_ibfk_3` FOREIGN KEY (`house_id`) REFERENCES `houses` (`id`) ON DELETE CASCADE;
 
+--
+-- Constraints for table `rent_request_documents`
+--
+ALTER TABLE `rent_request_documents`
+  ADD CONSTRAINT `rent_request_documents_ibfk_1` FOREIGN KEY (`rent_request_id`) REFERENCES `rent_requests` (`id`) ON DELETE CASCADE;
+
+--
+-- Constraints for table `rent_request_offers`
+--
+ALTER TABLE `rent_request_offers`
+  ADD CONSTRAINT `rent_request_offers_ibfk_1` FOREIGN KEY (`rent_request_id`) REFERENCES `rent_requests` (`id`) ON DELETE CASCADE,
+  ADD CONSTRAINT `rent_request_offers_ibfk_2` FOREIGN KEY (`proposed_by`) REFERENCES `users` (`id`) ON DELETE CASCADE,
+  ADD CONSTRAINT `rent_request_offers_ibfk_3` FOREIGN KEY (`responded_by`) REFERENCES `users` (`id`) ON DELETE SET NULL;
+
 --
 -- Constraints for table `rent_requests`
 --
 ALTER TABLE `rent_requests`
   ADD CONSTRAINT `rent_requests_ibfk_1` FOREIGN KEY (`user_id`) REFERENCES `users` (`id`) ON DELETE CASCADE,
   ADD CONSTRAINT `rent_requests_ibfk_2` FOREIGN KEY (`house_id`) REFERENCES `houses` (`id`) ON DELETE CASCADE;
+
+--
+-- Constraints for table `reviews`
+--
+ALTER TABLE `reviews`
+  ADD CONSTRAINT `reviews_ibfk_1` FOREIGN KEY (`house_id`) REFERENCES `houses` (`id`) ON DELETE CASCADE,
+  ADD CONSTRAINT `reviews_ibfk_2` FOREIGN KEY (`landlord_id`) REFERENCES `users` (`id`) ON DELETE CASCADE,
+  ADD CONSTRAINT `reviews_ibfk_3` FOREIGN KEY (`tenant_id`) REFERENCES `users` (`id`) ON DELETE CASCADE,
+  ADD CONSTRAINT `reviews_ibfk_4` FOREIGN KEY (`lease_id`) REFERENCES `lease_agreements` (`id`) ON DELETE CASCADE,
+  ADD CONSTRAINT `reviews_ibfk_5` FOREIGN KEY (`moderated_by`) REFERENCES `users` (`id`) ON DELETE SET NULL;
+
+--
+-- Constraints for table `saved_searches`
+--
+ALTER TABLE `saved_searches`
+  ADD CONSTRAINT `saved_searches_ibfk_1` FOREIGN KEY (`user_id`) REFERENCES `users` (`id`) ON DELETE CASCADE;
 COMMIT;
 
 /*!40101 SET CHARACTER_SET_CLIENT=@OLD_CHARACTER_SET_CLIENT */;
@@ -0,0 +1,11 @@
+// routes/amenities.js
+const express = require("express");
+const router = express.Router();
+const amenityController = require("../controllers/amenityController");
+
+// @route   GET /api/amenities
+// @desc    Get the amenity catalogue
+// @access  Public
+router.get("/", amenityController.getAmenities);
+
+module.exports = router;
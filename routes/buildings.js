@@ -0,0 +1,86 @@
+// routes/buildings.js
+const express = require("express");
+const router = express.Router();
+const buildingController = require("../controllers/buildingController");
+const auth = require("../middleware/auth");
+const authorizeRole = require("../middleware/authorizeRole");
+const { ROLE } = require("../utils/constants");
+const { imageUpload, MAX_IMAGES_PER_UPLOAD } = require("../middleware/upload");
+
+// @route   POST /api/buildings
+// @desc    Create a building that groups several rentable units
+// @access  Private (Landlord only)
+router.post(
+  "/",
+  auth,
+  authorizeRole([ROLE.LANDLORD]),
+  buildingController.createBuilding
+);
+
+// @route   GET /api/buildings
+// @desc    Get the authenticated landlord's buildings with occupancy summaries
+// @access  Private (Landlord only)
+router.get(
+  "/",
+  auth,
+  authorizeRole([ROLE.LANDLORD]),
+  buildingController.getLandlordBuildings
+);
+
+// @route   GET /api/buildings/:id
+// @desc    Get a building with its shared details and units
+// @access  Public
+router.get("/:id", buildingController.getBuildingById);
+
+// @route   GET /api/buildings/:id/occupancy
+// @desc    Get the occupancy of a building
+// @access  Private (Landlord who owns the building - ownership checked in controller)
+router.get(
+  "/:id/occupancy",
+  auth,
+  authorizeRole([ROLE.LANDLORD]),
+  buildingController.getBuildingOccupancy
+);
+
+// @route   PUT /api/buildings/:id
+// @desc    Update a building and its shared amenities
+// @access  Private (Landlord who owns the building - ownership checked in controller)
+router.put(
+  "/:id",
+  auth,
+  authorizeRole([ROLE.LANDLORD]),
+  buildingController.updateBuilding
+);
+
+// @route   DELETE /api/buildings/:id
+// @desc    Delete a building that has no units
+// @access  Private (Landlord who owns the building - ownership checked in controller)
+router.delete(
+  "/:id",
+  auth,
+  authorizeRole([ROLE.LANDLORD]),
+  buildingController.deleteBuilding
+);
+
+// @route   POST /api/buildings/:id/images
+// @desc    Upload shared photos to a building (multipart/form-data, field "images", optional "captions")
+// @access  Private (Landlord who owns the building - ownership checked in controller)
+router.post(
+  "/:id/images",
+  auth,
+  authorizeRole([ROLE.LANDLORD]),
+  imageUpload.array("images", MAX_IMAGES_PER_UPLOAD),
+  buildingController.uploadBuildingImages
+);
+
+// @route   DELETE /api/buildings/:id/images/:imageId
+// @desc    Delete a shared photo from a building
+// @access  Private (Landlord who owns the building - ownership checked in controller)
+router.delete(
+  "/:id/images/:imageId",
+  auth,
+  authorizeRole([ROLE.LANDLORD]),
+  buildingController.deleteBuildingImage
+);
+
+module.exports = router;
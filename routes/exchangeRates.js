@@ -0,0 +1,24 @@
+// routes/exchangeRates.js
+const express = require("express");
+const router = express.Router();
+const exchangeRateController = require("../controllers/exchangeRateController");
+const auth = require("../middleware/auth");
+const authorizeRole = require("../middleware/authorizeRole");
+const { ROLE } = require("../utils/constants");
+
+// @route   GET /api/exchange-rates
+// @desc    Get the supported currencies and their exchange rates
+// @access  Public
+router.get("/", exchangeRateController.getExchangeRates);
+
+// @route   PUT /api/exchange-rates/:currency
+// @desc    Add a currency or update its exchange rate
+// @access  Private (Admin only)
+router.put(
+  "/:currency",
+  auth,
+  authorizeRole([ROLE.ADMIN]),
+  exchangeRateController.setExchangeRate
+);
+
+module.exports = router;
@@ -0,0 +1,50 @@
+// routes/exports.js
+const express = require("express");
+const router = express.Router();
+const exportController = require("../controllers/exportController");
+const auth = require("../middleware/auth");
+const authorizeRole = require("../middleware/authorizeRole");
+const { ROLE } = require("../utils/constants");
+
+// @route   GET /api/exports/jobs
+// @desc    Get the landlord's background export jobs
+// @access  Private (Landlord only)
+// Declared before /:dataset so "jobs" is not treated as a dataset
+router.get(
+  "/jobs",
+  auth,
+  authorizeRole([ROLE.LANDLORD]),
+  exportController.getExportJobs
+);
+
+// @route   GET /api/exports/jobs/:id
+// @desc    Get the status of a background export job
+// @access  Private (Landlord who requested the export - ownership checked in controller)
+router.get(
+  "/jobs/:id",
+  auth,
+  authorizeRole([ROLE.LANDLORD]),
+  exportController.getExportJob
+);
+
+// @route   GET /api/exports/jobs/:id/download
+// @desc    Download the file of a completed background export
+// @access  Private (Landlord who requested the export - ownership checked in controller)
+router.get(
+  "/jobs/:id/download",
+  auth,
+  authorizeRole([ROLE.LANDLORD]),
+  exportController.downloadExport
+);
+
+// @route   GET /api/exports/:dataset
+// @desc    Export houses, tenants, leases or payments as CSV, Excel-friendly CSV or JSON
+// @access  Private (Landlord only)
+router.get(
+  "/:dataset",
+  auth,
+  authorizeRole([ROLE.LANDLORD]),
+  exportController.exportDataset
+);
+
+module.exports = router;
@@ -0,0 +1,39 @@
+// routes/favorites.js
+const express = require("express");
+const router = express.Router();
+const favoriteController = require("../controllers/favoriteController");
+const auth = require("../middleware/auth");
+const authorizeRole = require("../middleware/authorizeRole");
+const { ROLE } = require("../utils/constants");
+
+// @route   GET /api/favorites
+// @desc    Get the authenticated tenant's saved houses
+// @access  Private (Tenant only)
+router.get(
+  "/",
+  auth,
+  authorizeRole([ROLE.TENANT]),
+  favoriteController.getFavorites
+);
+
+// @route   POST /api/favorites/:houseId
+// @desc    Save a house to favourites
+// @access  Private (Tenant only)
+router.post(
+  "/:houseId",
+  auth,
+  authorizeRole([ROLE.TENANT]),
+  favoriteController.addFavorite
+);
+
+// @route   DELETE /api/favorites/:houseId
+// @desc    Remove a house from favourites
+// @access  Private (Tenant only)
+router.delete(
+  "/:houseId",
+  auth,
+  authorizeRole([ROLE.TENANT]),
+  favoriteController.removeFavorite
+);
+
+module.exports = router;
@@ -2,9 +2,20 @@
 const express = require("express");
 const router = express.Router();
 const houseController = require("../controllers/houseController"); // Import the house controller
+const houseImageController = require("../controllers/houseImageController");
+const houseImportController = require("../controllers/houseImportController");
+const reviewController = require("../controllers/reviewController");
+const listingFlagController = require("../controllers/listingFlagController");
+const analyticsController = require("../controllers/analyticsController");
 const auth = require("../middleware/auth"); // Import the authentication middleware
+const optionalAuth = require("../middleware/optionalAuth");
 const authorizeRole = require("../middleware/authorizeRole"); // Import the authorization middleware
 const { ROLE } = require("../utils/constants"); // Import roles for authorizeRole
+const {
+  imageUpload,
+  importUpload,
+  MAX_IMAGES_PER_UPLOAD,
+} = require("../middleware/upload");
 
 // @route   POST /api/houses
 // @desc    Add a new house listing
@@ -17,15 +28,58 @@ router.post(
   houseController.createHouse
 );
 
+// @route   POST /api/houses/import
+// @desc    Bulk import house listings from a CSV or JSON file (multipart/form-data, field "file"; ?dryRun=true to only validate)
+// @access  Private (Landlord only)
+router.post(
+  "/import",
+  auth,
+  authorizeRole([ROLE.LANDLORD]),
+  importUpload.single("file"),
+  houseImportController.importHouses
+);
+
+// @route   POST /api/houses/rent-suggestion
+// @desc    Suggest a rent (median, percentiles and the comparables used) for a prospective house
+// @access  Private (Landlord only)
+router.post(
+  "/rent-suggestion",
+  auth,
+  authorizeRole([ROLE.LANDLORD]),
+  houseController.getRentSuggestion
+);
+
 // @route   GET /api/houses
 // @desc    Get all house listings (with optional search/filter)
-// @access  Public (no authentication required to view listings)
-router.get("/", houseController.getHouses);
+// @access  Public (no authentication required to view listings; a token adds is_favorite to each house)
+router.get("/", optionalAuth, houseController.getHouses);
+
+// @route   GET /api/houses/landlord
+// @desc    Get the authenticated landlord's house listings, including archived ones (?archived=true|false to filter)
+// @access  Private (Landlord only)
+// Declared before /:id so "landlord" is not treated as a house ID
+router.get(
+  "/landlord",
+  auth,
+  authorizeRole([ROLE.LANDLORD]),
+  houseController.getLandlordHouses
+);
+
+// @route   GET /api/houses/analytics
+// @desc    Get the views -> requests -> accepted funnel of each of the landlord's listings (?from=&to= as YYYY-MM-DD)
+// @access  Private (Landlord only)
+// Declared before /:id so "analytics" is not treated as a house ID
+router.get(
+  "/analytics",
+  auth,
+  authorizeRole([ROLE.LANDLORD]),
+  analyticsController.getListingAnalytics
+);
 
 // @route   GET /api/houses/:id
 // @desc    Get a single house listing by ID
-// @access  Public (no authentication required)
-router.get("/:id", houseController.getHouseById);
+// @access  Public for published listings (no authentication required); drafts only for their landlord or an admin
+router.get("/:id", optionalAuth, houseController.getHouseById);
 
 // @route   PUT /api/houses/:id
 // @desc    Update a house listing
@@ -39,7 +93,7 @@ router.put(
 );
 
 // @route   DELETE /api/houses/:id
-// @desc    Delete a house listing
+// @desc    Archive a house listing (soft delete)
 // @access  Private (Landlord who owns the house, or Admin - authorization handled in controller)
 // Requires authentication and landlord role (or admin role if you add one later)
 router.delete(
@@ -49,4 +103,125 @@ router.delete(
   houseController.deleteHouse
 );
 
+// @route   POST /api/houses/:id/publish
+// @desc    Publish a complete draft (or submit it for review when moderation is enabled)
+// @access  Private (Landlord who owns the house - authorization handled in controller)
+router.post(
+  "/:id/publish",
+  auth,
+  authorizeRole([ROLE.LANDLORD]),
+  houseController.publishHouse
+);
+
+// @route   POST /api/houses/:id/restore
+// @desc    Restore an archived house listing
+// @access  Private (Landlord who owns the house - authorization handled in controller)
+router.post(
+  "/:id/restore",
+  auth,
+  authorizeRole([ROLE.LANDLORD]),
+  houseController.restoreHouse
+);
+
+// @route   POST /api/houses/:id/confirm
+// @desc    Confirm an available listing is still current (answers a stale-listing flag)
+// @access  Private (Landlord who owns the house - authorization handled in controller)
+router.post(
+  "/:id/confirm",
+  auth,
+  authorizeRole([ROLE.LANDLORD]),
+  houseController.confirmHouseListing
+);
+
+// @route   GET /api/houses/:id/history
+// @desc    Get the status history of a house listing
+// @access  Private (Landlord who owns the house - authorization handled in controller)
+router.get(
+  "/:id/history",
+  auth,
+  authorizeRole([ROLE.LANDLORD]),
+  houseController.getHouseHistory
+);
+
+// @route   GET /api/houses/:id/analytics
+// @desc    Get the funnel of a listing with a day-by-day breakdown
+// @access  Private (Landlord who owns the house - authorization handled in controller)
+router.get(
+  "/:id/analytics",
+  auth,
+  authorizeRole([ROLE.LANDLORD]),
+  analyticsController.getHouseAnalytics
+);
+
+// @route   GET /api/houses/:id/images
+// @desc    Get the photo gallery of a house
+// @access  Public for published listings; drafts only for their landlord or an admin
+router.get("/:id/images", optionalAuth, houseImageController.getHouseImages);
+
+// @route   GET /api/houses/:id/reviews
+// @desc    Get the reviews and rating summary of a house
+// @access  Public for published listings; drafts only for their landlord or an admin
+router.get("/:id/reviews", optionalAuth, reviewController.getHouseReviews);
+
+// @route   POST /api/houses/:id/reviews
+// @desc    Review a house and its landlord after a completed lease
+// @access  Private (Tenant whose lease of the house is completed - checked in controller)
+router.post(
+  "/:id/reviews",
+  auth,
+  authorizeRole([ROLE.TENANT]),
+  reviewController.createReview
+);
+
+// @route   POST /api/houses/:id/report
+// @desc    Report a suspicious listing to the admins
+// @access  Private (Tenant only)
+router.post(
+  "/:id/report",
+  auth,
+  authorizeRole([ROLE.TENANT]),
+  listingFlagController.reportHouse
+);
+
+// @route   POST /api/houses/:id/images
+// @desc    Upload photos to a house (multipart/form-data, field "images", optional "captions")
+// @access  Private (Landlord who owns the house - ownership checked in controller)
+router.post(
+  "/:id/images",
+  auth,
+  authorizeRole([ROLE.LANDLORD]),
+  imageUpload.array("images", MAX_IMAGES_PER_UPLOAD),
+  houseImageController.uploadHouseImages
+);
+
+// @route   PUT /api/houses/:id/images/order
+// @desc    Reorder a house's photo gallery
+// @access  Private (Landlord who owns the house - ownership checked in controller)
+router.put(
+  "/:id/images/order",
+  auth,
+  authorizeRole([ROLE.LANDLORD]),
+  houseImageController.reorderHouseImages
+);
+
+// @route   PUT /api/houses/:id/images/:imageId
+// @desc    Update a photo's caption or make it the cover photo
+// @access  Private (Landlord who owns the house - ownership checked in controller)
+router.put(
+  "/:id/images/:imageId",
+  auth,
+  authorizeRole([ROLE.LANDLORD]),
+  houseImageController.updateHouseImage
+);
+
+// @route   DELETE /api/houses/:id/images/:imageId
+// @desc    Delete a photo from a house's gallery
+// @access  Private (Landlord who owns the house - ownership checked in controller)
+router.delete(
+  "/:id/images/:imageId",
+  auth,
+  authorizeRole([ROLE.LANDLORD]),
+  houseImageController.deleteHouseImage
+);
+
 module.exports = router;
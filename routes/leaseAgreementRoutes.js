@@ -22,10 +22,20 @@ router.get("/", auth, leaseAgreementController.getAllLeases);
 router.get("/:id", auth, leaseAgreementController.getLeaseById);
 
 // @route   PUT /api/leases/:id
-// @desc    Update a lease agreement
+// @desc    Update a lease agreement (status only to completed or terminated)
 // @access  Private (Landlord, Admin)
 router.put("/:id", auth, leaseAgreementController.updateLease);
 
+// @route   POST /api/leases/:id/send
+// @desc    Send a draft lease to the tenant
+// @access  Private (Landlord, Admin)
+router.post("/:id/send", auth, leaseAgreementController.sendLease);
+
+// @route   POST /api/leases/:id/activate
+// @desc    Activate a pending lease, applying any last field changes in the same transaction
+// @access  Private (Landlord, Admin)
+router.post("/:id/activate", auth, leaseAgreementController.activateLease);
+
 // @route   DELETE /api/leases/:id
 // @desc    Delete a lease agreement
 // @access  Private (Landlord, Admin)
@@ -0,0 +1,16 @@
+// routes/locations.js
+const express = require("express");
+const router = express.Router();
+const locationController = require("../controllers/locationController");
+
+// @route   GET /api/locations
+// @desc    Browse or search the location hierarchy (?parentId=, ?level=, ?q=)
+// @access  Public
+router.get("/", locationController.getLocations);
+
+// @route   GET /api/locations/:id
+// @desc    Get a location with its ancestors and child areas
+// @access  Public
+router.get("/:id", locationController.getLocationById);
+
+module.exports = router;
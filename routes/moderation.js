@@ -0,0 +1,70 @@
+// routes/moderation.js
+const express = require("express");
+const router = express.Router();
+const moderationController = require("../controllers/moderationController");
+const listingFlagController = require("../controllers/listingFlagController");
+const auth = require("../middleware/auth");
+const authorizeRole = require("../middleware/authorizeRole");
+const { ROLE } = require("../utils/constants");
+
+// @route   GET /api/moderation/houses
+// @desc    Get the listings waiting for review
+// @access  Private (Admin only)
+router.get(
+  "/houses",
+  auth,
+  authorizeRole([ROLE.ADMIN]),
+  moderationController.getModerationQueue
+);
+
+// @route   POST /api/moderation/houses/:id/approve
+// @desc    Approve and publish a listing
+// @access  Private (Admin only)
+router.post(
+  "/houses/:id/approve",
+  auth,
+  authorizeRole([ROLE.ADMIN]),
+  moderationController.approveHouse
+);
+
+// @route   POST /api/moderation/houses/:id/reject
+// @desc    Reject a listing with a reason
+// @access  Private (Admin only)
+router.post(
+  "/houses/:id/reject",
+  auth,
+  authorizeRole([ROLE.ADMIN]),
+  moderationController.rejectHouse
+);
+
+// @route   GET /api/moderation/flags
+// @desc    Get the review queue of likely duplicate and reported listings
+// @access  Private (Admin only)
+router.get(
+  "/flags",
+  auth,
+  authorizeRole([ROLE.ADMIN]),
+  listingFlagController.getListingFlags
+);
+
+// @route   PUT /api/moderation/flags/:id
+// @desc    Dismiss a flag, or act on it by unlisting the listing
+// @access  Private (Admin only)
+router.put(
+  "/flags/:id",
+  auth,
+  authorizeRole([ROLE.ADMIN]),
+  listingFlagController.resolveListingFlag
+);
+
+// @route   PUT /api/moderation/reviews/:id
+// @desc    Hide or restore a tenant review
+// @access  Private (Admin only)
+router.put(
+  "/reviews/:id",
+  auth,
+  authorizeRole([ROLE.ADMIN]),
+  moderationController.moderateReview
+);
+
+module.exports = router;
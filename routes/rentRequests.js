@@ -2,18 +2,21 @@
 const express = require("express");
 const router = express.Router();
 const rentRequestController = require("../controllers/rentRequestController"); // Import the rent request controller
+const rentRequestOfferController = require("../controllers/rentRequestOfferController");
 const auth = require("../middleware/auth"); // Import the authentication middleware
 const authorizeRole = require("../middleware/authorizeRole"); // Import the authorization middleware
+const { applicationDocumentsUpload } = require("../middleware/upload");
 const { ROLE } = require("../utils/constants"); // Import roles for authorizeRole
 
 // @route   POST /api/rent-requests
-// @desc    Create a new rent request for a house
+// @desc    Create a new rent request for a house, with the rental application and its ID and payslip documents
 // @access  Private (Tenant only)
 // Requires authentication and tenant role
 router.post(
   "/",
   auth,
   authorizeRole([ROLE.TENANT]),
+  applicationDocumentsUpload,
   rentRequestController.createRentRequest
 );
 
@@ -39,6 +42,50 @@ router.get(
   rentRequestController.getRentRequestById
 );
 
+// @route   GET /api/rent-requests/:id/documents/:documentId
+// @desc    Download a document of a rental application (the applicant, or the landlord of the house)
+// @access  Private (Tenant or Landlord)
+// Requires authentication (ownership check handled inside controller)
+router.get(
+  "/:id/documents/:documentId",
+  auth,
+  authorizeRole([ROLE.TENANT, ROLE.LANDLORD]),
+  rentRequestController.downloadRentRequestDocument
+);
+
+// @route   GET /api/rent-requests/:id/offers
+// @desc    Get the negotiation history (offers and counter-offers) of a rent request
+// @access  Private (Tenant or Landlord)
+// Requires authentication (ownership check handled inside controller)
+router.get(
+  "/:id/offers",
+  auth,
+  authorizeRole([ROLE.TENANT, ROLE.LANDLORD]),
+  rentRequestOfferController.getRentRequestOffers
+);
+
+// @route   POST /api/rent-requests/:id/offers
+// @desc    Propose terms (rent, start date, lease length, deposit), countering the other party's open offer
+// @access  Private (Tenant or Landlord)
+// Requires authentication (ownership check handled inside controller)
+router.post(
+  "/:id/offers",
+  auth,
+  authorizeRole([ROLE.TENANT, ROLE.LANDLORD]),
+  rentRequestOfferController.proposeRentRequestOffer
+);
+
+// @route   PUT /api/rent-requests/:id/offers/:offerId
+// @desc    Accept or decline the other party's open offer
+// @access  Private (Tenant or Landlord)
+// Requires authentication (ownership check handled inside controller)
+router.put(
+  "/:id/offers/:offerId",
+  auth,
+  authorizeRole([ROLE.TENANT, ROLE.LANDLORD]),
+  rentRequestOfferController.respondToRentRequestOffer
+);
+
 // @route   PUT /api/rent-requests/:id/status
 // @desc    Update the status of a rent request (Landlord: approve/reject/cancel for their house; Tenant: cancel their own)
 // @access  Private (Tenant or Landlord)
@@ -0,0 +1,26 @@
+// routes/reviews.js
+const express = require("express");
+const router = express.Router();
+const reviewController = require("../controllers/reviewController");
+const auth = require("../middleware/auth");
+const authorizeRole = require("../middleware/authorizeRole");
+const { ROLE } = require("../utils/constants");
+
+// Reviews of a single house live under /api/houses/:id/reviews
+
+// @route   GET /api/reviews/landlords/:landlordId
+// @desc    Get the reviews and rating summary of a landlord
+// @access  Public
+router.get("/landlords/:landlordId", reviewController.getLandlordReviews);
+
+// @route   POST /api/reviews/:id/reply
+// @desc    Post the landlord's one public reply to a review
+// @access  Private (Landlord of the reviewed house - checked in controller)
+router.post(
+  "/:id/reply",
+  auth,
+  authorizeRole([ROLE.LANDLORD]),
+  reviewController.replyToReview
+);
+
+module.exports = router;
@@ -0,0 +1,49 @@
+// routes/savedSearches.js
+const express = require("express");
+const router = express.Router();
+const savedSearchController = require("../controllers/savedSearchController");
+const auth = require("../middleware/auth");
+const authorizeRole = require("../middleware/authorizeRole");
+const { ROLE } = require("../utils/constants");
+
+// @route   GET /api/saved-searches
+// @desc    Get the authenticated tenant's saved searches
+// @access  Private (Tenant only)
+router.get(
+  "/",
+  auth,
+  authorizeRole([ROLE.TENANT]),
+  savedSearchController.getSavedSearches
+);
+
+// @route   POST /api/saved-searches
+// @desc    Save a house search with new-listing alerts
+// @access  Private (Tenant only)
+router.post(
+  "/",
+  auth,
+  authorizeRole([ROLE.TENANT]),
+  savedSearchController.createSavedSearch
+);
+
+// @route   PUT /api/saved-searches/:id
+// @desc    Update a saved search
+// @access  Private (Owner only - authorization handled in controller)
+router.put(
+  "/:id",
+  auth,
+  authorizeRole([ROLE.TENANT]),
+  savedSearchController.updateSavedSearch
+);
+
+// @route   DELETE /api/saved-searches/:id
+// @desc    Delete a saved search
+// @access  Private (Owner only - authorization handled in controller)
+router.delete(
+  "/:id",
+  auth,
+  authorizeRole([ROLE.TENANT]),
+  savedSearchController.deleteSavedSearch
+);
+
+module.exports = router;
@@ -15,6 +15,16 @@ router.get(
   userController.getUsersByRole
 );
 
+// @route   PUT /api/users/me/response-deadline
+// @desc    Set the landlord's default deadline for responding to rent requests (body: response_deadline_hours)
+// @access  Private (Landlord only)
+router.put(
+  "/me/response-deadline",
+  auth,
+  authorizeRole([ROLE.LANDLORD]),
+  userController.updateResponseDeadline
+);
+
 router.put(
   "/:id/deactivate",
   auth,
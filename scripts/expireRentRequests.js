@@ -0,0 +1,26 @@
+// scripts/expireRentRequests.js
+// Runs the rent request deadline check once, outside the server (e.g. from cron when the server's own job is not wanted).
+// Uses RENT_REQUEST_REMINDER_HOURS like the server does.
+//   npm run expire:requests
+const { connectDB, getPool } = require("../config/database");
+const { expireRentRequests } = require("../services/rentRequestExpiry");
+
+const run = async () => {
+  await connectDB();
+  try {
+    return await expireRentRequests();
+  } finally {
+    await getPool().end();
+  }
+};
+
+run()
+  .then(({ expired, reminded }) => {
+    console.log(
+      `Rent requests: ${expired} expired, ${reminded} landlords reminded.`
+    );
+  })
+  .catch((error) => {
+    console.error("Error expiring rent requests:", error.message);
+    process.exit(1);
+  });
@@ -0,0 +1,24 @@
+// scripts/expireStaleListings.js
+// Runs the stale-listing check once, outside the server (e.g. from cron when the server's own job is not wanted).
+// Uses STALE_LISTING_DAYS and STALE_LISTING_GRACE_DAYS like the server does.
+//   npm run expire:listings
+const { connectDB, getPool } = require("../config/database");
+const { expireStaleListings } = require("../services/staleListings");
+
+const run = async () => {
+  await connectDB();
+  try {
+    return await expireStaleListings();
+  } finally {
+    await getPool().end();
+  }
+};
+
+run()
+  .then(({ flagged, unlisted }) => {
+    console.log(`Stale listings: ${flagged} flagged, ${unlisted} unlisted.`);
+  })
+  .catch((error) => {
+    console.error("Error expiring stale listings:", error.message);
+    process.exit(1);
+  });
@@ -0,0 +1,92 @@
+// scripts/seedLocations.js
+// Loads the bundled Rwanda location hierarchy (data/rwanda-locations.json: every province, district, sector and cell)
+// into the locations table.
+// Safe to run again: existing locations are matched by code and updated in place.
+//   npm run seed:locations
+const path = require("path");
+const { connectDB, getPool } = require("../config/database");
+const Location = require("../models/Location");
+const { LOCATION_LEVEL } = require("../utils/constants");
+
+const DATA_FILE = path.join(__dirname, "..", "data", "rwanda-locations.json");
+const LEVELS = Object.values(LOCATION_LEVEL);
+
+/**
+ * Turns a location name into a URL-safe slug (e.g. "Rukiri I" -> "rukiri-i").
+ * @param {string} name - The location name.
+ * @returns {string} The slug.
+ */
+const slugify = (name) =>
+  name
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-|-$/g, "");
+
+/**
+ * Upserts a list of sibling locations and, recursively, their children.
+ * @param {Array<{name: string, children?: Array}>} nodes - Locations at one level.
+ * @param {number} depth - Index of their level in LEVELS.
+ * @param {{id: number, code: string}|null} parent - The parent location, or null for provinces.
+ * @param {object} connection - The connection of the seeding transaction.
+ * @param {Object<string, number>} counts - Number of locations seeded per level, updated in place.
+ */
+const seedLevel = async (nodes, depth, parent, connection, counts) => {
+  const level = LEVELS[depth];
+  for (const node of nodes) {
+    const code = parent
+      ? `${parent.code}/${slugify(node.name)}`
+      : slugify(node.name);
+    const id = await Location.upsert(
+      { parent_id: parent ? parent.id : null, level, name: node.name, code },
+      connection
+    );
+    counts[level] = (counts[level] || 0) + 1;
+    if (node.children && node.children.length > 0) {
+      if (depth + 1 >= LEVELS.length) {
+        throw new Error(`${code} has children below the ${level} level.`);
+      }
+      await seedLevel(
+        node.children,
+        depth + 1,
+        { id, code },
+        connection,
+        counts
+      );
+    }
+  }
+};
+
+const seedLocations = async () => {
+  const { provinces } = require(DATA_FILE);
+  await connectDB();
+  const pool = getPool();
+  const connection = await pool.getConnection();
+  const counts = {};
+  try {
+    await connection.beginTransaction();
+    await seedLevel(provinces, 0, null, connection, counts);
+    await connection.commit();
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+    await pool.end();
+  }
+  return counts;
+};
+
+seedLocations()
+  .then((counts) => {
+    console.log(
+      `Seeded locations: ${LEVELS.map(
+        (level) => `${counts[level] || 0} ${level}s`
+      ).join(", ")}.`
+    );
+  })
+  .catch((error) => {
+    console.error("Error seeding locations:", error.message);
+    process.exit(1);
+  });
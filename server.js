@@ -4,6 +4,9 @@ const dotenv = require("dotenv");
 const cors = require("cors"); // If you need CORS
 const { connectDB } = require("./config/database");
 const errorHandler = require("./middleware/errorHandler");
+const { UPLOAD_DIR, UPLOAD_BASE_URL } = require("./services/storageService");
+const { startStaleListingJob } = require("./services/staleListings");
+const { startRentRequestExpiryJob } = require("./services/rentRequestExpiry");
 const housesRoutes = require("./routes/houses");
 const rentRequestsRoutes = require("./routes/rentRequests");
 const rentPaymentsRoutes = require("./routes/rentPayments");
@@ -13,6 +16,15 @@ const maintenanceRequestRoutes = require("./routes/maintenanceRequestRoutes");
 const usersRouter = require("./routes/users");
 const notificationRoutes = require("./routes/notificationRoutes");
 const authRoutes = require("./routes/auth");
+const amenityRoutes = require("./routes/amenities");
+const favoriteRoutes = require("./routes/favorites");
+const savedSearchRoutes = require("./routes/savedSearches");
+const buildingRoutes = require("./routes/buildings");
+const exportRoutes = require("./routes/exports");
+const moderationRoutes = require("./routes/moderation");
+const reviewRoutes = require("./routes/reviews");
+const locationRoutes = require("./routes/locations");
+const exchangeRateRoutes = require("./routes/exchangeRates");
 // const houseRoutes = require('./routes/houses'); // Uncomment when you create these
 
 // Load environment variables
@@ -35,10 +47,27 @@ app.use(
   })
 );
 
+// Serve files saved by the local disk storage driver (house photos, etc.). Browsers must not guess another
+// content type than the one of the file's extension, so an upload can never be rendered as a page.
+app.use(
+  UPLOAD_BASE_URL,
+  express.static(UPLOAD_DIR, {
+    setHeaders: (res) => res.setHeader("X-Content-Type-Options", "nosniff"),
+  })
+);
 
 // Define Routes
 app.use("/api/auth", authRoutes);
 app.use("/api/houses", housesRoutes);
+app.use("/api/buildings", buildingRoutes);
+app.use("/api/amenities", amenityRoutes);
+app.use("/api/locations", locationRoutes);
+app.use("/api/exchange-rates", exchangeRateRoutes);
+app.use("/api/favorites", favoriteRoutes);
+app.use("/api/saved-searches", savedSearchRoutes);
+app.use("/api/exports", exportRoutes);
+app.use("/api/moderation", moderationRoutes);
+app.use("/api/reviews", reviewRoutes);
 app.use("/api/rent-requests", rentRequestsRoutes);
 app.use("/api/rent-payments", rentPaymentsRoutes);
 app.use("/api/rent-reminders", rentRemindersRoutes);
@@ -61,6 +90,11 @@ app.listen(PORT, () =>
   console.log(`Server running on port ${PORT} in ${process.env.NODE_ENV} mode`)
 );
 
+// Flag and unlist listings whose landlords have gone quiet
+startStaleListingJob();
+// Remind landlords of rent requests nearing their response deadline, and expire those left unanswered
+startRentRequestExpiryJob();
+
 // Handle unhandled promise rejections
 process.on("unhandledRejection", (err, promise) => {
   console.error(`Error: ${err.message}`);
@@ -0,0 +1,199 @@
+// services/applicationScreening.js
+const RentPayment = require("../models/RentPayment");
+const { resolveCurrency, convertAmount } = require("../utils/currency");
+const {
+  APPLICATION_DOCUMENT_TYPE,
+  EMPLOYMENT_STATUS,
+  SCREENING_RESULT,
+} = require("../utils/constants");
+
+// Monthly income should be at least this many times the monthly rent
+const SCREENING_MIN_INCOME_RATIO =
+  parseFloat(process.env.SCREENING_MIN_INCOME_RATIO) || 3;
+// Most people per bedroom before the household counts as overcrowded (studios count as one bedroom)
+const SCREENING_MAX_OCCUPANTS_PER_BEDROOM =
+  parseInt(process.env.SCREENING_MAX_OCCUPANTS_PER_BEDROOM) || 2;
+// References an applicant should give
+const SCREENING_MIN_REFERENCES =
+  parseInt(process.env.SCREENING_MIN_REFERENCES) || 1;
+// Share of past payments that may have been late before the payment history fails
+const SCREENING_MAX_LATE_PAYMENT_RATE =
+  parseFloat(process.env.SCREENING_MAX_LATE_PAYMENT_RATE) || 0.2;
+
+// Employment statuses that are expected to come with payslips
+const SALARIED_STATUSES = [
+  EMPLOYMENT_STATUS.EMPLOYED,
+  EMPLOYMENT_STATUS.SELF_EMPLOYED,
+];
+
+const check = (name, result, detail) => ({ check: name, result, detail });
+
+/**
+ * Compares the applicant's income with the rent, in the currency of the house.
+ * @param {object} request - The rent request (see RentRequest.findById).
+ * @returns {Promise<object>} The affordability check.
+ */
+const checkAffordability = async (request) => {
+  const rent = parseFloat(request.house_rent_amount);
+  if (request.monthly_income === null || !(rent > 0)) {
+    return check(
+      "affordability",
+      SCREENING_RESULT.UNKNOWN,
+      "No income or rent to compare."
+    );
+  }
+  const { currency: from } = await resolveCurrency(
+    request.income_currency,
+    "income_currency"
+  );
+  const { currency: to } = await resolveCurrency(
+    request.house_currency,
+    "currency"
+  );
+  if (!from || !to) {
+    return check(
+      "affordability",
+      SCREENING_RESULT.UNKNOWN,
+      `No exchange rate between ${request.income_currency} and ${request.house_currency}.`
+    );
+  }
+  const income = convertAmount(request.monthly_income, from, to);
+  const ratio = Math.round((income / rent) * 100) / 100;
+  return check(
+    "affordability",
+    ratio >= SCREENING_MIN_INCOME_RATIO
+      ? SCREENING_RESULT.PASS
+      : SCREENING_RESULT.FAIL,
+    `Monthly income is ${ratio} times the rent (at least ${SCREENING_MIN_INCOME_RATIO} expected).`
+  );
+};
+
+/**
+ * Compares the size of the household with the bedrooms of the house.
+ * @param {object} request - The rent request.
+ * @returns {object} The occupancy check.
+ */
+const checkOccupancy = (request) => {
+  if (request.household_size === null) {
+    return check(
+      "occupancy",
+      SCREENING_RESULT.UNKNOWN,
+      "No household size given."
+    );
+  }
+  const bedrooms = Math.max(Number(request.house_bedrooms) || 0, 1);
+  const maxOccupants = bedrooms * SCREENING_MAX_OCCUPANTS_PER_BEDROOM;
+  return check(
+    "occupancy",
+    request.household_size <= maxOccupants
+      ? SCREENING_RESULT.PASS
+      : SCREENING_RESULT.FAIL,
+    `${request.household_size} people for ${bedrooms} bedroom(s) (at most ${maxOccupants} expected).`
+  );
+};
+
+/**
+ * Checks that the applicant gave enough references.
+ * @param {object} request - The rent request, with its `references`.
+ * @returns {object} The references check.
+ */
+const checkReferences = (request) => {
+  const count = request.references.length;
+  return check(
+    "references",
+    count >= SCREENING_MIN_REFERENCES
+      ? SCREENING_RESULT.PASS
+      : SCREENING_RESULT.REVIEW,
+    `${count} reference(s) given (at least ${SCREENING_MIN_REFERENCES} expected).`
+  );
+};
+
+/**
+ * Checks that the applicant uploaded an ID document, and payslips if they earn a salary.
+ * @param {object} request - The rent request.
+ * @param {Array} documents - The documents of the application (see RentRequestDocument).
+ * @returns {object} The documents check.
+ */
+const checkDocuments = (request, documents) => {
+  const types = documents.map((document) => document.type);
+  const missing = [];
+  if (!types.includes(APPLICATION_DOCUMENT_TYPE.ID_DOCUMENT)) {
+    missing.push("ID document");
+  }
+  if (
+    SALARIED_STATUSES.includes(request.employment_status) &&
+    !types.includes(APPLICATION_DOCUMENT_TYPE.PAYSLIP)
+  ) {
+    missing.push("payslip");
+  }
+  return check(
+    "documents",
+    missing.length === 0 ? SCREENING_RESULT.PASS : SCREENING_RESULT.REVIEW,
+    missing.length === 0
+      ? "All expected documents were uploaded."
+      : `Missing: ${missing.join(", ")}.`
+  );
+};
+
+/**
+ * Checks how the applicant has paid rent on the platform so far.
+ * @param {object} history - The applicant's payment history (see RentPayment.getTenantHistory).
+ * @returns {object} The payment history check.
+ */
+const checkPaymentHistory = (history) => {
+  if (history.total === 0) {
+    return check(
+      "payment_history",
+      SCREENING_RESULT.UNKNOWN,
+      "No rent payments on the platform yet."
+    );
+  }
+  const late = history.paid_late + history.overdue;
+  const lateRate = Math.round((late / history.total) * 100) / 100;
+  let result = SCREENING_RESULT.PASS;
+  if (history.overdue > 0 || lateRate > SCREENING_MAX_LATE_PAYMENT_RATE) {
+    result = SCREENING_RESULT.FAIL;
+  } else if (late > 0) {
+    result = SCREENING_RESULT.REVIEW;
+  }
+  return check(
+    "payment_history",
+    result,
+    `${late} of ${history.total} past payment(s) late, ${history.overdue} still unpaid.`
+  );
+};
+
+/**
+ * Builds the screening summary landlords see on a rental application. Each check passes, fails,
+ * needs review or is unknown. The application as a whole fails on two or more failed checks and
+ * needs review on one failed check or any check needing review. Unknown checks don't count, so
+ * first-time renters aren't held back by their lack of history.
+ * @param {object} request - The rent request (see RentRequest.findById).
+ * @param {Array} documents - The documents of the application.
+ * @returns {Promise<{overall: string, checks: Array, payment_history: object}>} The screening summary.
+ */
+const screenApplication = async (request, documents) => {
+  const paymentHistory = await RentPayment.getTenantHistory(request.user_id);
+  const checks = [
+    await checkAffordability(request),
+    checkOccupancy(request),
+    checkReferences(request),
+    checkDocuments(request, documents),
+    checkPaymentHistory(paymentHistory),
+  ];
+
+  const results = checks.map(({ result }) => result);
+  const failed = results.filter((r) => r === SCREENING_RESULT.FAIL).length;
+  let overall = SCREENING_RESULT.PASS;
+  if (failed >= 2) {
+    overall = SCREENING_RESULT.FAIL;
+  } else if (failed === 1 || results.includes(SCREENING_RESULT.REVIEW)) {
+    overall = SCREENING_RESULT.REVIEW;
+  }
+
+  return { overall, checks, payment_history: paymentHistory };
+};
+
+module.exports = {
+  screenApplication,
+};
@@ -0,0 +1,52 @@
+// services/duplicateDetection.js
+const House = require("../models/House");
+const ListingFlag = require("../models/ListingFlag");
+const {
+  DUPLICATE_SIMILARITY_THRESHOLD,
+  getListingSimilarity,
+} = require("../utils/listingSimilarity");
+const {
+  LISTING_FLAG_REASON,
+  LISTING_FLAG_SOURCE,
+} = require("../utils/constants");
+
+/**
+ * Compares a listing with other landlords' listings and puts likely duplicates (the same house
+ * posted by another account, often at a different rent) in the admin review queue. A pair that is
+ * already waiting for review is not flagged again. Failures are logged rather than thrown so that
+ * saving the listing never fails because of the check.
+ * @param {object} house - The saved listing: id, landlord_id, title, description, address, rent_amount and currency.
+ * @returns {Promise<number>} The number of new duplicate flags.
+ */
+const flagLikelyDuplicates = async (house) => {
+  try {
+    const candidates = await House.findDuplicateCandidates(house);
+    let flagged = 0;
+    for (const candidate of candidates) {
+      const similarity = getListingSimilarity(house, candidate);
+      if (similarity < DUPLICATE_SIMILARITY_THRESHOLD) continue;
+      if (await ListingFlag.hasOpenDuplicate(house.id, candidate.id)) continue;
+
+      await ListingFlag.create({
+        house_id: house.id,
+        source: LISTING_FLAG_SOURCE.DUPLICATE_DETECTION,
+        reason: LISTING_FLAG_REASON.DUPLICATE,
+        details: `Similar to house ${candidate.id} "${candidate.title}" of another landlord (rent ${candidate.rent_amount} ${candidate.currency}; this listing: ${house.rent_amount} ${house.currency}).`,
+        matched_house_id: candidate.id,
+        similarity,
+      });
+      flagged += 1;
+    }
+    return flagged;
+  } catch (error) {
+    console.error(
+      `Error checking house ${house.id} for duplicates:`,
+      error.message
+    );
+    return 0;
+  }
+};
+
+module.exports = {
+  flagLikelyDuplicates,
+};
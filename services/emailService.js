@@ -1,4 +1,5 @@
 const nodemailer = require("nodemailer");
+const { escapeHtml } = require("../utils/search");
 
 // Create a transporter using your email service details
 const transporter = nodemailer.createTransport({
@@ -40,6 +41,41 @@ const sendPasswordResetEmail = async (userEmail, resetToken) => {
   }
 };
 
+const sendSavedSearchAlertEmail = async (userEmail, searchName, house) => {
+  const houseUrl = `${process.env.APP_FRONTEND_URL}/houses/${house.id}`;
+
+  const mailOptions = {
+    from: process.env.EMAIL_USER,
+    to: userEmail,
+    subject: `New match for your saved search "${searchName}"`,
+    html: `
+      <p>A house matching your saved search <strong>${escapeHtml(
+        searchName
+      )}</strong> is available:</p>
+      <p><strong>${escapeHtml(house.title)}</strong><br>
+      ${escapeHtml(house.address)}<br>
+      Rent: ${escapeHtml(house.rent_amount)} ${escapeHtml(house.currency)}</p>
+      <p><a href="${houseUrl}">View the listing</a></p>
+      <br>
+      <p>Regards,</p>
+      <p>Your Estate Management Team</p>
+    `,
+  };
+
+  try {
+    await transporter.sendMail(mailOptions);
+    console.log(`Saved search alert email sent to ${userEmail}`);
+    return true;
+  } catch (error) {
+    console.error(
+      `Error sending saved search alert email to ${userEmail}:`,
+      error
+    );
+    return false;
+  }
+};
+
 module.exports = {
   sendPasswordResetEmail,
+  sendSavedSearchAlertEmail,
 };
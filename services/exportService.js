@@ -0,0 +1,278 @@
+// services/exportService.js
+const House = require("../models/House");
+const User = require("../models/user");
+const LeaseAgreement = require("../models/LeaseAgreement");
+const RentPayment = require("../models/RentPayment");
+const ExportJob = require("../models/ExportJob");
+const Notification = require("../models/Notification");
+const { Readable } = require("stream");
+const {
+  buildStorageKey,
+  savePrivateFileStream,
+  removePrivateFile,
+} = require("./storageService");
+const { formatCsvRow } = require("../utils/csv");
+const { decodeCursor } = require("../utils/pagination");
+const {
+  EXPORT_DATASET,
+  EXPORT_FORMAT,
+  NOTIFICATION_TYPE,
+} = require("../utils/constants");
+
+const HOUSE_PAGE_SIZE = 100;
+// Rows read per query for the other datasets
+const EXPORT_PAGE_SIZE = 500;
+
+// Content type and file extension of each export format
+const EXPORT_FILE_TYPES = {
+  [EXPORT_FORMAT.CSV]: { extension: "csv", contentType: "text/csv" },
+  [EXPORT_FORMAT.XLSX_CSV]: { extension: "csv", contentType: "text/csv" },
+  [EXPORT_FORMAT.JSON]: { extension: "json", contentType: "application/json" },
+};
+
+// Columns of each dataset: [header, value of a row]
+const EXPORT_COLUMNS = {
+  [EXPORT_DATASET.HOUSES]: [
+    ["id", (h) => h.id],
+    ["title", (h) => h.title],
+    ["description", (h) => h.description],
+    ["address", (h) => h.address],
+    ["building_id", (h) => h.building_id],
+    ["unit_label", (h) => h.unit_label],
+    ["rent_amount", (h) => h.rent_amount],
+    ["currency", (h) => h.currency],
+    ["bedrooms", (h) => h.bedrooms],
+    ["bathrooms", (h) => h.bathrooms],
+    ["status", (h) => h.status],
+    ["is_active", (h) => Boolean(h.is_active)],
+    ["tenant_id", (h) => h.tenant_id],
+    ["tenant_username", (h) => h.tenant_username],
+    ["rental_start_date", (h) => h.rental_start_date],
+    ["latitude", (h) => h.latitude],
+    ["longitude", (h) => h.longitude],
+    ["location_id", (h) => h.location_id],
+    // Same ";" separated codes the bulk import accepts
+    ["amenities", (h) => h.amenities.map((a) => a.code).join(";")],
+    ["archived_at", (h) => h.archived_at],
+    ["created_at", (h) => h.created_at],
+  ],
+  [EXPORT_DATASET.TENANTS]: [
+    ["tenant_id", (t) => t.id],
+    ["username", (t) => t.username],
+    ["email", (t) => t.email],
+    ["phone", (t) => t.phone],
+    ["house_id", (t) => t.house_id],
+    ["house_title", (t) => t.house_title],
+    ["house_address", (t) => t.house_address],
+    ["unit_label", (t) => t.unit_label],
+    ["rent_amount", (t) => t.rent_amount],
+    ["currency", (t) => t.currency],
+    ["rental_start_date", (t) => t.rental_start_date],
+  ],
+  [EXPORT_DATASET.LEASES]: [
+    ["id", (l) => l.id],
+    ["house_id", (l) => l.house_id],
+    ["tenant_id", (l) => l.tenant_id],
+    ["start_date", (l) => l.start_date],
+    ["end_date", (l) => l.end_date],
+    ["rent_amount", (l) => l.rent_amount],
+    ["deposit_amount", (l) => l.deposit_amount],
+    ["currency", (l) => l.currency],
+    ["status", (l) => l.status],
+    ["document_url", (l) => l.document_url],
+    ["created_at", (l) => l.created_at],
+  ],
+  [EXPORT_DATASET.PAYMENTS]: [
+    ["id", (p) => p.id],
+    ["house_id", (p) => p.house_id],
+    ["house_title", (p) => p.house_title],
+    ["tenant_id", (p) => p.tenant_id],
+    ["tenant_username", (p) => p.tenant_username],
+    ["due_date", (p) => p.due_date],
+    ["amount", (p) => p.amount],
+    ["paid_amount", (p) => p.paid_amount],
+    ["currency", (p) => p.currency],
+    ["status", (p) => p.status],
+    ["payment_method", (p) => p.payment_method],
+    ["payment_date", (p) => p.payment_date],
+    ["receipt_url", (p) => p.receipt_url],
+  ],
+};
+
+/**
+ * Reads the rows of an export a page at a time, so large portfolios are never held in memory at once.
+ * @param {string} dataset - One of EXPORT_DATASET.
+ * @param {number} landlordId - The ID of the landlord whose portfolio is exported.
+ * @param {{from: string, to: string}} [range] - Optional date range (YYYY-MM-DD, both inclusive): listing date for houses, lease period for leases, due date for payments. Tenants are always the current ones.
+ * @yields {Array} The next page of dataset rows.
+ */
+async function* fetchExportPages(dataset, landlordId, range = {}) {
+  const { from, to } = range;
+  if (dataset === EXPORT_DATASET.HOUSES) {
+    let cursor = null;
+    for (;;) {
+      const page = await House.findByLandlordId(landlordId, {
+        limit: HOUSE_PAGE_SIZE,
+        createdFrom: from,
+        createdTo: to ? `${to} 23:59:59` : undefined,
+        useCursor: true,
+        cursor,
+      });
+      if (page.houses.length > 0) yield page.houses;
+      if (!page.hasMore) return;
+      cursor = decodeCursor(page.nextCursor);
+    }
+  }
+
+  const findPage = {
+    [EXPORT_DATASET.TENANTS]: (page) =>
+      User.findTenantsByLandlordId(landlordId, page),
+    [EXPORT_DATASET.LEASES]: (page) =>
+      LeaseAgreement.findByLandlordId(landlordId, { from, to, ...page }),
+    [EXPORT_DATASET.PAYMENTS]: (page) =>
+      RentPayment.findByLandlordId(landlordId, { from, to, ...page }),
+  }[dataset];
+  if (!findPage) {
+    throw new Error(`Unknown export dataset: ${dataset}`);
+  }
+  for (let offset = 0; ; offset += EXPORT_PAGE_SIZE) {
+    const rows = await findPage({ limit: EXPORT_PAGE_SIZE, offset });
+    if (rows.length > 0) yield rows;
+    if (rows.length < EXPORT_PAGE_SIZE) return;
+  }
+}
+
+/**
+ * Serialises export rows as they are read, yielding the output a page at a time so it can be streamed.
+ * @param {string} dataset - One of EXPORT_DATASET.
+ * @param {string} format - One of EXPORT_FORMAT.
+ * @param {AsyncIterable<Array>} pages - Pages of rows from fetchExportPages.
+ * @param {function(Array): void} [onPage] - Optional: Called with each page of rows once it is serialised.
+ * @yields {string} The next chunk of output.
+ */
+async function* serializeExport(dataset, format, pages, onPage = () => {}) {
+  const columns = EXPORT_COLUMNS[dataset];
+  const toValues = (row) => columns.map(([, value]) => value(row));
+
+  if (format === EXPORT_FORMAT.JSON) {
+    yield "[";
+    let first = true;
+    for await (const rows of pages) {
+      let chunk = "";
+      for (const row of rows) {
+        const record = Object.fromEntries(
+          columns.map(([header, value]) => [header, value(row)])
+        );
+        chunk += `${first ? "" : ","}\n${JSON.stringify(record)}`;
+        first = false;
+      }
+      onPage(rows);
+      yield chunk;
+    }
+    yield "\n]\n";
+    return;
+  }
+
+  const excel = format === EXPORT_FORMAT.XLSX_CSV;
+  const lineEnding = excel ? "\r\n" : "\n";
+  // A byte order mark lets Excel detect UTF-8
+  yield (excel ? "\uFEFF" : "") +
+    formatCsvRow(
+      columns.map(([header]) => header),
+      lineEnding
+    );
+  for await (const rows of pages) {
+    onPage(rows);
+    yield rows.map((row) => formatCsvRow(toValues(row), lineEnding)).join("");
+  }
+}
+
+/**
+ * Builds the download file name of an export (e.g., "payments-2025-07-24.csv").
+ * @param {string} dataset - One of EXPORT_DATASET.
+ * @param {string} format - One of EXPORT_FORMAT.
+ * @returns {string} The file name.
+ */
+const buildExportFileName = (dataset, format) =>
+  `${dataset}-${new Date().toISOString().slice(0, 10)}.${
+    EXPORT_FILE_TYPES[format].extension
+  }`;
+
+/**
+ * Generates the file of a queued export job, stores it and notifies the landlord with a download link.
+ * Failures are recorded on the job rather than thrown.
+ * @param {number} jobId - The ID of the export job.
+ */
+const runExportJob = async (jobId) => {
+  const job = await ExportJob.findById(jobId);
+  if (!job || !(await ExportJob.markProcessing(job.id))) return;
+
+  // Exports hold tenants' personal data: only downloadExport hands them out
+  const key = buildStorageKey(
+    `exports/${job.landlord_id}`,
+    EXPORT_FILE_TYPES[job.format].contentType
+  );
+  let rowCount = 0;
+  try {
+    // Each page is written to the file as soon as it is read
+    const stored = await savePrivateFileStream(
+      Readable.from(
+        serializeExport(
+          job.dataset,
+          job.format,
+          fetchExportPages(job.dataset, job.landlord_id, job.filters),
+          (rows) => {
+            rowCount += rows.length;
+          }
+        )
+      ),
+      key
+    );
+    await ExportJob.markCompleted(job.id, {
+      storage_key: stored.key,
+      row_count: rowCount,
+    });
+    await Notification.create({
+      user_id: job.landlord_id,
+      type: NOTIFICATION_TYPE.EXPORT_READY,
+      source_id: job.id,
+      message: `Your ${job.dataset} export (${rowCount} rows) is ready: /api/exports/jobs/${job.id}/download`,
+    });
+  } catch (error) {
+    console.error(`Export job ${job.id} failed:`, error.message, error.stack);
+    // Do not leave a partly written file behind
+    await removePrivateFile(key).catch(() => {});
+    await ExportJob.markFailed(job.id, error.message);
+    await Notification.create({
+      user_id: job.landlord_id,
+      type: NOTIFICATION_TYPE.EXPORT_FAILED,
+      source_id: job.id,
+      message: `Your ${job.dataset} export could not be generated. Please try again.`,
+    });
+  }
+};
+
+/**
+ * Runs an export job in the background, after the current request has been answered.
+ * @param {number} jobId - The ID of the export job.
+ */
+const queueExportJob = (jobId) => {
+  setImmediate(() => {
+    runExportJob(jobId).catch((error) => {
+      console.error(
+        `Could not run export job ${jobId}:`,
+        error.message,
+        error.stack
+      );
+    });
+  });
+};
+
+module.exports = {
+  EXPORT_FILE_TYPES,
+  fetchExportPages,
+  serializeExport,
+  buildExportFileName,
+  runExportJob,
+  queueExportJob,
+};
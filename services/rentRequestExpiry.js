@@ -0,0 +1,88 @@
+// services/rentRequestExpiry.js
+const RentRequest = require("../models/RentRequest");
+const Notification = require("../models/Notification");
+const { NOTIFICATION_TYPE } = require("../utils/constants");
+
+// Hours before a rent request's response deadline that the landlord is reminded of it
+const RENT_REQUEST_REMINDER_HOURS =
+  parseInt(process.env.RENT_REQUEST_REMINDER_HOURS) || 24;
+// How often the server runs the check
+const RENT_REQUEST_EXPIRY_CHECK_MINUTES =
+  parseInt(process.env.RENT_REQUEST_EXPIRY_CHECK_MINUTES) || 60;
+
+/**
+ * Expires pending rent requests the landlord did not respond to by their deadline, notifying each tenant,
+ * and reminds landlords of requests that are due within `reminderHours`.
+ * @param {object} [options]
+ * @param {number} [options.reminderHours=RENT_REQUEST_REMINDER_HOURS] - Hours before the deadline that landlords are reminded.
+ * @returns {Promise<{expired: number, reminded: number}>} How many requests were expired and how many landlord reminders were sent.
+ */
+const expireRentRequests = async ({
+  reminderHours = RENT_REQUEST_REMINDER_HOURS,
+} = {}) => {
+  let expired = 0;
+  for (const request of await RentRequest.findAwaitingResponse()) {
+    if (!(await RentRequest.expire(request.id))) continue;
+    expired += 1;
+    await Notification.create({
+      user_id: request.user_id,
+      type: NOTIFICATION_TYPE.RENT_REQUEST_EXPIRED,
+      source_id: request.id,
+      message: `Your rent request for "${request.house_title}" expired because the landlord did not respond in time. You can apply again or look at other listings.`,
+    });
+  }
+
+  let reminded = 0;
+  for (const request of await RentRequest.findAwaitingResponse({
+    reminderHours,
+  })) {
+    const due = await RentRequest.markDeadlineReminderSent(
+      request.id,
+      reminderHours
+    );
+    if (!due) continue;
+    reminded += 1;
+    await Notification.create({
+      user_id: request.landlord_id,
+      type: NOTIFICATION_TYPE.RENT_REQUEST_DEADLINE_SOON,
+      source_id: request.id,
+      message: `A rent request for "${
+        request.house_title
+      }" expires on ${new Date(
+        request.respond_by
+      ).toUTCString()} unless you accept, reject or propose terms on it.`,
+    });
+  }
+
+  return { expired, reminded };
+};
+
+/**
+ * Runs expireRentRequests now and then every RENT_REQUEST_EXPIRY_CHECK_MINUTES. Failures are logged and
+ * retried on the next run. The timer does not keep the process alive on its own.
+ * @returns {NodeJS.Timeout} The interval timer.
+ */
+const startRentRequestExpiryJob = () => {
+  const run = async () => {
+    try {
+      const { expired, reminded } = await expireRentRequests();
+      if (expired || reminded) {
+        console.log(
+          `Rent requests: ${expired} expired, ${reminded} landlords reminded.`
+        );
+      }
+    } catch (error) {
+      console.error("Error expiring rent requests:", error.message);
+    }
+  };
+  run();
+  const timer = setInterval(run, RENT_REQUEST_EXPIRY_CHECK_MINUTES * 60 * 1000);
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  RENT_REQUEST_REMINDER_HOURS,
+  expireRentRequests,
+  startRentRequestExpiryJob,
+};
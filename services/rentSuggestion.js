@@ -0,0 +1,177 @@
+// services/rentSuggestion.js
+const House = require("../models/House");
+const Amenity = require("../models/Amenity");
+const { BASE, convertAmount } = require("../utils/currency");
+
+// Radii tried in turn until enough comparables are found
+const SEARCH_RADII_KM = [2, 5, 15];
+const MIN_COMPARABLES = 5;
+const MAX_COMPARABLES = 20;
+// A rent this many interquartile ranges beyond the middle half of the comparables is "far outside" it
+const OUTLIER_IQR_MULTIPLIER = 1.5;
+// Comparables with near-identical rents would flag every other price; the range is at least this share of the median
+const MIN_IQR_SHARE_OF_MEDIAN = 0.1;
+
+const roundTo2 = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Reads a percentile from sorted values, interpolating between neighbours.
+ * @param {number[]} sorted - Values in ascending order (at least one).
+ * @param {number} p - The percentile, from 0 to 100.
+ * @returns {number} The percentile value.
+ */
+const percentile = (sorted, p) => {
+  const rank = (p / 100) * (sorted.length - 1);
+  const lower = Math.floor(rank);
+  const upper = Math.ceil(rank);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (rank - lower);
+};
+
+/**
+ * Share of two amenity sets that they have in common (Jaccard index). Two houses
+ * without any amenities count as fully alike.
+ * @param {Set<number>} a - Amenity IDs of one house.
+ * @param {Set<number>} b - Amenity IDs of the other house.
+ * @returns {number} The similarity, from 0 to 1.
+ */
+const amenitySimilarity = (a, b) => {
+  const union = new Set([...a, ...b]);
+  if (union.size === 0) return 1;
+  const shared = [...a].filter((id) => b.has(id)).length;
+  return shared / union.size;
+};
+
+/**
+ * Collects the amenity IDs of each house, including the shared ones of its building.
+ * @param {Array} houses - Houses with `id` and `building_id`.
+ * @returns {Promise<Object<number, Set<number>>>} Amenity IDs keyed by house ID.
+ */
+const findAmenityIds = async (houses) => {
+  const own = await Amenity.findByHouseIds(houses.map((h) => h.id));
+  const shared = await Amenity.findByBuildingIds([
+    ...new Set(houses.map((h) => h.building_id).filter(Boolean)),
+  ]);
+  const amenityIds = {};
+  for (const house of houses) {
+    amenityIds[house.id] = new Set(
+      [...(own[house.id] || []), ...(shared[house.building_id] || [])].map(
+        (amenity) => amenity.id
+      )
+    );
+  }
+  return amenityIds;
+};
+
+/**
+ * Suggests a rent for a prospective house from comparable listings. The search radius widens
+ * until enough comparables are found; the closest matches on amenities, then distance, are used.
+ * @param {object} house
+ * @param {number} house.latitude - Latitude of the house.
+ * @param {number} house.longitude - Longitude of the house.
+ * @param {number} house.bedrooms - Number of bedrooms.
+ * @param {number} house.bathrooms - Number of bathrooms.
+ * @param {number[]} [house.amenityIds] - IDs of the house's amenities (including its building's).
+ * @param {number} [house.excludeId] - Optional: ID of the house being priced, so it is not its own comparable.
+ * @param {{code: string, rate: number}} [house.currency] - Optional: Currency to price in, with its rate to BASE_CURRENCY.
+ *        Comparables listed in other currencies are converted. Defaults to BASE_CURRENCY.
+ * @returns {Promise<{radiusKm: number, statistics: object|null, comparables: Array}>} The radius searched, rent statistics
+ *          (count, min, p10, p25, median, p75, p90, max), or null with fewer than MIN_COMPARABLES matches, and the comparables used.
+ */
+const suggestRent = async ({
+  latitude,
+  longitude,
+  bedrooms,
+  bathrooms,
+  amenityIds = [],
+  excludeId = null,
+  currency = BASE,
+}) => {
+  let candidates = [];
+  let radiusKm = SEARCH_RADII_KM[0];
+  for (radiusKm of SEARCH_RADII_KM) {
+    candidates = await House.findComparables({
+      near: { lat: latitude, lng: longitude },
+      radiusKm,
+      bedrooms,
+      bathrooms,
+      excludeId,
+    });
+    if (candidates.length >= MIN_COMPARABLES) break;
+  }
+
+  const wanted = new Set(amenityIds);
+  const candidateAmenities = await findAmenityIds(candidates);
+  const comparables = candidates
+    .map((candidate) => ({
+      id: candidate.id,
+      title: candidate.title,
+      address: candidate.address,
+      rent_amount: convertAmount(candidate.rent_amount_base, BASE, currency),
+      currency: currency.code,
+      listed_rent_amount: Number(candidate.rent_amount),
+      listed_currency: candidate.currency,
+      bedrooms: candidate.bedrooms,
+      bathrooms: candidate.bathrooms,
+      status: candidate.status,
+      archived: Boolean(candidate.archived_at),
+      distance_km: roundTo2(candidate.distance_km),
+      amenity_similarity: roundTo2(
+        amenitySimilarity(wanted, candidateAmenities[candidate.id])
+      ),
+      published_at: candidate.published_at,
+    }))
+    .sort(
+      (a, b) =>
+        b.amenity_similarity - a.amenity_similarity ||
+        a.distance_km - b.distance_km
+    )
+    .slice(0, MAX_COMPARABLES);
+
+  if (comparables.length < MIN_COMPARABLES) {
+    return { radiusKm, statistics: null, comparables };
+  }
+
+  const rents = comparables.map((c) => c.rent_amount).sort((a, b) => a - b);
+  return {
+    radiusKm,
+    statistics: {
+      count: rents.length,
+      min: rents[0],
+      p10: roundTo2(percentile(rents, 10)),
+      p25: roundTo2(percentile(rents, 25)),
+      median: roundTo2(percentile(rents, 50)),
+      p75: roundTo2(percentile(rents, 75)),
+      p90: roundTo2(percentile(rents, 90)),
+      max: rents[rents.length - 1],
+    },
+    comparables,
+  };
+};
+
+/**
+ * Explains why a proposed rent looks wrong, if it is far outside the range of comparable rents.
+ * @param {number|string} rentAmount - The proposed rent.
+ * @param {object|null} statistics - Statistics from suggestRent.
+ * @returns {string|null} A warning message, or null if the rent is plausible or there is nothing to compare with.
+ */
+const getRentWarning = (rentAmount, statistics) => {
+  if (!statistics) return null;
+  const rent = parseFloat(rentAmount);
+  const spread = Math.max(
+    statistics.p75 - statistics.p25,
+    statistics.median * MIN_IQR_SHARE_OF_MEDIAN
+  );
+  const low = statistics.p25 - OUTLIER_IQR_MULTIPLIER * spread;
+  const high = statistics.p75 + OUTLIER_IQR_MULTIPLIER * spread;
+  if (rent >= low && rent <= high) return null;
+  return `The rent of ${rent} is far ${rent < low ? "below" : "above"} the ${
+    statistics.count
+  } comparable listings (median ${statistics.median}, typical range ${
+    statistics.p25
+  }-${statistics.p75}).`;
+};
+
+module.exports = {
+  suggestRent,
+  getRentWarning,
+};
@@ -0,0 +1,80 @@
+// services/savedSearchAlerts.js
+const SavedSearch = require("../models/SavedSearch");
+const Notification = require("../models/Notification");
+const { sendSavedSearchAlertEmail } = require("./emailService");
+const {
+  parseHouseFilters,
+  matchesHouseFilters,
+} = require("../utils/houseFilters");
+const { HOUSE_STATUS, NOTIFICATION_TYPE } = require("../utils/constants");
+
+/**
+ * Notifies every tenant whose saved search matches a house that has just been listed or
+ * has become available again. Sends an email too when the search has email alerts on.
+ * Failures are logged rather than thrown so they never fail the change that triggered them.
+ * @param {object|null} house - The house, as returned by House.findById (with `amenities`).
+ * @returns {Promise<number>} The number of saved searches that matched.
+ */
+const notifySavedSearchMatches = async (house) => {
+  if (
+    !house ||
+    house.status !== HOUSE_STATUS.AVAILABLE ||
+    !house.is_active ||
+    house.archived_at
+  ) {
+    return 0;
+  }
+
+  try {
+    // Landlords don't get alerts about their own listings
+    const searches = await SavedSearch.findCandidatesForHouse(house);
+    let matched = 0;
+    for (const search of searches) {
+      const { filters, error } = await parseHouseFilters(search.filters);
+      if (error || !matchesHouseFilters(house, filters)) continue;
+
+      matched += 1;
+      await Notification.create({
+        user_id: search.user_id,
+        type: NOTIFICATION_TYPE.SAVED_SEARCH_MATCH,
+        source_id: house.id,
+        message: `"${house.title}" matches your saved search "${search.name}".`,
+      });
+      if (search.email_alerts) {
+        await sendSavedSearchAlertEmail(search.email, search.name, house);
+      }
+    }
+    return matched;
+  } catch (error) {
+    console.error(
+      `Error sending saved search alerts for house ${house.id}:`,
+      error.message
+    );
+    return 0;
+  }
+};
+
+/**
+ * Runs notifySavedSearchMatches in the background, after the current request has been answered, so that
+ * the change that made the house available neither waits for the alerts nor fails with them.
+ * @param {number} houseId - The ID of the house.
+ * @param {function(number): Promise<object|null>} loadHouse - Loads the house with its details (House.findById).
+ */
+const queueSavedSearchAlerts = (houseId, loadHouse) => {
+  setImmediate(() => {
+    loadHouse(houseId)
+      .then(notifySavedSearchMatches)
+      .catch((error) => {
+        console.error(
+          `Could not send saved search alerts for house ${houseId}:`,
+          error.message,
+          error.stack
+        );
+      });
+  });
+};
+
+module.exports = {
+  notifySavedSearchMatches,
+  queueSavedSearchAlerts,
+};
@@ -0,0 +1,85 @@
+// services/staleListings.js
+const House = require("../models/House");
+const Notification = require("../models/Notification");
+const { NOTIFICATION_TYPE } = require("../utils/constants");
+
+// Days an available listing may go without landlord activity before the landlord is asked to confirm it
+const STALE_LISTING_DAYS = parseInt(process.env.STALE_LISTING_DAYS) || 30;
+// Days the landlord then has to confirm or edit the listing before it is unlisted
+const STALE_LISTING_GRACE_DAYS =
+  parseInt(process.env.STALE_LISTING_GRACE_DAYS) || 7;
+// How often the server runs the check
+const STALE_LISTING_CHECK_HOURS =
+  parseInt(process.env.STALE_LISTING_CHECK_HOURS) || 24;
+
+/**
+ * Flags available listings without landlord activity for `staleDays`, asking their landlords to confirm
+ * them, and unlists flagged listings that were not confirmed, edited or answered within `graceDays`.
+ * Each action is recorded in the house's status history and the landlord is notified.
+ * @param {object} [options]
+ * @param {number} [options.staleDays=STALE_LISTING_DAYS] - Days without activity before a listing is flagged.
+ * @param {number} [options.graceDays=STALE_LISTING_GRACE_DAYS] - Days a flagged listing has before it is unlisted.
+ * @returns {Promise<{flagged: number, unlisted: number}>} How many listings were flagged and unlisted.
+ */
+const expireStaleListings = async ({
+  staleDays = STALE_LISTING_DAYS,
+  graceDays = STALE_LISTING_GRACE_DAYS,
+} = {}) => {
+  // Unlist first, so that a listing flagged in this run always gets its full grace period
+  let unlisted = 0;
+  for (const house of await House.findStaleListings({ graceDays })) {
+    if (!(await House.expireStaleListing(house.id, graceDays))) continue;
+    unlisted += 1;
+    await Notification.create({
+      user_id: house.landlord_id,
+      type: NOTIFICATION_TYPE.LISTING_EXPIRED,
+      source_id: house.id,
+      message: `"${house.title}" was unlisted because it was not confirmed within ${graceDays} days. Set it back to available if it is still for rent.`,
+    });
+  }
+
+  let flagged = 0;
+  for (const house of await House.findStaleListings({ staleDays })) {
+    if (!(await House.flagStaleListing(house.id, staleDays))) continue;
+    flagged += 1;
+    await Notification.create({
+      user_id: house.landlord_id,
+      type: NOTIFICATION_TYPE.LISTING_STALE,
+      source_id: house.id,
+      message: `"${house.title}" has had no activity for ${staleDays} days. Confirm it is still available or update it within ${graceDays} days, or it will be unlisted.`,
+    });
+  }
+
+  return { flagged, unlisted };
+};
+
+/**
+ * Runs expireStaleListings now and then every STALE_LISTING_CHECK_HOURS. Failures are logged and
+ * retried on the next run. The timer does not keep the process alive on its own.
+ * @returns {NodeJS.Timeout} The interval timer.
+ */
+const startStaleListingJob = () => {
+  const run = async () => {
+    try {
+      const { flagged, unlisted } = await expireStaleListings();
+      if (flagged || unlisted) {
+        console.log(
+          `Stale listings: ${flagged} flagged, ${unlisted} unlisted.`
+        );
+      }
+    } catch (error) {
+      console.error("Error expiring stale listings:", error.message);
+    }
+  };
+  run();
+  const timer = setInterval(run, STALE_LISTING_CHECK_HOURS * 60 * 60 * 1000);
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  STALE_LISTING_DAYS,
+  STALE_LISTING_GRACE_DAYS,
+  expireStaleListings,
+  startStaleListingJob,
+};
@@ -0,0 +1,188 @@
+// services/storageService.js
+const fs = require("fs/promises");
+const { createWriteStream } = require("fs");
+const { pipeline } = require("stream/promises");
+const path = require("path");
+const crypto = require("crypto");
+
+/**
+ * Stores files on the local disk. Public files are served through express.static (see server.js).
+ * @param {object} options
+ * @param {string} options.rootDir - Directory files are written to.
+ * @param {string|null} [options.baseUrl] - Public URL prefix the directory is served under, or null for private files.
+ */
+const createLocalDiskStorage = ({ rootDir, baseUrl = null }) => ({
+  async save(buffer, key) {
+    const filePath = path.join(rootDir, key);
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, buffer);
+    return { key, url: baseUrl ? `${baseUrl}/${key}` : null };
+  },
+
+  async saveStream(stream, key) {
+    const filePath = path.join(rootDir, key);
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await pipeline(stream, createWriteStream(filePath));
+    return { key, url: baseUrl ? `${baseUrl}/${key}` : null };
+  },
+
+  async read(key) {
+    return fs.readFile(path.join(rootDir, key));
+  },
+
+  async remove(key) {
+    try {
+      await fs.unlink(path.join(rootDir, key));
+    } catch (error) {
+      // A file that is already gone is not an error when deleting
+      if (error.code !== "ENOENT") throw error;
+    }
+  },
+});
+
+const UPLOAD_DIR = path.resolve(process.env.UPLOAD_DIR || "uploads");
+const UPLOAD_BASE_URL = process.env.UPLOAD_BASE_URL || "/uploads";
+// Files only ever handed out by the API after an authorization check (exports, application documents)
+const PRIVATE_UPLOAD_DIR = path.resolve(
+  process.env.PRIVATE_UPLOAD_DIR || "private-uploads"
+);
+
+if (
+  PRIVATE_UPLOAD_DIR === UPLOAD_DIR ||
+  PRIVATE_UPLOAD_DIR.startsWith(`${UPLOAD_DIR}${path.sep}`)
+) {
+  throw new Error(
+    "PRIVATE_UPLOAD_DIR must not be inside UPLOAD_DIR, which is served publicly."
+  );
+}
+
+const drivers = {
+  local: createLocalDiskStorage({
+    rootDir: UPLOAD_DIR,
+    baseUrl: UPLOAD_BASE_URL,
+  }),
+};
+
+const privateDrivers = {
+  local: createLocalDiskStorage({ rootDir: PRIVATE_UPLOAD_DIR }),
+};
+
+/**
+ * Registers an alternative storage driver (e.g., S3 or Cloudinary).
+ * A driver must implement `save(buffer, key) -> {key, url}`, `read(key) -> Buffer` and `remove(key)`.
+ * A private driver must keep its files unreachable without the API, and return a null url. It must also implement
+ * `saveStream(stream, key) -> {key, url}`, which writes a readable stream's chunks as they arrive (see savePrivateFileStream).
+ * @param {string} name - Driver name, selected with the STORAGE_DRIVER (or, for private files, PRIVATE_STORAGE_DRIVER) env variable.
+ * @param {object} driver - The driver implementation.
+ * @param {object} [options]
+ * @param {boolean} [options.isPrivate=false] - Whether the driver stores private files.
+ */
+const registerStorageDriver = (name, driver, { isPrivate = false } = {}) => {
+  (isPrivate ? privateDrivers : drivers)[name] = driver;
+};
+
+const getStorage = (isPrivate = false) => {
+  const name =
+    (isPrivate
+      ? process.env.PRIVATE_STORAGE_DRIVER
+      : process.env.STORAGE_DRIVER) || "local";
+  const driver = (isPrivate ? privateDrivers : drivers)[name];
+  if (!driver) {
+    throw new Error(`Unknown storage driver: ${name}`);
+  }
+  return driver;
+};
+
+// Extensions of the file types that may be stored. Files on the local disk are served with the content type of
+// their extension, so it comes from the validated mimetype and never from the client's file name.
+const STORED_FILE_EXTENSIONS = {
+  "image/jpeg": ".jpg",
+  "image/png": ".png",
+  "image/webp": ".webp",
+  "application/pdf": ".pdf",
+  "text/csv": ".csv",
+  "application/json": ".json",
+};
+
+/**
+ * Builds a unique storage key for a file, with the fixed extension of its type.
+ * @param {string} folder - Logical folder (e.g., 'houses/12').
+ * @param {string} mimeType - The file's validated mimetype (see STORED_FILE_EXTENSIONS).
+ * @returns {string} The storage key.
+ * @throws {Error} If the type may not be stored.
+ */
+const buildStorageKey = (folder, mimeType) => {
+  const ext = STORED_FILE_EXTENSIONS[mimeType];
+  if (!ext) {
+    throw new Error(`Files of type ${mimeType} cannot be stored.`);
+  }
+  const unique = crypto.randomBytes(8).toString("hex");
+  return `${folder}/${Date.now()}-${unique}${ext}`;
+};
+
+/**
+ * Saves a file using the configured storage driver.
+ * @param {Buffer} buffer - File contents.
+ * @param {string} key - Storage key from buildStorageKey.
+ * @returns {Promise<{key: string, url: string}>} The stored file's key and public URL.
+ */
+const saveFile = (buffer, key) => getStorage().save(buffer, key);
+
+/**
+ * Reads a stored file using the configured storage driver.
+ * @param {string} key - Storage key of the file.
+ * @returns {Promise<Buffer>} The file contents.
+ */
+const readFile = (key) => getStorage().read(key);
+
+/**
+ * Removes a file using the configured storage driver.
+ * @param {string} key - Storage key of the file.
+ */
+const removeFile = (key) => getStorage().remove(key);
+
+/**
+ * Saves a private file, which has no public URL and is only read back through the API (see readPrivateFile).
+ * @param {Buffer} buffer - File contents.
+ * @param {string} key - Storage key from buildStorageKey.
+ * @returns {Promise<{key: string, url: null}>} The stored file's key.
+ */
+const savePrivateFile = (buffer, key) => getStorage(true).save(buffer, key);
+
+/**
+ * Saves a private file from a readable stream, writing each chunk as it is produced rather than holding the
+ * whole file in memory (e.g., large exports).
+ * @param {import("stream").Readable} stream - File contents.
+ * @param {string} key - Storage key from buildStorageKey.
+ * @returns {Promise<{key: string, url: null}>} The stored file's key.
+ */
+const savePrivateFileStream = (stream, key) =>
+  getStorage(true).saveStream(stream, key);
+
+/**
+ * Reads a private file.
+ * @param {string} key - Storage key of the file.
+ * @returns {Promise<Buffer>} The file contents.
+ */
+const readPrivateFile = (key) => getStorage(true).read(key);
+
+/**
+ * Removes a private file.
+ * @param {string} key - Storage key of the file.
+ */
+const removePrivateFile = (key) => getStorage(true).remove(key);
+
+module.exports = {
+  UPLOAD_DIR,
+  UPLOAD_BASE_URL,
+  createLocalDiskStorage,
+  registerStorageDriver,
+  buildStorageKey,
+  saveFile,
+  readFile,
+  removeFile,
+  savePrivateFile,
+  savePrivateFileStream,
+  readPrivateFile,
+  removePrivateFile,
+};
@@ -5,14 +5,88 @@ module.exports = {
     // <-- UPDATED TO MATCH YOUR SCHEMA
     LANDLORD: "landlord", // Corresponds to your 'landlord' enum
     TENANT: "tenant", // Corresponds to your 'tenant' enum
-    // Remove 'admin' and 'agent' if they are not in your ENUM
+    ADMIN: "admin", // Moderates listings; cannot be self-registered
   },
 
   HOUSE_STATUS: {
     // <--- ADDED THIS BLOCK
+    DRAFT: "draft",
     AVAILABLE: "available",
+    RESERVED: "reserved",
     RENTED: "rented",
+    UNDER_MAINTENANCE: "under_maintenance",
+    UNLISTED: "unlisted",
   },
+  // Allowed house status changes: current status -> statuses it may move to
+  HOUSE_STATUS_TRANSITIONS: {
+    draft: ["available", "unlisted"],
+    available: ["reserved", "rented", "under_maintenance", "unlisted"],
+    reserved: ["available", "rented", "unlisted"],
+    rented: ["available", "under_maintenance"],
+    under_maintenance: ["available", "rented", "unlisted"],
+    unlisted: ["available", "draft"],
+  },
+  // Why a house changed status, recorded in its status history
+  HOUSE_STATUS_REASON: {
+    CREATED: "created",
+    LANDLORD_UPDATE: "landlord_update",
+    RENT_REQUEST_ACCEPTED: "rent_request_accepted",
+    RENT_REQUEST_REJECTED: "rent_request_rejected",
+    RENT_REQUEST_CANCELLED: "rent_request_cancelled",
+    MAINTENANCE_STARTED: "maintenance_started",
+    MAINTENANCE_FINISHED: "maintenance_finished",
+    ARCHIVED: "archived",
+    RESTORED: "restored",
+    PUBLISHED: "published",
+    LISTING_APPROVED: "listing_approved",
+    STALE_FLAGGED: "stale_flagged", // No landlord activity for too long; the landlord was asked to confirm
+    LISTING_CONFIRMED: "listing_confirmed", // The landlord confirmed a flagged listing is still available
+    STALE_UNLISTED: "stale_unlisted", // Unlisted automatically after the landlord did not confirm in time
+    LISTING_REMOVED: "listing_removed", // Unlisted by an admin after a duplicate flag or tenant report
+  },
+  // Review state of a listing submitted for publication when moderation is enabled
+  MODERATION_STATUS: {
+    NONE: "none",
+    PENDING: "pending",
+    APPROVED: "approved",
+    REJECTED: "rejected",
+  },
+  // Where an entry in the admin review queue of suspicious listings came from
+  LISTING_FLAG_SOURCE: {
+    DUPLICATE_DETECTION: "duplicate_detection", // Looks like a copy of another landlord's listing
+    TENANT_REPORT: "tenant_report",
+  },
+  // Why a listing was flagged; tenants pick one when reporting a listing
+  LISTING_FLAG_REASON: {
+    SCAM: "scam",
+    DUPLICATE: "duplicate",
+    MISLEADING: "misleading", // Photos, rent or details do not match the property
+    NOT_AVAILABLE: "not_available",
+    OFFENSIVE: "offensive",
+    OTHER: "other",
+  },
+  LISTING_FLAG_STATUS: {
+    OPEN: "open",
+    DISMISSED: "dismissed", // Reviewed; nothing wrong with the listing
+    ACTIONED: "actioned", // Reviewed; the listing was unlisted
+  },
+  HOUSE_SORT: {
+    NEWEST: "newest",
+    RENT_ASC: "rent_asc",
+    RENT_DESC: "rent_desc",
+    BEDROOMS: "bedrooms",
+    DISTANCE: "distance", // Requires a near=lat,lng reference point
+    RATING: "rating", // Highest average review rating first; unrated houses last
+  },
+  // Levels of the administrative location hierarchy, from the largest area to the smallest
+  LOCATION_LEVEL: {
+    PROVINCE: "province",
+    DISTRICT: "district",
+    SECTOR: "sector",
+    CELL: "cell",
+  },
+  // Currency that exchange rates are quoted in; amounts in other currencies are converted through it
+  BASE_CURRENCY: "RWF",
   PAYMENT_STATUS: {
     PENDING: "pending",
     PAID: "paid", // <--- Ensure this is present
@@ -25,6 +99,72 @@ module.exports = {
     ACCEPTED: "accepted",
     REJECTED: "rejected",
     CANCELLED: "cancelled",
+    EXPIRED: "expired", // The landlord did not respond by the request's deadline
+  },
+  // Terms proposed in a rent request's negotiation thread. Only the other party can accept or decline an
+  // open offer; proposing new terms instead counters it.
+  RENT_OFFER_STATUS: {
+    OPEN: "open",
+    ACCEPTED: "accepted",
+    COUNTERED: "countered",
+    DECLINED: "declined",
+    CLOSED: "closed", // Left unanswered when its rent request was accepted, rejected, cancelled or expired
+  },
+  // What a rental applicant does for a living
+  EMPLOYMENT_STATUS: {
+    EMPLOYED: "employed",
+    SELF_EMPLOYED: "self_employed",
+    STUDENT: "student",
+    UNEMPLOYED: "unemployed",
+    RETIRED: "retired",
+  },
+  // Files attached to a rental application
+  APPLICATION_DOCUMENT_TYPE: {
+    ID_DOCUMENT: "id_document",
+    PAYSLIP: "payslip",
+  },
+  // Outcome of a screening check, and of the screening as a whole (pass, review or fail)
+  SCREENING_RESULT: {
+    PASS: "pass",
+    REVIEW: "review", // Something the landlord should look at, but not a reason to reject on its own
+    FAIL: "fail",
+    UNKNOWN: "unknown", // Not enough information to tell
+  },
+
+  // Why a listing looks like it is underperforming, in landlord analytics
+  LISTING_INSIGHT: {
+    FEW_VIEWS: "few_views", // Few tenants see it: better photos or a clearer title may help
+    LOW_REQUEST_RATE: "low_request_rate", // Tenants look but rarely apply: the rent may be too high
+  },
+  LEASE_STATUS: {
+    DRAFT: "draft", // Generated from an accepted rent request; only the landlord sees it until it is sent
+    PENDING: "pending",
+    ACTIVE: "active",
+    COMPLETED: "completed", // The tenancy ended; the tenant may review the house
+    TERMINATED: "terminated",
+  },
+  // Visibility of a tenant review; admins hide reviews that break the content rules
+  REVIEW_STATUS: {
+    VISIBLE: "visible",
+    HIDDEN: "hidden",
+  },
+
+  EXPORT_DATASET: {
+    HOUSES: "houses",
+    TENANTS: "tenants",
+    LEASES: "leases",
+    PAYMENTS: "payments",
+  },
+  EXPORT_FORMAT: {
+    CSV: "csv",
+    XLSX_CSV: "xlsx", // CSV with a byte order mark and CRLF line endings, which Excel opens cleanly
+    JSON: "json",
+  },
+  EXPORT_JOB_STATUS: {
+    PENDING: "pending",
+    PROCESSING: "processing",
+    COMPLETED: "completed",
+    FAILED: "failed",
   },
 
   // Common Validation Error Messages
@@ -53,6 +193,27 @@ module.exports = {
     DATABASE_ERROR: "Database operation failed.",
   },
 
+  NOTIFICATION_TYPE: {
+    FAVORITE_RENT_CHANGED: "favorite_rent_changed", // A saved house changed its rent
+    FAVORITE_AVAILABLE: "favorite_available", // A saved house is available again
+    SAVED_SEARCH_MATCH: "saved_search_match", // A new or re-listed house matches a saved search
+    EXPORT_READY: "export_ready", // A background export finished and can be downloaded
+    EXPORT_FAILED: "export_failed", // A background export could not be generated
+    LISTING_APPROVED: "listing_approved", // A moderator approved and published a listing
+    LISTING_REJECTED: "listing_rejected", // A moderator rejected a listing, with a reason
+    REVIEW_RECEIVED: "review_received", // A former tenant reviewed one of the landlord's houses
+    LISTING_STALE: "listing_stale", // A listing had no landlord activity for too long and must be confirmed
+    LISTING_EXPIRED: "listing_expired", // A stale listing was unlisted because it was not confirmed
+    LISTING_REMOVED: "listing_removed", // An admin unlisted a listing after reviewing flags or reports on it
+    LEASE_SENT: "lease_sent", // A landlord sent a lease to the tenant to review
+    RENT_OFFER_RECEIVED: "rent_offer_received", // The other party proposed or countered terms on a rent request
+    RENT_OFFER_ACCEPTED: "rent_offer_accepted", // The other party accepted the proposed terms
+    RENT_OFFER_DECLINED: "rent_offer_declined", // The other party declined the proposed terms
+    RENT_REQUEST_DEADLINE_SOON: "rent_request_deadline_soon", // A pending rent request expires soon unless the landlord responds
+    RENT_REQUEST_EXPIRED: "rent_request_expired", // A rent request expired because the landlord did not respond in time
+    RENT_REQUEST_REJECTED: "rent_request_rejected", // A pending rent request was rejected because the house was rented to another applicant
+  },
+
   REMINDER_TYPE: {
     PAYMENT_DUE: "payment_due",
     PAYMENT_OVERDUE: "payment_overdue", // <--- ONLY THIS ONE
@@ -82,5 +243,13 @@ module.exports = {
     TENANT_NOT_FOUND: "TENANT_NOT_FOUND",
     LEASE_NOT_FOUND: "LEASE_NOT_FOUND",
     MAINTENANCE_REQUEST_NOT_FOUND: "MAINTENANCE_REQUEST_NOT_FOUND", // <--- ADD THIS
+    FAVORITE_NOT_FOUND: "FAVORITE_NOT_FOUND",
+    SAVED_SEARCH_NOT_FOUND: "SAVED_SEARCH_NOT_FOUND",
+    EXPORT_NOT_FOUND: "EXPORT_NOT_FOUND",
+    REVIEW_NOT_FOUND: "REVIEW_NOT_FOUND",
+    LOCATION_NOT_FOUND: "LOCATION_NOT_FOUND",
+    LISTING_FLAG_NOT_FOUND: "LISTING_FLAG_NOT_FOUND",
+    RENT_REQUEST_DOCUMENT_NOT_FOUND: "RENT_REQUEST_DOCUMENT_NOT_FOUND",
+    RENT_OFFER_NOT_FOUND: "RENT_OFFER_NOT_FOUND",
   },
 };
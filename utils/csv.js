@@ -0,0 +1,97 @@
+// utils/csv.js
+
+/**
+ * Parses CSV text (RFC 4180: comma separated, double-quoted fields, "" for a literal quote) into rows of cells.
+ * @param {string} text - The CSV content.
+ * @returns {string[][]} The rows, each an array of cell values. Blank lines are skipped.
+ */
+const parseCsvRows = (text) => {
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let inQuotes = false;
+  const input = String(text).replace(/^\uFEFF/, ""); // Strip a UTF-8 byte order mark
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ",") {
+      row.push(cell);
+      cell = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && input[i + 1] === "\n") i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = "";
+    } else {
+      cell += char;
+    }
+  }
+  if (inQuotes) {
+    throw new Error("Malformed CSV: a quoted field is not closed.");
+  }
+  if (cell !== "" || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  return rows.filter((cells) => cells.some((value) => value.trim() !== ""));
+};
+
+/**
+ * Parses CSV text whose first row is a header into one object per data row.
+ * @param {string} text - The CSV content.
+ * @returns {Object<string, string>[]} One object per data row, keyed by the trimmed header names.
+ */
+const parseCsv = (text) => {
+  const [header, ...rows] = parseCsvRows(text);
+  if (!header) return [];
+  const columns = header.map((name) => name.trim());
+  return rows.map((cells) =>
+    Object.fromEntries(
+      columns.map((column, index) => [column, (cells[index] || "").trim()])
+    )
+  );
+};
+
+/**
+ * Formats one value as a CSV cell, quoting it when needed.
+ * Text that a spreadsheet would run as a formula (starting with =, +, -, @) is prefixed with an apostrophe.
+ * @param {*} value - The cell value. Dates are written as ISO 8601; null and undefined as an empty cell.
+ * @returns {string} The CSV cell.
+ */
+const formatCsvCell = (value) => {
+  if (value === null || value === undefined) return "";
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (/^[=+\-@]/.test(text) && isNaN(Number(text))) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Formats a row of values as a CSV line.
+ * @param {Array} values - The cell values.
+ * @param {string} [lineEnding="\n"] - The line terminator.
+ * @returns {string} The CSV line, including the terminator.
+ */
+const formatCsvRow = (values, lineEnding = "\n") =>
+  values.map(formatCsvCell).join(",") + lineEnding;
+
+module.exports = {
+  parseCsvRows,
+  parseCsv,
+  formatCsvCell,
+  formatCsvRow,
+};
@@ -0,0 +1,54 @@
+// utils/currency.js
+const ExchangeRate = require("../models/ExchangeRate");
+const { BASE_CURRENCY } = require("./constants");
+
+// The base currency, in the { code, rate } shape resolveCurrency returns
+const BASE = Object.freeze({ code: BASE_CURRENCY, rate: 1 });
+
+/**
+ * Looks up a currency in the exchange-rate table.
+ * @param {*} value - The raw currency code (case-insensitive).
+ * @param {string} field - Name of the field holding the code, for the validation message.
+ * @returns {Promise<{currency: {code: string, rate: number}}|{error: string}>} The currency with its rate to BASE_CURRENCY, or a validation message.
+ */
+const resolveCurrency = async (value, field) => {
+  const code = typeof value === "string" ? value.trim().toUpperCase() : "";
+  if (!/^[A-Z]{3}$/.test(code)) {
+    return {
+      error: `${field} must be a three-letter currency code (e.g. ${BASE_CURRENCY} or USD).`,
+    };
+  }
+  const exchangeRate = await ExchangeRate.findByCurrency(code);
+  if (!exchangeRate) {
+    return {
+      error: `Unsupported currency: ${code}. An administrator must set its exchange rate first.`,
+    };
+  }
+  return { currency: { code, rate: Number(exchangeRate.rate_to_base) } };
+};
+
+/**
+ * Rate to multiply an amount in one currency by to get it in another.
+ * @param {{rate: number}} from - The currency of the amount.
+ * @param {{rate: number}} to - The currency wanted.
+ * @returns {number} The exchange rate, to 8 decimal places.
+ */
+const getExchangeRate = (from, to) =>
+  Math.round((from.rate / to.rate) * 1e8) / 1e8;
+
+/**
+ * Converts an amount from one currency to another.
+ * @param {number|string} amount - The amount.
+ * @param {{rate: number}} from - The currency of the amount.
+ * @param {{rate: number}} to - The currency wanted.
+ * @returns {number} The converted amount, rounded to 2 decimal places.
+ */
+const convertAmount = (amount, from, to) =>
+  Math.round(((parseFloat(amount) * from.rate) / to.rate) * 100) / 100;
+
+module.exports = {
+  BASE,
+  resolveCurrency,
+  getExchangeRate,
+  convertAmount,
+};
@@ -0,0 +1,106 @@
+// utils/dateRange.js
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Validates an optional YYYY-MM-DD date.
+ * @param {string} [value] - The raw query value.
+ * @returns {boolean} True if the value is missing or a real calendar date.
+ */
+const isValidDateOnly = (value) => {
+  if (value === undefined) return true;
+  if (!DATE_PATTERN.test(value)) return false;
+  // Impossible dates (e.g., 2026-02-31) parse, rolled over into the next month, so the date must read back the same
+  const date = new Date(`${value}T00:00:00Z`);
+  return !isNaN(date.getTime()) && toDateOnly(date) === value;
+};
+
+/**
+ * Validates the ?from=&to= date range of a report query (YYYY-MM-DD, both inclusive, both optional).
+ * @param {{from: string, to: string}} query - The raw query values.
+ * @returns {{range: {from?: string, to?: string}}|{error: string}} The range with only the given bounds, or a validation message.
+ */
+const parseDateRange = ({ from, to }) => {
+  if (!isValidDateOnly(from) || !isValidDateOnly(to)) {
+    return { error: "from and to must be dates in YYYY-MM-DD format." };
+  }
+  if (from && to && from > to) {
+    return { error: "from must not be after to." };
+  }
+  const range = {};
+  if (from) range.from = from;
+  if (to) range.to = to;
+  return { range };
+};
+
+/**
+ * Formats a date as YYYY-MM-DD (UTC).
+ * @param {Date} date - The date.
+ * @returns {string} The formatted date.
+ */
+const toDateOnly = (date) => date.toISOString().slice(0, 10);
+
+/**
+ * Formats a DATE column value as YYYY-MM-DD. mysql2 reads DATE columns as local midnight, so the
+ * local calendar date is the stored one.
+ * @param {Date|string|null} value - The column value.
+ * @returns {string|null} The formatted date, or null if there is none.
+ */
+const formatDbDate = (value) => {
+  if (!value) return null;
+  if (!(value instanceof Date)) return String(value).slice(0, 10);
+  const pad = (number) => String(number).padStart(2, "0");
+  return `${value.getFullYear()}-${pad(value.getMonth() + 1)}-${pad(
+    value.getDate()
+  )}`;
+};
+
+/**
+ * Adds calendar months to a date, keeping the day of the month where it exists (Jan 31 + 1 month is Feb 28/29).
+ * @param {string} date - The date (YYYY-MM-DD).
+ * @param {number} months - Months to add.
+ * @returns {string} The new date (YYYY-MM-DD).
+ */
+const addMonths = (date, months) => {
+  const [year, month, day] = date.split("-").map(Number);
+  const lastDay = new Date(Date.UTC(year, month - 1 + months + 1, 0));
+  return toDateOnly(
+    new Date(
+      Date.UTC(
+        lastDay.getUTCFullYear(),
+        lastDay.getUTCMonth(),
+        Math.min(day, lastDay.getUTCDate())
+      )
+    )
+  );
+};
+
+/**
+ * Builds the SQL conditions that keep a DATE or TIMESTAMP column within a date range.
+ * @param {string} column - The column to filter.
+ * @param {{from: string, to: string}} [range] - Optional range (YYYY-MM-DD, both inclusive).
+ * @returns {{conditions: string[], params: string[]}} Conditions to AND together, and their parameters.
+ */
+const buildDateRangeConditions = (column, { from, to } = {}) => {
+  const conditions = [];
+  const params = [];
+  if (from) {
+    conditions.push(`${column} >= ?`);
+    params.push(from);
+  }
+  if (to) {
+    // Before the day after `to`, so TIMESTAMP columns include the whole last day
+    conditions.push(`${column} < DATE_ADD(?, INTERVAL 1 DAY)`);
+    params.push(to);
+  }
+  return { conditions, params };
+};
+
+module.exports = {
+  isValidDateOnly,
+  parseDateRange,
+  toDateOnly,
+  formatDbDate,
+  addMonths,
+  buildDateRangeConditions,
+};
@@ -0,0 +1,95 @@
+// utils/geo.js
+
+const EARTH_RADIUS_KM = 6371;
+
+const isValidLatitude = (lat) =>
+  typeof lat === "number" && !isNaN(lat) && lat >= -90 && lat <= 90;
+
+const isValidLongitude = (lng) =>
+  typeof lng === "number" && !isNaN(lng) && lng >= -180 && lng <= 180;
+
+/**
+ * Parses a "lat,lng" string (e.g., from ?near=-1.9441,30.0619).
+ * @param {string} value - The raw coordinate pair.
+ * @returns {{lat: number, lng: number}|null} The parsed coordinates, or null if invalid.
+ */
+const parseCoordinatePair = (value) => {
+  const parts = String(value).split(",");
+  if (parts.length !== 2) return null;
+  const lat = parseFloat(parts[0]);
+  const lng = parseFloat(parts[1]);
+  if (!isValidLatitude(lat) || !isValidLongitude(lng)) return null;
+  return { lat, lng };
+};
+
+/**
+ * Parses a "minLat,minLng,maxLat,maxLng" string (e.g., from ?bbox=-1.99,30.03,-1.92,30.13).
+ * @param {string} value - The raw bounding box.
+ * @returns {{minLat: number, minLng: number, maxLat: number, maxLng: number}|null} The parsed box, or null if invalid.
+ */
+const parseBoundingBox = (value) => {
+  const parts = String(value).split(",").map(parseFloat);
+  if (parts.length !== 4) return null;
+  const [minLat, minLng, maxLat, maxLng] = parts;
+  if (
+    !isValidLatitude(minLat) ||
+    !isValidLatitude(maxLat) ||
+    !isValidLongitude(minLng) ||
+    !isValidLongitude(maxLng) ||
+    minLat > maxLat ||
+    minLng > maxLng
+  ) {
+    return null;
+  }
+  return { minLat, minLng, maxLat, maxLng };
+};
+
+/**
+ * Computes the bounding box that encloses a circle on the earth's surface.
+ * Used as a cheap, index-friendly pre-filter before the exact distance check.
+ * @param {number} lat - Latitude of the centre.
+ * @param {number} lng - Longitude of the centre.
+ * @param {number} radiusKm - Radius of the circle in kilometres.
+ * @returns {{minLat: number, minLng: number, maxLat: number, maxLng: number}} The enclosing box.
+ */
+const getBoundingBox = (lat, lng, radiusKm) => {
+  const latDelta = (radiusKm / EARTH_RADIUS_KM) * (180 / Math.PI);
+  const cosLat = Math.cos((lat * Math.PI) / 180);
+  // Near the poles a degree of longitude shrinks to nothing, so don't restrict longitude there
+  const lngDelta = cosLat > 1e-6 ? Math.min(180, latDelta / cosLat) : 180;
+  return {
+    minLat: Math.max(-90, lat - latDelta),
+    maxLat: Math.min(90, lat + latDelta),
+    minLng: Math.max(-180, lng - lngDelta),
+    maxLng: Math.min(180, lng + lngDelta),
+  };
+};
+
+/**
+ * Computes the great-circle (haversine) distance between two points.
+ * Matches the DISTANCE_SQL expression used by the House model.
+ * @param {number} lat1 - Latitude of the first point.
+ * @param {number} lng1 - Longitude of the first point.
+ * @param {number} lat2 - Latitude of the second point.
+ * @param {number} lng2 - Longitude of the second point.
+ * @returns {number} The distance in kilometres.
+ */
+const getDistanceKm = (lat1, lng1, lat2, lng2) => {
+  const toRadians = (deg) => (deg * Math.PI) / 180;
+  const cosAngle =
+    Math.cos(toRadians(lat1)) *
+      Math.cos(toRadians(lat2)) *
+      Math.cos(toRadians(lng2) - toRadians(lng1)) +
+    Math.sin(toRadians(lat1)) * Math.sin(toRadians(lat2));
+  return EARTH_RADIUS_KM * Math.acos(Math.min(1, cosAngle));
+};
+
+module.exports = {
+  EARTH_RADIUS_KM,
+  isValidLatitude,
+  isValidLongitude,
+  parseCoordinatePair,
+  parseBoundingBox,
+  getBoundingBox,
+  getDistanceKm,
+};
@@ -27,3 +27,18 @@ exports.sendErrorResponse = (res, statusCode, message, errorDetails = null) => {
     error: errorDetails,
   });
 };
+
+/**
+ * Builds a Content-Disposition header that downloads a file under the given name. Header values must be
+ * Latin-1, so the name is sent as an ASCII fallback plus its UTF-8 form (RFC 6266), which browsers prefer.
+ * @param {string} fileName - The file name, in any script.
+ * @returns {string} The header value.
+ */
+exports.buildAttachmentDisposition = (fileName) => {
+  const fallback = fileName.replace(/[^\x20-\x7e]/g, "_").replace(/["\\]/g, "");
+  const encoded = encodeURIComponent(fileName).replace(
+    /['()*]/g,
+    (char) => `%${char.charCodeAt(0).toString(16).toUpperCase()}`
+  );
+  return `attachment; filename="${fallback}"; filename*=UTF-8''${encoded}`;
+};
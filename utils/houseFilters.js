@@ -0,0 +1,272 @@
+// utils/houseFilters.js
+const Amenity = require("../models/Amenity");
+const Location = require("../models/Location");
+const { tokenizeQuery } = require("./search");
+const { resolveCurrency } = require("./currency");
+const {
+  parseCoordinatePair,
+  parseBoundingBox,
+  getDistanceKm,
+} = require("./geo");
+const { HOUSE_STATUS } = require("./constants");
+
+/**
+ * Looks up amenity codes in the catalogue.
+ * @param {string[]|string} codes - Amenity codes, as an array or a comma-separated string.
+ * @returns {Promise<{amenities: Array, unknown: string[]}>} The matching amenities and any codes not in the catalogue.
+ */
+const resolveAmenityCodes = async (codes) => {
+  const list = (Array.isArray(codes) ? codes : String(codes).split(","))
+    .map((code) => String(code).trim().toLowerCase())
+    .filter((code) => code.length > 0);
+  const uniqueCodes = [...new Set(list)];
+  const amenities = await Amenity.findByCodes(uniqueCodes);
+  const known = amenities.map((amenity) => amenity.code);
+  return {
+    amenities,
+    unknown: uniqueCodes.filter((code) => !known.includes(code)),
+  };
+};
+
+/**
+ * Looks up a location in the location hierarchy.
+ * @param {*} value - The raw location ID.
+ * @param {string} field - Name of the field holding the ID, for the validation message.
+ * @returns {Promise<{location: object}|{error: string}>} The location summary, or a validation message.
+ */
+const resolveLocationId = async (value, field) => {
+  const id = Number(value);
+  if (!Number.isInteger(id) || id <= 0) {
+    return { error: `${field} must be a positive integer.` };
+  }
+  const location = await Location.findById(id);
+  if (!location) {
+    return { error: `Location with ID ${id} does not exist.` };
+  }
+  return { location };
+};
+
+/**
+ * Validates the filter parameters of a house listing query (GET /api/houses).
+ * @param {object} query - Raw filter values (q, near, radiusKm, bbox, amenities, buildingId, locationId, status, minRent, maxRent, currency, bedrooms, bathrooms, is_active).
+ * @returns {Promise<{filters: object}|{error: string}>} Filter options for House.findAll, or a validation message.
+ */
+const parseHouseFilters = async (query) => {
+  const {
+    status,
+    minRent,
+    maxRent,
+    bedrooms,
+    bathrooms,
+    is_active,
+    q,
+    near,
+    radiusKm,
+    bbox,
+    amenities,
+    buildingId,
+    locationId,
+    currency,
+  } = query;
+
+  const filterOptions = {};
+  if (q !== undefined) {
+    const keywords = String(q).trim();
+    if (keywords.length < 2 || keywords.length > 200) {
+      return { error: "q must be between 2 and 200 characters." };
+    }
+    filterOptions.q = keywords;
+  }
+  if (near !== undefined) {
+    const point = parseCoordinatePair(near);
+    if (!point) {
+      return {
+        error:
+          'near must be a "lat,lng" pair with a valid latitude and longitude.',
+      };
+    }
+    filterOptions.near = point;
+  }
+  if (radiusKm !== undefined) {
+    const parsedRadius = parseFloat(radiusKm);
+    if (!filterOptions.near) {
+      return { error: "radiusKm requires a near=lat,lng reference point." };
+    }
+    if (isNaN(parsedRadius) || parsedRadius <= 0 || parsedRadius > 500) {
+      return {
+        error: "radiusKm must be a positive number no greater than 500.",
+      };
+    }
+    filterOptions.radiusKm = parsedRadius;
+  }
+  if (bbox !== undefined) {
+    const box = parseBoundingBox(bbox);
+    if (!box) {
+      return {
+        error:
+          'bbox must be "minLat,minLng,maxLat,maxLng" with min values not greater than max values.',
+      };
+    }
+    filterOptions.bbox = box;
+  }
+  if (amenities !== undefined) {
+    const { amenities: found, unknown } = await resolveAmenityCodes(amenities);
+    if (unknown.length > 0) {
+      return { error: `Unknown amenities: ${unknown.join(", ")}` };
+    }
+    filterOptions.amenityIds = found.map((amenity) => amenity.id);
+  }
+  if (buildingId !== undefined) {
+    const parsedBuildingId = parseInt(buildingId);
+    if (isNaN(parsedBuildingId) || parsedBuildingId <= 0) {
+      return { error: "buildingId must be a positive integer." };
+    }
+    filterOptions.buildingId = parsedBuildingId;
+  }
+  if (locationId !== undefined) {
+    // A province, district, sector or cell; houses anywhere inside it match
+    const { location, error } = await resolveLocationId(
+      locationId,
+      "locationId"
+    );
+    if (error) return { error };
+    filterOptions.location = { id: location.id, level: location.level };
+  }
+  if (status) {
+    if (!Object.values(HOUSE_STATUS).includes(status)) {
+      return {
+        error: `Invalid status provided. Allowed values: ${Object.values(
+          HOUSE_STATUS
+        ).join(", ")}`,
+      };
+    }
+    filterOptions.status = status;
+  }
+  if (currency !== undefined) {
+    // The display currency: minRent and maxRent are given in it
+    const { currency: found, error } = await resolveCurrency(
+      currency,
+      "currency"
+    );
+    if (error) return { error };
+    filterOptions.currency = found;
+  }
+  if (minRent !== undefined) {
+    const parsedMinRent = parseFloat(minRent);
+    if (isNaN(parsedMinRent) || parsedMinRent < 0) {
+      return { error: "minRent must be a non-negative number." };
+    }
+    filterOptions.minRent = parsedMinRent;
+  }
+  if (maxRent !== undefined) {
+    const parsedMaxRent = parseFloat(maxRent);
+    if (isNaN(parsedMaxRent) || parsedMaxRent < 0) {
+      return { error: "maxRent must be a non-negative number." };
+    }
+    filterOptions.maxRent = parsedMaxRent;
+  }
+  if (bedrooms !== undefined) {
+    const parsedBedrooms = parseInt(bedrooms);
+    if (isNaN(parsedBedrooms) || parsedBedrooms < 0) {
+      return { error: "bedrooms must be a non-negative integer." };
+    }
+    filterOptions.bedrooms = parsedBedrooms;
+  }
+  if (bathrooms !== undefined) {
+    const parsedBathrooms = parseInt(bathrooms);
+    if (isNaN(parsedBathrooms) || parsedBathrooms < 0) {
+      return { error: "bathrooms must be a non-negative integer." };
+    }
+    filterOptions.bathrooms = parsedBathrooms;
+  }
+  if (is_active !== undefined) {
+    if (is_active !== "true" && is_active !== "false") {
+      return { error: 'is_active must be "true" or "false".' };
+    }
+    filterOptions.is_active = is_active === "true";
+  }
+
+  return { filters: filterOptions };
+};
+
+/**
+ * Checks a single house against parsed listing filters, mirroring what House.findAll would return.
+ * Keyword filters match when any keyword appears in the title, description or address.
+ * @param {object} house - The house, as returned by House.findById (with `amenities` and `location`).
+ * @param {object} filters - Filters produced by parseHouseFilters.
+ * @returns {boolean} True if the house satisfies every filter.
+ */
+const matchesHouseFilters = (house, filters) => {
+  // Rents are compared in BASE_CURRENCY, like House.findAll does
+  const rent = parseFloat(house.rent_amount_base);
+  const rentRate = filters.currency ? filters.currency.rate : 1;
+  if (filters.status && house.status !== filters.status) return false;
+  if (filters.minRent !== undefined && rent < filters.minRent * rentRate) {
+    return false;
+  }
+  if (filters.maxRent !== undefined && rent > filters.maxRent * rentRate) {
+    return false;
+  }
+  if (filters.bedrooms !== undefined && house.bedrooms !== filters.bedrooms) {
+    return false;
+  }
+  if (
+    filters.bathrooms !== undefined &&
+    house.bathrooms !== filters.bathrooms
+  ) {
+    return false;
+  }
+  if (
+    filters.is_active !== undefined &&
+    Boolean(house.is_active) !== filters.is_active
+  ) {
+    return false;
+  }
+  if (filters.q) {
+    const text = [house.title, house.description, house.address]
+      .join(" ")
+      .toLowerCase();
+    if (!tokenizeQuery(filters.q).some((term) => text.includes(term))) {
+      return false;
+    }
+  }
+
+  const hasLocation = house.latitude !== null && house.longitude !== null;
+  const lat = parseFloat(house.latitude);
+  const lng = parseFloat(house.longitude);
+  if (filters.radiusKm !== undefined) {
+    if (!hasLocation) return false;
+    const distance = getDistanceKm(
+      filters.near.lat,
+      filters.near.lng,
+      lat,
+      lng
+    );
+    if (distance > filters.radiusKm) return false;
+  }
+  if (filters.bbox) {
+    const { minLat, minLng, maxLat, maxLng } = filters.bbox;
+    if (!hasLocation) return false;
+    if (lat < minLat || lat > maxLat || lng < minLng || lng > maxLng) {
+      return false;
+    }
+  }
+  if (filters.location) {
+    const area = house.location && house.location[filters.location.level];
+    if (!area || area.id !== filters.location.id) return false;
+  }
+  if (filters.amenityIds && filters.amenityIds.length > 0) {
+    const houseAmenityIds = (house.amenities || []).map((a) => a.id);
+    if (!filters.amenityIds.every((id) => houseAmenityIds.includes(id))) {
+      return false;
+    }
+  }
+  return true;
+};
+
+module.exports = {
+  resolveAmenityCodes,
+  resolveLocationId,
+  parseHouseFilters,
+  matchesHouseFilters,
+};
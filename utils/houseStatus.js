@@ -0,0 +1,110 @@
+// utils/houseStatus.js
+const { ROLE, HOUSE_STATUS, HOUSE_STATUS_TRANSITIONS } = require("./constants");
+
+// What a draft needs before it can be published
+const MIN_PUBLISH_DESCRIPTION_LENGTH = 50;
+const MIN_PUBLISH_PHOTOS = 1;
+
+/**
+ * Checks whether the house state machine allows moving from one status to another.
+ * @param {string} fromStatus - The current status.
+ * @param {string} toStatus - The requested status.
+ * @returns {boolean} True if the transition is allowed.
+ */
+const canTransitionHouseStatus = (fromStatus, toStatus) =>
+  (HOUSE_STATUS_TRANSITIONS[fromStatus] || []).includes(toStatus);
+
+/**
+ * Validates a status change requested directly by a landlord (PUT /api/houses/:id).
+ * Tenants are assigned and released by the rent request flow, so a landlord may only
+ * resume or pause an existing tenancy, never start or end one by hand.
+ * @param {object} house - The house, with its current `status` and `tenant_id`.
+ * @param {string} toStatus - The requested status.
+ * @returns {string|null} Why the change is not allowed, or null if it is.
+ */
+const getManualStatusChangeError = (house, toStatus) => {
+  if (!canTransitionHouseStatus(house.status, toStatus)) {
+    return `Cannot change house status from ${house.status} to ${toStatus}.`;
+  }
+  if (
+    house.status === HOUSE_STATUS.DRAFT &&
+    toStatus === HOUSE_STATUS.AVAILABLE
+  ) {
+    return "Drafts go live through the publish action (POST /api/houses/:id/publish).";
+  }
+  if (!house.published_at && toStatus !== HOUSE_STATUS.DRAFT) {
+    return "This listing has never been published. Move it back to draft and publish it.";
+  }
+  if (toStatus === HOUSE_STATUS.RENTED && !house.tenant_id) {
+    return "Houses become rented by accepting a rent request.";
+  }
+  if (
+    house.tenant_id &&
+    toStatus !== HOUSE_STATUS.RENTED &&
+    toStatus !== HOUSE_STATUS.UNDER_MAINTENANCE
+  ) {
+    return "This house has a tenant. Release the tenant through their rent request first.";
+  }
+  return null;
+};
+
+/**
+ * Lists what a draft is missing before it can be published.
+ * @param {object} house - The house, with its `images` gallery.
+ * @returns {string[]} The problems to fix; empty if the listing is complete.
+ */
+const getPublishBlockers = (house) => {
+  const blockers = [];
+  if (!house.title || !house.title.trim()) {
+    blockers.push("Add a title.");
+  }
+  if (!house.address || !house.address.trim()) {
+    blockers.push("Add an address.");
+  }
+  if (
+    !house.description ||
+    house.description.trim().length < MIN_PUBLISH_DESCRIPTION_LENGTH
+  ) {
+    blockers.push(
+      `The description must be at least ${MIN_PUBLISH_DESCRIPTION_LENGTH} characters.`
+    );
+  }
+  if (!(parseFloat(house.rent_amount) > 0)) {
+    blockers.push("Set a rent amount greater than zero.");
+  }
+  const photoCount = (house.images || []).length || (house.image_url ? 1 : 0);
+  if (photoCount < MIN_PUBLISH_PHOTOS) {
+    blockers.push(`Add at least ${MIN_PUBLISH_PHOTOS} photo.`);
+  }
+  return blockers;
+};
+
+/**
+ * Checks whether a house is published and can be shown to the public. Unlisted houses (taken down
+ * by an admin or for going stale) are hidden until the landlord lists them again.
+ * @param {object} house - The house, with `status`, `published_at` and `archived_at`.
+ * @returns {boolean} True if the house is a live listing.
+ */
+const isPublishedHouse = (house) =>
+  !!house.published_at &&
+  house.status !== HOUSE_STATUS.DRAFT &&
+  house.status !== HOUSE_STATUS.UNLISTED &&
+  !house.archived_at;
+
+/**
+ * Checks whether a user may see a house: anyone for published listings, only its landlord and admins otherwise.
+ * @param {object} house - The house.
+ * @param {object} [user] - The authenticated user (req.user), if any.
+ * @returns {boolean} True if the house may be shown.
+ */
+const canViewHouse = (house, user) =>
+  isPublishedHouse(house) ||
+  (!!user && (user.role === ROLE.ADMIN || user.id === house.landlord_id));
+
+module.exports = {
+  canTransitionHouseStatus,
+  getManualStatusChangeError,
+  getPublishBlockers,
+  isPublishedHouse,
+  canViewHouse,
+};
@@ -0,0 +1,213 @@
+// utils/houseValidation.js
+const Building = require("../models/Building");
+const { isValidLatitude, isValidLongitude } = require("./geo");
+const { BASE, resolveCurrency } = require("./currency");
+const { resolveAmenityCodes, resolveLocationId } = require("./houseFilters");
+const { AuthenticationError, ValidationError } = require("./constants");
+
+const MAX_UNIT_LABEL_LENGTH = 50;
+
+const invalid = (statusCode, type, message) => ({
+  error: { statusCode, type, message },
+});
+
+/**
+ * Validates the fields of a new house listing, as sent to POST /api/houses or in a bulk import row.
+ * Units of a building inherit the building's address, coordinates and location.
+ * @param {object} input - Raw listing fields (title, description, address, rent_amount, currency, bedrooms, bathrooms, image_url, rental_start_date, latitude, longitude, location_id, amenities, building_id, unit_label).
+ * @param {number} landlordId - The ID of the landlord creating the listing.
+ * @returns {Promise<{house: object, amenityIds: number[]}|{error: {statusCode: number, type: string, message: string}}>} Data for House.create and the amenity IDs to link, or the first validation error.
+ */
+const validateNewHouse = async (input, landlordId) => {
+  const {
+    title,
+    description,
+    address,
+    rent_amount,
+    currency,
+    bedrooms,
+    bathrooms,
+    image_url,
+    rental_start_date,
+    latitude,
+    longitude,
+    location_id,
+    amenities,
+    building_id,
+    unit_label,
+  } = input;
+
+  // A unit of a building inherits the building's address and coordinates
+  let building = null;
+  if (building_id !== undefined && building_id !== null) {
+    building = await Building.findById(building_id);
+    if (!building) {
+      return invalid(
+        404,
+        "Building Not Found",
+        `Building with ID ${building_id} does not exist.`
+      );
+    }
+    if (building.landlord_id !== landlordId) {
+      return invalid(
+        403,
+        AuthenticationError.FORBIDDEN,
+        "You can only add units to your own buildings."
+      );
+    }
+    if (!unit_label || String(unit_label).length > MAX_UNIT_LABEL_LENGTH) {
+      return invalid(
+        400,
+        ValidationError.INVALID_INPUT,
+        `Units of a building require a unit_label of at most ${MAX_UNIT_LABEL_LENGTH} characters.`
+      );
+    }
+  }
+
+  // Basic validation for required fields
+  if (
+    !title ||
+    !description ||
+    (!address && !building) ||
+    !rent_amount ||
+    !bedrooms ||
+    !bathrooms
+  ) {
+    return invalid(
+      400,
+      ValidationError.MISSING_REQUIRED_FIELDS,
+      "Title, description, address, rent amount, bedrooms, and bathrooms are required."
+    );
+  }
+
+  // Validate numeric fields
+  if (isNaN(parseFloat(rent_amount)) || parseFloat(rent_amount) <= 0) {
+    return invalid(
+      400,
+      ValidationError.INVALID_INPUT,
+      "Rent amount must be a positive number."
+    );
+  }
+  // The rent is in BASE_CURRENCY unless another supported currency is given
+  let currencyCode = BASE.code;
+  if (currency !== undefined && currency !== null) {
+    const { currency: found, error } = await resolveCurrency(
+      currency,
+      "currency"
+    );
+    if (error) {
+      return invalid(400, ValidationError.INVALID_INPUT, error);
+    }
+    currencyCode = found.code;
+  }
+  if (isNaN(parseInt(bedrooms)) || parseInt(bedrooms) < 0) {
+    return invalid(
+      400,
+      ValidationError.INVALID_INPUT,
+      "Bedrooms must be a non-negative integer."
+    );
+  }
+  if (isNaN(parseInt(bathrooms)) || parseInt(bathrooms) < 0) {
+    return invalid(
+      400,
+      ValidationError.INVALID_INPUT,
+      "Bathrooms must be a non-negative integer."
+    );
+  }
+
+  // Validate optional date format if provided
+  if (rental_start_date && isNaN(new Date(rental_start_date).getTime())) {
+    return invalid(
+      400,
+      ValidationError.INVALID_INPUT,
+      "Invalid rental_start_date format. Please use a valid date string (e.g., YYYY-MM-DD or ISO 8601)."
+    );
+  }
+
+  // Validate optional coordinates; they must be provided together
+  const hasLatitude = latitude !== undefined && latitude !== null;
+  const hasLongitude = longitude !== undefined && longitude !== null;
+  if (hasLatitude !== hasLongitude) {
+    return invalid(
+      400,
+      ValidationError.INVALID_INPUT,
+      "Latitude and longitude must be provided together."
+    );
+  }
+  if (
+    hasLatitude &&
+    (!isValidLatitude(parseFloat(latitude)) ||
+      !isValidLongitude(parseFloat(longitude)))
+  ) {
+    return invalid(
+      400,
+      ValidationError.INVALID_INPUT,
+      "Latitude must be between -90 and 90 and longitude between -180 and 180."
+    );
+  }
+
+  // Validate the optional location against the location hierarchy
+  let locationId = building ? building.location_id : null;
+  if (!building && location_id !== undefined && location_id !== null) {
+    const { location, error } = await resolveLocationId(
+      location_id,
+      "location_id"
+    );
+    if (error) {
+      return invalid(400, ValidationError.INVALID_INPUT, error);
+    }
+    locationId = location.id;
+  }
+
+  // Validate optional amenities against the catalogue
+  let amenityIds = [];
+  if (amenities !== undefined) {
+    if (!Array.isArray(amenities)) {
+      return invalid(
+        400,
+        ValidationError.INVALID_INPUT,
+        "Amenities must be an array of amenity codes."
+      );
+    }
+    const { amenities: found, unknown } = await resolveAmenityCodes(amenities);
+    if (unknown.length > 0) {
+      return invalid(
+        400,
+        ValidationError.INVALID_INPUT,
+        `Unknown amenities: ${unknown.join(", ")}`
+      );
+    }
+    amenityIds = found.map((amenity) => amenity.id);
+  }
+
+  const coordinates = hasLatitude
+    ? { latitude: parseFloat(latitude), longitude: parseFloat(longitude) }
+    : {
+        latitude: building ? building.latitude : null,
+        longitude: building ? building.longitude : null,
+      };
+
+  return {
+    house: {
+      landlord_id: landlordId,
+      title,
+      description,
+      address: building ? building.address : address,
+      rent_amount,
+      currency: currencyCode,
+      bedrooms,
+      bathrooms,
+      image_url,
+      rental_start_date,
+      ...coordinates,
+      location_id: locationId,
+      building_id: building ? building.id : null,
+      unit_label: building ? unit_label : null,
+    },
+    amenityIds,
+  };
+};
+
+module.exports = {
+  validateNewHouse,
+};
@@ -0,0 +1,107 @@
+// utils/leaseDraft.js
+const { addMonths, formatDbDate, toDateOnly } = require("./dateRange");
+
+const DEFAULT_LEASE_MONTHS = 12;
+const MAX_LEASE_MONTHS = 60;
+const DEFAULT_LEASE_TERMS =
+  "Rent is due monthly on the same day of the month as the lease start date. The landlord will complete these terms before sending the lease.";
+
+/**
+ * The terms a rent request starts from before anyone proposes others: the house's rent and currency,
+ * the requested move-in date (or today, if that has passed), DEFAULT_LEASE_MONTHS and one month's deposit.
+ * @param {object} request - The rent request (see RentRequest.findById).
+ * @param {object} house - The house applied for.
+ * @returns {{rent_amount: string, currency: string, start_date: string, lease_months: number, deposit_amount: string}} The terms.
+ */
+const getDefaultLeaseTerms = (request, house) => {
+  const today = toDateOnly(new Date());
+  const moveInDate = formatDbDate(request.move_in_date);
+  return {
+    rent_amount: house.rent_amount,
+    currency: house.currency,
+    start_date: moveInDate && moveInDate > today ? moveInDate : today,
+    lease_months: DEFAULT_LEASE_MONTHS,
+    deposit_amount: house.rent_amount,
+  };
+};
+
+/**
+ * Pre-fills the draft lease created when a landlord accepts a rent request. Terms both parties agreed on in
+ * the request's negotiation thread are used as they are; otherwise the lease starts from the default terms
+ * (see getDefaultLeaseTerms), with `lease_months` and `deposit_amount` overridable. The landlord reviews and
+ * edits the draft before sending it to the tenant.
+ * @param {object} request - The accepted rent request (see RentRequest.findById).
+ * @param {object} house - The house rented.
+ * @param {object} [options] - Raw overrides from the acceptance request.
+ * @param {*} [options.lease_months=DEFAULT_LEASE_MONTHS] - Length of the lease in months.
+ * @param {*} [options.deposit_amount] - Deposit, in the house's currency. Defaults to one month's rent.
+ * @param {*} [options.terms] - Lease terms. Defaults to DEFAULT_LEASE_TERMS.
+ * @param {object|null} [agreedOffer] - Optional: The accepted offer of the request (see RentRequestOffer.findAccepted).
+ * @returns {{lease: object}|{error: string}} Data for LeaseAgreement.create (without tenant and status), or a validation message.
+ */
+const buildDraftLease = (
+  request,
+  house,
+  { lease_months, deposit_amount, terms } = {},
+  agreedOffer = null
+) => {
+  const months =
+    lease_months === undefined ? DEFAULT_LEASE_MONTHS : Number(lease_months);
+  if (!Number.isInteger(months) || months < 1 || months > MAX_LEASE_MONTHS) {
+    return {
+      error: `lease_months must be a whole number from 1 to ${MAX_LEASE_MONTHS}.`,
+    };
+  }
+  const deposit =
+    deposit_amount === undefined
+      ? parseFloat(house.rent_amount)
+      : Number(deposit_amount);
+  if (!Number.isFinite(deposit) || deposit < 0) {
+    return { error: "deposit_amount must be a number of at least 0." };
+  }
+  if (
+    terms !== undefined &&
+    (typeof terms !== "string" || terms.trim() === "")
+  ) {
+    return { error: "terms must be non-empty text." };
+  }
+
+  const defaults = getDefaultLeaseTerms(request, house);
+  const agreed = agreedOffer
+    ? {
+        rent_amount: agreedOffer.rent_amount,
+        currency: agreedOffer.currency,
+        start_date: formatDbDate(agreedOffer.start_date),
+        lease_months: agreedOffer.lease_months,
+        deposit_amount: agreedOffer.deposit_amount,
+      }
+    : { ...defaults, lease_months: months, deposit_amount: deposit };
+  // An agreed start date that has passed while the request waited moves to today
+  const today = toDateOnly(new Date());
+  const startDate = agreed.start_date > today ? agreed.start_date : today;
+  // The lease ends the day before the same date `lease_months` later
+  const endDate = toDateOnly(
+    new Date(
+      new Date(addMonths(startDate, agreed.lease_months)).getTime() - 86400000
+    )
+  );
+
+  return {
+    lease: {
+      landlord_id: house.landlord_id,
+      start_date: startDate,
+      end_date: endDate,
+      rent_amount: agreed.rent_amount,
+      deposit_amount: agreed.deposit_amount,
+      currency: agreed.currency,
+      terms: terms === undefined ? DEFAULT_LEASE_TERMS : terms.trim(),
+    },
+  };
+};
+
+module.exports = {
+  DEFAULT_LEASE_MONTHS,
+  MAX_LEASE_MONTHS,
+  getDefaultLeaseTerms,
+  buildDraftLease,
+};
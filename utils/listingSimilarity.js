@@ -0,0 +1,50 @@
+// utils/listingSimilarity.js
+const { tokenizeQuery } = require("./search");
+
+// How much each text field counts towards the similarity of two listings. A copied listing
+// usually keeps the address and most of the description, while titles are short and generic.
+const FIELD_WEIGHTS = {
+  address: 0.4,
+  title: 0.2,
+  description: 0.4,
+};
+
+// Listings at least this similar are flagged as likely duplicates
+const DUPLICATE_SIMILARITY_THRESHOLD = 0.65;
+
+/**
+ * Jaccard similarity of the words of two texts: shared words over all distinct words.
+ * @param {string[]} a - Words of the first text (see tokenizeQuery).
+ * @param {string[]} b - Words of the second text.
+ * @returns {number} From 0 (no words in common) to 1 (the same words).
+ */
+const jaccard = (a, b) => {
+  const other = new Set(b);
+  const shared = a.filter((word) => other.has(word)).length;
+  return shared / (a.length + other.size - shared);
+};
+
+/**
+ * Scores how alike the address, title and description of two listings are. Fields that are
+ * empty on either listing are left out rather than counted as different.
+ * @param {object} a - A listing with address, title and description.
+ * @param {object} b - Another listing.
+ * @returns {number} From 0 to 1, to 4 decimal places.
+ */
+const getListingSimilarity = (a, b) => {
+  let score = 0;
+  let weight = 0;
+  for (const [field, fieldWeight] of Object.entries(FIELD_WEIGHTS)) {
+    const wordsA = tokenizeQuery(a[field]);
+    const wordsB = tokenizeQuery(b[field]);
+    if (wordsA.length === 0 || wordsB.length === 0) continue;
+    score += jaccard(wordsA, wordsB) * fieldWeight;
+    weight += fieldWeight;
+  }
+  return weight > 0 ? Math.round((score / weight) * 10000) / 10000 : 0;
+};
+
+module.exports = {
+  DUPLICATE_SIMILARITY_THRESHOLD,
+  getListingSimilarity,
+};
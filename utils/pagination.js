@@ -0,0 +1,47 @@
+// utils/pagination.js
+
+/**
+ * Encodes the position after a row into an opaque cursor string for keyset pagination.
+ * @param {string} sort - The sort order the cursor belongs to.
+ * @param {*} value - Value of the sort column in the last returned row.
+ * @param {number} id - ID of the last returned row (tie-breaker).
+ * @returns {string} A URL-safe cursor.
+ */
+const encodeCursor = (sort, value, id) => {
+  const payload =
+    value instanceof Date
+      ? { s: sort, v: value.toISOString(), t: "date", id }
+      : { s: sort, v: value, id };
+  return Buffer.from(JSON.stringify(payload)).toString("base64url");
+};
+
+/**
+ * Decodes a cursor created by encodeCursor.
+ * @param {string} cursor - The opaque cursor string.
+ * @returns {{sort: string, value: *, id: number}|null} The decoded position, or null if the cursor is malformed.
+ */
+const decodeCursor = (cursor) => {
+  try {
+    const payload = JSON.parse(
+      Buffer.from(String(cursor), "base64url").toString("utf8")
+    );
+    if (
+      !payload ||
+      typeof payload.s !== "string" ||
+      !Number.isInteger(payload.id) ||
+      payload.v === undefined
+    ) {
+      return null;
+    }
+    const value = payload.t === "date" ? new Date(payload.v) : payload.v;
+    if (value instanceof Date && isNaN(value.getTime())) return null;
+    return { sort: payload.s, value, id: payload.id };
+  } catch (error) {
+    return null;
+  }
+};
+
+module.exports = {
+  encodeCursor,
+  decodeCursor,
+};
@@ -0,0 +1,164 @@
+// utils/rentApplicationValidation.js
+const { resolveCurrency } = require("./currency");
+const { isValidDateOnly, toDateOnly } = require("./dateRange");
+const { validateEmail } = require("./validator");
+const { EMPLOYMENT_STATUS } = require("./constants");
+
+const MAX_EMPLOYER_LENGTH = 200;
+const MAX_HOUSEHOLD_SIZE = 20;
+const MAX_REFERENCES = 5;
+const MAX_REFERENCE_FIELD_LENGTH = 100;
+
+/**
+ * Reads the references of an application. Multipart forms send them as a JSON string.
+ * @param {*} value - The raw `references` field: an array of {name, relationship, phone, email}, or its JSON.
+ * @returns {{references: Array}|{error: string}} The trimmed references, or a validation message.
+ */
+const parseReferences = (value) => {
+  if (value === undefined || value === null || value === "") {
+    return { references: [] };
+  }
+  let list = value;
+  if (typeof value === "string") {
+    try {
+      list = JSON.parse(value);
+    } catch (error) {
+      return { error: "references must be a JSON array." };
+    }
+  }
+  if (!Array.isArray(list) || list.length > MAX_REFERENCES) {
+    return {
+      error: `references must be an array of at most ${MAX_REFERENCES} references.`,
+    };
+  }
+
+  const references = [];
+  for (const entry of list) {
+    const reference = {};
+    for (const field of ["name", "relationship", "phone", "email"]) {
+      const raw = entry ? entry[field] : undefined;
+      if (raw === undefined || raw === null || raw === "") continue;
+      if (
+        typeof raw !== "string" ||
+        raw.trim().length > MAX_REFERENCE_FIELD_LENGTH
+      ) {
+        return {
+          error: `Reference ${field} must be text of at most ${MAX_REFERENCE_FIELD_LENGTH} characters.`,
+        };
+      }
+      reference[field] = raw.trim();
+    }
+    if (!reference.name || (!reference.phone && !reference.email)) {
+      return {
+        error: "Each reference needs a name and a phone number or email.",
+      };
+    }
+    if (reference.email && !validateEmail(reference.email)) {
+      return { error: `Invalid reference email: ${reference.email}` };
+    }
+    references.push(reference);
+  }
+  return { references };
+};
+
+/**
+ * Validates the application fields of a rent request (POST /api/rent-requests), as JSON or multipart form fields.
+ * @param {object} input - Raw fields: employment_status, employer, monthly_income, income_currency, household_size,
+ *        move_in_date (YYYY-MM-DD) and references.
+ * @param {object} house - The house applied for; its currency is the default income currency.
+ * @returns {Promise<{application: object}|{error: string}>} Data for RentRequest.create, or the first validation message.
+ */
+const validateRentApplication = async (input, house) => {
+  const {
+    employment_status,
+    employer,
+    monthly_income,
+    income_currency,
+    household_size,
+    move_in_date,
+    references,
+  } = input;
+
+  if (!Object.values(EMPLOYMENT_STATUS).includes(employment_status)) {
+    return {
+      error: `employment_status is required. Allowed values: ${Object.values(
+        EMPLOYMENT_STATUS
+      ).join(", ")}`,
+    };
+  }
+  if (
+    employer !== undefined &&
+    employer !== null &&
+    (typeof employer !== "string" || employer.length > MAX_EMPLOYER_LENGTH)
+  ) {
+    return {
+      error: `employer must be text of at most ${MAX_EMPLOYER_LENGTH} characters.`,
+    };
+  }
+
+  const income = Number(monthly_income);
+  if (
+    monthly_income === undefined ||
+    monthly_income === null ||
+    monthly_income === "" ||
+    !Number.isFinite(income) ||
+    income < 0
+  ) {
+    return {
+      error: "monthly_income is required and must be a number of at least 0.",
+    };
+  }
+  const { currency, error: currencyError } = await resolveCurrency(
+    income_currency || house.currency,
+    "income_currency"
+  );
+  if (currencyError) {
+    return { error: currencyError };
+  }
+
+  const householdSize = Number(household_size);
+  if (
+    !Number.isInteger(householdSize) ||
+    householdSize < 1 ||
+    householdSize > MAX_HOUSEHOLD_SIZE
+  ) {
+    return {
+      error: `household_size is required and must be a whole number from 1 to ${MAX_HOUSEHOLD_SIZE}.`,
+    };
+  }
+
+  if (!move_in_date || !isValidDateOnly(move_in_date)) {
+    return {
+      error:
+        "move_in_date is required and must be a date in YYYY-MM-DD format.",
+    };
+  }
+  if (move_in_date < toDateOnly(new Date())) {
+    return { error: "move_in_date cannot be in the past." };
+  }
+
+  const { references: parsedReferences, error: referencesError } =
+    parseReferences(references);
+  if (referencesError) {
+    return { error: referencesError };
+  }
+
+  return {
+    application: {
+      employment_status,
+      employer:
+        typeof employer === "string" && employer.trim()
+          ? employer.trim()
+          : null,
+      monthly_income: income,
+      income_currency: currency.code,
+      household_size: householdSize,
+      move_in_date,
+      references: parsedReferences,
+    },
+  };
+};
+
+module.exports = {
+  validateRentApplication,
+};
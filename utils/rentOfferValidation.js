@@ -0,0 +1,105 @@
+// utils/rentOfferValidation.js
+const { resolveCurrency } = require("./currency");
+const { formatDbDate, isValidDateOnly, toDateOnly } = require("./dateRange");
+const { MAX_LEASE_MONTHS } = require("./leaseDraft");
+
+const MAX_OFFER_MESSAGE_LENGTH = 1000;
+
+/**
+ * Validates the terms proposed in a rent request's negotiation thread (POST /api/rent-requests/:id/offers).
+ * Terms left out are carried over from `baseTerms`, so a counter-offer only needs the terms it changes. A carried-over
+ * start_date that has passed while the parties negotiated moves to today; a start_date that is proposed must not be past.
+ * @param {object} input - Raw fields: rent_amount, currency, start_date (YYYY-MM-DD), lease_months, deposit_amount and message.
+ * @param {object} baseTerms - The terms of the latest offer, or the request's default terms (see getDefaultLeaseTerms).
+ * @returns {Promise<{offer: object}|{error: string}>} Data for RentRequestOffer.propose (without proposer), or the first validation message.
+ */
+const validateOfferTerms = async (input, baseTerms) => {
+  const has = (field) =>
+    input[field] !== undefined && input[field] !== null && input[field] !== "";
+  const proposed = [
+    "rent_amount",
+    "currency",
+    "start_date",
+    "lease_months",
+    "deposit_amount",
+  ].filter(has);
+  if (proposed.length === 0) {
+    return {
+      error:
+        "Propose at least one of rent_amount, currency, start_date, lease_months or deposit_amount.",
+    };
+  }
+
+  const rentAmount = Number(
+    has("rent_amount") ? input.rent_amount : baseTerms.rent_amount
+  );
+  if (!Number.isFinite(rentAmount) || rentAmount <= 0) {
+    return { error: "rent_amount must be a positive number." };
+  }
+  const depositAmount = Number(
+    has("deposit_amount") ? input.deposit_amount : baseTerms.deposit_amount
+  );
+  if (!Number.isFinite(depositAmount) || depositAmount < 0) {
+    return { error: "deposit_amount must be a number of at least 0." };
+  }
+  const leaseMonths = Number(
+    has("lease_months") ? input.lease_months : baseTerms.lease_months
+  );
+  if (
+    !Number.isInteger(leaseMonths) ||
+    leaseMonths < 1 ||
+    leaseMonths > MAX_LEASE_MONTHS
+  ) {
+    return {
+      error: `lease_months must be a whole number from 1 to ${MAX_LEASE_MONTHS}.`,
+    };
+  }
+
+  const today = toDateOnly(new Date());
+  let startDate = input.start_date;
+  if (!has("start_date")) {
+    const carriedOver = formatDbDate(baseTerms.start_date);
+    startDate = carriedOver > today ? carriedOver : today;
+  }
+  if (!isValidDateOnly(startDate)) {
+    return { error: "start_date must be a date in YYYY-MM-DD format." };
+  }
+  if (startDate < today) {
+    return { error: "start_date cannot be in the past." };
+  }
+
+  const { currency, error: currencyError } = await resolveCurrency(
+    has("currency") ? input.currency : baseTerms.currency,
+    "currency"
+  );
+  if (currencyError) {
+    return { error: currencyError };
+  }
+
+  const { message } = input;
+  if (
+    message !== undefined &&
+    message !== null &&
+    (typeof message !== "string" || message.length > MAX_OFFER_MESSAGE_LENGTH)
+  ) {
+    return {
+      error: `message must be text of at most ${MAX_OFFER_MESSAGE_LENGTH} characters.`,
+    };
+  }
+
+  return {
+    offer: {
+      rent_amount: rentAmount,
+      currency: currency.code,
+      start_date: startDate,
+      lease_months: leaseMonths,
+      deposit_amount: depositAmount,
+      message:
+        typeof message === "string" && message.trim() ? message.trim() : null,
+    },
+  };
+};
+
+module.exports = {
+  validateOfferTerms,
+};
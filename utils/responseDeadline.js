@@ -0,0 +1,35 @@
+// utils/responseDeadline.js
+
+// Hours a landlord has to respond to a rent request when neither the listing nor the landlord sets a deadline
+const DEFAULT_RESPONSE_DEADLINE_HOURS =
+  parseInt(process.env.RENT_REQUEST_RESPONSE_HOURS) || 72;
+const MIN_RESPONSE_DEADLINE_HOURS = 12;
+const MAX_RESPONSE_DEADLINE_HOURS = 30 * 24;
+
+/**
+ * Validates a rent request response deadline set on a listing or as a landlord's default.
+ * An empty value clears the setting, so the next level applies (listing, then landlord, then DEFAULT_RESPONSE_DEADLINE_HOURS).
+ * @param {*} value - Raw response_deadline_hours from the request body.
+ * @returns {{hours: number|null}|{error: string}} The number of hours (null to clear), or a validation message.
+ */
+const validateResponseDeadlineHours = (value) => {
+  if (value === null || value === "") {
+    return { hours: null };
+  }
+  const hours = Number(value);
+  if (
+    !Number.isInteger(hours) ||
+    hours < MIN_RESPONSE_DEADLINE_HOURS ||
+    hours > MAX_RESPONSE_DEADLINE_HOURS
+  ) {
+    return {
+      error: `response_deadline_hours must be a whole number from ${MIN_RESPONSE_DEADLINE_HOURS} to ${MAX_RESPONSE_DEADLINE_HOURS}, or null to use the default.`,
+    };
+  }
+  return { hours };
+};
+
+module.exports = {
+  DEFAULT_RESPONSE_DEADLINE_HOURS,
+  validateResponseDeadlineHours,
+};
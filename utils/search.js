@@ -0,0 +1,116 @@
+// utils/search.js
+
+const SNIPPET_LENGTH = 160; // Approximate number of characters in a description snippet
+
+const escapeHtml = (text) =>
+  String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/**
+ * Splits a free-text search query into distinct, lowercase keywords.
+ * @param {string} q - The raw search query (e.g., "Kicukiro garden apartment").
+ * @returns {string[]} The unique keywords found in the query.
+ */
+const tokenizeQuery = (q) => {
+  if (!q) return [];
+  const terms = String(q)
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter((term) => term.length > 1);
+  return [...new Set(terms)];
+};
+
+/**
+ * Escapes a piece of text and wraps every occurrence of the search terms in <mark> tags.
+ * Terms are matched in the raw text and each piece is escaped on its own, so user content can be rendered
+ * safely and a term like "amp" never matches inside an escaped entity.
+ * @param {string} text - The text to highlight.
+ * @param {string[]} terms - Keywords returned by tokenizeQuery.
+ * @returns {string} The escaped text with highlighted matches.
+ */
+const highlightTerms = (text, terms) => {
+  if (!text) return "";
+  if (terms.length === 0) return escapeHtml(text);
+
+  const pattern = new RegExp(`(${terms.map(escapeRegExp).join("|")})`, "giu");
+  // Splitting on a capturing pattern puts the matches at the odd indexes
+  return String(text)
+    .split(pattern)
+    .map((part, index) =>
+      index % 2 === 1 ? `<mark>${escapeHtml(part)}</mark>` : escapeHtml(part)
+    )
+    .join("");
+};
+
+/**
+ * Builds a short excerpt of the text centred on the first keyword match, with matches highlighted.
+ * @param {string} text - The full text (e.g., a house description).
+ * @param {string[]} terms - Keywords returned by tokenizeQuery.
+ * @param {number} [maxLength=SNIPPET_LENGTH] - Approximate length of the excerpt.
+ * @returns {string} The highlighted excerpt, with ellipses where the text was cut.
+ */
+const buildSnippet = (text, terms, maxLength = SNIPPET_LENGTH) => {
+  if (!text) return "";
+  const lowerText = text.toLowerCase();
+
+  let firstMatch = -1;
+  for (const term of terms) {
+    const index = lowerText.indexOf(term);
+    if (index !== -1 && (firstMatch === -1 || index < firstMatch)) {
+      firstMatch = index;
+    }
+  }
+
+  let start = 0;
+  if (firstMatch > maxLength / 3) {
+    start = firstMatch - Math.floor(maxLength / 3);
+    // Avoid starting in the middle of a word
+    const nextSpace = text.indexOf(" ", start);
+    if (nextSpace !== -1 && nextSpace < firstMatch) {
+      start = nextSpace + 1;
+    }
+  }
+  let end = Math.min(text.length, start + maxLength);
+  if (end < text.length) {
+    const lastSpace = text.lastIndexOf(" ", end);
+    if (lastSpace > start) {
+      end = lastSpace;
+    }
+  }
+
+  const prefix = start > 0 ? "..." : "";
+  const suffix = end < text.length ? "..." : "";
+  return `${prefix}${highlightTerms(text.slice(start, end), terms)}${suffix}`;
+};
+
+/**
+ * Adds a `highlights` object to each house returned by a keyword search.
+ * @param {Array} houses - House rows returned by House.findAll.
+ * @param {string} q - The search query used to find them.
+ * @returns {Array} The same houses with `highlights.title`, `highlights.address` and `highlights.snippet` added.
+ */
+const addSearchHighlights = (houses, q) => {
+  const terms = tokenizeQuery(q);
+  return houses.map((house) => ({
+    ...house,
+    highlights: {
+      title: highlightTerms(house.title, terms),
+      address: highlightTerms(house.address, terms),
+      snippet: buildSnippet(house.description, terms),
+    },
+  }));
+};
+
+module.exports = {
+  escapeHtml,
+  tokenizeQuery,
+  highlightTerms,
+  buildSnippet,
+  addSearchHighlights,
+};